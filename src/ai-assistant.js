@@ -4,39 +4,14 @@ const { handleEmergency } = require('./emergency');
 const { handleIntake } = require('./intake');
 const config = require('./config');
 const { sendDoctorNotification } = require('./sms-notifications');
+const { getGatherSchema } = require('./utils/gatherValidation');
+const { CALLER_LIST, getCallerListEntry } = require('./utils/callerScreening');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('ai-assistant');
 
-// Define patient information schema for structured data collection
-const PATIENT_SCHEMA = {
-  type: "object",
-  properties: {
-    name: { 
-      type: "string",
-      description: "Patient full name"
-    },
-    phone: { 
-      type: "string", 
-      pattern: "^\\+?[0-9]{7,15}$",
-      description: "Phone number"
-    },
-    symptoms: { 
-      type: "string",
-      description: "Reason for calling"
-    },
-    pain_level: { 
-      type: "integer", 
-      minimum: 1, 
-      maximum: 10,
-      description: "Pain level 1–10"
-    },
-    urgency_level: { 
-      type: "string", 
-      enum: ["low", "medium", "high", "emergency"],
-      description: "Urgency"
-    }
-  },
-  required: ["name", "symptoms"]
-};
+// Patient information schema for structured data collection (defined in gather-tool.json)
+const PATIENT_SCHEMA = getGatherSchema();
 
 /**
  * Configure the AI Assistant with GatherUsingAI tool for patient data collection
@@ -47,16 +22,16 @@ async function configurePatientDataCollection() {
     const assistantId = 'assistant-2a0ca083-90df-4e20-9689-3f7071f8f9da'; // Use existing assistant
     
     // Just verify the assistant exists and get its details
-    console.log(`🤖 Using existing assistant: ${assistantId}`);
+    logger.info(`🤖 Using existing assistant: ${assistantId}`);
     
     try {
       const assistant = await telnyxClient.getAssistant(assistantId);
       
       if (assistant) {
-        console.log(`✅ Assistant found: ${assistant.name}`);
-        console.log(`📋 Model: ${assistant.model}`);
-        console.log(`📋 API Key Ref: ${assistant.llm_api_key_ref || 'Not set'}`);
-        console.log(`📋 Tools: ${assistant.tools?.length || 0} configured`);
+        logger.info(`✅ Assistant found: ${assistant.name}`);
+        logger.info(`📋 Model: ${assistant.model}`);
+        logger.info(`📋 API Key Ref: ${assistant.llm_api_key_ref || 'Not set'}`);
+        logger.info(`📋 Tools: ${assistant.tools?.length || 0} configured`);
         
         return {
           success: true,
@@ -70,7 +45,7 @@ async function configurePatientDataCollection() {
         throw new Error('Assistant not found');
       }
     } catch (error) {
-      console.error(`❌ Error fetching assistant ${assistantId}:`, error.message);
+      logger.error(`❌ Error fetching assistant ${assistantId}:`, error.message);
       
       return {
         success: false,
@@ -81,7 +56,7 @@ async function configurePatientDataCollection() {
     }
     
   } catch (error) {
-    console.error('❌ Error configuring patient data collection:', error);
+    logger.error('❌ Error configuring patient data collection:', error);
     
     return { 
       status: 'fallback', 
@@ -99,7 +74,7 @@ async function configurePatientDataCollection() {
  */
 async function startPatientDataGathering(callControlId, callerPhone) {
   try {
-    console.log(`🤖 Starting patient data gathering for call: ${callControlId}`);
+    logger.info(`🤖 Starting patient data gathering for call: ${callControlId}`);
     
     const gatherResult = await telnyxClient.gatherUsingAI(callControlId, PATIENT_SCHEMA, {
       timeoutMillis: 60000, // 1 minute timeout
@@ -112,7 +87,7 @@ async function startPatientDataGathering(callControlId, callerPhone) {
       })).toString('base64')
     });
     
-    console.log(`🤖 Patient data gathering started:`, JSON.stringify(gatherResult, null, 2));
+    logger.info(`🤖 Patient data gathering started:`, gatherResult);
     
     return {
       success: true,
@@ -124,7 +99,7 @@ async function startPatientDataGathering(callControlId, callerPhone) {
     };
     
   } catch (error) {
-    console.error('❌ Error starting patient data gathering:', error);
+    logger.error('❌ Error starting patient data gathering:', error);
     throw error;
   }
 }
@@ -133,11 +108,17 @@ async function startPatientDataGathering(callControlId, callerPhone) {
  * Start AI Assistant conversation for incoming call
  * @param {string} callControlId - Call control ID from webhook payload
  * @param {string} callerPhone - Caller's phone number
- * @returns {Promise<Object>} AI Assistant session result
+ * @returns {Promise<Object|null>} AI Assistant session result, or null for blocklisted callers
  */
 async function startAIConversation(callControlId, callerPhone) {
   try {
-    console.log(`🤖 Starting AI Assistant for call: ${callControlId} from ${callerPhone}`);
+    const listEntry = await getCallerListEntry(callerPhone);
+    if (listEntry?.list === CALLER_LIST.BLOCK) {
+      logger.info(`🚫 Not starting AI Assistant for blocklisted caller on call: ${callControlId}`);
+      return null;
+    }
+    
+    logger.info(`🤖 Starting AI Assistant for call: ${callControlId} from ${callerPhone}`);
     
     const practiceSettings = config.getPracticeSettings();
     
@@ -155,10 +136,10 @@ async function startAIConversation(callControlId, callerPhone) {
       webhook_url: `${process.env.BASE_URL}/webhook/ai-assistant`
     });
     
-    console.log(`✅ AI Assistant started successfully:`, aiSession);
+    logger.info(`✅ AI Assistant started successfully:`, aiSession);
     return aiSession;
   } catch (error) {
-    console.error('❌ Error starting AI Assistant:', error);
+    logger.error('❌ Error starting AI Assistant:', error);
     throw error;
   }
 }
@@ -174,7 +155,7 @@ async function handleAIAssistantEvent(eventData) {
     const callControlId = payload.call_control_id;
     const callerPhone = payload.from || payload.caller_number;
     
-    console.log(`🤖 AI Assistant event: ${event_type} for call ${callControlId}`);
+    logger.info(`🤖 AI Assistant event: ${event_type} for call ${callControlId}`);
     
     switch (event_type) {
       case 'assistant.initialization':
@@ -200,8 +181,8 @@ async function handleAIAssistantEvent(eventData) {
         return await handleAIError(payload);
         
       default:
-        console.log(`🤖 Unhandled AI Assistant event: ${event_type}`);
-        console.log(`📋 Full unhandled event payload:`, JSON.stringify(eventData, null, 2));
+        logger.info(`🤖 Unhandled AI Assistant event: ${event_type}`);
+        logger.debug(`📋 Full unhandled event payload:`, eventData);
         
         // Log all unhandled events for debugging
         const unhandledLog = {
@@ -212,13 +193,13 @@ async function handleAIAssistantEvent(eventData) {
           fullPayload: eventData
         };
         
-        console.log(`📝 Unhandled event logged:`, JSON.stringify(unhandledLog, null, 2));
+        logger.info(`📝 Unhandled event logged:`, unhandledLog);
         
         return { status: 'ignored', eventType: event_type, logged: true };
     }
     
   } catch (error) {
-    console.error('❌ Error handling AI Assistant event:', error);
+    logger.error('❌ Error handling AI Assistant event:', error);
     return { status: 'error', error: error.message };
   }
 }
@@ -230,8 +211,8 @@ async function handleAIAssistantEvent(eventData) {
  */
 async function handleAssistantInitialization(payload) {
   const { call_control_id, assistant_id, from, to } = payload;
-  console.log(`🤖 AI Assistant initialized: ${assistant_id} for call ${call_control_id}`);
-  console.log(`📞 Call from ${from} to ${to}`);
+  logger.info(`🤖 AI Assistant initialized: ${assistant_id} for call ${call_control_id}`);
+  logger.info(`📞 Call from ${from} to ${to}`);
   
   // Log the call start
   const callLog = {
@@ -243,7 +224,7 @@ async function handleAssistantInitialization(payload) {
     event: 'ai_assistant_initialized'
   };
   
-  console.log(`📋 Call initialized:`, JSON.stringify(callLog, null, 2));
+  logger.info(`📋 Call initialized:`, callLog);
   
   return { status: 'initialized', callControlId: call_control_id };
 }
@@ -255,7 +236,7 @@ async function handleAssistantInitialization(payload) {
  */
 async function handleConversationStarted(payload) {
   const { call_control_id } = payload;
-  console.log(`🤖 AI conversation started for call: ${call_control_id}`);
+  logger.info(`🤖 AI conversation started for call: ${call_control_id}`);
   
   // Set initial context for dental practice
   const dentalContext = {
@@ -278,9 +259,9 @@ async function handleConversationStarted(payload) {
   
   try {
     await telnyxClient.updateAIContext(call_control_id, dentalContext);
-    console.log(`🤖 Dental context set for AI Assistant`);
+    logger.info(`🤖 Dental context set for AI Assistant`);
   } catch (error) {
-    console.error('❌ Error setting AI context:', error);
+    logger.error('❌ Error setting AI context:', error);
   }
   
   return { status: 'conversation_started', contextSet: true };
@@ -296,11 +277,11 @@ async function handleUserSpoke(payload) {
   // Try different field names for the user message
   const userMessage = transcript || user_message || text || payload.message;
   
-  console.log(`👤 Patient said: "${userMessage}" on call ${call_control_id}`);
-  console.log(`📋 Full user spoke payload:`, JSON.stringify(payload, null, 2));
+  logger.info(`👤 Patient spoke on call ${call_control_id}`, { transcript: userMessage });
+  logger.debug(`📋 Full user spoke payload:`, payload);
   
   if (!userMessage) {
-    console.log(`⚠️ No transcript found in payload. Available fields:`, Object.keys(payload));
+    logger.info(`⚠️ No transcript found in payload. Available fields:`, Object.keys(payload));
     return { status: 'no_transcript', availableFields: Object.keys(payload) };
   }
   
@@ -314,19 +295,19 @@ async function handleUserSpoke(payload) {
     fullPayload: payload
   };
   
-  console.log(`📝 User input logged:`, JSON.stringify(userInputLog, null, 2));
+  logger.debug(`📝 User input logged:`, userInputLog);
   
   // Analyze for emergency indicators using our existing logic
   const urgencyClassification = await classifyUrgency(userMessage);
   
-  console.log(`📊 Urgency classification: ${urgencyClassification.type} (confidence: ${urgencyClassification.confidence}%)`);
+  logger.info(`📊 Urgency classification: ${urgencyClassification.type} (confidence: ${urgencyClassification.confidence}%)`);
   
   // Extract and display customer details based on urgency type
   let customerDetails = null;
   
   if (urgencyClassification.type === 'emergency') {
     // EMERGENCY DETECTED - Extract emergency details
-    console.log(`🚨 EMERGENCY DETECTED! Extracting emergency details`);
+    logger.info(`🚨 EMERGENCY DETECTED! Extracting emergency details`);
     
     customerDetails = extractCustomerDetails(userMessage, 'emergency');
     customerDetails.originalMessage = userMessage;
@@ -336,7 +317,7 @@ async function handleUserSpoke(payload) {
       // Start emergency protocol (don't try to stop AI Assistant for now)
       await handleEmergency(from, userMessage, call_control_id);
       
-      console.log(`🚨 Emergency protocol initiated for ${call_control_id}`);
+      logger.info(`🚨 Emergency protocol initiated for ${call_control_id}`);
       
       return { 
         status: 'emergency_escalated', 
@@ -347,12 +328,12 @@ async function handleUserSpoke(payload) {
       };
       
     } catch (error) {
-      console.error('❌ Error handling emergency escalation:', error);
+      logger.error('❌ Error handling emergency escalation:', error);
       return { status: 'emergency_escalation_failed', error: error.message };
     }
     
   } else if (urgencyClassification.type === 'uncertain') {
-    console.log(`❓ Uncertain urgency - needs clarification`);
+    logger.info(`❓ Uncertain urgency - needs clarification`);
     
     // Still extract any available details
     customerDetails = extractCustomerDetails(userMessage, 'uncertain');
@@ -371,7 +352,7 @@ async function handleUserSpoke(payload) {
     
   } else {
     // Non-emergency - extract non-emergency details
-    console.log(`✅ Non-emergency call - extracting customer details`);
+    logger.info(`✅ Non-emergency call - extracting customer details`);
     
     customerDetails = extractCustomerDetails(userMessage, 'non-emergency');
     customerDetails.originalMessage = userMessage;
@@ -384,7 +365,7 @@ async function handleUserSpoke(payload) {
       try {
         await handleIntake(from, userMessage, call_control_id);
       } catch (error) {
-        console.error('Error in background intake logging:', error);
+        logger.error('Error in background intake logging:', error);
       }
     });
     
@@ -408,8 +389,8 @@ async function handleAssistantSpoke(payload) {
   // Try different field names for the AI message
   const aiMessage = assistant_message || response || text || payload.message || payload.transcript;
   
-  console.log(`🤖 AI Assistant said: "${aiMessage}" on call ${call_control_id}`);
-  console.log(`📋 Full assistant spoke payload:`, JSON.stringify(payload, null, 2));
+  logger.info(`🤖 AI Assistant spoke on call ${call_control_id}`, { transcript: aiMessage });
+  logger.debug(`📋 Full assistant spoke payload:`, payload);
   
   // Log the AI response for debugging
   const aiResponseLog = {
@@ -420,7 +401,7 @@ async function handleAssistantSpoke(payload) {
     fullPayload: payload
   };
   
-  console.log(`📝 AI response logged:`, JSON.stringify(aiResponseLog, null, 2));
+  logger.debug(`📝 AI response logged:`, aiResponseLog);
   
   // Monitor AI responses for quality and compliance
   return { status: 'assistant_spoke_logged', message: aiMessage };
@@ -434,7 +415,7 @@ async function handleAssistantSpoke(payload) {
 async function handleConversationEnded(payload) {
   const { call_control_id, reason } = payload;
   
-  console.log(`🤖 AI conversation ended for call ${call_control_id}, reason: ${reason}`);
+  logger.info(`🤖 AI conversation ended for call ${call_control_id}, reason: ${reason}`);
   
   return { status: 'conversation_ended', reason: reason };
 }
@@ -447,7 +428,7 @@ async function handleConversationEnded(payload) {
 async function handleAIError(payload) {
   const { call_control_id, error_message } = payload;
   
-  console.error(`🤖 AI Assistant error for call ${call_control_id}: ${error_message}`);
+  logger.error(`🤖 AI Assistant error for call ${call_control_id}: ${error_message}`);
   
   // Fallback to manual speech
   try {
@@ -455,7 +436,7 @@ async function handleAIError(payload) {
       "I apologize for the technical difficulty. Let me help you directly. How can I assist you today?"
     );
   } catch (error) {
-    console.error('❌ Error in AI fallback:', error);
+    logger.error('❌ Error in AI fallback:', error);
   }
   
   return { status: 'ai_error_handled', fallback: 'manual_speech' };
@@ -602,52 +583,16 @@ async function displayCustomerDetails(details, callControlId, callerPhone) {
     return; // No details to display
   }
 
-  console.log('\n' + '='.repeat(60));
-  console.log('📋 CUSTOMER DETAILS CAPTURED');
-  console.log('='.repeat(60));
-  console.log(`🕒 Timestamp: ${details.timestamp}`);
-  console.log(`📞 Call ID: ${callControlId}`);
-  console.log(`📱 Caller: ${callerPhone}`);
-  console.log(`🚨 Type: ${details.type.toUpperCase()}`);
-  console.log('-'.repeat(60));
-
-  if (details.type === 'emergency') {
-    console.log('🚨 EMERGENCY DETAILS:');
-    if (details.extracted.name) {
-      console.log(`👤 Full Name: ${details.extracted.name}`);
-    }
-    if (details.extracted.phoneFormatted) {
-      console.log(`📞 Callback Number: ${details.extracted.phoneFormatted}`);
-    }
-    if (details.extracted.emergencyDescription) {
-      console.log(`🩺 Emergency Description: ${details.extracted.emergencyDescription}`);
-    }
-    if (details.extracted.emotionalTone) {
-      console.log(`😟 Emotional Tone: ${details.extracted.emotionalTone}`);
-    }
-  } else {
-    console.log('📝 NON-EMERGENCY DETAILS:');
-    if (details.extracted.name) {
-      console.log(`👤 Name: ${details.extracted.name}`);
-    }
-    if (details.extracted.phoneFormatted) {
-      console.log(`📞 Phone Number: ${details.extracted.phoneFormatted}`);
-    }
-    if (details.extracted.reason) {
-      console.log(`💬 Reason for Call: ${details.extracted.reason}`);
-    }
-    if (details.extracted.preferredCallbackTime) {
-      console.log(`⏰ Preferred Callback Time: ${details.extracted.preferredCallbackTime}`);
-    }
-  }
-
-  console.log('='.repeat(60));
-  console.log('📝 Raw Message: ' + details.originalMessage?.substring(0, 200) + (details.originalMessage?.length > 200 ? '...' : ''));
-  console.log('='.repeat(60) + '\n');
+  logger.info(`📋 ${details.type === 'emergency' ? 'EMERGENCY' : 'NON-EMERGENCY'} DETAILS CAPTURED on call ${callControlId}`, {
+    timestamp: details.timestamp,
+    callerPhone,
+    ...details.extracted,
+    originalMessage: details.originalMessage
+  });
   
   // Check if we have enough information to send SMS notification
   if (shouldSendNotification(details)) {
-    console.log(`📱 Sending SMS notification to doctor...`);
+    logger.info(`📱 Sending SMS notification to doctor...`);
     
     // Convert our extracted details to the format expected by SMS notification
     const patientInfo = convertDetailsToPatientInfo(details, callerPhone);
@@ -657,12 +602,12 @@ async function displayCustomerDetails(details, callControlId, callerPhone) {
       const smsResult = await sendDoctorNotification(patientInfo, urgencyLevel);
       
       if (smsResult.success) {
-        console.log(`✅ Doctor notified via SMS: ${smsResult.messageId}`);
+        logger.info(`✅ Doctor notified via SMS: ${smsResult.messageId}`);
       } else {
-        console.error(`❌ SMS notification failed: ${smsResult.error}`);
+        logger.error(`❌ SMS notification failed: ${smsResult.error}`);
       }
     } catch (error) {
-      console.error(`❌ Error sending SMS notification:`, error);
+      logger.error(`❌ Error sending SMS notification:`, error);
     }
   }
 }
@@ -1,4 +1,6 @@
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('config');
 
 /**
  * Default practice configuration
@@ -42,7 +44,8 @@ const defaultConfig = {
   compliance: {
     hipaaCompliant: true,
     recordRetentionDays: 2555, // 7 years
-    auditLogging: true
+    auditLogging: true,
+    encryptionAtRest: !!(process.env.DATA_ENCRYPTION_KEY || process.env.DATA_ENCRYPTION_KEY_FILE)
   }
 };
 
@@ -64,7 +67,7 @@ function loadConfig() {
     
     return defaultConfig;
   } catch (error) {
-    console.warn('Error loading config file, using defaults:', error.message);
+    logger.warn('Error loading config file, using defaults:', error.message);
     return defaultConfig;
   }
 }
@@ -183,18 +186,18 @@ function saveConfig(config) {
     
     const validation = validateConfig(config);
     if (!validation.isValid) {
-      console.error('Configuration validation failed:', validation.errors);
+      logger.error('Configuration validation failed:', validation.errors);
       return false;
     }
     
     const configPath = path.join(__dirname, '..', 'config.json');
     fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
     
-    console.log('Configuration saved successfully');
+    logger.info('Configuration saved successfully');
     return true;
     
   } catch (error) {
-    console.error('Error saving configuration:', error);
+    logger.error('Error saving configuration:', error);
     return false;
   }
 }
@@ -225,7 +228,7 @@ function updateSetting(key, value) {
     return saveConfig(currentConfig);
     
   } catch (error) {
-    console.error('Error updating setting:', error);
+    logger.error('Error updating setting:', error);
     return false;
   }
 }
@@ -1,6 +1,8 @@
 const axios = require('axios');
 const WebSocket = require('ws');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('conversational-ai');
 
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
 const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
@@ -37,7 +39,7 @@ class ConversationalAI {
 
       return response.data.voices;
     } catch (error) {
-      console.error('Error fetching voices:', error.response?.data || error.message);
+      logger.error('Error fetching voices:', error.response?.data || error.message);
       throw error;
     }
   }
@@ -122,11 +124,11 @@ Always maintain HIPAA compliance and patient confidentiality.`,
       );
 
       this.agentId = response.data.agent_id;
-      console.log(`✅ Created conversational agent: ${this.agentId}`);
+      logger.info(`✅ Created conversational agent: ${this.agentId}`);
       return response.data;
 
     } catch (error) {
-      console.error('Error creating conversational agent:', error.response?.data || error.message);
+      logger.error('Error creating conversational agent:', error.response?.data || error.message);
       throw error;
     }
   }
@@ -160,11 +162,11 @@ Always maintain HIPAA compliance and patient confidentiality.`,
       );
 
       this.conversationId = response.data.conversation_id;
-      console.log(`🗣️ Started conversation: ${this.conversationId}`);
+      logger.info(`🗣️ Started conversation: ${this.conversationId}`);
       return response.data;
 
     } catch (error) {
-      console.error('Error starting conversation:', error.response?.data || error.message);
+      logger.error('Error starting conversation:', error.response?.data || error.message);
       throw error;
     }
   }
@@ -190,7 +192,7 @@ Always maintain HIPAA compliance and patient confidentiality.`,
       });
 
       this.ws.on('open', () => {
-        console.log('🔗 Connected to ElevenLabs Conversational AI WebSocket');
+        logger.info('🔗 Connected to ElevenLabs Conversational AI WebSocket');
         this.isConnected = true;
       });
 
@@ -200,7 +202,7 @@ Always maintain HIPAA compliance and patient confidentiality.`,
           
           switch (message.type) {
             case 'conversation_initiation_metadata':
-              console.log('📞 Conversation initiated');
+              logger.info('📞 Conversation initiated');
               onMessage({ type: 'conversation_started', data: message });
               break;
               
@@ -212,17 +214,17 @@ Always maintain HIPAA compliance and patient confidentiality.`,
               break;
               
             case 'user_transcript':
-              console.log(`👤 User said: ${message.user_transcript.text}`);
+              logger.info('👤 User said:', { transcript: message.user_transcript.text });
               onMessage({ type: 'user_transcript', data: message.user_transcript });
               break;
               
             case 'agent_response':
-              console.log(`🤖 AI responded: ${message.agent_response.text}`);
+              logger.info('🤖 AI responded:', { transcript: message.agent_response.text });
               onMessage({ type: 'agent_response', data: message.agent_response });
               break;
               
             case 'conversation_end':
-              console.log('📞 Conversation ended');
+              logger.info('📞 Conversation ended');
               onMessage({ type: 'conversation_end', data: message });
               this.isConnected = false;
               break;
@@ -231,24 +233,24 @@ Always maintain HIPAA compliance and patient confidentiality.`,
               onMessage({ type: 'unknown', data: message });
           }
         } catch (error) {
-          console.error('Error parsing WebSocket message:', error);
+          logger.error('Error parsing WebSocket message:', error);
         }
       });
 
       this.ws.on('error', (error) => {
-        console.error('WebSocket error:', error);
+        logger.error('WebSocket error:', error);
         this.isConnected = false;
       });
 
       this.ws.on('close', () => {
-        console.log('🔌 WebSocket connection closed');
+        logger.info('🔌 WebSocket connection closed');
         this.isConnected = false;
       });
 
       return this.ws;
 
     } catch (error) {
-      console.error('Error connecting to WebSocket:', error);
+      logger.error('Error connecting to WebSocket:', error);
       throw error;
     }
   }
@@ -301,10 +303,10 @@ Always maintain HIPAA compliance and patient confidentiality.`,
             }
           }
         );
-        console.log('🔚 Conversation ended');
+        logger.info('🔚 Conversation ended');
       }
     } catch (error) {
-      console.error('Error ending conversation:', error);
+      logger.error('Error ending conversation:', error);
     }
   }
 
@@ -329,7 +331,7 @@ Always maintain HIPAA compliance and patient confidentiality.`,
 
       return response.data.messages || [];
     } catch (error) {
-      console.error('Error getting conversation history:', error);
+      logger.error('Error getting conversation history:', error);
       return [];
     }
   }
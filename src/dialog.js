@@ -1,5 +1,7 @@
 const axios = require('axios');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('dialog');
 
 // Emergency keywords and phrases
 const EMERGENCY_KEYWORDS = {
@@ -113,7 +115,7 @@ async function detectEmergency(text) {
         reasons.push(`AI analysis: ${aiAnalysis.reasoning}`);
       }
     } catch (error) {
-      console.warn('AI analysis failed, using keyword-based detection only');
+      logger.warn('AI analysis failed, using keyword-based detection only');
     }
   }
 
@@ -121,8 +123,8 @@ async function detectEmergency(text) {
   const confidence = Math.min(100, Math.max(0, emergencyScore));
   const isEmergency = confidence >= 50;
 
-  console.log(`Emergency detection for "${text.substring(0, 100)}..."`);
-  console.log(`Score: ${emergencyScore}, Confidence: ${confidence}%, Emergency: ${isEmergency}`);
+  logger.debug('Emergency detection input:', { transcript: text.substring(0, 100) });
+  logger.info(`Score: ${emergencyScore}, Confidence: ${confidence}%, Emergency: ${isEmergency}`);
 
   return {
     isEmergency,
@@ -191,7 +193,7 @@ Respond with a JSON object containing:
     const aiResponse = response.data.choices[0].message.content;
     return JSON.parse(aiResponse);
   } catch (error) {
-    console.error('Error with AI analysis:', error.response?.data || error.message);
+    logger.error('Error with AI analysis:', error.response?.data || error.message);
     throw error;
   }
 }
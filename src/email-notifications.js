@@ -1,5 +1,7 @@
 const NodemailerComponent = require('./utils/nodemailerComponent');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('email-notifications');
 
 // Initialize Nodemailer
 const mailer = new NodemailerComponent();
@@ -31,7 +33,7 @@ async function sendDoctorEmailNotification(patientInfo, urgencyLevel = 'non-emer
 
     // If email notifications are disabled for this type, return early
     if (!templateEnabled) {
-      console.log(`📧 ${isEmergency ? 'Emergency' : 'Non-emergency'} email notifications are disabled`);
+      logger.info(`📧 ${isEmergency ? 'Emergency' : 'Non-emergency'} email notifications are disabled`);
       return {
         success: false,
         error: 'Email notifications disabled for this type'
@@ -70,8 +72,8 @@ const result = await mailer.sendMail(
   processedBody.replace(/<[^>]*>/g, ''), // Strip HTML for text version
   processedBody
 );
-console.log(`Email sent from ${process.env.GMAIL_USER} to ${process.env.PRIMARY_DOCTOR_EMAIL}`);
-    console.log(`📧 ${isEmergency ? 'Emergency' : 'Non-emergency'} email notification sent: ${result.messageId}`);
+logger.info(`Email sent from ${process.env.GMAIL_USER} to ${process.env.PRIMARY_DOCTOR_EMAIL}`);
+    logger.info(`📧 ${isEmergency ? 'Emergency' : 'Non-emergency'} email notification sent: ${result.messageId}`);
     
     return {
       success: true,
@@ -79,7 +81,7 @@ console.log(`Email sent from ${process.env.GMAIL_USER} to ${process.env.PRIMARY_
     };
     
   } catch (error) {
-    console.error('❌ Error sending email notification:', error);
+    logger.error('❌ Error sending email notification:', error);
     return {
       success: false,
       error: error.message
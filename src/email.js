@@ -1,11 +1,13 @@
 const NodemailerComponent = require('./utils/nodemailerComponent');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('email');
 
 const FROM_EMAIL = process.env.GMAIL_USER;
 const FROM_NAME = process.env.FROM_NAME || 'Your Practice';
 
 if (!FROM_EMAIL) {
-  console.warn('Warning: GMAIL_USER not set. Email functionality may be limited.');
+  logger.warn('Warning: GMAIL_USER not set. Email functionality may be limited.');
 }
 
 const mailer = new NodemailerComponent();
@@ -23,10 +25,10 @@ async function sendEmail(emailData) {
       emailData.text,
       emailData.html
     );
-    console.log(`Email sent successfully from ${FROM_EMAIL} to ${emailData.to}`);
+    logger.info(`Email sent successfully from ${FROM_EMAIL} to ${emailData.to}`);
     return response;
   } catch (error) {
-    console.error('Error sending email:', error.message);
+    logger.error('Error sending email:', error.message);
     throw error;
   }
 }
@@ -81,9 +83,9 @@ async function sendEmergencyEmail(emergencyRecord, practiceSettings) {
     };
 
     await sendEmail(emailData);
-    console.log(`Emergency email sent to ${practiceSettings.adminEmail}`);
+    logger.info(`Emergency email sent to ${practiceSettings.adminEmail}`);
   } catch (error) {
-    console.error('Error sending emergency email:', error);
+    logger.error('Error sending emergency email:', error);
     throw error;
   }
 }
@@ -160,9 +162,9 @@ async function sendIntakeEmail(intakeRecord, practiceSettings) {
     };
 
     await sendEmail(emailData);
-    console.log(`Intake email sent to ${practiceSettings.staffEmail || practiceSettings.adminEmail}`);
+    logger.info(`Intake email sent to ${practiceSettings.staffEmail || practiceSettings.adminEmail}`);
   } catch (error) {
-    console.error('Error sending intake email:', error);
+    logger.error('Error sending intake email:', error);
     throw error;
   }
 }
@@ -182,12 +184,41 @@ async function sendReceptionistSummary(callSummary, practiceSettings) {
       summary: callSummary.summary || 'No summary available'
     };
 
+    // Returning caller context, e.g. "3rd call in 48 hours" with earlier summaries
+    const history = callSummary.callHistory;
+    const priorSummaries = history?.priorSummaries || [];
+    const historyHtml = history?.description
+      ? `History: <strong>${history.description}</strong>
+<br>${priorSummaries.map(prior => `- ${new Date(prior.timestamp).toLocaleString()}: ${prior.summary} (<a href="${prior.link}">view</a>)`).join('<br>')}
+<br><br>
+`
+      : '';
+    const historyText = history?.description
+      ? `History: ${history.description}
+${priorSummaries.map(prior => `- ${new Date(prior.timestamp).toLocaleString()}: ${prior.summary} (${prior.link})`).join('\n')}
+
+`
+      : '';
+
+    // Secure links to the call recording(s), when they arrived before the summary
+    const recordings = callSummary.recordings || [];
+    const recordingsHtml = recordings.length > 0
+      ? `Recording: ${recordings.map(recording => `<a href="${recording.link}">listen${formatDuration(recording.durationSecs)}</a>`).join(', ')}
+<br><br>
+`
+      : '';
+    const recordingsText = recordings.length > 0
+      ? `Recording: ${recordings.map(recording => `${recording.link}${formatDuration(recording.durationSecs)}`).join('\n')}
+
+`
+      : '';
+
     // Determine status color (red for Urgent, green for Non-Urgent)
     const statusColor = safeData.status === 'Urgent' ? '#d32f2f' : '#2e7d32';
 
     const emailData = {
       to: practiceSettings.adminEmail || process.env.ADMIN_EMAIL || 'dentalreception6@gmail.com',
-      subject: `AFTER HOURS - ${safeData.name} (${safeData.status})`,
+      subject: `AFTER HOURS - ${safeData.name} (${safeData.status})${callSummary.partial ? ' - PARTIAL INFORMATION' : ''}`,
       html: `<div style="font-family: Arial, sans-serif; font-size: 14px; line-height: 1.6; color: #333; text-align: left;">
 Name: ${safeData.name}
 <br><br>
@@ -197,7 +228,7 @@ Status: <span style="color: ${statusColor}; font-weight: bold;">${safeData.statu
 <br><br>
 Summary: ${safeData.summary}
 <br><br>
-Sent by AI - Front Desk
+${historyHtml}${recordingsHtml}Sent by AI - Front Desk
 </div>`,
       text: `Name: ${safeData.name}
 
@@ -207,18 +238,103 @@ Status: ${safeData.status}
 
 Summary: ${safeData.summary}
 
+${historyText}${recordingsText}Sent by AI - Front Desk`
+    };
+
+    const result = await sendEmail(emailData);
+    logger.info(`Email sent successfully to ${emailData.to}`);
+    return result;
+  } catch (error) {
+    logger.error('Error sending receptionist summary:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send a link to a recording that arrived after its summary or emergency email
+ * @param {Object} details - { name, phone, emergencyId, link, durationSecs, channels }
+ * @param {Object} practiceSettings - Practice configuration
+ */
+async function sendRecordingEmail(details, practiceSettings) {
+  try {
+    const who = details.name || details.phone || 'Unknown caller';
+    const context = details.emergencyId ? `Emergency ${details.emergencyId}` : 'Call summary sent earlier';
+
+    const emailData = {
+      to: practiceSettings.adminEmail || process.env.ADMIN_EMAIL || 'dentalreception6@gmail.com',
+      subject: `RECORDING - ${who}${details.emergencyId ? ' (emergency)' : ''}`,
+      html: `<div style="font-family: Arial, sans-serif; font-size: 14px; line-height: 1.6; color: #333; text-align: left;">
+${context}
+<br><br>
+Phone: ${details.phone || 'Unknown'}
+<br><br>
+Recording: <a href="${details.link}">listen${formatDuration(details.durationSecs)}</a>
+<br><br>
+Sent by AI - Front Desk
+</div>`,
+      text: `${context}
+
+Phone: ${details.phone || 'Unknown'}
+
+Recording: ${details.link}${formatDuration(details.durationSecs)}
+
+Sent by AI - Front Desk`
+    };
+
+    const result = await sendEmail(emailData);
+    logger.info(`Recording link sent to ${emailData.to}`);
+    return result;
+  } catch (error) {
+    logger.error('Error sending recording email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send a staff alert about an emergency that needs a person (see utils/staffAlerts)
+ * @param {Object} alert - { subject, message, emergencyId }
+ * @param {Object} practiceSettings - Practice configuration
+ */
+async function sendStaffAlertEmail(alert, practiceSettings) {
+  try {
+    const emailData = {
+      to: practiceSettings.staffEmail || practiceSettings.adminEmail,
+      subject: `⚠️ ACTION NEEDED: ${alert.subject}`,
+      html: `<div style="font-family: Arial, sans-serif; font-size: 14px; line-height: 1.6; color: #333; text-align: left;">
+${alert.message}
+<br><br>
+Emergency ID: ${alert.emergencyId}
+<br><br>
+Sent by AI - Front Desk
+</div>`,
+      text: `${alert.message}
+
+Emergency ID: ${alert.emergencyId}
+
 Sent by AI - Front Desk`
     };
 
     const result = await sendEmail(emailData);
-    console.log(`Email sent successfully to ${emailData.to}`);
+    logger.info(`Staff alert sent to ${emailData.to}`);
     return result;
   } catch (error) {
-    console.error('Error sending receptionist summary:', error);
+    logger.error('Error sending staff alert email:', error);
     throw error;
   }
 }
 
+/**
+ * " (2m 05s)" for a recording length, or nothing when it is not known
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) {
+    return '';
+  }
+  return ` (${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s)`;
+}
+
 /**
  * Get response deadline based on priority
  * @param {string} priority - Priority level
@@ -246,5 +362,7 @@ module.exports = {
   sendEmail,
   sendEmergencyEmail,
   sendIntakeEmail,
-  sendReceptionistSummary
+  sendReceptionistSummary,
+  sendRecordingEmail,
+  sendStaffAlertEmail
 };
@@ -8,6 +8,13 @@ const telnyxHelper = require('./telnyx');
 const { sendDoctorNotification } = require('./sms-notifications');
 const { sendDoctorEmailNotification } = require('./email-notifications');
 const { initiateEmergencyConference, handleConferenceEvent } = require('./telnyx-conference');
+const emergencyStore = require('./utils/emergencyStore');
+const { EMERGENCY_STATUS } = emergencyStore;
+const { findPatientByPhone, describeRecentCalls } = require('./utils/patientIndex');
+const { registerPage } = require('./utils/doctorPages');
+const { recordCallbackStarted } = require('./utils/emergencyCallback');
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('emergency');
 require('dotenv').config();
 
 /**
@@ -20,7 +27,7 @@ require('dotenv').config();
  */
 async function handleEmergency(callerPhone, message, callControlId, patientInfo = {}) {
   try {
-    console.log(`🚨 Handling emergency for ${callerPhone}: ${message}`);
+    logger.info(`🚨 Handling emergency on call ${callControlId}`, { callerPhone, user_message: message });
     
     // Get emergency doctor based on time of day
     const currentHour = new Date().getHours();
@@ -34,6 +41,14 @@ async function handleEmergency(callerPhone, message, callControlId, patientInfo
     // Generate unique emergency ID
     const emergencyId = `emergency-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
+    await emergencyStore.createEmergencyRecord(emergencyId, {
+      patient: { ...patientInfo, phone: patientInfo.phone || callerPhone, reason: patientInfo.reason || message },
+      message,
+      callControlId,
+      doctorPhone: doctorNumber,
+      source: 'ai_assistant'
+    });
+    
     // Transfer configuration with recording
     const transferConfig = {
       to: doctorNumber,
@@ -46,20 +61,24 @@ async function handleEmergency(callerPhone, message, callControlId, patientInfo
       command_id: `emergency-${emergencyId}`
     };
 
-    console.log(`📞 Transferring emergency call to doctor: ${doctorNumber}`);
+    logger.info(`📞 Transferring emergency call to doctor: ${doctorNumber}`);
     
     // Start the transfer with recording
     const transferResult = await telnyxHelper.transferCall(callControlId, transferConfig);
     
-    console.log(`✅ Emergency transfer initiated:`, transferResult);
+    logger.info(`✅ Emergency transfer initiated:`, transferResult);
+    
+    // Mention repeat callers in the doctor SMS, e.g. "3rd call in 48 hours"
+    const callHistory = describeRecentCalls(await findPatientByPhone(patientInfo.phone || callerPhone));
     
     // Send notifications
-    await Promise.all([
+    const [smsResult, emailResult] = await Promise.all([
       sendDoctorNotification({
         type: 'emergency',
         phone: callerPhone,
         message: message,
-        emergencyId
+        emergencyId,
+        callHistory
       }),
       sendDoctorEmailNotification({
         type: 'emergency',
@@ -68,6 +87,11 @@ async function handleEmergency(callerPhone, message, callControlId, patientInfo
         emergencyId
       })
     ]);
+    
+    await emergencyStore.recordEmergencyStatus(emergencyId, EMERGENCY_STATUS.DOCTOR_NOTIFIED, {
+      doctorPhone: doctorNumber,
+      channels: { sms: !!smsResult?.success, email: !!emailResult?.success }
+    });
 
     return {
       success: true,
@@ -75,7 +99,7 @@ async function handleEmergency(callerPhone, message, callControlId, patientInfo
       transferResult
     };
   } catch (error) {
-    console.error('❌ Error handling emergency:', error);
+    logger.error('❌ Error handling emergency:', error);
     throw error;
   }
 }
@@ -88,7 +112,7 @@ async function handleEmergency(callerPhone, message, callControlId, patientInfo
  */
 async function handleEmergencyFallback(callControlId, patientPhone, emergencyRecord) {
   try {
-    console.log('🔄 Emergency conference fallback - using direct transfer');
+    logger.info('🔄 Emergency conference fallback - using direct transfer');
     
     // Inform patient about the transfer
     await telnyxHelper.speakText(callControlId, 
@@ -113,10 +137,10 @@ async function handleEmergencyFallback(callControlId, patientPhone, emergencyRec
     emergencyRecord.status = 'transferred_to_doctor';
     emergencyRecord.transferredTo = doctorPhone;
     
-    console.log(`📞 Emergency call transferred to: ${doctorPhone}`);
+    logger.info(`📞 Emergency call transferred to: ${doctorPhone}`);
     
   } catch (error) {
-    console.error('❌ Emergency fallback failed:', error);
+    logger.error('❌ Emergency fallback failed:', error);
     emergencyRecord.status = 'fallback_failed';
     throw error;
   }
@@ -141,23 +165,23 @@ async function sendEmergencyNotifications(emergencyRecord, emergencyInfo) {
     };
     
     // Send SMS notification
-    console.log('📱 Sending emergency SMS notification');
+    logger.info('📱 Sending emergency SMS notification');
     const smsResult = await sendDoctorNotification(patientInfo, 'emergency');
     
     if (smsResult.success) {
-      console.log(`✅ Emergency SMS sent: ${smsResult.messageId}`);
+      logger.info(`✅ Emergency SMS sent: ${smsResult.messageId}`);
     } else {
-      console.error(`❌ Emergency SMS failed: ${smsResult.error}`);
+      logger.error(`❌ Emergency SMS failed: ${smsResult.error}`);
     }
     
     // Send Email notification
-    console.log('📧 Sending emergency email notification');
+    logger.info('📧 Sending emergency email notification');
     const emailResult = await sendDoctorEmailNotification(patientInfo, 'emergency');
     
     if (emailResult.success) {
-      console.log(`✅ Emergency email sent: ${emailResult.messageId}`);
+      logger.info(`✅ Emergency email sent: ${emailResult.messageId}`);
     } else {
-      console.error(`❌ Emergency email failed: ${emailResult.error}`);
+      logger.error(`❌ Emergency email failed: ${emailResult.error}`);
     }
     
     return {
@@ -166,7 +190,7 @@ async function sendEmergencyNotifications(emergencyRecord, emergencyInfo) {
     };
     
   } catch (error) {
-    console.error('❌ Error sending emergency notifications:', error);
+    logger.error('❌ Error sending emergency notifications:', error);
     throw error;
   }
 }
@@ -220,12 +244,12 @@ async function sendEmergencyAlerts(emergencyRecord, practiceSettings) {
           sid: sms.sid,
           timestamp: new Date().toISOString()
         });
-        console.log(`📱 Emergency SMS sent to ${contact.name} (${contact.phone})`);
+        logger.info(`📱 Emergency SMS sent to ${contact.name} (${contact.phone})`);
       } else {
-        console.log(`📱 SMS disabled - would send emergency alert to ${contact.name}`);
+        logger.info(`📱 SMS disabled - would send emergency alert to ${contact.name}`);
       }
     } catch (error) {
-      console.error(`Failed to send emergency SMS to ${contact.phone}:`, error);
+      logger.error(`Failed to send emergency SMS to ${contact.phone}:`, error);
     }
   }
 
@@ -234,7 +258,7 @@ async function sendEmergencyAlerts(emergencyRecord, practiceSettings) {
     try {
       await sendEmergencyEmail(emergencyRecord, practiceSettings);
     } catch (error) {
-      console.error('Failed to send emergency email:', error);
+      logger.error('Failed to send emergency email:', error);
     }
   }
 }
@@ -250,16 +274,16 @@ async function handleEmergencyCall(emergencyRecord, practiceSettings) {
     const enableConference = process.env.ENABLE_CONFERENCE_CALLS === 'true';
     
     if (!enableConference) {
-      console.log('📞 Conference calls disabled - using fallback emergency response');
+      logger.info('📞 Conference calls disabled - using fallback emergency response');
       return { type: 'fallback', message: 'Conference disabled' };
     }
 
-    console.log(`📞 Creating emergency conference for ${emergencyRecord.id}`);
+    logger.info(`📞 Creating emergency conference for ${emergencyRecord.id}`);
     
     // Create emergency conference name (TwiML-based, no REST API)
     const conferenceName = `emergency-${emergencyRecord.id}`;
     
-    console.log(`✅ Emergency conference prepared: ${conferenceName}`);
+    logger.info(`✅ Emergency conference prepared: ${conferenceName}`);
 
     // Send notifications to doctors (SMS/Email only - no calls)
     await notifyEmergencyDoctors(emergencyRecord, conferenceName);
@@ -268,7 +292,12 @@ async function handleEmergencyCall(emergencyRecord, practiceSettings) {
     emergencyRecord.conferenceType = 'twiml';
     emergencyRecord.status = 'conference_ready';
     
-    console.log(`🎪 Emergency conference ${conferenceName} ready - doctors notified`);
+    await updateEmergencyStatus(emergencyRecord.id, EMERGENCY_STATUS.CONFERENCE_STARTED, {
+      conferenceName,
+      conferenceType: 'twiml'
+    });
+    
+    logger.info(`🎪 Emergency conference ${conferenceName} ready - doctors notified`);
     
     return {
       type: 'conference',
@@ -278,7 +307,7 @@ async function handleEmergencyCall(emergencyRecord, practiceSettings) {
     };
     
   } catch (error) {
-    console.error('❌ Error creating emergency conference:', error);
+    logger.error('❌ Error creating emergency conference:', error);
     return { type: 'error', error: error.message };
   }
 }
@@ -301,18 +330,24 @@ Say "Doctor Emergency" to join the conference.
 
 Time: ${new Date().toLocaleString()}`;
 
-  console.log(`📧 Notifying emergency doctors about conference: ${conferenceName}`);
+  logger.info(`📧 Notifying emergency doctors about conference: ${conferenceName}`);
   
   // Send SMS notification (if enabled)
   if (process.env.ENABLE_SMS_NOTIFICATIONS === 'true' && primaryDoctor) {
     try {
-      await telnyxClient.sendSMS(primaryDoctor, notificationMessage);
-      console.log(`📱 Emergency SMS sent to doctor: ${primaryDoctor}`);
+      const pageText = await registerPage({ emergencyId: emergencyRecord.id, doctorPhone: primaryDoctor, message: notificationMessage });
+      await telnyxClient.sendSMS(primaryDoctor, pageText);
+      logger.info(`📱 Emergency SMS sent to doctor: ${primaryDoctor}`);
+      await updateEmergencyStatus(emergencyRecord.id, EMERGENCY_STATUS.DOCTOR_NOTIFIED, {
+        doctorPhone: primaryDoctor,
+        conferenceName,
+        channel: 'sms'
+      });
     } catch (error) {
-      console.error(`❌ Failed to send SMS to doctor:`, error);
+      logger.error(`❌ Failed to send SMS to doctor:`, error);
     }
   } else {
-    console.log(`📱 SMS disabled - would notify doctor: ${primaryDoctor}`);
+    logger.info(`📱 SMS disabled - would notify doctor: ${primaryDoctor}`);
   }
 }
 
@@ -328,7 +363,7 @@ function generateEmergencyConferenceTwiML(conferenceName, emergencyId) {
     announcement: "This is a dental emergency. I'm connecting you to our emergency doctor now. Please stay on the line.",
     timeout: 60,
     record: 'record-from-answer',
-    recordingCallback: `/webhook/emergency-recording?emergencyId=${emergencyId}`,
+    recordingCallback: `/webhook/twilio-recording?emergencyId=${emergencyId}`,
     startConferenceOnEnter: true,
     endConferenceOnExit: false,
     recordConference: 'record-from-start'
@@ -336,24 +371,28 @@ function generateEmergencyConferenceTwiML(conferenceName, emergencyId) {
 }
 
 /**
- * Initiate outbound emergency call to patient
+ * Initiate outbound emergency call to patient. The call is driven by
+ * /webhook/emergency-callback (see utils/emergencyCallback.js).
  * @param {Object} emergencyRecord - Emergency record
  * @param {Object} practiceSettings - Practice configuration
  */
 async function initiateEmergencyCall(emergencyRecord, practiceSettings) {
   try {
-    const callbackUrl = `${process.env.BASE_URL}/webhook/emergency-callback?emergencyId=${emergencyRecord.id}`;
+    const callbackUrl = `${process.env.BASE_URL}/webhook/emergency-callback?emergencyId=${encodeURIComponent(emergencyRecord.id)}`;
+    const patientPhone = emergencyRecord.patientPhone || emergencyRecord.patient?.phone;
     
     // Call patient back immediately
-    const call = await telnyxClient.makeCall(emergencyRecord.patientPhone, callbackUrl);
+    const call = await telnyxClient.makeCall(patientPhone, callbackUrl);
     
-    emergencyRecord.outboundCallSid = call.sid;
+    emergencyRecord.outboundCallSid = call.call_control_id;
     emergencyRecord.status = 'calling_patient';
+    // The call's first webhooks may already have been handled; this does not reset them
+    await recordCallbackStarted(emergencyRecord.id, { callControlId: call.call_control_id, phone: patientPhone });
     
-    console.log(`📞 Initiated emergency callback to ${emergencyRecord.patientPhone}`);
+    logger.info(`📞 Initiated emergency callback to ${patientPhone}`);
     
   } catch (error) {
-    console.error('Error initiating emergency call:', error);
+    logger.error('Error initiating emergency call:', error);
     throw error;
   }
 }
@@ -375,40 +414,15 @@ async function connectCallToEmergencyConference(callSid, conferenceName, emergen
       twiml: twiml
     });
     
-    console.log(`🎪 Connected call ${callSid} to emergency conference ${conferenceName}`);
+    logger.info(`🎪 Connected call ${callSid} to emergency conference ${conferenceName}`);
     return twiml;
     
   } catch (error) {
-    console.error('❌ Error connecting call to conference:', error);
+    logger.error('❌ Error connecting call to conference:', error);
     throw error;
   }
 }
 
-/**
- * Log emergency for compliance and record keeping
- * @param {Object} emergencyRecord - Emergency record
- */
-async function logEmergency(emergencyRecord) {
-  try {
-    const fs = require('fs');
-    const path = require('path');
-    
-    const logsDir = path.join(__dirname, '..', 'logs');
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-    }
-
-    const logFile = path.join(logsDir, `emergency-${new Date().toISOString().split('T')[0]}.log`);
-    const logEntry = `${new Date().toISOString()} - EMERGENCY - ${JSON.stringify(emergencyRecord)}\n`;
-    
-    fs.appendFileSync(logFile, logEntry);
-    console.log(`📝 Emergency logged to ${logFile}`);
-    
-  } catch (error) {
-    console.error('Error logging emergency:', error);
-  }
-}
-
 /**
  * Generate unique emergency ID
  * @returns {string} Emergency ID
@@ -427,20 +441,13 @@ function generateEmergencyId() {
  */
 async function updateEmergencyStatus(emergencyId, status, additionalData = {}) {
   try {
-    console.log(`📊 Emergency ${emergencyId} status updated to: ${status}`, additionalData);
-    
-    // Log status update
-    const logEntry = {
-      emergencyId,
-      status,
-      timestamp: new Date().toISOString(),
-      ...additionalData
-    };
+    logger.info(`📊 Emergency ${emergencyId} status updated to: ${status}`, additionalData);
     
-    await logEmergency(logEntry);
+    // The store records the timeline entry and writes the audit log entry
+    await emergencyStore.recordEmergencyStatus(emergencyId, status, additionalData);
     
   } catch (error) {
-    console.error('Error updating emergency status:', error);
+    logger.error('Error updating emergency status:', error);
   }
 }
 
@@ -451,11 +458,11 @@ async function updateEmergencyStatus(emergencyId, status, additionalData = {}) {
  */
 async function getEmergencyById(emergencyId) {
   try {
-    console.log(`🔍 Looking up emergency: ${emergencyId}`);
-    return null;
+    logger.info(`🔍 Looking up emergency: ${emergencyId}`);
+    return await emergencyStore.getEmergencyRecord(emergencyId);
     
   } catch (error) {
-    console.error('Error getting emergency by ID:', error);
+    logger.error('Error getting emergency by ID:', error);
     return null;
   }
 }
@@ -469,5 +476,6 @@ module.exports = {
   generateEmergencyConferenceTwiML,
   updateEmergencyStatus,
   getEmergencyById,
-  generateEmergencyId
+  generateEmergencyId,
+  EMERGENCY_STATUS
 }; 
\ No newline at end of file
@@ -1,4 +1,6 @@
 const { getCallRecordings, getRecordingById, getRecordingTranscription } = require('../utils/callRecordings');
+const { createLogger } = require('../utils/logger');
+const logger = createLogger('fetchRecordings');
 
 async function main() {
   try {
@@ -10,20 +12,20 @@ async function main() {
         'filter[created_at][gte]': '2024-01-01T00:00:00Z'
       }
     });
-    console.log('All Recordings:', JSON.stringify(allRecordings, null, 2));
+    logger.info('All Recordings:', allRecordings);
 
     // Example 2: Get a specific recording by ID
     const recordingId = '38a5a7c2-3676-414a-998e-8ab9a3b1e8a8'; // Use one of your recording IDs
     const singleRecording = await getRecordingById(recordingId);
-    console.log('Single Recording Details:', JSON.stringify(singleRecording, null, 2));
+    logger.info('Single Recording Details:', singleRecording);
 
     // Example 3: Get recording with transcription
-    console.log('\nFetching recording transcription...');
+    logger.info('\nFetching recording transcription...');
     const recordingWithTranscription = await getRecordingTranscription(recordingId);
-    console.log('Recording Transcription:', JSON.stringify(recordingWithTranscription, null, 2));
+    logger.info('Recording Transcription:', recordingWithTranscription);
 
   } catch (error) {
-    console.error('Error in main:', error.message);
+    logger.error('Error in main:', error.message);
   }
 }
 
@@ -3,8 +3,22 @@ const bodyParser = require('body-parser');
 const { processWebhookEvent } = require('./utils/callHandler');
 const { handleWebhook } = require('./utils/webhookHandler');
 const { sendErrorNotification, sendWebhookFailureNotification, sendUnhandledEndpointNotification } = require('./utils/errorMonitoring');
+const { recordAudit, auditContextMiddleware } = require('./utils/auditLog');
+const { telnyxSignatureMiddleware } = require('./utils/webhookSignature');
+const { twilioSignatureMiddleware } = require('./utils/twilioSignature');
+const { createIdempotencyMiddleware } = require('./utils/idempotency');
+const { webhookCaptureMiddleware } = require('./utils/webhookCapture');
+const { enqueueJob, startJobWorker, listJobs, getJob, retryDeadJob } = require('./utils/jobQueue');
+require('./utils/jobHandlers');
+const { requirePermission, disableInProduction, login, logout, authenticate, getSessionToken, buildSessionCookie } = require('./utils/auth');
+const { SCREENING_ACTION, screenInboundCall, setCallerListEntry, removeCallerListEntry, listCallerListEntries, listHeldEmergencies, releaseHeldEmergency } = require('./utils/callerScreening');
+const { getEscalation } = require('./utils/escalationLadder');
+const { listEmergencyRecords } = require('./utils/emergencyStore');
+const { ADAPTERS: EMERGENCY_PAYLOAD_ADAPTERS, isPingPayload, parseEmergencyPayload, storeUnrecognizedPayload } = require('./utils/emergencyPayloads');
 const cors = require('cors');
 require('dotenv').config();
+const { createLogger, enablePhiDebug, disablePhiDebug, getPhiDebugStatus } = require('./utils/logger');
+const logger = createLogger('server');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -12,49 +26,88 @@ const port = process.env.PORT || 3000;
 // Middleware
 app.use(cors()); // Enable CORS for all routes
 
-// Raw body parser for emergency webhook (before standard JSON parser)
-app.use('/webhook/emergency', (req, res, next) => {
+// Raw body capture for all webhook routes (before standard JSON parser)
+// Signature verification needs the exact bytes, so /webhook routes parse their own bodies
+app.use('/webhook', (req, res, next) => {
   if (req.method !== 'POST') {
     return next();
   }
   
-  let data = '';
-  req.setEncoding('utf8');
+  const chunks = [];
   
   req.on('data', chunk => {
-    data += chunk;
+    chunks.push(chunk);
   });
   
   req.on('end', () => {
+    req.rawBodyBuffer = Buffer.concat(chunks);
+    const data = req.rawBodyBuffer.toString('utf8');
     req.rawBody = data;
-    console.log(`\n📦 [RAW BODY] Length: ${data.length}`);
-    console.log(`\n📦 [RAW BODY] Content: ${data}`);
+    const contentType = req.get('content-type') || '';
     
-    // Parse JSON manually for this route
-    try {
-      req.body = JSON.parse(data);
-    } catch (error) {
-      console.error('Error parsing JSON:', error);
+    if (req.path === '/emergency') {
+      logger.debug(`📦 [RAW BODY] Length: ${data.length}`);
+      
+      // The emergency tool sometimes sends JSON without a JSON content type; parse it regardless
+      try {
+        req.body = data.trim() ? JSON.parse(data) : {};
+      } catch (error) {
+        logger.error('Error parsing JSON:', error);
+        // Keep the failure so the route rejects it instead of treating it as an empty ping
+        req.body = {};
+        req.bodyParseError = error.message;
+      }
+      return next();
+    }
+    
+    if (!data) {
+      req.body = {};
+    } else if (contentType.includes('application/x-www-form-urlencoded')) {
+      req.body = Object.fromEntries(new URLSearchParams(data));
+    } else if (contentType.includes('json')) {
+      try {
+        req.body = JSON.parse(data);
+      } catch (error) {
+        logger.error(`Error parsing JSON for ${req.originalUrl}:`, error.message);
+        return res.status(400).json({ error: 'Invalid JSON body' });
+      }
+    } else {
       req.body = {};
     }
     next();
   });
   
   req.on('error', (error) => {
-    console.error('Error reading request body:', error);
+    logger.error('Error reading request body:', error);
     next(error);
   });
 });
 
 // Standard JSON body parser for all other routes
 app.use((req, res, next) => {
-  // Skip JSON parsing for emergency webhook as it's handled above
-  if (req.path === '/webhook/emergency') {
+  // Skip JSON parsing for webhooks as they are handled above
+  if (req.path === '/webhook' || req.path.startsWith('/webhook/')) {
     return next();
   }
   bodyParser.json()(req, res, next);
 });
 
+// Opt-in archive of every webhook exactly as received (WEBHOOK_CAPTURE_ENABLED)
+app.use('/webhook', webhookCaptureMiddleware);
+
+// Correlation ID for audit log entries (after body parsing so the context survives)
+app.use(auditContextMiddleware);
+
+// Only accept webhooks signed by Telnyx (see TELNYX_PUBLIC_KEY)
+app.use('/webhook', telnyxSignatureMiddleware);
+
+// Answer retried deliveries from the original response instead of paging/emailing twice
+app.use(['/webhook/emergency', '/webhook/ai-assistant', '/webhook/gather-ai'], createIdempotencyMiddleware());
+
+// Test endpoints are for development only and need an admin everywhere else
+app.use('/test', disableInProduction, requirePermission('test:run'));
+app.use('/test-insights', disableInProduction);
+
 // Health check endpoint (keep this first for monitoring)
 const fs = require('fs').promises;
 const path = require('path');
@@ -157,14 +210,27 @@ app.get('/health', async (req, res) => {
 
       // API Endpoints
       endpoints: {
+        '/api/auth/login': { method: 'POST', status: 'active' },
+        '/api/auth/logout': { method: 'POST', status: 'active' },
+        '/api/auth/me': { method: 'GET', status: 'active' },
         '/api/settings': { method: 'GET,POST', status: 'active' },
         '/api/calls': { method: 'GET', status: 'active' },
         '/api/active-calls': { method: 'GET', status: 'active' },
+        '/api/intakes': { method: 'GET', status: 'active' },
+        '/api/intakes/:id': { method: 'GET,PATCH', status: 'active' },
+        '/api/patients': { method: 'GET', status: 'active' },
+        '/api/audit': { method: 'GET', status: 'active' },
+        '/api/patients/:id': { method: 'GET', status: 'active' },
+        '/api/retention/run': { method: 'POST', status: 'active' },
+        '/api/retention/reports': { method: 'GET', status: 'active' },
+        '/api/legal-holds': { method: 'GET,POST,DELETE', status: 'active' },
+        '/api/jobs': { method: 'GET', status: 'active' },
+        '/api/jobs/:id/retry': { method: 'POST', status: 'active' },
         '/api/templates': { method: 'GET,POST', status: 'active' },
-        '/test/email': { method: 'POST', status: 'active' },
-        '/test/sms': { method: 'POST', status: 'active' },
-        '/test/email-config': { method: 'GET', status: 'active' },
-        '/test/sms-config': { method: 'GET', status: 'active' }
+        '/test/email': { method: 'POST', status: process.env.NODE_ENV === 'production' ? 'disabled' : 'active' },
+        '/test/sms': { method: 'POST', status: process.env.NODE_ENV === 'production' ? 'disabled' : 'active' },
+        '/test/email-config': { method: 'GET', status: process.env.NODE_ENV === 'production' ? 'disabled' : 'active' },
+        '/test/sms-config': { method: 'GET', status: process.env.NODE_ENV === 'production' ? 'disabled' : 'active' }
       },
 
       // Webhook Endpoints
@@ -174,6 +240,8 @@ app.get('/health', async (req, res) => {
         '/webhook/ai-assistant': { method: 'POST', status: 'active', handler: 'processWebhookEvent' },
         '/webhook/emergency': { method: 'POST', status: 'active', handler: 'processWebhookEvent' },
         '/webhook/emergency-recording': { method: 'POST', status: 'active', handler: 'processWebhookEvent' },
+        '/webhook/twilio-recording': { method: 'POST', status: 'active', handler: 'processWebhookEvent' },
+        '/webhook/emergency-callback': { method: 'POST', status: 'active', handler: 'handleCallbackEvent' },
         '/webhook/emergency-gather': { method: 'POST', status: 'active', handler: 'processWebhookEvent' }
       },
 
@@ -249,7 +317,7 @@ app.get('/health', async (req, res) => {
 
     res.json(healthStatus);
   } catch (error) {
-    console.error('Health check error:', error);
+    logger.error('Health check error:', error);
     res.status(500).json({
       status: 'error',
       timestamp: new Date().toISOString(),
@@ -280,7 +348,7 @@ app.get('/test/email-config', (req, res) => {
     timestamp: new Date().toISOString()
   };
   
-  console.log('🧪 Testing email configuration:', config);
+  logger.info('🧪 Testing email configuration:', config);
   
   res.json(config);
 });
@@ -293,7 +361,7 @@ app.post('/test/email', async (req, res) => {
     const { sendTestEmail } = require('./utils/callHandler');
     const recipientEmail = process.env.ADMIN_EMAIL;
     
-    console.log(`🧪 Testing email functionality to ${recipientEmail}`);
+    logger.info(`🧪 Testing email functionality to ${recipientEmail}`);
     const result = await sendTestEmail(recipientEmail);
     
     if (result) {
@@ -302,7 +370,7 @@ app.post('/test/email', async (req, res) => {
       res.status(500).json({ success: false, message: 'Failed to send test email' });
     }
   } catch (error) {
-    console.error('Error in test email endpoint:', error);
+    logger.error('Error in test email endpoint:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -314,7 +382,7 @@ const { sendDoctorEmailNotification } = require('./email-notifications');
 // Add test endpoint for email sending
 app.get('/test/send-test-email', async (req, res) => {
   try {
-    console.log('🧪 Testing email notification with test data...');
+    logger.info('🧪 Testing email notification with test data...');
     
     const testData = {
       name: 'Test Patient',
@@ -334,7 +402,7 @@ app.get('/test/send-test-email', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error in test email endpoint:', error);
+    logger.error('Error in test email endpoint:', error);
     res.status(500).json({ 
       success: false, 
       error: error.message,
@@ -343,81 +411,83 @@ app.get('/test/send-test-email', async (req, res) => {
   }
 });
 
-const { storeCallData } = require('./utils/fileStorage');
+const { mergeCallData } = require('./utils/fileStorage');
+const { linkPatientActivity, getCallHistoryContext } = require('./utils/patientIndex');
 
 // AI Assistant webhook endpoint
 app.post('/webhook/ai-assistant', async (req, res) => {
   const requestId = `ai_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-  console.log(`\n${'='.repeat(80)}`);
-  console.log(`[${requestId}] 🤖 AI Assistant webhook received at ${new Date().toISOString()}`);
-  console.log('📥 Raw webhook payload:', JSON.stringify(req.body, null, 2));
+  logger.info(`\n${'='.repeat(80)}`);
+  logger.info(`[${requestId}] 🤖 AI Assistant webhook received at ${new Date().toISOString()}`);
+  logger.debug('📥 Raw webhook payload:', req.body);
 
   try {
     const webhookType = req.body.event_type === 'conversation_insight_result' ? 'Conversation Insight' : 'Initial';
-    console.log(`[${requestId}] Processing ${webhookType} webhook`);
+    logger.info(`[${requestId}] Processing ${webhookType} webhook`);
 
     // Log call_control_id and Conversational_id if they exist
     const callControlId = req.body.call_control_id;
     const conversationalId = req.body.Conversational_id;
-    console.log('🔍 Debug - callControlId:', callControlId);
-    console.log('🔍 Debug - conversationalId:', conversationalId);
+    logger.info('🔍 Debug - callControlId:', callControlId);
+    logger.info('🔍 Debug - conversationalId:', conversationalId);
 
     
     // Use call_control_id if available, otherwise use Conversational_id
     const storageKey = callControlId || conversationalId;
     
-    console.log('🔍 Debug - storageKey:', storageKey);
+    logger.info('🔍 Debug - storageKey:', storageKey);
     
     if (storageKey) {
-      // Use is_urgent boolean to determine status
-      const isUrgent = req.body.is_urgent === true;
-      const status = isUrgent ? 'Urgent' : 'Non-Urgent';
+      // Only touch urgency when this webhook actually carries the flag,
+      // so a later webhook without it cannot reset an urgent call
+      const hasUrgency = typeof req.body.is_urgent === 'boolean';
       
       const callData = {
         name: req.body.Name || req.body.name || 'Unknown',
         phone: req.body.phone ? req.body.phone.toString() : 'Unknown',
-        is_urgent: req.body.is_urgent || false,
-        status: status
+        is_urgent: hasUrgency ? req.body.is_urgent : undefined,
+        status: hasUrgency ? (req.body.is_urgent ? 'Urgent' : 'Non-Urgent') : undefined
       };
       
       try {
-        await storeCallData(storageKey, callData);
-        console.log('💾 Stored call data with ID:', storageKey);
-        console.log('💾 Stored data:', callData);
+        await mergeCallData(storageKey, callData);
+        logger.info('💾 Stored call data with ID:', storageKey);
+        logger.info('💾 Stored data:', callData);
+        await linkPatientActivity({ phone: callData.phone, name: callData.name, type: 'call', id: storageKey });
       } catch (storageError) {
-        console.error('❌ Error storing call data:', storageError);
-        console.log('📁 Current working directory:', process.cwd());
-        console.log('🔧 DATA_DIR value:', process.env.DATA_DIR);
+        logger.error('❌ Error storing call data:', storageError);
+        logger.info('📁 Current working directory:', process.cwd());
+        logger.info('🔧 DATA_DIR value:', process.env.DATA_DIR);
       }
     } else {
-      console.log('⚠️ No storage key found - cannot store call data');
+      logger.info('⚠️ No storage key found - cannot store call data');
     }
 
 
     await handleWebhook(req.body);
 
-    console.log(`[${requestId}] ✅ ${webhookType} webhook processed successfully`);
+    logger.info(`[${requestId}] ✅ ${webhookType} webhook processed successfully`);
     res.status(200).json({ message: 'OK', requestId, webhookType });
   } catch (error) {
 
-    console.error(`[${requestId}] ❌ Error processing AI assistant webhook:`, error);
-    console.error('Stack trace:', error.stack);
-    console.log('📁 Current working directory:', process.cwd());
-    console.log('🔧 DATA_DIR value:', process.env.DATA_DIR);
+    logger.error(`[${requestId}] ❌ Error processing AI assistant webhook:`, error);
+    logger.error('Stack trace:', error.stack);
+    logger.info('📁 Current working directory:', process.cwd());
+    logger.info('🔧 DATA_DIR value:', process.env.DATA_DIR);
     res.status(500).json({ error: 'Internal server error', requestId });
   } finally {
-    console.log(`${'='.repeat(80)}\n`);
+    logger.info(`${'='.repeat(80)}\n`);
   }
 });
 
 
 // Test endpoint for AI insights
 app.post('/test-insights', async (req, res) => {
-  console.log('🧪 Test insights webhook received:', JSON.stringify(req.body, null, 2));
+  logger.debug('🧪 Test insights webhook received:', req.body);
   res.status(200).json({ received: true, body: req.body });
 });
 
-const { getCallData, deleteCallData } = require('./utils/fileStorage');
+const { getSettledCallData, deleteCallData } = require('./utils/fileStorage');
 
 // AI Assistant Insights webhook endpoint (call completion)
 app.post('/webhook/ai/insights', async (req, res) => {
@@ -425,7 +495,7 @@ app.post('/webhook/ai/insights', async (req, res) => {
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   
   try {
-    console.log(`\n📥 [${requestId}] Raw webhook payload:`, JSON.stringify(req.body, null, 2));
+    logger.debug(`📥 [${requestId}] Raw webhook payload:`, req.body);
     
     if (!req.body) {
       throw new Error('Missing request body');
@@ -434,72 +504,90 @@ app.post('/webhook/ai/insights', async (req, res) => {
     const eventType = req.body.event_type;
     const payload = req.body.payload;
 
-    console.log(`\n📋 [${requestId}] Validated Data:`);
-    console.log(`Event Type: ${eventType}`);
-    console.log(`Call Control ID: ${payload?.metadata?.call_control_id || 'Not provided'}`);
+    logger.info(`\n📋 [${requestId}] Validated Data:`);
+    logger.info(`Event Type: ${eventType}`);
+    logger.info(`Call Control ID: ${payload?.metadata?.call_control_id || 'Not provided'}`);
     
     if (eventType === 'conversation_insight_result') {
-      console.log(`\n🔄 [${requestId}] Processing conversation insights result`);
+      logger.info(`\n🔄 [${requestId}] Processing conversation insights result`);
       
       // Get AI summary from results
       const aiSummary = payload.results[0]?.result || 'No summary available';
       
-      console.log(`\n[${requestId}] 📝 AI Summary:`, aiSummary);
+      logger.info(`\n[${requestId}] 📝 AI Summary received`, { summary: aiSummary });
 
       // Create final call summary
       const callControlId = payload?.metadata?.call_control_id;
       const conversationId = payload?.conversation_id;
       
-      console.log('🔍 Debug - AI Insights callControlId:', callControlId);
-      console.log('🔍 Debug - AI Insights conversationId:', conversationId);
+      logger.info('🔍 Debug - AI Insights callControlId:', callControlId);
+      logger.info('🔍 Debug - AI Insights conversationId:', conversationId);
       
-      // Try to find stored data using both IDs
-      let storedData = await getCallData(callControlId) || await getCallData(conversationId);
+      // Read the stored data using both IDs; this waits for any webhook still writing it.
+      // The record is only deleted once the summary is queued, so a failure
+      // below leaves it for Telnyx's retry (or the insight sweeper).
+      const candidateKeys = [callControlId, conversationId].filter(Boolean);
+      let storedData = null;
+      let storageKey = null;
+      for (const key of candidateKeys) {
+        storedData = await getSettledCallData(key);
+        if (storedData) {
+          storageKey = key;
+          break;
+        }
+      }
       
-      console.log('🔍 Debug - Found storedData:', storedData);
+      logger.debug('🔍 Debug - Found storedData:', storedData);
       
       if (storedData) {
-        console.log(`\n${'='.repeat(80)}`);
-        console.log('📋 FINAL CALL SUMMARY');
-        console.log(`${'='.repeat(80)}`);
-        console.log(`👤 Name: ${storedData.name}`);
-        console.log(`📞 Phone: ${storedData.phone}`);
-        console.log(`🚨 Status: ${storedData.status} (Pain Level: ${storedData.pain_level})`);
-        console.log(`📝 Summary: ${aiSummary}`);
-        console.log(`${'='.repeat(80)}\n`);
+        logger.info('📋 FINAL CALL SUMMARY', {
+          name: storedData.name,
+          phone: storedData.phone,
+          status: storedData.status || 'Non-Urgent',
+          painLevel: storedData.pain_level,
+          summary: aiSummary
+        });
         
-        // Send email notification
-        try {
-          const { sendReceptionistSummary } = require('./email');
-          const practiceSettings = require('./config').getPracticeSettings();
-          
-          const emailData = {
-            name: storedData.name,
-            phone: storedData.phone,
-            status: storedData.status,
-            summary: aiSummary,
-            timeCalled: new Date().toLocaleTimeString('en-US', {
-              timeZone: 'America/Los_Angeles',
-              hour: 'numeric',
-              minute: '2-digit',
-              hour12: true
-            }),
-            timestamp: new Date()
-          };
-          
-          console.log('📧 Sending email with data:', emailData);
-          await sendReceptionistSummary(emailData, practiceSettings);
-          console.log('✅ Final call summary sent via email');
-        } catch (error) {
-          console.error('❌ Error sending email summary:', error);
-        }
+        // Record the summary on the patient's profile and note repeat calls
+        const profile = await linkPatientActivity({
+          phone: storedData.phone,
+          name: storedData.name,
+          type: 'call',
+          id: callControlId || conversationId,
+          summary: aiSummary,
+          status: storedData.status
+        });
+        const callHistory = getCallHistoryContext(profile, callControlId || conversationId);
+        
+        // Queue the summary email so a slow SMTP handshake doesn't hold up the ack
+        const emailData = {
+          name: storedData.name,
+          phone: storedData.phone,
+          status: storedData.status || 'Non-Urgent',
+          summary: aiSummary,
+          callHistory,
+          timeCalled: new Date().toLocaleTimeString('en-US', {
+            timeZone: 'America/Los_Angeles',
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: true
+          }),
+          timestamp: new Date().toISOString()
+        };
         
-        // Clean up stored data
-        await deleteCallData(callControlId || conversationId);
-        console.log('🧹 Cleaned up stored data for key:', callControlId || conversationId);
+        logger.info('📧 Queueing email with data:', emailData);
+        await enqueueJob('send-summary-email', {
+          callId: callControlId || conversationId,
+          patientId: profile ? profile.id : null,
+          correlationId: res.get('X-Request-Id'),
+          emailData
+        });
+        
+        await deleteCallData(storageKey);
+        logger.info('🧹 Cleaned up stored data for key:', storageKey);
       } else {
-        console.log('⚠️ No stored data found for final summary');
-        console.log('🔍 Checked IDs:', { callControlId, conversationId });
+        logger.info('⚠️ No stored data found for final summary');
+        logger.info('🔍 Checked IDs:', { callControlId, conversationId });
       }
     }
     
@@ -515,11 +603,12 @@ app.post('/webhook/ai/insights', async (req, res) => {
     });
     
   } catch (error) {
-    console.error(`\n❌ [${requestId}] Error processing AI Assistant insights:`, error);
-    console.error('Stack trace:', error.stack);
+    logger.error(`\n❌ [${requestId}] Error processing AI Assistant insights:`, error);
+    logger.error('Stack trace:', error.stack);
     
-    res.status(200).json({
-      message: 'Insights received with processing error',
+    // A 5xx makes Telnyx retry; the call record is still stored for it
+    res.status(500).json({
+      message: 'Insights processing failed',
       request_id: requestId,
       error: error.message,
       processing_time_ms: new Date() - startTime,
@@ -534,14 +623,14 @@ app.post('/webhook/gather-ai', async (req, res) => {
   const requestId = `gather_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   
   try {
-    console.log(`\n📥 [${requestId}] GatherUsingAI webhook received:`, JSON.stringify(req.body, null, 2));
+    logger.debug(`📥 [${requestId}] GatherUsingAI webhook received:`, req.body);
     
     if (!req.body) {
       throw new Error('Missing request body');
     }
 
     // Process through webhook event handler
-    await processWebhookEvent({
+    const result = await processWebhookEvent({
       data: {
         event_type: 'gather.using.ai',
         payload: req.body
@@ -551,18 +640,22 @@ app.post('/webhook/gather-ai', async (req, res) => {
     // Calculate processing time
     const processingTime = new Date() - startTime;
     
-    console.log(`\n[${requestId}] ✅ GatherUsingAI webhook processed successfully`);
+    logger.info(`\n[${requestId}] ✅ GatherUsingAI webhook processed successfully`);
     
     res.status(200).json({
       message: 'GatherUsingAI webhook processed successfully',
       request_id: requestId,
+      valid: result.valid,
+      errors: result.errors,
+      reasked: result.reasked,
+      partial_data: result.partialData,
       processing_time_ms: processingTime,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    console.error(`\n❌ [${requestId}] Error processing GatherUsingAI webhook:`, error);
-    console.error('Stack trace:', error.stack);
+    logger.error(`\n❌ [${requestId}] Error processing GatherUsingAI webhook:`, error);
+    logger.error('Stack trace:', error.stack);
     
     res.status(200).json({
       message: 'GatherUsingAI webhook received with processing error',
@@ -577,38 +670,106 @@ app.post('/webhook/gather-ai', async (req, res) => {
 // Generic webhook endpoint for Telnyx events
 app.post('/webhook', async (req, res) => {
   try {
-    console.log('📝 Raw webhook body:', JSON.stringify(req.body, null, 2));
+    logger.debug('📝 Raw webhook body:', req.body);
     await processWebhookEvent(req.body);
     res.status(200).json({ message: 'Webhook processed successfully' });
   } catch (error) {
-    console.error('❌ Error processing webhook:', error.message);
+    logger.error('❌ Error processing webhook:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Call webhook endpoint
+/**
+ * Whether a call event belongs to an emergency conference leg (the patient
+ * being announced/joined, or a doctor dialed into it)
+ */
+function isEmergencyConferenceLeg(payload) {
+  if (!payload?.client_state) {
+    return false;
+  }
+  try {
+    const clientState = JSON.parse(Buffer.from(payload.client_state, 'base64').toString());
+    return ['emergency_patient', 'emergency_doctor'].includes(clientState.type);
+  } catch (error) {
+    return false;
+  }
+}
+
 app.post('/webhook/call', async (req, res) => {
   const startTime = new Date();
   const requestId = `call_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   
   try {
-    console.log(`\n${'='.repeat(80)}`);
-    console.log(`[${requestId}] Call webhook received at ${startTime.toISOString()}`);
-    console.log('📞 Raw webhook payload:', JSON.stringify(req.body, null, 2));
+    logger.info(`\n${'='.repeat(80)}`);
+    logger.info(`[${requestId}] Call webhook received at ${startTime.toISOString()}`);
+    logger.debug('📞 Raw webhook payload:', req.body);
 
     // Extract event type and data
     const eventType = req.body.data?.event_type;
     const payload = req.body.data?.payload;
 
-    console.log(`\n[${requestId}] Event Type: ${eventType}`);
-    console.log(`[${requestId}] Call Control ID: ${payload?.call_control_id || 'Not provided'}`);
+    logger.info(`\n[${requestId}] Event Type: ${eventType}`);
+    logger.info(`[${requestId}] Call Control ID: ${payload?.call_control_id || 'Not provided'}`);
+
+    // Blocklisted and rate-limited callers are hung up on before the AI assistant picks up
+    if (eventType === 'call.initiated' && payload?.direction === 'incoming') {
+      const screening = await screenInboundCall(payload.from, payload.call_control_id);
+      
+      if (screening.action === SCREENING_ACTION.REJECT) {
+        try {
+          await require('./telnyx').hangupCall(payload.call_control_id);
+        } catch (hangupError) {
+          logger.error(`[${requestId}] ❌ Failed to hang up screened call:`, hangupError.message);
+        }
+        
+        return res.status(200).json({
+          message: 'Call rejected by caller screening',
+          request_id: requestId,
+          event_type: eventType,
+          screening: screening.reason
+        });
+      }
+    }
+
+    // Recordings started on call or conference legs report back here too
+    if (eventType === 'call.recording.saved' || eventType === 'conference.recording.saved') {
+      const result = await processWebhookEvent({
+        data: {
+          event_type: 'emergency.recording',
+          payload: req.body
+        }
+      });
+      
+      return res.status(200).json({
+        message: 'Recording processed',
+        request_id: requestId,
+        event_type: eventType,
+        recording_id: result.recordingId
+      });
+    }
+
+    // Emergency conference events drive the conference state machine and the
+    // escalation ladder (see telnyx-conference.js)
+    if (eventType?.startsWith('conference.') || isEmergencyConferenceLeg(payload)) {
+      const { handleConferenceEvent } = require('./telnyx-conference');
+      const result = await handleConferenceEvent({ event_type: eventType, payload: payload });
+      
+      return res.status(200).json({
+        message: 'Conference event processed',
+        request_id: requestId,
+        event_type: eventType,
+        state: result.state,
+        escalation: result.escalation
+      });
+    }
 
     if (eventType === 'call.hangup') {
-      console.log(`\n[${requestId}] 🔚 Processing call.hangup event`);
-      console.log(`Duration: ${payload.duration || 'Not provided'} seconds`);
-      console.log(`From: ${payload.from || 'Unknown'}`);
-      console.log(`To: ${payload.to || 'Unknown'}`);
-      console.log(`Hangup Cause: ${payload.hangup_cause || 'Unknown'}`);
+      logger.info(`\n[${requestId}] 🔚 Processing call.hangup event`);
+      logger.info(`Duration: ${payload.duration || 'Not provided'} seconds`);
+      logger.info(`From: ${payload.from || 'Unknown'}`);
+      logger.info(`To: ${payload.to || 'Unknown'}`);
+      logger.info(`Hangup Cause: ${payload.hangup_cause || 'Unknown'}`);
       
       // Process the hangup event
       await processWebhookEvent({
@@ -618,10 +779,10 @@ app.post('/webhook/call', async (req, res) => {
         }
       });
 
-      console.log(`\n[${requestId}] ✅ Call.hangup event processed successfully`);
+      logger.info(`\n[${requestId}] ✅ Call.hangup event processed successfully`);
     } else {
       // Process other call events
-      console.log(`\n[${requestId}] Processing ${eventType} event`);
+      logger.info(`\n[${requestId}] Processing ${eventType} event`);
       await processWebhookEvent({
         data: {
           event_type: eventType,
@@ -632,7 +793,7 @@ app.post('/webhook/call', async (req, res) => {
 
     // Calculate processing time
     const processingTime = new Date() - startTime;
-    console.log(`\n[${requestId}] ⏱️ Processing completed in ${processingTime}ms`);
+    logger.info(`\n[${requestId}] ⏱️ Processing completed in ${processingTime}ms`);
 
     res.status(200).json({ 
       message: 'Webhook processed successfully',
@@ -641,9 +802,9 @@ app.post('/webhook/call', async (req, res) => {
       processing_time_ms: processingTime
     });
   } catch (error) {
-    console.error(`\n[${requestId}] ❌ Error processing call webhook:`, error);
-    console.error('Stack trace:', error.stack);
-    console.error('Request body:', req.body);
+    logger.error(`\n[${requestId}] ❌ Error processing call webhook:`, error);
+    logger.error('Stack trace:', error.stack);
+    logger.error('Request body:', req.body);
 
     // Still return 200 to acknowledge receipt
     res.status(200).json({ 
@@ -652,14 +813,14 @@ app.post('/webhook/call', async (req, res) => {
       error: error.message
     });
   } finally {
-    console.log(`${'='.repeat(80)}\n`);
+    logger.info(`${'='.repeat(80)}\n`);
   }
 });
 
 // SMS webhook endpoint
 app.post('/webhook/sms', async (req, res) => {
   try {
-    console.log('📱 SMS webhook received:', JSON.stringify(req.body, null, 2));
+    logger.debug('📱 SMS webhook received:', req.body);
     await processWebhookEvent({
       data: {
         event_type: 'message.event',
@@ -668,26 +829,66 @@ app.post('/webhook/sms', async (req, res) => {
     });
     res.status(200).json({ message: 'OK' });
   } catch (error) {
-    console.error('❌ Error processing SMS webhook:', error);
+    logger.error('❌ Error processing SMS webhook:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Emergency recording webhook endpoint
-app.post('/webhook/emergency-recording', async (req, res) => {
+/**
+ * Store a recording webhook (Telnyx recording.saved events or a Twilio
+ * recordingCallback form post)
+ */
+async function handleRecordingWebhook(req, res) {
   try {
-    console.log('🚨 Emergency recording webhook received:', JSON.stringify(req.body, null, 2));
-    await processWebhookEvent({
+    logger.debug('🚨 Emergency recording webhook received:', req.body);
+    const result = await processWebhookEvent({
       data: {
         event_type: 'emergency.recording',
-        payload: req.body
+        payload: req.body,
+        emergencyId: req.query.emergencyId
       }
     });
-    res.status(200).json({ message: 'OK' });
+    res.status(200).json({ message: 'OK', status: result.status, recording_id: result.recordingId });
   } catch (error) {
-    console.error('❌ Error processing emergency recording webhook:', error);
+    logger.error('❌ Error processing emergency recording webhook:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
+}
+
+// Emergency recording webhook endpoint
+app.post('/webhook/emergency-recording', handleRecordingWebhook);
+
+// Twilio conference recordingCallback (signed with X-Twilio-Signature, not Telnyx's key)
+app.post('/webhook/twilio-recording', twilioSignatureMiddleware, handleRecordingWebhook);
+
+// Emergency call-back webhook endpoint (outbound calls placed by initiateEmergencyCall)
+app.post('/webhook/emergency-callback', async (req, res) => {
+  const requestId = `callback_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  
+  try {
+    const emergencyId = req.query.emergencyId;
+    const eventType = req.body.data?.event_type;
+    const payload = req.body.data?.payload;
+    
+    logger.info(`[${requestId}] 📞 Emergency call-back webhook: ${eventType} for ${emergencyId || 'unknown emergency'}`);
+    
+    if (!emergencyId || !eventType) {
+      return res.status(400).json({ error: 'emergencyId and event_type are required', request_id: requestId });
+    }
+    
+    const { handleCallbackEvent } = require('./utils/emergencyCallback');
+    const result = await handleCallbackEvent(emergencyId, eventType, payload || {});
+    
+    res.status(200).json({
+      message: 'Call-back event processed',
+      request_id: requestId,
+      event_type: eventType,
+      action: result.action
+    });
+  } catch (error) {
+    logger.error(`[${requestId}] ❌ Error processing emergency call-back webhook:`, error);
+    res.status(500).json({ error: 'Internal server error', request_id: requestId });
+  }
 });
 
 // Emergency status webhook endpoint
@@ -695,214 +896,152 @@ app.post('/webhook/emergency', async (req, res) => {
   const startTime = new Date();
   const requestId = `emg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   
-  console.log(`\n${'='.repeat(80)}`);
-  console.log(`🚨 [${requestId}] Emergency webhook received at ${startTime.toISOString()}`);
-  
-  // Log the raw request as received
-  console.log(`\n🔬 [${requestId}] RAW REQUEST DUMP:`);
-  console.log(`Headers:`, req.headers);
-  console.log(`Body (typeof):`, typeof req.body);
-  console.log(`Body (JSON.stringify):`, JSON.stringify(req.body));
-  console.log(`Body (toString):`, req.body.toString ? req.body.toString() : 'No toString method');
-  console.log(`Body (inspect):`, require('util').inspect(req.body, { depth: 10, colors: false }));
+  logger.info(`\n${'='.repeat(80)}`);
+  logger.info(`🚨 [${requestId}] Emergency webhook received at ${startTime.toISOString()}`);
   
   // Check if we need to modify bodyParser settings
   if (req.headers['content-type'] && req.headers['content-type'].includes('application/json')) {
-    console.log(`\n📝 [${requestId}] Content-Type is application/json, bodyParser should handle it`);
+    logger.info(`\n📝 [${requestId}] Content-Type is application/json, bodyParser should handle it`);
   } else {
-    console.log(`\n⚠️ [${requestId}] Content-Type is not application/json: ${req.headers['content-type']}`);
+    logger.info(`\n⚠️ [${requestId}] Content-Type is not application/json: ${req.headers['content-type']}`);
   }
   
   try {
     // Log raw request data and headers
-    console.log(`\n📥 [${requestId}] Raw webhook payload:`, JSON.stringify(req.body, null, 2));
-    console.log(`\n🔍 [${requestId}] Request headers:`, JSON.stringify(req.headers, null, 2));
-    console.log(`\n🔢 [${requestId}] Request body type:`, typeof req.body);
-    console.log(`\n📏 [${requestId}] Request body is array:`, Array.isArray(req.body));
+    logger.debug(`📥 [${requestId}] Raw webhook payload:`, req.body);
+    logger.debug(`🔍 [${requestId}] Request headers:`, req.headers);
+    logger.info(`\n🔢 [${requestId}] Request body type:`, typeof req.body);
+    logger.info(`\n📏 [${requestId}] Request body is array:`, Array.isArray(req.body));
     
     if (Array.isArray(req.body)) {
-      console.log(`\n📊 [${requestId}] Array length:`, req.body.length);
+      logger.info(`\n📊 [${requestId}] Array length:`, req.body.length);
       if (req.body.length > 0) {
-        console.log(`\n🔎 [${requestId}] First item type:`, typeof req.body[0]);
-        console.log(`\n🔑 [${requestId}] First item keys:`, req.body[0] ? Object.keys(req.body[0]) : 'null');
+        logger.info(`\n🔎 [${requestId}] First item type:`, typeof req.body[0]);
+        logger.info(`\n🔑 [${requestId}] First item keys:`, req.body[0] ? Object.keys(req.body[0]) : 'null');
       }
     }
     
     // Validate request structure
     if (!req.body) {
-      console.log(`\n⚠️ [${requestId}] Missing request body in req.body`);
+      logger.info(`\n⚠️ [${requestId}] Missing request body in req.body`);
       
       // Check if we have raw body data
       if (req.rawBody && req.rawBody.length > 0) {
-        console.log(`\n🔄 [${requestId}] Attempting to parse raw body: ${req.rawBody}`);
+        logger.info(`\n🔄 [${requestId}] Attempting to parse raw body (${req.rawBody.length} characters)`);
         
         try {
           const rawData = JSON.parse(req.rawBody);
-          console.log(`\n✅ [${requestId}] Successfully parsed raw body`);
-          console.log(`\n📊 [${requestId}] Parsed raw data:`, JSON.stringify(rawData, null, 2));
+          logger.info(`\n✅ [${requestId}] Successfully parsed raw body`);
+          logger.debug(`📊 [${requestId}] Parsed raw data:`, rawData);
           
           // Use the parsed raw data instead
           req.body = rawData;
         } catch (parseError) {
-          console.log(`\n❌ [${requestId}] Failed to parse raw body:`, parseError.message);
+          logger.info(`\n❌ [${requestId}] Failed to parse raw body:`, parseError.message);
+          req.bodyParseError = parseError.message;
         }
       } else {
-        console.log(`\n❌ [${requestId}] No raw body data available either`);
+        logger.info(`\n❌ [${requestId}] No raw body data available either`);
         throw new Error('Missing request body');
       }
     }
     
-    // Handle both direct payload and array of function calls
-    let payload = req.body;
-    
-    // Check if we received an array of function calls
-    if (Array.isArray(req.body) && req.body.length > 0 && req.body[0].function && req.body[0].function.arguments) {
-      console.log('Detected array of function calls, extracting arguments from first function');
-      payload = req.body[0].function.arguments;
-    }
-    
-    // Validate against schema with better error handling
-    if (payload && typeof payload === 'object') {
-      // Check if this is an array of function calls (raw format)
-      if (Array.isArray(req.body) && req.body.length > 0) {
-        console.log('Processing raw array of function calls');
-        
-        // Try to find an emergencytext function
-        const emergencyFunction = req.body.find(item => 
-          item.function && item.function.name === 'emergencytext' && 
-          item.function.arguments && typeof item.function.arguments.Emergency === 'boolean'
-        );
-        
-        if (emergencyFunction) {
-          console.log('Found emergencytext function with Emergency boolean');
-          payload = emergencyFunction.function.arguments;
-        }
-        
-        // If we still don't have a valid payload, try the first function with arguments
-        if (typeof payload.Emergency !== 'boolean') {
-          const firstWithArgs = req.body.find(item => 
-            item.function && item.function.arguments && 
-            Object.keys(item.function.arguments).length > 0
-          );
-          
-          if (firstWithArgs) {
-            console.log(`Found function ${firstWithArgs.function.name} with arguments`);
-            payload = firstWithArgs.function.arguments;
-            
-            // If no Emergency field but is_urgent exists, use that
-            if (typeof payload.Emergency !== 'boolean' && typeof payload.is_urgent === 'boolean') {
-              console.log('Using is_urgent as Emergency flag');
-              payload.Emergency = payload.is_urgent;
-            }
-          }
-        }
+    // Bodies we could not parse are kept for review rather than answered as a ping
+    if (req.bodyParseError) {
+      logger.info(`\n❓ [${requestId}] Malformed JSON body, storing payload for review`);
+      try {
+        await storeUnrecognizedPayload({
+          requestId,
+          route: '/webhook/emergency',
+          body: req.rawBody,
+          error: `Malformed JSON: ${req.bodyParseError}`,
+          headers: req.headers
+        });
+      } catch (storeError) {
+        logger.error(`❌ [${requestId}] Failed to store unrecognized payload:`, storeError);
       }
+      
+      throw new Error('Invalid request: malformed JSON body');
     }
     
-    // Final validation check
-    if (typeof payload.Emergency !== 'boolean') {
-      console.log('Emergency field is not a boolean, payload:', JSON.stringify(payload, null, 2));
-      
-      // Check request headers to see if this might be a test/ping
-      const contentType = req.headers['content-type'] || '';
-      const userAgent = req.headers['user-agent'] || '';
-      
-      console.log('Request headers - Content-Type:', contentType);
-      console.log('Request headers - User-Agent:', userAgent);
+    // Empty bodies are health checks from the assistant configuration screen
+    if (isPingPayload(req.body)) {
+      logger.info('Empty payload detected, treating as a test/ping request');
       
-      // If this looks like a ping/test request with empty payload, return a helpful response
-      if (Object.keys(payload).length === 0) {
-        console.log('Empty payload detected, treating as a test/ping request');
-        
-        // Return a 200 response with helpful information instead of an error
-        res.status(200).json({
-          message: 'Emergency webhook endpoint is active',
-          status: 'ready',
-          expected_format: {
-            direct_format: {
-              "Emergency": true,
-              "Reason": "Description of emergency",
-              "Name": "Patient name",
-              "phone": "Patient phone number"
-            },
-            function_call_format: [
-              {
-                "id": "call_id",
-                "type": "function",
-                "function": {
-                  "name": "emergencytext",
-                  "arguments": {
-                    "Emergency": true,
-                    "Name": "Patient name",
-                    "Reason": "Description of emergency",
-                    "telnyx_end_user_target": "Phone number"
-                  }
+      // Return a 200 response with helpful information instead of an error
+      res.status(200).json({
+        message: 'Emergency webhook endpoint is active',
+        status: 'ready',
+        supported_schemas: EMERGENCY_PAYLOAD_ADAPTERS.map(adapter => adapter.id),
+        expected_format: {
+          direct_format: {
+            "Emergency": true,
+            "Reason": "Description of emergency",
+            "Name": "Patient name",
+            "phone": "Patient phone number"
+          },
+          function_call_format: [
+            {
+              "id": "call_id",
+              "type": "function",
+              "function": {
+                "name": "emergencytext",
+                "arguments": {
+                  "Emergency": true,
+                  "Name": "Patient name",
+                  "Reason": "Description of emergency",
+                  "telnyx_end_user_target": "Phone number"
                 }
               }
-            ]
-          },
-          timestamp: new Date().toISOString(),
-          request_id: requestId
-        });
-        return; // Stop processing
-      }
-      
-      throw new Error('Invalid request: Emergency must be a boolean value (true/false)');
-    }
-
-    const isEmergency = payload.Emergency;
-    const reason = payload.Reason || payload['Reason '] || 'No reason provided'; // Handle both "Reason" and "Reason " (with space)
-    
-    // Extract patient info from webhook payload
-    let patientInfo = {};
-    
-    // Check if we have direct Name and phone fields
-    if (payload.Name) {
-      patientInfo.name = payload.Name;
-    }
-    
-    // Handle phone number from telnyx_end_user_target or other phone fields
-    if (payload.telnyx_end_user_target) {
-      // Use phone number exactly as received from webhook
-      patientInfo.phone = payload.telnyx_end_user_target.toString();
-    } else if (payload.phone) {
-      patientInfo.phone = payload.phone;
+            }
+          ]
+        },
+        timestamp: new Date().toISOString(),
+        request_id: requestId
+      });
+      return; // Stop processing
     }
     
-    // Always include the reason
-    patientInfo.reason = reason;
+    // Map whichever payload shape we received onto an EmergencyReport
+    const parsed = parseEmergencyPayload(req.body);
     
-    // Fallback: try to extract from reason string if no direct fields (for backward compatibility)
-    if (!patientInfo.name && !patientInfo.phone && reason && reason !== 'No reason provided') {
-      const namePhoneMatch = reason.match(/^([^(]+)\s*\((\+\d+)\)/);
-      if (namePhoneMatch) {
-        patientInfo.name = namePhoneMatch[1].trim();
-        patientInfo.phone = namePhoneMatch[2];
+    if (parsed.error) {
+      logger.info(`\n❓ [${requestId}] ${parsed.error}, storing payload for review`);
+      try {
+        await storeUnrecognizedPayload({
+          requestId,
+          route: '/webhook/emergency',
+          body: req.body,
+          error: parsed.error,
+          schema: parsed.schema,
+          headers: req.headers
+        });
+      } catch (storeError) {
+        logger.error(`❌ [${requestId}] Failed to store unrecognized payload:`, storeError);
       }
+      
+      throw new Error(`Invalid request: ${parsed.error}`);
     }
     
-    // Check for call_control_id in the payload or in the second function call
-    if (payload.call_control_id) {
-      patientInfo.call_control_id = payload.call_control_id;
-    } else if (Array.isArray(req.body) && req.body.length > 1 && req.body[1].function && req.body[1].function.arguments && req.body[1].function.arguments.call_control_id) {
-      patientInfo.call_control_id = req.body[1].function.arguments.call_control_id;
-    }
+    const report = parsed.report;
+    logger.info(`\n🧩 [${requestId}] Payload matched schema ${report.schema}`);
     
-    // Check for is_urgent flag in the payload or in the second function call
-    if (payload.is_urgent !== undefined) {
-      patientInfo.is_urgent = payload.is_urgent;
-    } else if (Array.isArray(req.body) && req.body.length > 1 && req.body[1].function && req.body[1].function.arguments && req.body[1].function.arguments.is_urgent !== undefined) {
-      patientInfo.is_urgent = req.body[1].function.arguments.is_urgent;
-    }
+    const isEmergency = report.isEmergency;
+    const reason = report.reason;
+    
+    // Patient info in the shape the call handler expects
+    const patientInfo = { reason };
+    if (report.patient.name) patientInfo.name = report.patient.name;
+    if (report.patient.phone) patientInfo.phone = report.patient.phone;
+    if (report.callControlId) patientInfo.call_control_id = report.callControlId;
+    if (report.isUrgent !== null) patientInfo.is_urgent = report.isUrgent;
     
     // Log validated data
-    console.log(`\n📋 [${requestId}] Validated Data:`);
-    console.log(`Emergency Status: ${isEmergency ? 'TRUE' : 'FALSE'}`);
-    console.log(`Reason: ${reason}`);
-    if (patientInfo.name) console.log(`Patient Name: ${patientInfo.name}`);
-    if (patientInfo.phone) console.log(`Patient Phone: ${patientInfo.phone}`);
-    if (patientInfo.call_control_id) console.log(`Call Control ID: ${patientInfo.call_control_id}`);
-    if (patientInfo.is_urgent !== undefined) console.log(`Is Urgent: ${patientInfo.is_urgent}`);
+    logger.info(`\n📋 [${requestId}] Validated Data:`);
+    logger.info(`Emergency Status: ${isEmergency ? 'TRUE' : 'FALSE'}`);
+    logger.info('Patient:', { reason, name: patientInfo.name, phone: patientInfo.phone });
+    if (patientInfo.call_control_id) logger.info(`Call Control ID: ${patientInfo.call_control_id}`);
+    if (patientInfo.is_urgent !== undefined) logger.info(`Is Urgent: ${patientInfo.is_urgent}`);
 
     // Process through webhook event handler
     await processWebhookEvent({
@@ -925,7 +1064,7 @@ app.post('/webhook/emergency', async (req, res) => {
     const processingTime = new Date() - startTime;
     
     // Log success response
-    console.log(`\n✅ [${requestId}] Processing completed in ${processingTime}ms`);
+    logger.info(`\n✅ [${requestId}] Processing completed in ${processingTime}ms`);
     
     // Return response
     res.status(200).json({
@@ -933,6 +1072,7 @@ app.post('/webhook/emergency', async (req, res) => {
       request_id: requestId,
       is_emergency: isEmergency,
       reason: reason,
+      payload_schema: report.schema,
       patient_info: patientInfo,
       processing_time_ms: processingTime,
       timestamp: new Date().toISOString()
@@ -942,14 +1082,11 @@ app.post('/webhook/emergency', async (req, res) => {
     // Calculate processing time even for errors
     const processingTime = new Date() - startTime;
     
-    console.error(`\n❌ [${requestId}] Error processing emergency status:`, error);
-    console.error('Stack trace:', error.stack);
+    logger.error(`\n❌ [${requestId}] Error processing emergency status:`, error);
+    logger.error('Stack trace:', error.stack);
     
     // Log error details
-    console.error(`\n🔍 [${requestId}] Error Context:`);
-    console.error('Headers:', req.headers);
-    console.error('Query:', req.query);
-    console.error('Body:', req.body);
+    logger.error(`🔍 [${requestId}] Error Context:`, { headers: req.headers, query: req.query, body: req.body });
     
     // Send detailed error notification
     try {
@@ -964,7 +1101,7 @@ app.post('/webhook/emergency', async (req, res) => {
         processingTime: processingTime
       });
     } catch (emailError) {
-      console.error('Failed to send emergency webhook error notification:', emailError);
+      logger.error('Failed to send emergency webhook error notification:', emailError);
     }
     
     // Return 400 for validation errors, 200 for other errors to acknowledge receipt
@@ -985,12 +1122,12 @@ app.post('/webhook/emergency-gather', async (req, res) => {
   const startTime = new Date();
   const requestId = `emg_gather_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   
-  console.log(`\n${'='.repeat(80)}`);
-  console.log(`🔍 [${requestId}] Emergency gather webhook received at ${startTime.toISOString()}`);
+  logger.info(`\n${'='.repeat(80)}`);
+  logger.info(`🔍 [${requestId}] Emergency gather webhook received at ${startTime.toISOString()}`);
   
   try {
     // Log raw request data
-    console.log(`\n [${requestId}] Raw webhook payload:`, JSON.stringify(req.body, null, 2));
+    logger.debug(`[${requestId}] Raw webhook payload:`, req.body);
     
     // Validate request structure
     if (!req.body) {
@@ -998,7 +1135,7 @@ app.post('/webhook/emergency-gather', async (req, res) => {
     }
 
     // Process through webhook event handler
-    await processWebhookEvent({
+    const result = await processWebhookEvent({
       data: {
         event_type: 'gather.using.ai',
         payload: req.body
@@ -1009,12 +1146,16 @@ app.post('/webhook/emergency-gather', async (req, res) => {
     const processingTime = new Date() - startTime;
     
     // Log success response
-    console.log(`\n✅ [${requestId}] Processing completed in ${processingTime}ms`);
+    logger.info(`\n✅ [${requestId}] Processing completed in ${processingTime}ms`);
     
     // Return response
     res.status(200).json({
       message: 'Emergency gather event processed successfully',
       request_id: requestId,
+      valid: result.valid,
+      errors: result.errors,
+      reasked: result.reasked,
+      partial_data: result.partialData,
       processing_time_ms: processingTime,
       timestamp: new Date().toISOString()
     });
@@ -1023,14 +1164,11 @@ app.post('/webhook/emergency-gather', async (req, res) => {
     // Calculate processing time even for errors
     const processingTime = new Date() - startTime;
     
-    console.error(`\n❌ [${requestId}] Error processing emergency gather:`, error);
-    console.error('Stack trace:', error.stack);
+    logger.error(`\n❌ [${requestId}] Error processing emergency gather:`, error);
+    logger.error('Stack trace:', error.stack);
     
     // Log error details
-    console.error(`\n🔍 [${requestId}] Error Context:`);
-    console.error('Headers:', req.headers);
-    console.error('Query:', req.query);
-    console.error('Body:', req.body);
+    logger.error(`🔍 [${requestId}] Error Context:`, { headers: req.headers, query: req.query, body: req.body });
     
     // Still return 200 to acknowledge receipt
     res.status(200).json({
@@ -1067,7 +1205,7 @@ app.post('/test/error-notification', async (req, res) => {
       note: 'Check dentalreception6@gmail.com for the error notification email'
     });
   } catch (error) {
-    console.error('Failed to send test error notification:', error);
+    logger.error('Failed to send test error notification:', error);
     res.status(500).json({
       error: 'Failed to send test notification',
       message: error.message
@@ -1164,13 +1302,87 @@ app.get('/api/la-time', (req, res) => {
       currentDay: currentDayName
     });
   } catch (error) {
-    console.error('Error checking emergency hours:', error);
+    logger.error('Error checking emergency hours:', error);
     res.json({ status: 'error' });
   }
 });
 
+// Dashboard login (session cookie); scripts use API keys instead
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const session = await login(username, password, { ip: req.ip });
+    
+    if (session && session.lockedOutSeconds) {
+      logger.warn(`🔒 Dashboard login for "${username}" from ${req.ip} refused - too many failures`);
+      recordAudit({
+        actor: { type: 'external', id: req.ip },
+        action: 'login_locked_out',
+        entity: { type: 'user', id: username || null }
+      });
+      res.set('Retry-After', session.lockedOutSeconds.toString());
+      return res.status(429).json({ error: 'Too many failed logins, try again later' });
+    }
+    
+    if (!session) {
+      logger.warn(`🔒 Failed dashboard login for "${username}" from ${req.ip}`);
+      recordAudit({
+        actor: { type: 'external', id: req.ip },
+        action: 'login_failed',
+        entity: { type: 'user', id: username || null }
+      });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    recordAudit({
+      actor: { type: 'user', id: session.user.username },
+      action: 'login',
+      entity: { type: 'user', id: session.user.username },
+      data: { role: session.user.role, ip: req.ip }
+    });
+    res.set('Set-Cookie', buildSessionCookie(session.token, session.expiresAt));
+    res.json({ user: session.user, expiresAt: session.expiresAt });
+  } catch (error) {
+    logger.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const principal = await authenticate(req);
+    await logout(getSessionToken(req));
+    
+    if (principal) {
+      recordAudit({
+        actor: { type: principal.type, id: principal.id },
+        action: 'logout',
+        entity: { type: 'user', id: principal.id }
+      });
+    }
+    res.set('Set-Cookie', buildSessionCookie(null));
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const principal = await authenticate(req);
+    if (!principal) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    res.json({ type: principal.type, id: principal.id, role: principal.role });
+  } catch (error) {
+    logger.error('Error reading session:', error);
+    res.status(500).json({ error: 'Failed to read session' });
+  }
+});
+
 // Settings endpoints
-app.get('/api/settings', async (req, res) => {
+app.get('/api/settings', requirePermission('settings:read'), async (req, res) => {
   try {
     const settings = {
       practiceName: process.env.PRACTICE_NAME || 'Dental Practice',
@@ -1188,12 +1400,12 @@ app.get('/api/settings', async (req, res) => {
     
     res.json(settings);
   } catch (error) {
-    console.error('Error getting settings:', error);
+    logger.error('Error getting settings:', error);
     res.status(500).json({ error: 'Failed to get settings' });
   }
 });
 
-app.post('/api/settings', async (req, res) => {
+app.post('/api/settings', requirePermission('settings:write'), async (req, res) => {
   try {
     const settings = req.body;
     
@@ -1214,13 +1426,13 @@ app.post('/api/settings', async (req, res) => {
     
     res.json({ success: true, message: 'Settings updated successfully' });
   } catch (error) {
-    console.error('Error updating settings:', error);
+    logger.error('Error updating settings:', error);
     res.status(500).json({ error: 'Failed to update settings' });
   }
 });
 
 // Message templates endpoints
-app.get('/api/templates', async (req, res) => {
+app.get('/api/templates', requirePermission('templates:read'), async (req, res) => {
   try {
     const templates = {
       email: {
@@ -1264,12 +1476,12 @@ Please respond immediately.
     
     res.json(templates);
   } catch (error) {
-    console.error('Error getting templates:', error);
+    logger.error('Error getting templates:', error);
     res.status(500).json({ error: 'Failed to get templates' });
   }
 });
 
-app.post('/api/templates', async (req, res) => {
+app.post('/api/templates', requirePermission('templates:write'), async (req, res) => {
   try {
     const templates = req.body;
     
@@ -1286,13 +1498,13 @@ app.post('/api/templates', async (req, res) => {
     
     res.json({ success: true, message: 'Templates updated successfully' });
   } catch (error) {
-    console.error('Error updating templates:', error);
+    logger.error('Error updating templates:', error);
     res.status(500).json({ error: 'Failed to update templates' });
   }
 });
 
 // Test template endpoint
-app.post('/api/templates/test', async (req, res) => {
+app.post('/api/templates/test', requirePermission('templates:test'), async (req, res) => {
   try {
     const { type, templateId, testData } = req.body;
     
@@ -1333,13 +1545,13 @@ app.post('/api/templates/test', async (req, res) => {
       result 
     });
   } catch (error) {
-    console.error('Error testing template:', error);
+    logger.error('Error testing template:', error);
     res.status(500).json({ error: 'Failed to test template' });
   }
 });
 
 // Debug endpoint to check current template values
-app.get('/api/templates/debug', (req, res) => {
+app.get('/api/templates/debug', requirePermission('templates:read'), (req, res) => {
   try {
     const currentTemplates = {
       email: {
@@ -1360,15 +1572,69 @@ app.get('/api/templates/debug', (req, res) => {
 
     res.json(currentTemplates);
   } catch (error) {
-    console.error('Error getting debug template info:', error);
+    logger.error('Error getting debug template info:', error);
     res.status(500).json({ error: 'Failed to get debug template info' });
   }
 });
 
+/**
+ * Resolve ?from / ?to, or ?date=YYYY-MM-DD for that whole day, for list endpoints
+ * @param {Object} query - req.query
+ * @returns {Object} { from, to }, or { error } when a value is not a date
+ */
+function getDateRange(query) {
+  const from = query.from || (query.date ? `${query.date}T00:00:00.000Z` : undefined);
+  const to = query.to || (query.date ? `${query.date}T23:59:59.999Z` : undefined);
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+      return { error: `${query[name] ? name : 'date'} must be a date` };
+    }
+  }
+  return { from, to };
+}
+
 // Call history endpoint
-app.get('/api/calls', async (req, res) => {
+app.get('/api/calls', requirePermission('calls:read'), async (req, res) => {
   try {
     const date = req.query.date; // Format: YYYY-MM-DD
+
+    // Serve our own stored call records (?source=stored) with search and paging
+    if (req.query.source === 'stored') {
+      const { queryCallData } = require('./utils/fileStorage');
+      const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+      const offset = parseInt(req.query.offset || '0', 10) || 0;
+      const { from, to, error } = getDateRange(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await queryCallData({
+        phone: req.query.phone,
+        status: req.query.status,
+        from,
+        to,
+        text: req.query.q,
+        limit,
+        offset
+      });
+
+      const calls = result.data.map(record => ({
+        id: record.key,
+        timestamp: record.data.timestamp || record.createdAt,
+        from: record.data.phone || 'Unknown',
+        emergency: record.data.is_urgent === true || record.data.status === 'Urgent',
+        status: record.data.status || 'Unknown',
+        summary: record.data.aiSummary || record.data.summary || null,
+        patientName: record.data.name || null,
+        symptoms: record.data.symptoms || null,
+        updatedAt: record.updatedAt
+      }));
+
+      res.set('X-Total-Count', result.total.toString());
+      return res.json(calls);
+    }
+
     const { _activeCallRecordings } = require('./utils/callHandler');
     const { getCallRecordings } = require('./utils/callRecordings');
     
@@ -1398,13 +1664,13 @@ app.get('/api/calls', async (req, res) => {
     
     res.json(calls);
   } catch (error) {
-    console.error('Error getting call history:', error);
+    logger.error('Error getting call history:', error);
     res.status(500).json({ error: 'Failed to get call history' });
   }
 });
 
 // Active calls endpoint
-app.get('/api/active-calls', async (req, res) => {
+app.get('/api/active-calls', requirePermission('calls:active'), async (req, res) => {
   try {
     const { _activeCallRecordings } = require('./utils/callHandler');
     
@@ -1422,11 +1688,547 @@ app.get('/api/active-calls', async (req, res) => {
     
     res.json(activeCalls);
   } catch (error) {
-    console.error('Error getting active calls:', error);
+    logger.error('Error getting active calls:', error);
     res.status(500).json({ error: 'Failed to get active calls' });
   }
 });
 
+// Intake work queue endpoints
+app.get('/api/intakes', requirePermission('intakes:read'), async (req, res) => {
+  try {
+    const { listIntakes } = require('./utils/intakeStore');
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const offset = parseInt(req.query.offset || '0', 10) || 0;
+    
+    const result = await listIntakes({
+      status: req.query.status,
+      priority: req.query.priority,
+      assignee: req.query.assignee,
+      overdue: req.query.overdue === 'true',
+      phone: req.query.phone,
+      from: req.query.from,
+      to: req.query.to,
+      text: req.query.q,
+      limit,
+      offset
+    });
+    
+    res.set('X-Total-Count', result.total.toString());
+    res.json(result.data);
+  } catch (error) {
+    logger.error('Error listing intakes:', error);
+    res.status(500).json({ error: 'Failed to list intakes' });
+  }
+});
+
+app.get('/api/intakes/:id', requirePermission('intakes:read'), async (req, res) => {
+  try {
+    const { getIntake } = require('./utils/intakeStore');
+    const intake = await getIntake(req.params.id);
+    
+    if (!intake) {
+      return res.status(404).json({ error: 'Intake not found' });
+    }
+    
+    res.json(intake);
+  } catch (error) {
+    logger.error('Error getting intake:', error);
+    res.status(500).json({ error: 'Failed to get intake' });
+  }
+});
+
+app.patch('/api/intakes/:id', requirePermission('intakes:write'), async (req, res) => {
+  try {
+    const { updateIntakeStatus } = require('./intake');
+    const { status, assignee, note } = req.body || {};
+    
+    if (!status) {
+      return res.status(400).json({ error: 'status is required' });
+    }
+    
+    const result = await updateIntakeStatus(req.params.id, status, {
+      assignee,
+      note,
+      actor: { type: req.auth.type, id: req.auth.id }
+    });
+    
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+    }
+    
+    res.json(result.intake);
+  } catch (error) {
+    logger.error('Error updating intake:', error);
+    res.status(500).json({ error: 'Failed to update intake' });
+  }
+});
+
+// Patient profile endpoints
+app.get('/api/patients', requirePermission('patients:read'), async (req, res) => {
+  try {
+    const { listPatients, findPatientByPhone } = require('./utils/patientIndex');
+    
+    // Exact lookup by caller phone or SIP address
+    if (req.query.phone) {
+      const profile = await findPatientByPhone(req.query.phone);
+      res.set('X-Total-Count', profile ? '1' : '0');
+      return res.json(profile ? [profile] : []);
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const offset = parseInt(req.query.offset || '0', 10) || 0;
+    const result = await listPatients({ text: req.query.q, limit, offset });
+    
+    res.set('X-Total-Count', result.total.toString());
+    res.json(result.data);
+  } catch (error) {
+    logger.error('Error listing patients:', error);
+    res.status(500).json({ error: 'Failed to list patients' });
+  }
+});
+
+app.get('/api/patients/:id', requirePermission('patients:read'), async (req, res) => {
+  try {
+    const { getPatient } = require('./utils/patientIndex');
+    const profile = await getPatient(req.params.id);
+    
+    if (!profile) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+    
+    res.json(profile);
+  } catch (error) {
+    logger.error('Error getting patient:', error);
+    res.status(500).json({ error: 'Failed to get patient' });
+  }
+});
+
+// Audit log query endpoint
+app.get('/api/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { queryAudit } = require('./utils/auditLog');
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+    const offset = parseInt(req.query.offset || '0', 10) || 0;
+    
+    const { from, to, error } = getDateRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await queryAudit({
+      entityId: req.query.entityId,
+      entityType: req.query.entityType,
+      type: req.query.type,
+      action: req.query.action,
+      correlationId: req.query.correlationId,
+      from,
+      to,
+      limit,
+      offset
+    });
+    
+    res.set('X-Total-Count', result.total.toString());
+    res.json(result.data);
+  } catch (error) {
+    logger.error('Error querying audit log:', error);
+    res.status(500).json({ error: 'Failed to query audit log' });
+  }
+});
+
+// Retention endpoints
+app.post('/api/retention/run', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const { runRetention } = require('./utils/retention');
+    const report = await runRetention({
+      dryRun: req.query.dryRun === 'true' || req.body?.dryRun === true
+    });
+    res.json(report);
+  } catch (error) {
+    logger.error('Error running retention:', error);
+    res.status(500).json({ error: 'Failed to run retention', message: error.message });
+  }
+});
+
+app.get('/api/retention/reports', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const { listRetentionReports } = require('./utils/retention');
+    res.json(await listRetentionReports());
+  } catch (error) {
+    logger.error('Error listing retention reports:', error);
+    res.status(500).json({ error: 'Failed to list retention reports' });
+  }
+});
+
+app.get('/api/retention/reports/:runId', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const { getRetentionReport } = require('./utils/retention');
+    const report = await getRetentionReport(req.params.runId);
+    
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    
+    res.json(report);
+  } catch (error) {
+    logger.error('Error getting retention report:', error);
+    res.status(500).json({ error: 'Failed to get retention report' });
+  }
+});
+
+app.get('/api/legal-holds', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const { listLegalHolds } = require('./utils/retention');
+    res.json(await listLegalHolds(req.query.collection));
+  } catch (error) {
+    logger.error('Error listing legal holds:', error);
+    res.status(500).json({ error: 'Failed to list legal holds' });
+  }
+});
+
+app.post('/api/legal-holds', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const { placeLegalHold } = require('./utils/retention');
+    const { collection, key, reason } = req.body || {};
+    
+    if (!collection || !key) {
+      return res.status(400).json({ error: 'collection and key are required' });
+    }
+    
+    res.status(201).json(await placeLegalHold(collection, key, {
+      reason,
+      actor: { type: req.auth.type, id: req.auth.id }
+    }));
+  } catch (error) {
+    logger.error('Error placing legal hold:', error);
+    res.status(500).json({ error: 'Failed to place legal hold' });
+  }
+});
+
+app.delete('/api/legal-holds/:collection/:key', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const { releaseLegalHold } = require('./utils/retention');
+    const released = await releaseLegalHold(req.params.collection, req.params.key, { type: req.auth.type, id: req.auth.id });
+    
+    if (!released) {
+      return res.status(404).json({ error: 'Legal hold not found' });
+    }
+    
+    res.json({ released: true });
+  } catch (error) {
+    logger.error('Error releasing legal hold:', error);
+    res.status(500).json({ error: 'Failed to release legal hold' });
+  }
+});
+
+// Caller screening endpoints
+app.get('/api/caller-lists', requirePermission('callers:read'), async (req, res) => {
+  try {
+    res.json(await listCallerListEntries({ list: req.query.list }));
+  } catch (error) {
+    logger.error('Error listing caller lists:', error);
+    res.status(500).json({ error: 'Failed to list caller lists' });
+  }
+});
+
+app.post('/api/caller-lists', requirePermission('callers:manage'), async (req, res) => {
+  try {
+    const { phone, list, reason, expiresAt } = req.body || {};
+    
+    if (!phone || !list) {
+      return res.status(400).json({ error: 'phone and list are required' });
+    }
+    
+    const entry = await setCallerListEntry({
+      phone,
+      list,
+      reason,
+      expiresAt,
+      addedBy: { type: req.auth.type, id: req.auth.id }
+    });
+    res.status(201).json(entry);
+  } catch (error) {
+    logger.error('Error updating caller lists:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/caller-lists/:phone', requirePermission('callers:manage'), async (req, res) => {
+  try {
+    const removed = await removeCallerListEntry(req.params.phone, { type: req.auth.type, id: req.auth.id });
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Caller is not on a list' });
+    }
+    
+    res.json({ removed: true });
+  } catch (error) {
+    logger.error('Error removing caller list entry:', error);
+    res.status(500).json({ error: 'Failed to remove caller list entry' });
+  }
+});
+
+// Emergency management endpoints
+app.get('/api/emergencies', requirePermission('emergencies:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const offset = parseInt(req.query.offset || '0', 10) || 0;
+    const { from, to, error } = getDateRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const result = await listEmergencyRecords({
+      status: req.query.status,
+      phone: req.query.phone,
+      from,
+      to,
+      text: req.query.q,
+      limit,
+      offset
+    });
+    
+    res.set('X-Total-Count', result.total.toString());
+    res.json(result.data);
+  } catch (error) {
+    logger.error('Error listing emergencies:', error);
+    res.status(500).json({ error: 'Failed to list emergencies' });
+  }
+});
+
+app.get('/api/emergencies/held', requirePermission('emergencies:read'), async (req, res) => {
+  try {
+    res.json(await listHeldEmergencies());
+  } catch (error) {
+    logger.error('Error listing held emergencies:', error);
+    res.status(500).json({ error: 'Failed to list held emergencies' });
+  }
+});
+
+app.post('/api/emergencies/:id/release', requirePermission('emergencies:release'), async (req, res) => {
+  try {
+    const emergency = await releaseHeldEmergency(req.params.id, { type: req.auth.type, id: req.auth.id });
+    
+    if (!emergency) {
+      return res.status(404).json({ error: 'Held emergency not found' });
+    }
+    
+    res.json(emergency);
+  } catch (error) {
+    logger.error('Error releasing held emergency:', error);
+    res.status(500).json({ error: 'Failed to release held emergency' });
+  }
+});
+
+// Declared after /held so that "held" is not taken for an emergency ID
+app.get('/api/emergencies/:id', requirePermission('emergencies:read'), async (req, res) => {
+  try {
+    const { getEmergencyDetails } = require('./utils/emergencyManagement');
+    const emergency = await getEmergencyDetails(req.params.id);
+    
+    if (!emergency) {
+      return res.status(404).json({ error: 'Emergency not found' });
+    }
+    
+    res.json(emergency);
+  } catch (error) {
+    logger.error('Error getting emergency:', error);
+    res.status(500).json({ error: 'Failed to get emergency' });
+  }
+});
+
+app.post('/api/emergencies/:id/end', requirePermission('emergencies:manage'), async (req, res) => {
+  try {
+    const { endEmergency } = require('./utils/emergencyManagement');
+    const result = await endEmergency(req.params.id, { type: req.auth.type, id: req.auth.id });
+    
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+    }
+    
+    res.json({ participantsHungUp: result.participantsHungUp, emergency: result.emergency });
+  } catch (error) {
+    logger.error('Error ending emergency conference:', error);
+    res.status(500).json({ error: 'Failed to end emergency conference' });
+  }
+});
+
+app.post('/api/emergencies/:id/repage', requirePermission('emergencies:manage'), async (req, res) => {
+  try {
+    const { repageDoctor } = require('./utils/emergencyManagement');
+    const { doctorPhone } = req.body || {};
+    const result = await repageDoctor(req.params.id, { doctorPhone, actor: { type: req.auth.type, id: req.auth.id } });
+    
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+    }
+    
+    res.status(202).json({ doctorPhone: result.doctorPhone, emergency: result.emergency });
+  } catch (error) {
+    logger.error('Error re-paging doctor:', error);
+    res.status(500).json({ error: 'Failed to re-page doctor' });
+  }
+});
+
+app.post('/api/emergencies/:id/transfer', requirePermission('emergencies:manage'), async (req, res) => {
+  try {
+    const { transferEmergency } = require('./utils/emergencyManagement');
+    const { doctorPhone } = req.body || {};
+    const result = await transferEmergency(req.params.id, { doctorPhone, actor: { type: req.auth.type, id: req.auth.id } });
+    
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+    }
+    
+    res.json(result.emergency);
+  } catch (error) {
+    logger.error('Error transferring emergency:', error);
+    res.status(500).json({ error: 'Failed to transfer emergency' });
+  }
+});
+
+app.post('/api/emergencies/:id/resolve', requirePermission('emergencies:manage'), async (req, res) => {
+  try {
+    const { resolveEmergency } = require('./utils/emergencyManagement');
+    const { note, disposition } = req.body || {};
+    const result = await resolveEmergency(req.params.id, { note, disposition, actor: { type: req.auth.type, id: req.auth.id } });
+    
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+    }
+    
+    res.json(result.emergency);
+  } catch (error) {
+    logger.error('Error resolving emergency:', error);
+    res.status(500).json({ error: 'Failed to resolve emergency' });
+  }
+});
+
+// Which escalation tier is active for an emergency and how earlier tiers ended
+app.get('/api/emergencies/:id/escalation', requirePermission('emergencies:read'), async (req, res) => {
+  try {
+    const escalation = await getEscalation(req.params.id);
+    
+    if (!escalation) {
+      return res.status(404).json({ error: 'No escalation for this emergency' });
+    }
+    
+    res.json(escalation);
+  } catch (error) {
+    logger.error('Error getting escalation:', error);
+    res.status(500).json({ error: 'Failed to get escalation' });
+  }
+});
+
+// Recording audio for the links in summary emails. A signed link works without
+// a login until it expires; anything else needs calls:read.
+app.get('/api/recordings/:id/audio', (req, res, next) => {
+  const { verifyRecordingLink } = require('./utils/recordingEvents');
+  
+  if (verifyRecordingLink(req.params.id, req.query.expires, req.query.signature)) {
+    req.auth = { type: 'signed_link', id: req.params.id, role: null };
+    return next();
+  }
+  
+  return requirePermission('calls:read')(req, res, next);
+}, async (req, res) => {
+  try {
+    const { getRecording, getRecordingAudioUrl } = require('./utils/recordingEvents');
+    const recording = await getRecording(req.params.id);
+    
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    
+    const audioUrl = await getRecordingAudioUrl(recording);
+    if (!audioUrl) {
+      return res.status(404).json({ error: 'Recording audio is not available' });
+    }
+    
+    recordAudit({
+      actor: { type: req.auth.type, id: req.auth.id },
+      action: 'recording_accessed',
+      entity: { type: 'recording', id: recording.recordingId },
+      data: { emergencyId: recording.emergencyId || null, callId: recording.callControlId || null }
+    });
+    
+    res.redirect(302, audioUrl);
+  } catch (error) {
+    logger.error('Error opening recording:', error);
+    res.status(500).json({ error: 'Failed to open recording' });
+  }
+});
+
+// Unmasked (PHI) debug logging, switched on for a limited time only
+app.get('/api/logging/phi-debug', requirePermission('logging:manage'), (req, res) => {
+  res.json(getPhiDebugStatus());
+});
+
+app.post('/api/logging/phi-debug', requirePermission('logging:manage'), (req, res) => {
+  const status = enablePhiDebug((req.body || {}).minutes);
+  recordAudit({
+    action: 'phi_debug_enabled',
+    entity: { type: 'logging', id: 'phi-debug' },
+    actor: { type: req.auth.type, id: req.auth.id },
+    data: { until: status.until, reason: (req.body || {}).reason || null }
+  });
+  res.json(status);
+});
+
+app.delete('/api/logging/phi-debug', requirePermission('logging:manage'), (req, res) => {
+  const status = disablePhiDebug();
+  recordAudit({
+    action: 'phi_debug_disabled',
+    entity: { type: 'logging', id: 'phi-debug' },
+    actor: { type: req.auth.type, id: req.auth.id }
+  });
+  res.json(status);
+});
+
+// Background job endpoints
+app.get('/api/jobs', requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    const result = await listJobs({
+      status: req.query.status,
+      type: req.query.type,
+      limit,
+      offset: req.query.offset
+    });
+    
+    res.set('X-Total-Count', result.total.toString());
+    res.json(result.data);
+  } catch (error) {
+    logger.error('Error listing jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+app.get('/api/jobs/:id', requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    logger.error('Error getting job:', error);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+app.post('/api/jobs/:id/retry', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const job = await retryDeadJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Dead job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    logger.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
 // SMS configuration test endpoint
 app.get('/test/sms-config', (req, res) => {
   const config = {
@@ -1436,7 +2238,7 @@ app.get('/test/sms-config', (req, res) => {
     timestamp: new Date().toISOString()
   };
   
-  console.log('🧪 Testing SMS configuration:', config);
+  logger.info('🧪 Testing SMS configuration:', config);
   
   if (process.env.TELNYX_API_KEY && process.env.TELNYX_PHONE_NUMBER) {
     res.json({ ...config, status: 'Configured' });
@@ -1449,7 +2251,7 @@ app.get('/test/sms-config', (req, res) => {
 app.post('/test/sms', async (req, res) => {
   try {
     const { sendTestNotification } = require('./sms-notifications');
-    console.log('🧪 Testing SMS functionality');
+    logger.info('🧪 Testing SMS functionality');
     
     const result = await sendTestNotification('Test SMS from dental AI system');
     
@@ -1459,14 +2261,14 @@ app.post('/test/sms', async (req, res) => {
       res.status(500).json({ success: false, error: result.error });
     }
   } catch (error) {
-    console.error('Error in test SMS endpoint:', error);
+    logger.error('Error in test SMS endpoint:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Error handling for 404 Not Found
 app.use((req, res) => {
-  console.log(`❌ 404 Not Found: ${req.method} ${req.url}`);
+  logger.info(`❌ 404 Not Found: ${req.method} ${req.url}`);
   res.status(404).json({
     error: 'Not Found',
     message: `The requested endpoint ${req.method} ${req.url} does not exist`
@@ -1475,7 +2277,7 @@ app.use((req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('❌ Unhandled error:', err);
+  logger.error('❌ Unhandled error:', err);
   res.status(500).json({ 
     error: 'Internal Server Error',
     message: err.message
@@ -1484,28 +2286,39 @@ app.use((err, req, res, next) => {
 
 // Start the server
 app.listen(port, () => {
-  console.log(`🚀 Server running on port ${port}`);
-  console.log(`🌐 Base URL: ${process.env.BASE_URL}`);
+  logger.info(`🚀 Server running on port ${port}`);
+  logger.info(`🌐 Base URL: ${process.env.BASE_URL}`);
+  
+  logger.info(`\n📡 WEBHOOK ENDPOINTS:`);
+  logger.info('- POST /webhook/ai-assistant');
+  logger.info('- POST /webhook/ai/insights');
+  logger.info('- POST /webhook/gather-ai');
+  logger.info('- POST /webhook/call');
+  logger.info('- POST /webhook/sms');
+  logger.info('- POST /webhook/emergency');
+  logger.info('- POST /webhook/emergency-recording');
+  logger.info('- POST /webhook/twilio-recording');
+  logger.info('- POST /webhook/emergency-callback');
+  logger.info('- POST /webhook/emergency-gather');
+  logger.info('- POST /webhook (generic)');
+  
+  // Enforce compliance.recordRetentionDays on a schedule
+  require('./utils/retention').startRetentionWorker();
+  
+  // Send partial summaries for calls whose insights never arrive
+  require('./utils/insightSweeper').startInsightSweeper();
   
-  console.log(`\n📡 WEBHOOK ENDPOINTS:`);
-  console.log('- POST /webhook/ai-assistant');
-  console.log('- POST /webhook/ai/insights');
-  console.log('- POST /webhook/gather-ai');
-  console.log('- POST /webhook/call');
-  console.log('- POST /webhook/sms');
-  console.log('- POST /webhook/emergency');
-  console.log('- POST /webhook/emergency-recording');
-  console.log('- POST /webhook/emergency-gather');
-  console.log('- POST /webhook (generic)');
+  // Run queued emails and SMS (including any left over from before a restart)
+  startJobWorker();
   
-  console.log(`\n⚡ Ready to receive webhooks...\n`);
+  logger.info(`\n⚡ Ready to receive webhooks...\n`);
 });
 
 // Global error handling middleware (must be after all routes)
 app.use(async (err, req, res, next) => {
   const errorId = `error_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
   
-  console.error(`🚨 [${errorId}] Unhandled error:`, err);
+  logger.error(`🚨 [${errorId}] Unhandled error:`, err);
   
   // Send error notification email
   try {
@@ -1518,7 +2331,7 @@ app.use(async (err, req, res, next) => {
       ip: req.ip
     }, req.path);
   } catch (emailError) {
-    console.error('Failed to send error notification:', emailError);
+    logger.error('Failed to send error notification:', emailError);
   }
   
   // Send response to client
@@ -1534,7 +2347,7 @@ app.use(async (err, req, res, next) => {
 app.use(async (req, res) => {
   const requestId = `404_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
   
-  console.warn(`🔍 [${requestId}] Unhandled endpoint: ${req.method} ${req.url}`);
+  logger.warn(`🔍 [${requestId}] Unhandled endpoint: ${req.method} ${req.url}`);
   
   // Send notification for unhandled endpoints
   try {
@@ -1547,7 +2360,7 @@ app.use(async (req, res) => {
       ip: req.ip
     });
   } catch (emailError) {
-    console.error('Failed to send unhandled endpoint notification:', emailError);
+    logger.error('Failed to send unhandled endpoint notification:', emailError);
   }
   
   res.status(404).json({
@@ -1563,6 +2376,8 @@ app.use(async (req, res) => {
       'POST /webhook/call',
       'POST /webhook/ai-assistant',
       'POST /webhook/emergency-recording',
+      'POST /webhook/twilio-recording',
+      'POST /webhook/emergency-callback',
       'POST /webhook/emergency-gather',
       'GET /health',
       'GET /api/la-time'
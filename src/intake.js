@@ -3,7 +3,13 @@ const { generateIntakeAudio } = require('./tts');
 const { extractPatientInfo } = require('./dialog');
 const { sendIntakeEmail } = require('./email');
 const config = require('./config');
+const intakeStore = require('./utils/intakeStore');
+const { linkPatientActivity } = require('./utils/patientIndex');
+const { recordAudit } = require('./utils/auditLog');
+const { enqueueJob } = require('./utils/jobQueue');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('intake');
 
 /**
  * Handle non-emergency patient intake
@@ -14,36 +20,46 @@ require('dotenv').config();
  */
 async function handleIntake(patientPhone, message, messageId = null) {
   try {
-    console.log(`Processing intake for ${patientPhone}: ${message}`);
+    logger.info('Processing intake', { phone: patientPhone, user_message: message });
     
     const patientInfo = extractPatientInfo(message);
     const practiceSettings = config.getPracticeSettings();
     
     // Create intake record
+    const priority = determinePriority(message);
     const intakeRecord = {
       id: generateIntakeId(),
       timestamp: new Date().toISOString(),
       patientPhone: patientPhone,
       message: message,
       messageId: messageId,
-      priority: determinePriority(message),
+      priority: priority,
       patientInfo: patientInfo,
       status: 'pending',
+      assignee: null,
+      responseDeadline: calculateResponseDeadline(priority).toISOString(),
       followUpScheduled: false
     };
+    
+    // Link the intake to the caller's patient profile
+    const profile = await linkPatientActivity({
+      phone: patientPhone,
+      type: 'intake',
+      id: intakeRecord.id,
+      timestamp: intakeRecord.timestamp,
+      summary: message
+    });
+    intakeRecord.patientId = profile ? profile.id : null;
+    
+    // Persist right away so the intake shows up in the staff queue even if notifications fail
+    await intakeStore.saveIntake(intakeRecord);
 
-    // Send confirmation to patient
+    // Confirmation to the patient, queued once the intake is saved
     const confirmationMessage = `Thank you for contacting ${practiceSettings.name}. We've received your message and will get back to you within ${practiceSettings.responseTime || '24 hours'}.
 
 If this is a medical emergency, please call 911 or go to your nearest emergency room.`;
     
-    const smsSuccess = await sendPatientConfirmation(patientPhone, confirmationMessage);
-    if (smsSuccess) {
-      intakeRecord.confirmationSent = true;
-    } else {
-      intakeRecord.confirmationSent = false;
-      intakeRecord.confirmationNote = 'SMS not supported for this number';
-    }
+    intakeRecord.confirmationSent = false;
     
     // Notify staff via email using SendGrid
     await sendIntakeEmail(intakeRecord, practiceSettings);
@@ -58,48 +74,54 @@ If this is a medical emergency, please call 911 or go to your nearest emergency
     
     // Schedule follow-up if needed
     await scheduleFollowUp(intakeRecord, practiceSettings);
+    
+    // Merge only what the notifications added: staff may already have picked the intake up
+    await intakeStore.updateIntakeNotifications(intakeRecord.id, {
+      followUpScheduled: intakeRecord.followUpScheduled,
+      confirmationSent: intakeRecord.confirmationSent,
+      ...(intakeRecord.twimlResponse && { twimlResponse: intakeRecord.twimlResponse })
+    });
+
+    // The job marks the stored intake confirmationSent once it goes out
+    const smsQueued = await sendPatientConfirmation(patientPhone, confirmationMessage, intakeRecord.id);
+    if (!smsQueued) {
+      intakeRecord.confirmationNote = 'SMS not supported for this number';
+      await intakeStore.updateIntakeNotifications(intakeRecord.id, { confirmationNote: intakeRecord.confirmationNote });
+    }
 
-    console.log(`Intake processed for ${patientPhone} - ID: ${intakeRecord.id}`);
+    logger.info(`Intake processed for ${patientPhone} - ID: ${intakeRecord.id}`);
     return intakeRecord;
     
   } catch (error) {
-    console.error('Error handling intake:', error);
+    logger.error('Error handling intake:', error);
     throw error;
   }
 }
 
 /**
- * Send confirmation SMS to patient
+ * Queue the confirmation SMS to the patient
  * @param {string} phoneNumber - Patient's phone number
  * @param {string} message - Confirmation message
- * @returns {Promise<boolean>} Success status
+ * @param {string} intakeId - Intake to mark as confirmed once sent
+ * @returns {Promise<boolean>} True if the SMS was queued
  */
-async function sendPatientConfirmation(phoneNumber, message) {
+async function sendPatientConfirmation(phoneNumber, message, intakeId = null) {
   try {
     // Check if it's an international number that might not support SMS from US numbers
     const isInternational = phoneNumber.startsWith('+') && !phoneNumber.startsWith('+1');
     
     if (isInternational) {
-      console.log(`Skipping SMS for international number ${phoneNumber} - may not be supported`);
-      return true; // Return success to not break the flow
+      logger.info(`Skipping SMS for international number ${phoneNumber} - may not be supported`);
+      return false;
     }
     
-    await telnyxClient.sendSMS(phoneNumber, message);
-    console.log(`Patient confirmation sent to ${phoneNumber}`);
+    await enqueueJob('send-patient-sms', { phone: phoneNumber, message, intakeId });
+    logger.info(`Patient confirmation queued for ${phoneNumber}`);
     return true;
     
   } catch (error) {
     // Log the error but don't throw - SMS is optional
-    console.error('Error sending patient confirmation:', error);
-    
-    // Check if it's a Twilio messaging error
-    if (error.code === 21612 || error.code === 21614 || error.code === 21408) {
-      console.log(`SMS not supported for ${phoneNumber} - continuing without SMS confirmation`);
-      return false; // SMS failed but continue
-    }
-    
-    // For other errors, also continue but log
-    console.log('SMS confirmation failed, continuing without SMS');
+    logger.error('Error queueing patient confirmation:', error);
     return false;
   }
 }
@@ -122,7 +144,7 @@ async function handleIntakeCall(intakeRecord, practiceSettings) {
     intakeRecord.twimlResponse = twiml;
     
   } catch (error) {
-    console.error('Error handling intake call:', error);
+    logger.error('Error handling intake call:', error);
   }
 }
 
@@ -164,26 +186,29 @@ function determinePriority(message) {
 }
 
 /**
- * Get response deadline based on priority
+ * Calculate response deadline based on priority
  * @param {string} priority - Priority level
- * @returns {string} Formatted deadline
+ * @param {Date} from - Start time (defaults to now)
+ * @returns {Date} Deadline
  */
-function getResponseDeadline(priority) {
-  const now = new Date();
-  let deadline;
-  
+function calculateResponseDeadline(priority, from = new Date()) {
   switch (priority) {
     case 'high':
-      deadline = new Date(now.getTime() + 4 * 60 * 60 * 1000); // 4 hours
-      break;
+      return new Date(from.getTime() + 4 * 60 * 60 * 1000); // 4 hours
     case 'medium':
-      deadline = new Date(now.getTime() + 12 * 60 * 60 * 1000); // 12 hours
-      break;
+      return new Date(from.getTime() + 12 * 60 * 60 * 1000); // 12 hours
     default:
-      deadline = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours
+      return new Date(from.getTime() + 24 * 60 * 60 * 1000); // 24 hours
   }
-  
-  return deadline.toLocaleString();
+}
+
+/**
+ * Get response deadline based on priority
+ * @param {string} priority - Priority level
+ * @returns {string} Formatted deadline
+ */
+function getResponseDeadline(priority) {
+  return calculateResponseDeadline(priority).toLocaleString();
 }
 
 /**
@@ -194,7 +219,7 @@ function getResponseDeadline(priority) {
 async function scheduleFollowUp(intakeRecord, practiceSettings) {
   try {
     // In a real implementation, this would integrate with a scheduling system
-    console.log(`Follow-up scheduled for intake ${intakeRecord.id}`);
+    logger.info(`Follow-up scheduled for intake ${intakeRecord.id}`);
     
     // Calculate follow-up time based on priority
     const followUpDelay = {
@@ -206,35 +231,29 @@ async function scheduleFollowUp(intakeRecord, practiceSettings) {
     const followUpTime = new Date(Date.now() + followUpDelay[intakeRecord.priority]);
     
     intakeRecord.followUpScheduled = followUpTime.toISOString();
-    console.log(`Follow-up scheduled for ${followUpTime.toLocaleString()}`);
+    logger.info(`Follow-up scheduled for ${followUpTime.toLocaleString()}`);
     
   } catch (error) {
-    console.error('Error scheduling follow-up:', error);
+    logger.error('Error scheduling follow-up:', error);
   }
 }
 
 /**
  * Log intake for record keeping
- * @param {Object} intakeRecord - Intake record
+ * @param {Object} intakeRecord - New intake record, or a status update ({ intakeId, status, updatedBy, ... })
+ * @param {Object} actor - { type, id } of the authenticated user behind a status update
  */
-async function logIntake(intakeRecord) {
+async function logIntake(intakeRecord, actor) {
   try {
-    const fs = require('fs');
-    const path = require('path');
-    
-    const logsDir = path.join(__dirname, '..', 'logs');
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-    }
-
-    const logFile = path.join(logsDir, `intake-${new Date().toISOString().split('T')[0]}.log`);
-    const logEntry = `${new Date().toISOString()} - INTAKE - ${JSON.stringify(intakeRecord)}\n`;
-    
-    fs.appendFileSync(logFile, logEntry);
-    console.log(`Intake logged to ${logFile}`);
-    
+    const isStatusUpdate = !!intakeRecord.intakeId;
+    recordAudit({
+      action: isStatusUpdate ? 'status_changed' : 'created',
+      entity: { type: 'intake', id: intakeRecord.intakeId || intakeRecord.id },
+      actor: isStatusUpdate && actor ? actor : undefined,
+      data: intakeRecord
+    });
   } catch (error) {
-    console.error('Error logging intake:', error);
+    logger.error('Error logging intake:', error);
   }
 }
 
@@ -251,24 +270,37 @@ function generateIntakeId() {
 /**
  * Update intake status
  * @param {string} intakeId - Intake ID
- * @param {string} status - New status
- * @param {Object} additionalData - Additional data
+ * @param {string} status - New status (pending, assigned, contacted, closed)
+ * @param {Object} additionalData - Additional data ({ assignee, note, actor }); actor is the
+ *   authenticated { type, id } making the change, recorded as updatedBy
+ * @returns {Promise<Object>} { success, intake } or { success: false, error }
  */
 async function updateIntakeStatus(intakeId, status, additionalData = {}) {
   try {
-    console.log(`Intake ${intakeId} status updated to: ${status}`, additionalData);
+    const { actor, ...changes } = additionalData;
+    const details = { ...changes, ...(actor && { updatedBy: actor.id }) };
+    const result = await intakeStore.transitionIntake(intakeId, status, details);
+    
+    if (!result.success) {
+      logger.info(`Intake ${intakeId} status not updated: ${result.error}`);
+      return result;
+    }
+    
+    logger.info(`Intake ${intakeId} status updated to: ${status}`, details);
     
     const logEntry = {
       intakeId,
       status,
       timestamp: new Date().toISOString(),
-      ...additionalData
+      ...details
     };
     
-    await logIntake(logEntry);
+    await logIntake(logEntry, actor);
+    return result;
     
   } catch (error) {
-    console.error('Error updating intake status:', error);
+    logger.error('Error updating intake status:', error);
+    return { success: false, error: error.message };
   }
 }
 
@@ -279,12 +311,11 @@ async function updateIntakeStatus(intakeId, status, additionalData = {}) {
  */
 async function getIntakeById(intakeId) {
   try {
-    console.log(`Looking up intake: ${intakeId}`);
-    // In a real implementation, this would query a database
-    return null;
+    logger.info(`Looking up intake: ${intakeId}`);
+    return await intakeStore.getIntake(intakeId);
     
   } catch (error) {
-    console.error('Error getting intake by ID:', error);
+    logger.error('Error getting intake by ID:', error);
     return null;
   }
 }
@@ -295,5 +326,6 @@ module.exports = {
   determinePriority,
   updateIntakeStatus,
   getIntakeById,
-  generateIntakeId
+  generateIntakeId,
+  calculateResponseDeadline
 }; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+require('dotenv').config();
+const { ROLES, saveUser, deleteUser, listUsers } = require('./utils/auth');
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('manage-users');
+
+/**
+ * Manage dashboard users
+ *
+ *   npm run users -- add <username> <role>      (password from USER_PASSWORD)
+ *   npm run users -- remove <username>
+ *   npm run users -- list
+ *
+ * Roles: admin, doctor, front-desk, read-only
+ */
+
+function usage() {
+  logger.info('Usage: npm run users -- add <username> <role> | remove <username> | list');
+  logger.info(`Roles: ${ROLES.join(', ')}`);
+  logger.info('The password for "add" is read from the USER_PASSWORD environment variable.');
+}
+
+async function main(args) {
+  const [command, username, role] = args;
+
+  switch (command) {
+    case 'add': {
+      if (!username || !role) {
+        usage();
+        return 1;
+      }
+      const user = await saveUser(username, process.env.USER_PASSWORD, role);
+      logger.info(`✅ Saved user ${user.username} (${user.role})`);
+      return 0;
+    }
+
+    case 'remove':
+      if (!username) {
+        usage();
+        return 1;
+      }
+      await deleteUser(username);
+      logger.info(`✅ Removed user ${username}`);
+      return 0;
+
+    case 'list': {
+      const users = await listUsers();
+      users.forEach(user => logger.info(`${user.username}\t${user.role}\t${user.createdAt}`));
+      logger.info(`${users.length} user(s)`);
+      return 0;
+    }
+
+    default:
+      usage();
+      return command ? 1 : 0;
+  }
+}
+
+// If running directly from command line
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      logger.error('❌', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
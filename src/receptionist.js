@@ -2,7 +2,10 @@ const telnyxClient = require('./telnyx');
 const { textToSpeech } = require('./tts');
 const { sendReceptionistSummary } = require('./email');
 const config = require('./config');
+const { recordAudit } = require('./utils/auditLog');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('receptionist');
 
 // Comprehensive dental emergency keywords
 const DENTAL_EMERGENCY_KEYWORDS = {
@@ -119,7 +122,7 @@ const EMOTIONAL_DISTRESS_INDICATORS = [
  */
 async function processCall(patientMessage, callSid, callerPhone, conversationState = {}) {
   try {
-    console.log(`Processing call from ${callerPhone}: ${patientMessage}`);
+    logger.info(`Processing call ${callSid}`, { callerPhone, transcript: patientMessage });
     
     const practiceSettings = config.getPracticeSettings();
     
@@ -164,7 +167,7 @@ async function processCall(patientMessage, callSid, callerPhone, conversationSta
           await sendReceptionistSummary(callSummary, practiceSettings);
           await logCallSummary(callSummary);
         } catch (error) {
-          console.error('Error in background email/logging:', error);
+          logger.error('Error in background email/logging:', error);
         }
       });
     } else {
@@ -173,29 +176,29 @@ async function processCall(patientMessage, callSid, callerPhone, conversationSta
         try {
           await logCallSummary(callSummary);
           if (classification.type === 'emergency') {
-            console.log('Emergency call logged - email will be sent after collecting patient details');
+            logger.info('Emergency call logged - email will be sent after collecting patient details');
             // Send immediate SMS alert to doctor (if enabled) but no email yet
             const smsEnabled = process.env.ENABLE_SMS_NOTIFICATIONS === 'true';
             if (smsEnabled) {
               await sendImmediateEmergencySMS(callSummary, practiceSettings);
             }
           } else {
-            console.log('Non-emergency call logged - email will be sent after collecting patient info');
+            logger.info('Non-emergency call logged - email will be sent after collecting patient info');
           }
         } catch (error) {
-          console.error('Error in background logging:', error);
+          logger.error('Error in background logging:', error);
         }
       });
     }
     
-    console.log(`Call processed - Classification: ${classification.type}`);
+    logger.info(`Call processed - Classification: ${classification.type}`);
     
     // Generate TwiML response
     let twimlResponse;
     try {
       twimlResponse = await generateTwiMLResponse(response, classification.type, callSid);
     } catch (error) {
-      console.error('Error generating TwiML response:', error);
+      logger.error('Error generating TwiML response:', error);
       // Fallback to simple TwiML
       const telnyxClient = require('./telnyx');
       twimlResponse = telnyxClient.generateSimpleTwiML(response.message, {
@@ -215,7 +218,7 @@ async function processCall(patientMessage, callSid, callerPhone, conversationSta
     };
     
   } catch (error) {
-    console.error('Error processing call:', error);
+    logger.error('Error processing call:', error);
     
     // Fallback response
     const telnyxClient = require('./telnyx');
@@ -379,12 +382,12 @@ async function sendEmergencySMSToDoctor(emergencyCallSummary, practiceSettings)
     const smsEnabled = process.env.ENABLE_SMS_NOTIFICATIONS === 'true';
     
     if (!smsEnabled) {
-      console.log('SMS notifications disabled - skipping emergency SMS to doctor');
+      logger.info('SMS notifications disabled - skipping emergency SMS to doctor');
       return;
     }
     
     if (!emergencyDoctorPhone) {
-      console.log('No emergency doctor phone configured - skipping SMS');
+      logger.info('No emergency doctor phone configured - skipping SMS');
       return;
     }
     
@@ -402,7 +405,7 @@ Patient is being connected to you now. Please answer incoming call or call back
     const telnyxClient = require('./telnyx');
     await telnyxClient.sendSMS(emergencyDoctorPhone, smsMessage);
     
-    console.log(`🚨 Emergency SMS sent to doctor: ${emergencyDoctorPhone}`);
+    logger.info(`🚨 Emergency SMS sent to doctor: ${emergencyDoctorPhone}`);
     
     // Log SMS sending
     const smsLogEntry = {
@@ -418,7 +421,7 @@ Patient is being connected to you now. Please answer incoming call or call back
     await logCallSummary(smsLogEntry);
     
   } catch (error) {
-    console.error('Error sending emergency SMS to doctor:', error);
+    logger.error('Error sending emergency SMS to doctor:', error);
     // Don't throw error - SMS failure shouldn't stop the emergency flow
   }
 }
@@ -434,12 +437,12 @@ async function sendImmediateEmergencySMS(callSummary, practiceSettings) {
     const smsEnabled = process.env.ENABLE_SMS_NOTIFICATIONS === 'true';
     
     if (!smsEnabled) {
-      console.log('SMS notifications disabled - skipping immediate emergency SMS');
+      logger.info('SMS notifications disabled - skipping immediate emergency SMS');
       return;
     }
     
     if (!emergencyDoctorPhone) {
-      console.log('No emergency doctor phone configured - skipping immediate SMS');
+      logger.info('No emergency doctor phone configured - skipping immediate SMS');
       return;
     }
     
@@ -459,7 +462,7 @@ Call ID: ${callSummary.callId}`;
     const telnyxClient = require('./telnyx');
     await telnyxClient.sendSMS(emergencyDoctorPhone, smsMessage);
     
-    console.log(`🚨 Immediate emergency alert SMS sent to doctor: ${emergencyDoctorPhone}`);
+    logger.info(`🚨 Immediate emergency alert SMS sent to doctor: ${emergencyDoctorPhone}`);
     
     // Log SMS sending
     const smsLogEntry = {
@@ -476,7 +479,7 @@ Call ID: ${callSummary.callId}`;
     await logCallSummary(smsLogEntry);
     
   } catch (error) {
-    console.error('Error sending immediate emergency SMS to doctor:', error);
+    logger.error('Error sending immediate emergency SMS to doctor:', error);
     // Don't throw error - SMS failure shouldn't stop the emergency flow
   }
 }
@@ -542,26 +545,18 @@ async function generateEmergencyTwiML(message, completed, nextStep, collectedInf
 
 /**
  * Log call summary for HIPAA compliance
- * @param {Object} callSummary - Call summary data
+ * @param {Object} callSummary - Call summary data (or an SMS log entry with a `type`)
  */
 async function logCallSummary(callSummary) {
   try {
-    const fs = require('fs');
-    const path = require('path');
-    
-    const logsDir = path.join(__dirname, '..', 'logs');
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-    }
-
-    const logFile = path.join(logsDir, `receptionist-${new Date().toISOString().split('T')[0]}.log`);
-    const logEntry = `${new Date().toISOString()} - CALL - ${JSON.stringify(callSummary)}\n`;
-    
-    fs.appendFileSync(logFile, logEntry);
-    console.log(`Call logged to ${logFile}`);
-    
+    recordAudit({
+      actor: { type: 'ai', id: 'receptionist' },
+      action: callSummary.type || 'summary_logged',
+      entity: { type: 'call', id: callSummary.callId },
+      data: callSummary
+    });
   } catch (error) {
-    console.error('Error logging call summary:', error);
+    logger.error('Error logging call summary:', error);
   }
 }
 
@@ -0,0 +1,204 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { readCaptures, getCaptureDir } = require('./utils/webhookCapture');
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('replay-webhooks');
+
+/**
+ * Replay captured webhooks against a running server
+ *
+ *   npm run replay -- [options]
+ *
+ * Sources (default: every capture in WEBHOOK_CAPTURE_DIR):
+ *   --source <file|dir>     Capture file (YYYY-MM-DD.jsonl) or directory
+ *   --fixture <file>        A JSON body (e.g. test_payload.json, UTF-16 is fine) sent to --path,
+ *                           or a .jsonl sequence of { path, body, headers, offsetMs } lines
+ *
+ * Filters (captures only):
+ *   --call <id>             Only requests whose body mentions this call_control_id / conversation ID
+ *   --path <prefix>         Only requests to this route (for --fixture: the route to send to)
+ *   --from <ISO> --to <ISO> Only requests captured in this time range
+ *
+ * Timing and target:
+ *   --speed <n>             Replay n times faster than captured (default 1; 0 = no delays)
+ *   --target <url>          Server to send to (default http://localhost:$PORT)
+ *   --dry-run               List what would be sent
+ *
+ * Replayed requests carry `X-Webhook-Replay`. Captured Telnyx signatures will
+ * be outside the replay window, so run the target without TELNYX_PUBLIC_KEY
+ * (or list the routes in TELNYX_SIGNATURE_SKIP_ROUTES), and with
+ * WEBHOOK_IDEMPOTENCY_ENABLED=false to replay the same sequence more than once.
+ */
+
+// Headers that describe the original connection rather than the request
+const DROPPED_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding', 'accept-encoding'];
+
+function parseArgs(argv) {
+  const options = { speed: 1, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    switch (arg) {
+      case '--source': options.source = next(); break;
+      case '--fixture': options.fixture = next(); break;
+      case '--call': options.call = next(); break;
+      case '--path': options.path = next(); break;
+      case '--from': options.from = new Date(next()).toISOString(); break;
+      case '--to': options.to = new Date(next()).toISOString(); break;
+      case '--speed': options.speed = parseFloat(next()); break;
+      case '--target': options.target = next(); break;
+      case '--dry-run': options.dryRun = true; break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!Number.isFinite(options.speed) || options.speed < 0) {
+    throw new Error('--speed must be a number >= 0');
+  }
+  options.target = (options.target || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  return options;
+}
+
+/**
+ * Read a text file that may have been saved as UTF-16 (e.g. by PowerShell)
+ */
+function readText(file) {
+  const buffer = fs.readFileSync(file);
+  const text = buffer[0] === 0xff && buffer[1] === 0xfe ? buffer.toString('utf16le') : buffer.toString('utf8');
+  return text.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Turn a fixture file into requests
+ * @param {string} file - .json body or .jsonl sequence
+ * @param {string} defaultPath - Route for a single JSON body
+ * @returns {Array<Object>} Requests
+ */
+function loadFixture(file, defaultPath) {
+  const text = readText(file);
+  const start = Date.now();
+
+  if (file.endsWith('.jsonl')) {
+    return text.split('\n').filter(line => line.trim()).map((line, index) => {
+      const entry = JSON.parse(line);
+      return {
+        id: `${path.basename(file)}#${index + 1}`,
+        capturedAt: new Date(start + (entry.offsetMs || 0)).toISOString(),
+        path: entry.path || defaultPath,
+        headers: { 'content-type': 'application/json', ...(entry.headers || {}) },
+        body: Buffer.from(typeof entry.body === 'string' ? entry.body : JSON.stringify(entry.body), 'utf8')
+      };
+    });
+  }
+
+  if (!defaultPath) {
+    throw new Error('--path is required with a .json fixture (e.g. --path /webhook/emergency)');
+  }
+
+  // Re-serialize so the server gets UTF-8 whatever encoding the fixture was saved in
+  return [{
+    id: path.basename(file),
+    capturedAt: new Date(start).toISOString(),
+    path: defaultPath,
+    headers: { 'content-type': 'application/json' },
+    body: Buffer.from(JSON.stringify(JSON.parse(text)), 'utf8')
+  }];
+}
+
+/**
+ * Select the captures to replay
+ */
+function loadCaptures(options) {
+  return readCaptures(options.source || getCaptureDir()).filter(capture => {
+    if (options.path && !capture.path.startsWith(options.path)) return false;
+    if (options.from && capture.capturedAt < options.from) return false;
+    if (options.to && capture.capturedAt > options.to) return false;
+    if (options.call && !capture.body.toString('utf8').includes(options.call)) return false;
+    return true;
+  });
+}
+
+function replayHeaders(request) {
+  const headers = Object.fromEntries(Object.entries(request.headers || {})
+    .filter(([name]) => !DROPPED_HEADERS.includes(name.toLowerCase())));
+  headers['x-webhook-replay'] = request.id;
+  return headers;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send requests in order, keeping their original spacing divided by `speed`
+ * @param {Array<Object>} requests - Captures or fixture requests
+ * @param {Object} options - { target, speed, dryRun }
+ * @returns {Promise<Object>} { sent, failed, changed }
+ */
+async function replay(requests, options) {
+  const stats = { sent: 0, failed: 0, changed: 0 };
+
+  for (let i = 0; i < requests.length; i++) {
+    const request = requests[i];
+
+    if (i > 0 && options.speed > 0) {
+      const gap = new Date(request.capturedAt) - new Date(requests[i - 1].capturedAt);
+      await sleep(Math.max(0, gap / options.speed));
+    }
+
+    if (options.dryRun) {
+      logger.info(`📝 ${request.capturedAt} POST ${request.path} (${request.body.length} bytes)`);
+      continue;
+    }
+
+    try {
+      const response = await axios.post(`${options.target}${request.path}`, request.body, {
+        headers: replayHeaders(request),
+        transformRequest: [(data) => data],
+        validateStatus: () => true
+      });
+
+      stats.sent++;
+      const original = request.status !== undefined ? ` (captured ${request.status})` : '';
+      if (request.status !== undefined && request.status !== response.status) {
+        stats.changed++;
+      }
+      logger.info(`➡️ POST ${request.path} → ${response.status}${original}`);
+    } catch (error) {
+      stats.failed++;
+      logger.error(`❌ POST ${request.path} failed: ${error.message}`);
+    }
+  }
+
+  return stats;
+}
+
+// If running directly from command line
+if (require.main === module) {
+  (async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const requests = options.fixture ? loadFixture(options.fixture, options.path) : loadCaptures(options);
+
+    if (requests.length === 0) {
+      logger.info('No webhooks to replay');
+      return 0;
+    }
+
+    logger.info(`🔁 Replaying ${requests.length} webhook(s) to ${options.target}${options.speed > 0 ? ` at ${options.speed}x` : ' without delays'}`);
+    const stats = await replay(requests, options);
+
+    if (!options.dryRun) {
+      logger.info(`✅ Sent ${stats.sent}, failed ${stats.failed}, ${stats.changed} answered with a different status than captured`);
+    }
+    return stats.failed > 0 ? 1 : 0;
+  })()
+    .then(code => process.exit(code))
+    .catch(error => {
+      logger.error('❌ Replay failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { replay, loadFixture, loadCaptures };
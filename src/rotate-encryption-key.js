@@ -0,0 +1,186 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { reseal, generateKey, isEncryptionEnabled } = require('./utils/encryption');
+const { DATA_DIR } = require('./utils/repository');
+const { getCaptureDir } = require('./utils/webhookCapture');
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('rotate-encryption-key');
+
+const LOGS_DIR = path.join(__dirname, '..', 'logs');
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'hippaai.sqlite');
+
+/**
+ * List files under a directory (recursively) with a given extension
+ * @param {string} dir - Directory
+ * @param {string} extension - File extension, e.g. '.json'
+ * @returns {Array<string>} File paths
+ */
+function listFiles(dir, extension) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listFiles(entryPath, extension);
+    }
+    return entry.isFile() && entry.name.endsWith(extension) ? [entryPath] : [];
+  });
+}
+
+/**
+ * Write a file atomically (temporary file + rename)
+ * @param {string} filePath - Destination
+ * @param {string} content - Content
+ */
+function writeAtomically(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.rotate.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Re-encrypt record files under DATA_DIR
+ */
+function rotateRecordFiles(stats, dryRun) {
+  listFiles(DATA_DIR, '.json').forEach(filePath => {
+    const { value, changed } = reseal(fs.readFileSync(filePath, 'utf8'));
+    if (changed) {
+      stats.files++;
+      if (!dryRun) {
+        writeAtomically(filePath, value);
+      }
+    }
+  });
+}
+
+/**
+ * Re-encrypt line-sealed files line by line: logs (including the audit log),
+ * webhook captures (WEBHOOK_CAPTURE_DIR may be outside DATA_DIR) and anything
+ * retention archived under DATA_DIR
+ */
+function rotateLogFiles(stats, dryRun) {
+  const files = new Set([
+    ...listFiles(LOGS_DIR, '.log'),
+    ...listFiles(LOGS_DIR, '.jsonl'),
+    ...listFiles(getCaptureDir(), '.jsonl'),
+    ...listFiles(DATA_DIR, '.jsonl'),
+    ...listFiles(DATA_DIR, '.log')
+  ].map(filePath => path.resolve(filePath)));
+
+  files.forEach(filePath => {
+    let changedLines = 0;
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').map(line => {
+      if (!line) {
+        return line;
+      }
+      const { value, changed } = reseal(line);
+      if (changed) {
+        changedLines++;
+      }
+      return value;
+    });
+
+    if (changedLines > 0) {
+      stats.logFiles++;
+      stats.logLines += changedLines;
+      if (!dryRun) {
+        writeAtomically(filePath, lines.join('\n'));
+      }
+    }
+  });
+}
+
+/**
+ * Re-encrypt the data column of every repository table in the SQLite database
+ */
+function rotateSqlite(stats, dryRun) {
+  if (!fs.existsSync(SQLITE_FILE)) {
+    return;
+  }
+
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    logger.warn(`⚠️ ${SQLITE_FILE} exists but better-sqlite3 is not installed - skipping it`);
+    return;
+  }
+
+  const db = new Database(SQLITE_FILE);
+  try {
+    const tables = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all()
+      .map(table => table.name)
+      .filter(table => {
+        const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+        return ['key', 'phone', 'data'].every(column => columns.includes(column));
+      });
+
+    tables.forEach(table => {
+      const update = db.prepare(`UPDATE ${table} SET data = ?, phone = NULL WHERE key = ?`);
+      db.transaction(() => {
+        db.prepare(`SELECT key, data FROM ${table}`).all().forEach(row => {
+          const { value, changed } = reseal(row.data);
+          if (changed) {
+            stats.rows++;
+            if (!dryRun) {
+              update.run(value, row.key);
+            }
+          }
+        });
+      })();
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Re-encrypt everything at rest under the active key
+ *
+ * To rotate: add the new key to the keyring (DATA_ENCRYPTION_KEY_FILE) and make
+ * it the activeKeyId, keeping the old key listed, then run this command while
+ * the server is stopped. Once it reports nothing left to change, the old key
+ * can be removed.
+ * Plaintext files written before encryption was enabled are encrypted too.
+ *
+ * @param {Object} options - { dryRun }
+ * @returns {Object} Counts of what was (or would be) re-encrypted
+ */
+function rotateEncryptionKey(options = {}) {
+  if (!isEncryptionEnabled()) {
+    throw new Error('Set DATA_ENCRYPTION_KEY or DATA_ENCRYPTION_KEY_FILE before rotating');
+  }
+
+  const stats = { files: 0, logFiles: 0, logLines: 0, rows: 0 };
+  rotateRecordFiles(stats, options.dryRun);
+  rotateLogFiles(stats, options.dryRun);
+  rotateSqlite(stats, options.dryRun);
+  return stats;
+}
+
+// If running directly from command line
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  // Plain stdout, never the logger: log lines may be shipped elsewhere
+  if (args.includes('--generate-key')) {
+    process.stdout.write(`${generateKey()}\n`);
+    process.exit(0);
+  }
+
+  const dryRun = args.includes('--dry-run');
+
+  try {
+    logger.info(`🔐 ${dryRun ? 'Checking' : 'Re-encrypting'} data in ${DATA_DIR}, ${LOGS_DIR} and ${getCaptureDir()}...`);
+    const stats = rotateEncryptionKey({ dryRun });
+    logger.info(`✅ ${dryRun ? 'Would re-encrypt' : 'Re-encrypted'} ${stats.files} record files, ${stats.logLines} log and capture lines in ${stats.logFiles} files and ${stats.rows} SQLite rows`);
+  } catch (error) {
+    logger.error('❌ Key rotation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { rotateEncryptionKey };
@@ -1,3 +1,6 @@
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('sms-notifications');
+
 // Use dynamic import for Telnyx SDK (ES Module)
 let telnyx = null;
 
@@ -46,7 +49,7 @@ async function sendDoctorNotification(patientInfo, urgencyLevel = 'medium') {
     // Check if SMS is enabled
     const smsEnabled = process.env.ENABLE_SMS_NOTIFICATIONS === 'true';
     if (!smsEnabled || !templateEnabled) {
-      console.log(`📱 SMS ${isEmergency ? 'emergency' : 'non-emergency'} notifications disabled - skipping SMS`);
+      logger.info(`📱 SMS ${isEmergency ? 'emergency' : 'non-emergency'} notifications disabled - skipping SMS`);
       return { 
         status: 'disabled', 
         message: `SMS notifications disabled for ${isEmergency ? 'emergency' : 'non-emergency'} messages` 
@@ -76,7 +79,8 @@ async function sendDoctorNotification(patientInfo, urgencyLevel = 'medium') {
     if (isEmergency) {
       // Send to doctor
       const doctorTemplate = process.env.SMS_TEMPLATE_EMERGENCY_DOCTOR;
-      const doctorMessage = processTemplate(doctorTemplate, templateData);
+      const doctorMessage = processTemplate(doctorTemplate, templateData) +
+        (patientInfo.callHistory ? ` (${patientInfo.callHistory})` : '');
       await telnyxClient.messages.create({
         from: FROM_NUMBER,
         to: doctorNumber,
@@ -113,7 +117,7 @@ async function sendDoctorNotification(patientInfo, urgencyLevel = 'medium') {
       }
     }
     
-    console.log(`📱 SMS notifications sent for ${isEmergency ? 'emergency' : 'non-emergency'} case`);
+    logger.info(`📱 SMS notifications sent for ${isEmergency ? 'emergency' : 'non-emergency'} case`);
     return {
       success: true,
       type: isEmergency ? 'emergency' : 'non-emergency',
@@ -121,7 +125,7 @@ async function sendDoctorNotification(patientInfo, urgencyLevel = 'medium') {
     };
     
   } catch (error) {
-    console.error('❌ Failed to send SMS notification:', error);
+    logger.error('❌ Failed to send SMS notification:', error);
     return {
       success: false,
       error: error.message,
@@ -184,11 +188,11 @@ async function sendTestNotification(testMessage = 'Test notification from dental
       text: processedMessage
     });
     
-    console.log(`✅ Test SMS sent: ${result.id}`);
+    logger.info(`✅ Test SMS sent: ${result.id}`);
     return { success: true, messageId: result.id };
     
   } catch (error) {
-    console.error('❌ Test SMS failed:', error);
+    logger.error('❌ Test SMS failed:', error);
     return { success: false, error: error.message };
   }
 }
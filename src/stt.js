@@ -2,6 +2,8 @@ const axios = require('axios');
 const fs = require('fs');
 const FormData = require('form-data');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('stt');
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const DEEPGRAM_API_KEY = process.env.DEEPGRAM_API_KEY;
@@ -47,7 +49,7 @@ async function transcribeWithWhisper(audioData, options = {}) {
       }
     );
 
-    console.log('Whisper transcription completed');
+    logger.info('Whisper transcription completed');
     return {
       provider: 'whisper',
       text: response.data.text,
@@ -55,7 +57,7 @@ async function transcribeWithWhisper(audioData, options = {}) {
       language: options.language || 'en'
     };
   } catch (error) {
-    console.error('Error with Whisper transcription:', error.response?.data || error.message);
+    logger.error('Error with Whisper transcription:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -102,7 +104,7 @@ async function transcribeWithDeepgram(audioData, options = {}) {
 
     const transcript = response.data.results.channels[0].alternatives[0];
     
-    console.log('Deepgram transcription completed');
+    logger.info('Deepgram transcription completed');
     return {
       provider: 'deepgram',
       text: transcript.transcript,
@@ -111,7 +113,7 @@ async function transcribeWithDeepgram(audioData, options = {}) {
       words: transcript.words || []
     };
   } catch (error) {
-    console.error('Error with Deepgram transcription:', error.response?.data || error.message);
+    logger.error('Error with Deepgram transcription:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -141,7 +143,7 @@ async function transcribe(audioData, options = {}) {
       }
     }
   } catch (error) {
-    console.error(`Error with ${preferredProvider}, trying fallback...`);
+    logger.error(`Error with ${preferredProvider}, trying fallback...`);
     
     // Try fallback provider
     try {
@@ -151,7 +153,7 @@ async function transcribe(audioData, options = {}) {
         return await transcribeWithWhisper(audioData, options);
       }
     } catch (fallbackError) {
-      console.error('Fallback transcription also failed:', fallbackError);
+      logger.error('Fallback transcription also failed:', fallbackError);
     }
     
     throw error;
@@ -216,12 +218,12 @@ function setupRealtimeTranscription(websocketUrl, onTranscript, options = {}) {
         });
       }
     } catch (error) {
-      console.error('Error parsing real-time transcript:', error);
+      logger.error('Error parsing real-time transcript:', error);
     }
   });
 
   ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
+    logger.error('WebSocket error:', error);
   });
 
   return ws;
@@ -1,12 +1,39 @@
 const telnyxHelper = require('./telnyx');
+const emergencyStore = require('./utils/emergencyStore');
+const { EMERGENCY_STATUS } = emergencyStore;
+const { startEscalation, stopEscalation, cancelEscalation, handleEscalationEvent } = require('./utils/escalationLadder');
+const { CONFERENCE_STATE, ACTION, PARTICIPANT_ROLE, getConferenceRepository, createConferenceRecord, transition } = require('./utils/conferenceStateMachine');
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('telnyx-conference');
 
 /**
  * Telnyx Conference Management for Emergency Calls
- * Using Telnyx Call Control API conference_config
+ *
+ * Each emergency conference follows the state machine in
+ * utils/conferenceStateMachine.js: the patient hears an announcement, joins
+ * the conference on `call.speak.ended`, waits on hold while the escalation
+ * ladder pages doctors, and is connected once a doctor joins. Transitions are
+ * driven by Telnyx webhooks (routed here from /webhook/call) and persisted in
+ * the `conferences` collection, so a restart picks up where it left off.
  */
 
-// In-memory storage for active conferences
-let activeConferences = new Map();
+const HOLD_AUDIO_URL = 'https://s3.amazonaws.com/com.twilio.sounds.music/index.xml';
+
+function encodeClientState(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64');
+}
+
+function parseClientState(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(value, 'base64').toString());
+  } catch (error) {
+    logger.error('❌ Error parsing client state:', error);
+    return null;
+  }
+}
 
 /**
  * Create emergency conference and add patient
@@ -19,42 +46,34 @@ async function createEmergencyConference(patientCallControlId, patientPhone, eme
   try {
     const emergencyId = `emergency-${Date.now()}-${Math.random().toString(36).substr(2, 8)}`;
     const conferenceName = `dental-emergency-${emergencyId}`;
-    
-    console.log(`🎪 Creating emergency conference: ${conferenceName}`);
-    console.log(`👤 Patient: ${emergencyInfo.name || 'Unknown'} (${patientPhone})`);
-    console.log(`🚨 Emergency: ${emergencyInfo.symptoms || 'Not specified'}`);
-    
-    // Store conference info
-    const conferenceInfo = {
-      id: emergencyId,
-      name: conferenceName,
-      created: new Date().toISOString(),
-      patientPhone: patientPhone,
-      patientCallControlId: patientCallControlId,
-      emergencyInfo: emergencyInfo,
-      participants: [],
-      status: 'active',
-      doctorNotified: false,
-      recordings: []
-    };
-    
-    activeConferences.set(emergencyId, conferenceInfo);
-    
-    // Add patient to conference using Telnyx Call Control API
-    const patientJoinResult = await addPatientToConference(patientCallControlId, conferenceName, emergencyInfo);
-    
-    if (patientJoinResult.success) {
-      conferenceInfo.participants.push({
-        type: 'patient',
-        phone: patientPhone,
-        callControlId: patientCallControlId,
-        joinedAt: new Date().toISOString(),
-        role: 'participant'
-      });
-      
-      console.log(`✅ Patient added to conference: ${conferenceName}`);
-    }
-    
+
+    logger.info(`🎪 Creating emergency conference: ${conferenceName}`, {
+      name: emergencyInfo.name || 'Unknown',
+      phone: patientPhone,
+      symptoms: emergencyInfo.symptoms || 'Not specified'
+    });
+
+    const conferenceInfo = createConferenceRecord({
+      emergencyId,
+      conferenceName,
+      patientPhone,
+      patientCallControlId,
+      emergencyInfo
+    });
+    await getConferenceRepository().put(emergencyId, conferenceInfo);
+
+    await emergencyStore.createEmergencyRecord(emergencyId, {
+      patient: { name: emergencyInfo.name, phone: patientPhone, reason: emergencyInfo.symptoms },
+      callControlId: patientCallControlId,
+      source: 'conference'
+    });
+    await emergencyStore.recordEmergencyStatus(emergencyId, EMERGENCY_STATUS.CONFERENCE_STARTED, {
+      conferenceName: conferenceName
+    });
+
+    // The patient joins once the announcement has finished (call.speak.ended)
+    const patientJoinResult = await addPatientToConference(patientCallControlId, conferenceName, emergencyInfo, emergencyId);
+
     return {
       success: true,
       emergencyId: emergencyId,
@@ -62,9 +81,9 @@ async function createEmergencyConference(patientCallControlId, patientPhone, eme
       conferenceInfo: conferenceInfo,
       patientJoinResult: patientJoinResult
     };
-    
+
   } catch (error) {
-    console.error('❌ Error creating emergency conference:', error);
+    logger.error('❌ Error creating emergency conference:', error);
     return {
       success: false,
       error: error.message
@@ -73,125 +92,137 @@ async function createEmergencyConference(patientCallControlId, patientPhone, eme
 }
 
 /**
- * Add patient to emergency conference using hold music while waiting for doctor
+ * Tell the patient they are being connected. The conference itself is
+ * created when Telnyx reports `call.speak.ended` for this call.
  * @param {string} callControlId - Patient's call control ID
  * @param {string} conferenceName - Conference name
  * @param {Object} emergencyInfo - Emergency information
+ * @param {string} emergencyId - Emergency ID
  * @returns {Promise<Object>} Join result
  */
-async function addPatientToConference(callControlId, conferenceName, emergencyInfo) {
+async function addPatientToConference(callControlId, conferenceName, emergencyInfo, emergencyId) {
+  logger.info(`🎪 Announcing emergency conference to patient: ${conferenceName}`);
+
+  const emergencyMessage = `Thank you ${emergencyInfo.name || 'for calling'}. I understand this is a dental emergency. I'm immediately connecting you to our emergency doctor. Please stay on the line.`;
+
   try {
-    console.log(`🎪 Adding patient to conference: ${conferenceName}`);
-    
-    // First, inform the patient about the emergency protocol
-    const emergencyMessage = `Thank you ${emergencyInfo.name || 'for calling'}. I understand this is a dental emergency. I'm immediately connecting you to our emergency doctor. Please stay on the line.`;
-    
     await telnyxHelper.speakText(callControlId, emergencyMessage, {
-      voice: 'male'
+      voice: 'male',
+      clientState: encodeClientState({ type: 'emergency_patient', emergencyId })
     });
-    
-    // Wait for speech to complete, then dial the patient into conference
-    // Note: In a real implementation, you'd wait for the 'call.speak.ended' webhook
-    setTimeout(async () => {
-      try {
-        // Create a new outbound call to add patient to conference
-        const conferenceDialResult = await telnyxHelper.dialNumber({
-          to: callControlId, // This should be the patient's number, but we'll use transfer instead
-          from: process.env.TELNYX_PHONE_NUMBER,
-          connection_id: process.env.TELNYX_CONNECTION_ID,
-          conference_config: {
-            conference_name: conferenceName,
-            start_conference_on_enter: false, // Wait for doctor
-            start_conference_on_create: false, // Don't start until doctor joins
-            mute: false,
-            hold: true, // Put patient on hold initially
-            hold_audio_url: "https://s3.amazonaws.com/com.twilio.sounds.music/index.xml", // Hold music
-            beep_enabled: "on_enter",
-            end_conference_on_exit: false // Don't end when patient leaves
-          }
-        });
-        
-        console.log(`🎵 Patient on hold with music in conference: ${conferenceName}`);
-        
-      } catch (dialError) {
-        console.error('❌ Error dialing patient into conference:', dialError);
-      }
-    }, 3000); // Wait 3 seconds for speech to complete
-    
+
     return {
       success: true,
-      message: 'Patient being added to conference with hold music'
+      message: 'Patient joins the conference when the announcement ends'
     };
-    
+
   } catch (error) {
-    console.error('❌ Error adding patient to conference:', error);
+    // No announcement means no call.speak.ended; join the patient straight away
+    logger.error('❌ Error announcing conference, joining patient without it:', error);
+    await applyConferenceEvent(emergencyId, {
+      type: 'call.speak.ended',
+      role: PARTICIPANT_ROLE.PATIENT,
+      callControlId
+    });
+
     return {
-      success: false,
-      error: error.message
+      success: true,
+      message: 'Announcement failed - patient joined without it'
     };
   }
 }
 
+/**
+ * Create the conference with the patient in it, on hold until a doctor joins
+ * @param {Object} conference - Conference record
+ */
+async function joinPatient(conference) {
+  try {
+    const created = await telnyxHelper.createConference(conference.patientCallControlId, conference.name, {
+      startConferenceOnCreate: false,
+      holdAudioUrl: HOLD_AUDIO_URL,
+      beepEnabled: 'on_enter',
+      clientState: encodeClientState({ type: 'emergency_patient', emergencyId: conference.id })
+    });
+
+    logger.info(`🎵 Patient on hold with music in conference: ${conference.name}`);
+
+    // Same transition as the conference.created webhook, in case it is late or lost
+    await applyConferenceEvent(conference.id, { type: 'conference.created', conferenceId: created?.id || null });
+
+  } catch (error) {
+    // Page doctors anyway; SMS tiers ask them to call the patient back
+    logger.error('❌ Error creating conference for patient - starting escalation without it:', error);
+    await runAction(conference, { type: ACTION.START_ESCALATION });
+  }
+}
+
 /**
  * Dial emergency doctor and add to conference
  * @param {string} emergencyId - Emergency ID
  * @param {string} doctorPhone - Doctor's phone number
+ * @param {Object} options - { timeoutSecs, tier, conferenceName, patientInfo } (conferenceName
+ *   and patientInfo are used when there is no conference record)
  * @returns {Promise<Object>} Doctor dial result
  */
-async function dialDoctorToConference(emergencyId, doctorPhone) {
+async function dialDoctorToConference(emergencyId, doctorPhone, options = {}) {
   try {
-    const conferenceInfo = activeConferences.get(emergencyId);
-    if (!conferenceInfo) {
+    const conferenceInfo = await findConference(emergencyId);
+    const conferenceName = conferenceInfo?.name || options.conferenceName;
+    if (!conferenceName) {
       throw new Error(`Conference not found: ${emergencyId}`);
     }
-    
-    console.log(`👨‍⚕️ Dialing emergency doctor: ${doctorPhone}`);
-    console.log(`🎪 Conference: ${conferenceInfo.name}`);
-    
-    // Dial the doctor and add to conference
+
+    logger.info(`👨‍⚕️ Dialing emergency doctor: ${doctorPhone}`);
+    logger.info(`🎪 Conference: ${conferenceName}`);
+
+    // Dial the doctor with answering machine detection. The leg joins the
+    // conference only once a person is detected (joinDoctorToConference), so
+    // a voicemail greeting never reaches the patient or stops the ladder.
     const doctorDialResult = await telnyxHelper.dialNumber({
       to: doctorPhone,
       from: process.env.TELNYX_PHONE_NUMBER,
       connection_id: process.env.TELNYX_CONNECTION_ID,
-      timeout_secs: 30,
-      conference_config: {
-        conference_name: conferenceInfo.name,
-        start_conference_on_enter: true, // Start conference when doctor joins
-        start_conference_on_create: true,
-        mute: false,
-        hold: false,
-        supervisor_role: "barge", // Doctor can hear and speak to everyone
-        beep_enabled: "on_enter",
-        end_conference_on_exit: true // End conference when doctor leaves
-      },
+      timeout_secs: options.timeoutSecs || 30,
+      answering_machine_detection: 'detect',
       // Add client state to identify this as a doctor call
-      client_state: Buffer.from(JSON.stringify({
+      client_state: encodeClientState({
         type: 'emergency_doctor',
         emergencyId: emergencyId,
-        patientInfo: conferenceInfo.emergencyInfo
-      })).toString('base64')
+        tier: options.tier,
+        patientInfo: conferenceInfo?.emergencyInfo || options.patientInfo || {}
+      })
     });
-    
+
     if (doctorDialResult.success) {
-      // Update conference info
-      conferenceInfo.participants.push({
-        type: 'doctor',
-        phone: doctorPhone,
-        callControlId: doctorDialResult.call_control_id,
-        joinedAt: new Date().toISOString(),
-        role: 'moderator'
+      // Remember the leg so its conference events are recognized as the doctor's
+      await getConferenceRepository().update(emergencyId, (conference) => conference ? {
+        ...conference,
+        participants: [...conference.participants, {
+          type: PARTICIPANT_ROLE.DOCTOR,
+          phone: doctorPhone,
+          callControlId: doctorDialResult.call_control_id,
+          dialedAt: new Date().toISOString(),
+          role: 'moderator'
+        }],
+        updatedAt: new Date().toISOString()
+      } : undefined);
+
+      await emergencyStore.recordEmergencyStatus(emergencyId, EMERGENCY_STATUS.DOCTOR_NOTIFIED, {
+        doctorPhone: doctorPhone,
+        channel: 'voice',
+        doctorCallControlId: doctorDialResult.call_control_id,
+        ...(options.tier !== undefined ? { escalationTier: options.tier } : {})
       });
-      
-      conferenceInfo.doctorNotified = true;
-      
-      console.log(`✅ Doctor dialed successfully: ${doctorDialResult.call_control_id}`);
-      console.log(`🎪 Doctor will join conference: ${conferenceInfo.name}`);
+
+      logger.info(`✅ Doctor dialed successfully: ${doctorDialResult.call_control_id}`);
+      logger.info(`🎪 Doctor will join conference once answered: ${conferenceName}`);
     }
-    
+
     return doctorDialResult;
-    
+
   } catch (error) {
-    console.error('❌ Error dialing doctor to conference:', error);
+    logger.error('❌ Error dialing doctor to conference:', error);
     return {
       success: false,
       error: error.message
@@ -199,35 +230,190 @@ async function dialDoctorToConference(emergencyId, doctorPhone) {
   }
 }
 
+/**
+ * Join an answered doctor leg to the emergency conference, once answering
+ * machine detection says a person picked up
+ * @param {string} emergencyId - Emergency ID
+ * @param {string} callControlId - Doctor's call control ID
+ * @param {Object} options - { tier, conferenceName } (conferenceName is used
+ *   when there is no conference record)
+ * @returns {Promise<Object>} Join result
+ */
+async function joinDoctorToConference(emergencyId, callControlId, options = {}) {
+  const conferenceInfo = await findConference(emergencyId);
+  const conferenceName = conferenceInfo?.name || options.conferenceName;
+  if (!conferenceName) {
+    throw new Error(`Conference not found: ${emergencyId}`);
+  }
+
+  const result = await telnyxHelper.startConference(callControlId, conferenceName, {
+    startConferenceOnEnter: true, // Take the patient off hold
+    endConferenceOnExit: true, // End conference when doctor leaves
+    supervisorRole: 'barge', // Doctor can hear and speak to everyone
+    beepEnabled: 'on_enter',
+    clientState: encodeClientState({
+      type: 'emergency_doctor',
+      emergencyId: emergencyId,
+      tier: options.tier
+    })
+  });
+
+  logger.info(`🎪 Doctor joining conference: ${conferenceName}`);
+  return result;
+}
+
 /**
  * Get active emergency conferences
- * @returns {Array} List of active conferences
+ * @returns {Promise<Array>} Conferences that have not ended
  */
-function getActiveConferences() {
-  return Array.from(activeConferences.values()).filter(conf => conf.status === 'active');
+async function getActiveConferences() {
+  const { data } = await getConferenceRepository().query();
+  return data.map(record => record.data).filter(conference => conference.state !== CONFERENCE_STATE.ENDED);
 }
 
 /**
  * Find conference by emergency ID
  * @param {string} emergencyId - Emergency ID
- * @returns {Object|null} Conference info
+ * @returns {Promise<Object|null>} Conference info
  */
-function findConference(emergencyId) {
-  return activeConferences.get(emergencyId) || null;
+async function findConference(emergencyId) {
+  const record = await getConferenceRepository().get(emergencyId);
+  return record ? record.data : null;
 }
 
 /**
  * Find conference by name
  * @param {string} conferenceName - Conference name
- * @returns {Object|null} Conference info
+ * @returns {Promise<Object|null>} Conference info
+ */
+async function findConferenceByName(conferenceName) {
+  const { data } = await getConferenceRepository().query({ text: conferenceName });
+  const match = data.find(record => record.data.name === conferenceName);
+  return match ? match.data : null;
+}
+
+/**
+ * Find the conference a webhook belongs to: by client state, or else by the
+ * Telnyx conference ID or a participant's call control ID
+ */
+async function findConferenceForEvent(payload, clientState) {
+  if (clientState?.emergencyId) {
+    return await findConference(clientState.emergencyId);
+  }
+
+  const active = await getActiveConferences();
+  return active.find(conference =>
+    (payload.conference_id && conference.conferenceId === payload.conference_id) ||
+    (payload.call_control_id && (conference.patientCallControlId === payload.call_control_id ||
+      conference.participants.some(participant => participant.callControlId === payload.call_control_id)))) || null;
+}
+
+/**
+ * Hang up the patient and every doctor leg still on a conference
+ * @param {Object} conference - Conference record
+ * @returns {Promise<number>} Legs hung up
+ */
+async function hangUpAll(conference) {
+  const legs = [
+    { type: PARTICIPANT_ROLE.PATIENT, callControlId: conference.patientCallControlId },
+    ...conference.participants.filter(participant => participant.type !== PARTICIPANT_ROLE.PATIENT)
+  ].filter((leg, index, all) => leg.callControlId && !leg.leftAt &&
+    all.findIndex(other => other.callControlId === leg.callControlId) === index);
+
+  await Promise.all(legs.map(async (leg) => {
+    try {
+      await telnyxHelper.hangupCall(leg.callControlId);
+      logger.info(`📞 Hung up ${leg.type}: ${leg.callControlId}`);
+    } catch (error) {
+      logger.error(`❌ Error hanging up ${leg.type}:`, error);
+    }
+  }));
+
+  return legs.length;
+}
+
+/**
+ * Carry out one side effect requested by the state machine
+ * @param {Object} conference - Conference record after the transition
+ * @param {Object} action - { type, ... }
+ */
+async function runAction(conference, action) {
+  try {
+    switch (action.type) {
+      case ACTION.JOIN_PATIENT:
+        await joinPatient(conference);
+        break;
+
+      case ACTION.START_ESCALATION:
+        await startEscalation(conference.id, {
+          conferenceName: conference.name,
+          patient: {
+            name: conference.emergencyInfo.name,
+            phone: conference.patientPhone,
+            reason: conference.emergencyInfo.symptoms
+          },
+          patientInfo: conference.emergencyInfo
+        });
+        break;
+
+      case ACTION.STOP_ESCALATION:
+        await stopEscalation(conference.id, { doctorPhone: action.phone, callControlId: action.callControlId, reason: 'joined' });
+        break;
+
+      case ACTION.CANCEL_ESCALATION:
+        await cancelEscalation(conference.id, action.reason);
+        break;
+
+      case ACTION.HANG_UP_ALL:
+        await hangUpAll(conference);
+        break;
+
+      case ACTION.RECORD_STATUS:
+        await emergencyStore.recordEmergencyStatus(conference.id, action.status, action.details);
+        break;
+
+      default:
+        logger.warn(`⚠️ Unknown conference action: ${action.type}`);
+    }
+  } catch (error) {
+    logger.error(`❌ Error running conference action ${action.type}:`, error);
+  }
+}
+
+/**
+ * Feed one event to a conference's state machine, persist the result and run
+ * the actions it asks for
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} event - { type, callControlId, conferenceId, role, phone }
+ * @returns {Promise<Object|null>} Conference record after the event
  */
-function findConferenceByName(conferenceName) {
-  for (const [id, conference] of activeConferences.entries()) {
-    if (conference.name === conferenceName) {
-      return conference;
+async function applyConferenceEvent(emergencyId, event) {
+  let outcome = null;
+  let previousState = null;
+
+  const record = await getConferenceRepository().update(emergencyId, (conference) => {
+    if (!conference) {
+      return undefined;
     }
+    previousState = conference.state;
+    outcome = transition(conference, event);
+    return outcome.changed ? outcome.conference : undefined;
+  });
+
+  if (!outcome) {
+    return null;
+  }
+
+  if (record.data.state !== previousState) {
+    logger.info(`🎪 Conference ${emergencyId}: ${previousState} → ${record.data.state} (${event.type})`);
+  }
+
+  for (const action of outcome.actions) {
+    await runAction(record.data, action);
   }
-  return null;
+
+  // Actions can move the conference on again (joinPatient applies conference.created)
+  return outcome.actions.length > 0 ? await findConference(emergencyId) : record.data;
 }
 
 /**
@@ -237,45 +423,75 @@ function findConferenceByName(conferenceName) {
  */
 async function endEmergencyConference(emergencyId) {
   try {
-    const conferenceInfo = activeConferences.get(emergencyId);
+    const conferenceInfo = await findConference(emergencyId);
     if (!conferenceInfo) {
       throw new Error(`Conference not found: ${emergencyId}`);
     }
-    
-    console.log(`🎪 Ending emergency conference: ${conferenceInfo.name}`);
-    
-    // Hangup all participants
-    const hangupPromises = conferenceInfo.participants.map(async (participant) => {
+
+    logger.info(`🎪 Ending emergency conference: ${conferenceInfo.name}`);
+
+    const participantsHungUp = await hangUpAll(conferenceInfo);
+    await applyConferenceEvent(emergencyId, { type: 'conference.ended' });
+
+    return {
+      success: true,
+      emergencyId: emergencyId,
+      participantsHungUp: participantsHungUp
+    };
+
+  } catch (error) {
+    logger.error('❌ Error ending emergency conference:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Take the patient out of an emergency conference and transfer them to
+ * another doctor. The conference is ended on our side first, so the legs
+ * leaving it are not mistaken for the patient hanging up.
+ * @param {string} emergencyId - Emergency ID
+ * @param {string} doctorPhone - Doctor to transfer to
+ * @returns {Promise<Object>} Transfer result
+ */
+async function transferEmergencyConference(emergencyId, doctorPhone) {
+  try {
+    const conferenceInfo = await findConference(emergencyId);
+    if (!conferenceInfo || conferenceInfo.state === CONFERENCE_STATE.ENDED) {
+      throw new Error(`No live conference for emergency: ${emergencyId}`);
+    }
+
+    logger.info(`🔀 Transferring patient out of conference ${conferenceInfo.name} to another doctor`);
+
+    await applyConferenceEvent(emergencyId, { type: 'conference.ended' });
+
+    const doctorLegs = conferenceInfo.participants.filter(participant =>
+      participant.type === PARTICIPANT_ROLE.DOCTOR && participant.callControlId && !participant.leftAt);
+    await Promise.all(doctorLegs.map(async (leg) => {
       try {
-        if (participant.callControlId) {
-          await telnyxHelper.hangupCall(participant.callControlId);
-          console.log(`📞 Hung up ${participant.type}: ${participant.phone}`);
-        }
+        await telnyxHelper.hangupCall(leg.callControlId);
       } catch (error) {
-        console.error(`❌ Error hanging up ${participant.type}:`, error);
+        logger.error('❌ Error hanging up doctor before transfer:', error);
       }
+    }));
+
+    await telnyxHelper.transferCall(conferenceInfo.patientCallControlId, {
+      to: doctorPhone,
+      from: process.env.TELNYX_PHONE_NUMBER,
+      client_state: encodeClientState({ type: 'emergency_transfer', emergencyId }),
+      command_id: `transfer-${emergencyId}-${Date.now()}`
     });
-    
-    await Promise.all(hangupPromises);
-    
-    // Update conference status
-    conferenceInfo.status = 'ended';
-    conferenceInfo.endedAt = new Date().toISOString();
-    
-    // Clean up after 1 hour
-    setTimeout(() => {
-      activeConferences.delete(emergencyId);
-      console.log(`🗑️ Cleaned up conference data: ${emergencyId}`);
-    }, 60 * 60 * 1000);
-    
+
     return {
       success: true,
       emergencyId: emergencyId,
-      participantsHungUp: conferenceInfo.participants.length
+      callControlId: conferenceInfo.patientCallControlId
     };
-    
+
   } catch (error) {
-    console.error('❌ Error ending emergency conference:', error);
+    logger.error('❌ Error transferring emergency conference:', error);
     return {
       success: false,
       error: error.message
@@ -284,121 +500,88 @@ async function endEmergencyConference(emergencyId) {
 }
 
 /**
- * Handle conference participant events
- * @param {Object} eventData - Conference event data
- * @returns {Object} Event handling result
+ * Handle conference and conference-leg events (call.speak.ended,
+ * conference.created, conference.participant.joined/left, call.answered,
+ * call.hangup, conference.ended)
+ * @param {Object} eventData - { event_type, payload }
+ * @returns {Promise<Object>} Event handling result
  */
 async function handleConferenceEvent(eventData) {
   try {
     const { event_type, payload } = eventData;
-    
-    console.log(`🎪 Conference event: ${event_type}`, payload);
-    
-    // Extract emergency info from client state if available
-    let emergencyInfo = null;
-    if (payload.client_state) {
-      try {
-        const clientState = JSON.parse(Buffer.from(payload.client_state, 'base64').toString());
-        emergencyInfo = clientState;
-      } catch (error) {
-        console.error('❌ Error parsing client state:', error);
+
+    logger.info(`🎪 Conference event: ${event_type}`, payload);
+
+    const clientState = parseClientState(payload.client_state);
+
+    // Unanswered and voicemail doctor calls move the escalation ladder on;
+    // a doctor joining the conference stops it
+    if (clientState && clientState.type === 'emergency_doctor') {
+      const escalation = await handleEscalationEvent(event_type, payload, clientState);
+      if (escalation.handled && escalation.action !== 'connected') {
+        return { success: true, event_type: event_type, escalation: escalation.action };
       }
     }
-    
-    switch (event_type) {
-      case 'call.answered':
-        if (emergencyInfo && emergencyInfo.type === 'emergency_doctor') {
-          console.log(`👨‍⚕️ Emergency doctor answered: ${payload.from}`);
-          console.log(`🎪 Joining conference for emergency: ${emergencyInfo.emergencyId}`);
-          
-          // Doctor will automatically join conference due to conference_config
-          // Conference will start when doctor enters
-        }
-        break;
-        
-      case 'call.hangup':
-        if (emergencyInfo && emergencyInfo.type === 'emergency_doctor') {
-          console.log(`👨‍⚕️ Emergency doctor hung up: ${payload.from}`);
-          
-          // End the conference since doctor left
-          if (emergencyInfo.emergencyId) {
-            await endEmergencyConference(emergencyInfo.emergencyId);
-          }
-        }
-        break;
-        
-      default:
-        console.log(`🎪 Unhandled conference event: ${event_type}`);
+
+    const conference = await findConferenceForEvent(payload, clientState);
+    if (!conference) {
+      logger.info(`🎪 No emergency conference for event: ${event_type}`);
+      return { success: true, event_type: event_type, state: null };
     }
-    
-    return { success: true, event_type: event_type };
-    
+
+    const role = clientState?.type === 'emergency_doctor' ? PARTICIPANT_ROLE.DOCTOR
+      : clientState?.type === 'emergency_patient' ? PARTICIPANT_ROLE.PATIENT
+      : undefined;
+
+    const updated = await applyConferenceEvent(conference.id, {
+      type: event_type,
+      callControlId: payload.call_control_id,
+      conferenceId: payload.conference_id,
+      role: role,
+      phone: role === PARTICIPANT_ROLE.DOCTOR ? payload.to : payload.from
+    });
+
+    return { success: true, event_type: event_type, state: updated ? updated.state : conference.state };
+
   } catch (error) {
-    console.error('❌ Error handling conference event:', error);
+    logger.error('❌ Error handling conference event:', error);
     return { success: false, error: error.message };
   }
 }
 
 /**
  * Create emergency conference flow (main function)
- * @param {string} patientCallControlId - Patient's call control ID  
+ * @param {string} patientCallControlId - Patient's call control ID
  * @param {string} patientPhone - Patient's phone number
  * @param {Object} emergencyInfo - Emergency information
  * @returns {Promise<Object>} Complete emergency conference result
  */
 async function initiateEmergencyConference(patientCallControlId, patientPhone, emergencyInfo) {
   try {
-    console.log('🚨 INITIATING EMERGENCY CONFERENCE PROTOCOL');
-    console.log(`👤 Patient: ${emergencyInfo.name || 'Unknown'} (${patientPhone})`);
-    console.log(`🩺 Emergency: ${emergencyInfo.symptoms || 'Not specified'}`);
-    
-    // Step 1: Create conference and add patient
+    logger.info('🚨 INITIATING EMERGENCY CONFERENCE PROTOCOL', {
+      name: emergencyInfo.name || 'Unknown',
+      phone: patientPhone,
+      symptoms: emergencyInfo.symptoms || 'Not specified'
+    });
+
+    // The rest is event-driven: once the patient is waiting in the conference
+    // the escalation ladder pages doctors until one joins
     const conferenceResult = await createEmergencyConference(patientCallControlId, patientPhone, emergencyInfo);
-    
+
     if (!conferenceResult.success) {
       throw new Error(`Failed to create conference: ${conferenceResult.error}`);
     }
-    
-    const { emergencyId, conferenceName } = conferenceResult;
-    
-    // Step 2: Determine which doctor to call
-    const currentHour = new Date().getHours();
-    const isNightTime = currentHour < 8 || currentHour > 18;
-    
-    let doctorPhone;
-    if (isNightTime) {
-      doctorPhone = process.env.NIGHT_EMERGENCY_DOCTOR || process.env.PRIMARY_EMERGENCY_DOCTOR;
-    } else {
-      doctorPhone = process.env.PRIMARY_EMERGENCY_DOCTOR;
-    }
-    
-    console.log(`👨‍⚕️ Selected doctor: ${doctorPhone} (${isNightTime ? 'night' : 'day'} hours)`);
-    
-    // Step 3: Dial doctor to conference
-    const doctorResult = await dialDoctorToConference(emergencyId, doctorPhone);
-    
-    // Step 4: Try backup doctor if primary doesn't answer (after timeout)
-    if (!doctorResult.success) {
-      console.log('⚠️ Primary doctor unavailable, trying backup...');
-      
-      const backupDoctor = process.env.BACKUP_EMERGENCY_DOCTOR;
-      if (backupDoctor && backupDoctor !== doctorPhone) {
-        const backupResult = await dialDoctorToConference(emergencyId, backupDoctor);
-        doctorResult.backupAttempt = backupResult;
-      }
-    }
-    
+
     return {
       success: true,
-      emergencyId: emergencyId,
-      conferenceName: conferenceName,
+      emergencyId: conferenceResult.emergencyId,
+      conferenceName: conferenceResult.conferenceName,
       conferenceInfo: conferenceResult.conferenceInfo,
-      doctorDialResult: doctorResult,
       message: 'Emergency conference initiated successfully'
     };
-    
+
   } catch (error) {
-    console.error('❌ Error initiating emergency conference:', error);
+    logger.error('❌ Error initiating emergency conference:', error);
     return {
       success: false,
       error: error.message
@@ -410,10 +593,13 @@ module.exports = {
   createEmergencyConference,
   addPatientToConference,
   dialDoctorToConference,
+  joinDoctorToConference,
   getActiveConferences,
   findConference,
   findConferenceByName,
+  applyConferenceEvent,
   endEmergencyConference,
+  transferEmergencyConference,
   handleConferenceEvent,
   initiateEmergencyConference
-}; 
\ No newline at end of file
+};
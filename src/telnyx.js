@@ -1,6 +1,8 @@
 require('dotenv').config();
 const axios = require('axios');
 const { saveAudioFile, textToSpeech } = require('./tts');
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('telnyx');
 
 // Initialize Telnyx configuration
 const apiKey = process.env.TELNYX_API_KEY;
@@ -35,7 +37,7 @@ async function sendSMS(to, message) {
     // Check if SMS is enabled
     const smsEnabled = process.env.ENABLE_SMS_NOTIFICATIONS === 'true';
     if (!smsEnabled) {
-      console.log('📱 SMS disabled - skipping SMS to:', to);
+      logger.info('📱 SMS disabled - skipping SMS to:', to);
       return { status: 'disabled', message: 'SMS notifications disabled' };
     }
 
@@ -46,18 +48,18 @@ async function sendSMS(to, message) {
       messaging_profile_id: messagingProfileId
     });
 
-    console.log(`📱 SMS sent to ${to}: ${response.data.data.id}`);
+    logger.info(`📱 SMS sent to ${to}: ${response.data.data.id}`);
     return response.data.data;
   } catch (error) {
-    console.error('❌ SMS Error:', error.response?.data || error.message);
+    logger.error('❌ SMS Error:', error.response?.data || error.message);
     
     // Handle specific Telnyx errors
     if (error.response?.status === 401) {
-      console.error('🔐 Telnyx authentication failed - check your API_KEY');
+      logger.error('🔐 Telnyx authentication failed - check your API_KEY');
     } else if (error.response?.status === 422) {
-      console.error('📵 SMS validation error - check phone number format:', to);
+      logger.error('📵 SMS validation error - check phone number format:', to);
     } else if (error.response?.status === 403) {
-      console.error('🚫 Permission denied for SMS to:', to);
+      logger.error('🚫 Permission denied for SMS to:', to);
     }
     
     // Don't throw error - continue without SMS
@@ -80,10 +82,10 @@ async function makeCall(to, webhookUrl) {
       webhook_url: webhookUrl || `${BASE_URL}/webhook/call`
     });
 
-    console.log(`📞 Call initiated to ${to}: ${response.data.data.call_control_id}`);
+    logger.info(`📞 Call initiated to ${to}: ${response.data.data.call_control_id}`);
     return response.data.data;
   } catch (error) {
-    console.error('❌ Error making call:', error.response?.data || error.message);
+    logger.error('❌ Error making call:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -96,10 +98,10 @@ async function makeCall(to, webhookUrl) {
 async function answerCall(callControlId) {
   try {
     const response = await telnyxApi.post(`/calls/${callControlId}/actions/answer`);
-    console.log(`✅ Call answered: ${callControlId}`);
+    logger.info(`✅ Call answered: ${callControlId}`);
     return response.data.data;
   } catch (error) {
-    console.error('❌ Error answering call:', error.response?.data || error.message);
+    logger.error('❌ Error answering call:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -112,10 +114,10 @@ async function answerCall(callControlId) {
 async function hangupCall(callControlId) {
   try {
     const response = await telnyxApi.post(`/calls/${callControlId}/actions/hangup`);
-    console.log(`📞 Call hung up: ${callControlId}`);
+    logger.info(`📞 Call hung up: ${callControlId}`);
     return response.data.data;
   } catch (error) {
-    console.error('❌ Error hanging up call:', error.response?.data || error.message);
+    logger.error('❌ Error hanging up call:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -124,7 +126,7 @@ async function hangupCall(callControlId) {
  * Speak text using Telnyx TTS
  * @param {string} callControlId - Call control ID
  * @param {string} text - Text to speak
- * @param {Object} options - TTS options
+ * @param {Object} options - TTS options ({ voice, language, clientState })
  * @returns {Promise<Object>} Response object
  */
 async function speakText(callControlId, text, options = {}) {
@@ -132,12 +134,13 @@ async function speakText(callControlId, text, options = {}) {
     const response = await telnyxApi.post(`/calls/${callControlId}/actions/speak`, {
       payload: text,
       voice: options.voice || 'Telnyx.KokoroTTS.af_heart',
-      language: options.language || 'en-US'
+      language: options.language || 'en-US',
+      ...(options.clientState ? { client_state: options.clientState } : {})
     });
-    console.log(`🎵 Speaking text on call: ${callControlId}`);
+    logger.info(`🎵 Speaking text on call: ${callControlId}`);
     return response.data.data;
   } catch (error) {
-    console.error('❌ Error speaking text:', error.response?.data || error.message);
+    logger.error('❌ Error speaking text:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -153,10 +156,10 @@ async function playAudio(callControlId, audioUrl) {
     const response = await telnyxApi.post(`/calls/${callControlId}/actions/playback_start`, {
       audio_url: audioUrl
     });
-    console.log(`🎵 Playing audio on call: ${callControlId}`);
+    logger.info(`🎵 Playing audio on call: ${callControlId}`);
     return response.data.data;
   } catch (error) {
-    console.error('❌ Error playing audio:', error.response?.data || error.message);
+    logger.error('❌ Error playing audio:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -164,7 +167,7 @@ async function playAudio(callControlId, audioUrl) {
 /**
  * Start gather (collect user input) on call
  * @param {string} callControlId - Call control ID
- * @param {Object} options - Gather options
+ * @param {Object} options - Gather options ({ text, minimumDigits, maximumDigits, timeoutMillis, ..., clientState })
  * @returns {Promise<Object>} Response object
  */
 async function startGather(callControlId, options = {}) {
@@ -181,12 +184,13 @@ async function startGather(callControlId, options = {}) {
       ...gatherOptions,
       payload: options.text || 'Please enter your response',
       voice: options.voice || 'Telnyx.KokoroTTS.af_heart',
-      language: options.language || 'en-US'
+      language: options.language || 'en-US',
+      ...(options.clientState ? { client_state: options.clientState } : {})
     });
-    console.log(`📞 Started gather on call: ${callControlId}`);
+    logger.info(`📞 Started gather on call: ${callControlId}`);
     return response.data.data;
   } catch (error) {
-    console.error('❌ Error starting gather:', error.response?.data || error.message);
+    logger.error('❌ Error starting gather:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -199,7 +203,7 @@ async function startGather(callControlId, options = {}) {
  */
 async function transferCall(callControlId, config) {
   try {
-    console.log(`📞 Transferring call ${callControlId} with recording`);
+    logger.info(`📞 Transferring call ${callControlId} with recording`);
     
     const transferPayload = {
       to: config.to,
@@ -217,17 +221,17 @@ async function transferCall(callControlId, config) {
       }
     };
 
-    console.log(`📝 Transfer payload:`, JSON.stringify(transferPayload, null, 2));
+    logger.info(`📝 Transfer payload:`, transferPayload);
 
     const response = await telnyxApi.post(
       `/calls/${callControlId}/actions/transfer`,
       transferPayload
     );
     
-    console.log(`✅ Transfer initiated with recording:`, response.data);
+    logger.info(`✅ Transfer initiated with recording:`, response.data);
     return response.data;
   } catch (error) {
-    console.error('❌ Error transferring call:', error);
+    logger.error('❌ Error transferring call:', error);
     throw error;
   }
 }
@@ -236,7 +240,7 @@ async function transferCall(callControlId, config) {
  * Start conference call
  * @param {string} callControlId - Call control ID
  * @param {string} conferenceName - Conference name
- * @param {Object} options - Conference options
+ * @param {Object} options - Conference options ({ startConferenceOnEnter, endConferenceOnExit, holdAudioUrl, muted, supervisorRole, beepEnabled, clientState })
  * @returns {Promise<Object>} Response object
  */
 async function startConference(callControlId, conferenceName, options = {}) {
@@ -246,12 +250,40 @@ async function startConference(callControlId, conferenceName, options = {}) {
       start_conference_on_enter: options.startConferenceOnEnter !== false,
       end_conference_on_exit: options.endConferenceOnExit || false,
       hold_audio_url: options.holdAudioUrl || null,
-      muted: options.muted || false
+      muted: options.muted || false,
+      ...(options.supervisorRole ? { supervisor_role: options.supervisorRole } : {}),
+      ...(options.beepEnabled ? { beep_enabled: options.beepEnabled } : {}),
+      ...(options.clientState ? { client_state: options.clientState } : {})
+    });
+    logger.info(`🎙️ Joined conference ${conferenceName}: ${callControlId}`);
+    return response.data.data;
+  } catch (error) {
+    logger.error('❌ Error starting conference:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a conference with an existing call as its first participant
+ * @param {string} callControlId - Call that starts the conference
+ * @param {string} conferenceName - Conference name
+ * @param {Object} options - { holdAudioUrl, startConferenceOnCreate, beepEnabled, clientState }
+ * @returns {Promise<Object>} Conference object (id, name, ...)
+ */
+async function createConference(callControlId, conferenceName, options = {}) {
+  try {
+    const response = await telnyxApi.post('/conferences', {
+      call_control_id: callControlId,
+      name: conferenceName,
+      start_conference_on_create: options.startConferenceOnCreate !== false,
+      beep_enabled: options.beepEnabled || 'on_enter',
+      ...(options.holdAudioUrl ? { hold_audio_url: options.holdAudioUrl } : {}),
+      ...(options.clientState ? { client_state: options.clientState } : {})
     });
-    console.log(`🎙️ Joined conference ${conferenceName}: ${callControlId}`);
+    logger.info(`🎪 Created conference ${conferenceName}: ${response.data.data.id}`);
     return response.data.data;
   } catch (error) {
-    console.error('❌ Error starting conference:', error.response?.data || error.message);
+    logger.error('❌ Error creating conference:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -267,7 +299,7 @@ async function startConference(callControlId, conferenceName, options = {}) {
 async function generateVoiceResponse(callControlId, message, options = {}, ttsOptions = {}) {
   // Validate and clean the message
   if (!message || typeof message !== 'string') {
-    console.error('Invalid message for TTS:', message);
+    logger.error('Invalid message for TTS:', message);
     message = 'I apologize, but I\'m having trouble processing your request.';
   }
 
@@ -276,7 +308,7 @@ async function generateVoiceResponse(callControlId, message, options = {}, ttsOp
 
   try {
     // Try ElevenLabs TTS first
-    console.log(`Generating TTS for: "${cleanMessage.substring(0, 100)}${cleanMessage.length > 100 ? '...' : ''}"`);
+    logger.info(`Generating TTS for ${cleanMessage.length} characters`);
     
     const audioBuffer = await textToSpeech(cleanMessage, {
       stability: ttsOptions.stability || 0.6,
@@ -313,7 +345,7 @@ async function generateVoiceResponse(callControlId, message, options = {}, ttsOp
     
   } catch (error) {
     // Fall back to Telnyx's built-in voice
-    console.log('🎵 Using Telnyx built-in voice as fallback');
+    logger.info('🎵 Using Telnyx built-in voice as fallback');
     
     if (options.gather) {
       return await startGather(callControlId, {
@@ -336,7 +368,7 @@ async function getCallDetails(callControlId) {
     const response = await telnyxApi.get(`/calls/${callControlId}`);
     return response.data.data;
   } catch (error) {
-    console.error('❌ Error getting call details:', error.response?.data || error.message);
+    logger.error('❌ Error getting call details:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -486,7 +518,7 @@ async function executeInstructions(callControlId, instructionsJson) {
           break;
           
         default:
-          console.warn(`Unknown command: ${action.command}`);
+          logger.warn(`Unknown command: ${action.command}`);
       }
       
       if (result) {
@@ -496,7 +528,7 @@ async function executeInstructions(callControlId, instructionsJson) {
 
     return { success: true, results };
   } catch (error) {
-    console.error('❌ Error executing instructions:', error);
+    logger.error('❌ Error executing instructions:', error);
     throw error;
   }
 }
@@ -532,11 +564,11 @@ async function startAIAssistant(callControlId, options = {}) {
       ...recordingConfig
     });
     
-    console.log(`🤖 AI Assistant started with recording for call: ${callControlId}`);
+    logger.info(`🤖 AI Assistant started with recording for call: ${callControlId}`);
     return response.data.data;
     
   } catch (error) {
-    console.error('❌ Error starting AI Assistant:', error.response?.data || error.message);
+    logger.error('❌ Error starting AI Assistant:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -555,11 +587,11 @@ async function stopAIAssistant(callControlId, options = {}) {
       command_id: options.commandId || null
     });
     
-    console.log(`🤖 AI Assistant stopped for call: ${callControlId}`);
+    logger.info(`🤖 AI Assistant stopped for call: ${callControlId}`);
     return response.data.data;
     
   } catch (error) {
-    console.error('❌ Error stopping AI Assistant:', error.response?.data || error.message);
+    logger.error('❌ Error stopping AI Assistant:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -587,12 +619,12 @@ async function configureAssistantGatherTool(assistantId, gatherSchema) {
     };
 
     const response = await telnyxApi.patch(`/ai/assistants/${assistantId}`, toolConfig);
-    console.log(`🤖 Assistant configured with GatherUsingAI tool: ${assistantId}`);
+    logger.info(`🤖 Assistant configured with GatherUsingAI tool: ${assistantId}`);
     return response.data.data;
     
   } catch (error) {
-    console.error('❌ Error configuring Assistant tool:', error.response?.data || error.message);
-    console.error(`Status: ${error.response?.status}, Assistant: ${assistantId}`);
+    logger.error('❌ Error configuring Assistant tool:', error.response?.data || error.message);
+    logger.error(`Status: ${error.response?.status}, Assistant: ${assistantId}`);
     throw error;
   }
 }
@@ -616,11 +648,11 @@ async function gatherUsingAI(callControlId, schema, options = {}) {
       command_id: options.commandId || null
     });
     
-    console.log(`🤖 AI Gather started for call: ${callControlId}`);
+    logger.info(`🤖 AI Gather started for call: ${callControlId}`);
     return response.data.data;
     
   } catch (error) {
-    console.error('❌ Error starting AI gather:', error.response?.data || error.message);
+    logger.error('❌ Error starting AI gather:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -635,8 +667,8 @@ async function updateAIContext(callControlId, context) {
   try {
     // For now, we can use the client_state to pass context
     // This is a placeholder - actual context update may need different approach
-    console.log(`🤖 AI Context update requested for call: ${callControlId}`);
-    console.log(`📋 Context:`, JSON.stringify(context, null, 2));
+    logger.info(`🤖 AI Context update requested for call: ${callControlId}`);
+    logger.info(`📋 Context:`, context);
     
     return { 
       status: 'context_logged', 
@@ -644,7 +676,7 @@ async function updateAIContext(callControlId, context) {
       context: context 
     };
   } catch (error) {
-    console.error('❌ Error updating AI context:', error);
+    logger.error('❌ Error updating AI context:', error);
     throw error;
   }
 }
@@ -656,10 +688,10 @@ async function updateAIContext(callControlId, context) {
 async function listAssistants() {
   try {
     const response = await telnyxApi.get('/ai/assistants');
-    console.log(`🤖 Listed ${response.data.data.length} assistants`);
+    logger.info(`🤖 Listed ${response.data.data.length} assistants`);
     return response.data.data;
   } catch (error) {
-    console.error('❌ Error listing assistants:', error.response?.data || error.message);
+    logger.error('❌ Error listing assistants:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -706,10 +738,10 @@ Always maintain a warm, professional tone and ensure the patient feels heard and
     };
 
     const response = await telnyxApi.post('/ai/assistants', config);
-    console.log(`🤖 Created new assistant: ${response.data.id}`);
+    logger.info(`🤖 Created new assistant: ${response.data.id}`);
     return response.data;
   } catch (error) {
-    console.error('❌ Error creating assistant:', error.response?.data || error.message);
+    logger.error('❌ Error creating assistant:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -722,14 +754,14 @@ Always maintain a warm, professional tone and ensure the patient feels heard and
 async function getAssistant(assistantId) {
   try {
     const response = await telnyxApi.get(`/ai/assistants/${assistantId}`);
-    console.log(`🤖 Retrieved assistant: ${assistantId}`);
+    logger.info(`🤖 Retrieved assistant: ${assistantId}`);
     return response.data; // Response is directly in data, not data.data
   } catch (error) {
     if (error.response?.status === 404) {
-      console.log(`🤖 Assistant not found: ${assistantId}`);
+      logger.info(`🤖 Assistant not found: ${assistantId}`);
       return null;
     }
-    console.error('❌ Error getting assistant:', error.response?.data || error.message);
+    logger.error('❌ Error getting assistant:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -742,13 +774,13 @@ async function getAssistant(assistantId) {
  */
 async function ensureAssistantConfigured(assistantId, gatherSchema) {
   try {
-    console.log(`🤖 Using existing assistant: ${assistantId}`);
+    logger.info(`🤖 Using existing assistant: ${assistantId}`);
     
     // Just get the assistant details, don't create
     let assistant = await getAssistant(assistantId);
     
     if (!assistant) {
-      console.error(`❌ Assistant not found: ${assistantId}`);
+      logger.error(`❌ Assistant not found: ${assistantId}`);
       return {
         success: false,
         error: 'Assistant not found',
@@ -756,15 +788,15 @@ async function ensureAssistantConfigured(assistantId, gatherSchema) {
       };
     }
     
-    console.log(`✅ Assistant found: ${assistant.name}`);
-    console.log(`📋 Model: ${assistant.model}`);
-    console.log(`📋 API Key Ref: ${assistant.llm_api_key_ref || 'Not set'}`);
-    console.log(`📋 Tools: ${assistant.tools?.length || 0} configured`);
+    logger.info(`✅ Assistant found: ${assistant.name}`);
+    logger.info(`📋 Model: ${assistant.model}`);
+    logger.info(`📋 API Key Ref: ${assistant.llm_api_key_ref || 'Not set'}`);
+    logger.info(`📋 Tools: ${assistant.tools?.length || 0} configured`);
     
     // Try to configure the GatherUsingAI tool (this may fail due to API endpoint issues)
     try {
       const configResult = await configureAssistantGatherTool(assistant.id, gatherSchema);
-      console.log(`✅ GatherUsingAI tool configured successfully`);
+      logger.info(`✅ GatherUsingAI tool configured successfully`);
       
       return {
         success: true,
@@ -774,8 +806,8 @@ async function ensureAssistantConfigured(assistantId, gatherSchema) {
         configResult: configResult
       };
     } catch (toolError) {
-      console.log(`⚠️ GatherUsingAI tool configuration failed, but assistant will work for conversations`);
-      console.log(`📋 Assistant is ready with OpenAI GPT-4o for natural dialogue`);
+      logger.info(`⚠️ GatherUsingAI tool configuration failed, but assistant will work for conversations`);
+      logger.info(`📋 Assistant is ready with OpenAI GPT-4o for natural dialogue`);
       
       // Return success even if tool configuration fails
       return {
@@ -789,7 +821,7 @@ async function ensureAssistantConfigured(assistantId, gatherSchema) {
     }
     
   } catch (error) {
-    console.error('❌ Error checking assistant configuration:', error);
+    logger.error('❌ Error checking assistant configuration:', error);
     return {
       success: false,
       error: error.message,
@@ -804,7 +836,7 @@ async function ensureAssistantConfigured(assistantId, gatherSchema) {
  */
 function updateAIAssistantId(newAssistantId) {
   aiAssistantId = newAssistantId;
-  console.log(`🤖 Updated AI Assistant ID to: ${aiAssistantId}`);
+  logger.info(`🤖 Updated AI Assistant ID to: ${aiAssistantId}`);
 }
 
 /**
@@ -834,7 +866,7 @@ async function dialNumber(dialOptions) {
     delete payload.connection_id;
     payload.connection_id = dialOptions.connection_id || connectionId;
     
-    console.log(`📞 Dialing ${dialOptions.to} with options:`, {
+    logger.info(`📞 Dialing ${dialOptions.to} with options:`, {
       to: dialOptions.to,
       from: payload.from,
       hasConferenceConfig: !!dialOptions.conference_config,
@@ -843,7 +875,7 @@ async function dialNumber(dialOptions) {
     
     const response = await telnyxApi.post('/calls', payload);
     
-    console.log(`📞 Call initiated to ${dialOptions.to}: ${response.data.data.call_control_id}`);
+    logger.info(`📞 Call initiated to ${dialOptions.to}: ${response.data.data.call_control_id}`);
     return {
       success: true,
       call_control_id: response.data.data.call_control_id,
@@ -852,7 +884,7 @@ async function dialNumber(dialOptions) {
       ...response.data.data
     };
   } catch (error) {
-    console.error('❌ Error dialing number:', error.response?.data || error.message);
+    logger.error('❌ Error dialing number:', error.response?.data || error.message);
     return {
       success: false,
       error: error.message,
@@ -876,7 +908,7 @@ async function configureAssistant(toolConfig) {
     
     return response.data;
   } catch (error) {
-    console.error('❌ Error configuring AI Assistant:', error);
+    logger.error('❌ Error configuring AI Assistant:', error);
     throw error;
   }
 }
@@ -890,7 +922,7 @@ async function configureAssistant(toolConfig) {
  */
 async function getRecordingSummaries(options = {}) {
   try {
-    console.log('📞 Fetching recordings from Telnyx API...');
+    logger.info('📞 Fetching recordings from Telnyx API...');
     
     // Build filter parameters
     const params = {};
@@ -911,7 +943,7 @@ async function getRecordingSummaries(options = {}) {
     const response = await telnyxApi.get('/recordings', { params });
     const recordings = response.data.data || [];
 
-    console.log(`Found ${recordings.length} recordings`);
+    logger.info(`Found ${recordings.length} recordings`);
 
     // Group recordings by call
     const groupedRecordings = {};
@@ -955,7 +987,7 @@ async function getRecordingSummaries(options = {}) {
     };
 
   } catch (error) {
-    console.error('❌ Error fetching recordings from Telnyx:', error.response?.data || error.message);
+    logger.error('❌ Error fetching recordings from Telnyx:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -967,7 +999,7 @@ async function getRecordingSummaries(options = {}) {
  */
 async function getConversationInsights(conversationId) {
   try {
-    console.log(`🔍 Fetching conversation insights for: ${conversationId}`);
+    logger.info(`🔍 Fetching conversation insights for: ${conversationId}`);
     
     const response = await telnyxApi.get(`/ai/conversations/${conversationId}/conversations-insights`, {
       headers: {
@@ -975,11 +1007,11 @@ async function getConversationInsights(conversationId) {
       }
     });
     
-    console.log(`✅ Retrieved insights for conversation: ${conversationId}`);
+    logger.info(`✅ Retrieved insights for conversation: ${conversationId}`);
     return response.data;
     
   } catch (error) {
-    console.error('❌ Error fetching conversation insights:', error.response?.data || error.message);
+    logger.error('❌ Error fetching conversation insights:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -992,7 +1024,7 @@ async function getConversationInsights(conversationId) {
  */
 async function startEmergencyDetection(callControlId, options = {}) {
   try {
-    console.log(`🚨 Starting real-time emergency detection for call: ${callControlId}`);
+    logger.info(`🚨 Starting real-time emergency detection for call: ${callControlId}`);
     
     const gatherConfig = {
       greeting: options.greeting || "How can I help you today?",
@@ -1028,7 +1060,7 @@ async function startEmergencyDetection(callControlId, options = {}) {
       })).toString('base64')
     };
 
-    console.log('📋 Emergency detection config:', JSON.stringify(gatherConfig, null, 2));
+    logger.info('📋 Emergency detection config:', gatherConfig);
 
     const response = await telnyxApi.post(
       `/calls/${callControlId}/actions/gather_using_ai`,
@@ -1041,11 +1073,11 @@ async function startEmergencyDetection(callControlId, options = {}) {
       }
     );
 
-    console.log(`✅ Emergency detection started for call: ${callControlId}`);
+    logger.info(`✅ Emergency detection started for call: ${callControlId}`);
     return response.data;
 
   } catch (error) {
-    console.error('❌ Error starting emergency detection:', error.response?.data || error.message);
+    logger.error('❌ Error starting emergency detection:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -1062,6 +1094,7 @@ module.exports = {
   startGather,
   transferCall,
   startConference,
+  createConference,
   generateVoiceResponse,
   getCallDetails,
   generateTwiML,
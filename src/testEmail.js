@@ -1,4 +1,6 @@
 const NodemailerComponent = require('./utils/nodemailerComponent');
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('testEmail');
 
 const mailer = new NodemailerComponent();
 
@@ -8,5 +10,5 @@ mailer.sendMail(
   'This is a test email sent from the NodemailerComponent we just created to the same email address.',
   '<h1>Test Email</h1><p>This is a test email sent from the NodemailerComponent we just created to the same email address.</p>'
 )
-  .then(info => console.log('Email sent successfully:', info))
-  .catch(error => console.error('Error sending email:', error));
+  .then(info => logger.info('Email sent successfully:', info))
+  .catch(error => logger.error('Error sending email:', error));
@@ -2,6 +2,8 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('tts');
 
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
 const ELEVENLABS_VOICE_ID = process.env.ELEVENLABS_VOICE_ID || 'pNInz6obpgDQGcFmaJgB'; // Default voice
@@ -13,7 +15,7 @@ const CACHE_ENABLED = process.env.TTS_CACHE_ENABLED === 'true';
 const audioCache = new Map();
 
 if (!ELEVENLABS_API_KEY) {
-  console.warn('Warning: ELEVENLABS_API_KEY not set. TTS functionality will be limited.');
+  logger.warn('Warning: ELEVENLABS_API_KEY not set. TTS functionality will be limited.');
 }
 
 /**
@@ -27,7 +29,7 @@ async function fastTextToSpeech(text, options = {}) {
   if (CACHE_ENABLED) {
     const cacheKey = `${text}_${JSON.stringify(options)}`;
     if (audioCache.has(cacheKey)) {
-      console.log('Using cached TTS audio');
+      logger.info('Using cached TTS audio');
       return audioCache.get(cacheKey);
     }
   }
@@ -51,7 +53,7 @@ async function fastTextToSpeech(text, options = {}) {
         use_speaker_boost: false // Disable for speed
       };
 
-      console.log(`Attempting ElevenLabs TTS (attempt ${attempt}/${maxRetries})`);
+      logger.info(`Attempting ElevenLabs TTS (attempt ${attempt}/${maxRetries})`);
 
       const response = await axios.post(
         `${ELEVENLABS_API_URL}/text-to-speech/${voiceId}`,
@@ -85,21 +87,21 @@ async function fastTextToSpeech(text, options = {}) {
         }
       }
 
-      console.log(`✅ Fast TTS generated successfully on attempt ${attempt} for text: "${text.substring(0, 50)}..."`);
+      logger.info(`✅ Fast TTS generated successfully on attempt ${attempt} (${text.length} characters)`);
       return audioBuffer;
 
     } catch (error) {
       lastError = error;
-      console.error(`❌ Fast TTS attempt ${attempt} failed:`, error.code || error.message);
+      logger.error(`❌ Fast TTS attempt ${attempt} failed:`, error.code || error.message);
       
       if (attempt < maxRetries) {
-        console.log(`🔄 Retrying in ${attempt * 500}ms...`);
+        logger.info(`🔄 Retrying in ${attempt * 500}ms...`);
         await new Promise(resolve => setTimeout(resolve, attempt * 500));
       }
     }
   }
 
-  console.error('❌ All ElevenLabs TTS attempts failed:', lastError.response?.data || lastError.message);
+  logger.error('❌ All ElevenLabs TTS attempts failed:', lastError.response?.data || lastError.message);
   throw lastError;
 }
 
@@ -112,22 +114,22 @@ async function fastTextToSpeech(text, options = {}) {
 async function textToSpeech(text, options = {}) {
   try {
     // First try ElevenLabs
-    console.log('🎵 Attempting ElevenLabs TTS...');
+    logger.info('🎵 Attempting ElevenLabs TTS...');
     return await fastTextToSpeech(text, options);
     
   } catch (error) {
-    console.error('❌ ElevenLabs TTS failed:', error.message);
+    logger.error('❌ ElevenLabs TTS failed:', error.message);
     
     // Check if it's an account issue
     if (error.code === 'ERR_BAD_REQUEST' || error.response?.status === 401) {
-      console.log('🚨 ElevenLabs account issue detected - falling back to Twilio voice');
+      logger.info('🚨 ElevenLabs account issue detected - falling back to Twilio voice');
       
       // Return null to trigger Twilio fallback in generateTwiML
       return null;
     }
     
     // For other errors, try the fallback method
-    console.log('🔄 Trying ElevenLabs fallback...');
+    logger.info('🔄 Trying ElevenLabs fallback...');
     return await fallbackTextToSpeech(text, options);
   }
 }
@@ -150,10 +152,10 @@ async function saveAudioFile(audioBuffer, filename) {
     const filePath = path.join(audioDir, filename);
     fs.writeFileSync(filePath, audioBuffer);
     
-    console.log(`Audio saved to: ${filePath}`);
+    logger.info(`Audio saved to: ${filePath}`);
     return filePath;
   } catch (error) {
-    console.error('Error saving audio file:', error);
+    logger.error('Error saving audio file:', error);
     throw error;
   }
 }
@@ -176,7 +178,7 @@ async function getVoices() {
 
     return response.data.voices;
   } catch (error) {
-    console.error('Error fetching voices:', error.response?.data || error.message);
+    logger.error('Error fetching voices:', error.response?.data || error.message);
     throw error;
   }
 }
@@ -235,11 +237,11 @@ function cleanupAudioFiles(maxAge = 24 * 60 * 60 * 1000) { // 24 hours default
       
       if (now - stats.mtime.getTime() > maxAge) {
         fs.unlinkSync(filePath);
-        console.log(`Cleaned up old audio file: ${file}`);
+        logger.info(`Cleaned up old audio file: ${file}`);
       }
     });
   } catch (error) {
-    console.error('Error cleaning up audio files:', error);
+    logger.error('Error cleaning up audio files:', error);
   }
 }
 
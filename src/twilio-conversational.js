@@ -2,7 +2,10 @@ const twilio = require('twilio');
 const ConversationalAI = require('./conversational-ai');
 const { sendReceptionistSummary } = require('./email');
 const config = require('./config');
+const { recordAudit } = require('./utils/auditLog');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('twilio-conversational');
 
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
@@ -57,14 +60,14 @@ class TwilioConversationalIntegration {
         if (process.env.ELEVENLABS_AGENT_ID) {
           this.conversationalAI.agentId = process.env.ELEVENLABS_AGENT_ID;
           this.agentCreated = true;
-          console.log('✅ Using existing conversational AI agent:', this.conversationalAI.agentId);
+          logger.info('✅ Using existing conversational AI agent:', this.conversationalAI.agentId);
         } else {
           await this.conversationalAI.createDentalReceptionistAgent();
           this.agentCreated = true;
-          console.log('✅ Conversational AI agent initialized');
+          logger.info('✅ Conversational AI agent initialized');
         }
       } catch (error) {
-        console.error('Failed to create conversational agent:', error);
+        logger.error('Failed to create conversational agent:', error);
         throw error;
       }
     }
@@ -114,7 +117,7 @@ class TwilioConversationalIntegration {
       return twiml;
 
     } catch (error) {
-      console.error('Error handling incoming call:', error);
+      logger.error('Error handling incoming call:', error);
       // Fallback to basic TTS if conversational AI fails
       return this.generateFallbackTwiML("I apologize, but I'm having technical difficulties. Please call back in a moment or if this is an emergency, call 911.");
     }
@@ -133,10 +136,10 @@ class TwilioConversationalIntegration {
       );
 
       conversationData.websocket = ws;
-      console.log(`🔗 WebSocket connected for call ${callSid}`);
+      logger.info(`🔗 WebSocket connected for call ${callSid}`);
 
     } catch (error) {
-      console.error('Error setting up WebSocket:', error);
+      logger.error('Error setting up WebSocket:', error);
     }
   }
 
@@ -192,7 +195,7 @@ class TwilioConversationalIntegration {
 
     if (emergencyAnalysis.isEmergency && !conversationData.emergencyDetected) {
       conversationData.emergencyDetected = true;
-      console.log(`🚨 Emergency detected in call ${callSid}: ${emergencyAnalysis.keywords.join(', ')}`);
+      logger.info(`🚨 Emergency detected in call ${callSid}: ${emergencyAnalysis.keywords.join(', ')}`);
 
       // Send immediate alert to emergency doctor
       const practiceSettings = config.getPracticeSettings();
@@ -257,10 +260,10 @@ class TwilioConversationalIntegration {
           twiml: `<Response><Say>Connecting you to our emergency doctor now.</Say><Dial><Conference>${conference.friendlyName}</Conference></Dial></Response>`
         });
 
-        console.log(`📞 Emergency call ${callSid} transferred to doctor conference ${conference.sid}`);
+        logger.info(`📞 Emergency call ${callSid} transferred to doctor conference ${conference.sid}`);
       }
     } catch (error) {
-      console.error('Error connecting to emergency doctor:', error);
+      logger.error('Error connecting to emergency doctor:', error);
     }
   }
 
@@ -333,10 +336,10 @@ Call ID: ${callSid}`;
           to: emergencyDoctor
         });
 
-        console.log(`📱 Emergency SMS sent to doctor: ${emergencyDoctor}`);
+        logger.info(`📱 Emergency SMS sent to doctor: ${emergencyDoctor}`);
       }
     } catch (error) {
-      console.error('Error sending emergency alert:', error);
+      logger.error('Error sending emergency alert:', error);
     }
   }
 
@@ -382,10 +385,10 @@ Call ID: ${callSid}`;
       await conversationData.ai.endConversation();
       activeConversations.delete(callSid);
 
-      console.log(`📋 Conversation ${callSid} ended and summarized`);
+      logger.info(`📋 Conversation ${callSid} ended and summarized`);
 
     } catch (error) {
-      console.error('Error handling conversation end:', error);
+      logger.error('Error handling conversation end:', error);
     }
   }
 
@@ -450,7 +453,7 @@ Call ID: ${callSid}`;
   handleAudioChunk(callSid, audioChunk) {
     // In a real implementation, you would stream this audio back to Twilio
     // This requires setting up a WebSocket server for media streaming
-    console.log(`🎵 Received audio chunk for call ${callSid}: ${audioChunk.length} bytes`);
+    logger.info(`🎵 Received audio chunk for call ${callSid}: ${audioChunk.length} bytes`);
   }
 
   /**
@@ -459,22 +462,14 @@ Call ID: ${callSid}`;
    */
   async logConversation(callSummary) {
     try {
-      const fs = require('fs');
-      const path = require('path');
-      
-      const logsDir = path.join(__dirname, '..', 'logs');
-      if (!fs.existsSync(logsDir)) {
-        fs.mkdirSync(logsDir, { recursive: true });
-      }
-
-      const logFile = path.join(logsDir, `conversational-ai-${new Date().toISOString().split('T')[0]}.log`);
-      const logEntry = `${new Date().toISOString()} - CONVERSATION - ${JSON.stringify(callSummary)}\n`;
-      
-      fs.appendFileSync(logFile, logEntry);
-      console.log(`📝 Conversation logged to ${logFile}`);
-      
+      recordAudit({
+        actor: { type: 'ai', id: 'conversational_ai' },
+        action: 'conversation_completed',
+        entity: { type: 'call', id: callSummary.callId || callSummary.callSid },
+        data: callSummary
+      });
     } catch (error) {
-      console.error('Error logging conversation:', error);
+      logger.error('Error logging conversation:', error);
     }
   }
 }
@@ -2,6 +2,8 @@ const twilio = require('twilio');
 const { textToSpeech, saveAudioFile } = require('./tts');
 const path = require('path');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('twilio');
 
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
@@ -25,7 +27,7 @@ async function sendSMS(to, message) {
     // Check if SMS is enabled
     const smsEnabled = process.env.ENABLE_SMS_NOTIFICATIONS === 'true';
     if (!smsEnabled) {
-      console.log('📱 SMS disabled - skipping SMS to:', to);
+      logger.info('📱 SMS disabled - skipping SMS to:', to);
       return { status: 'disabled', message: 'SMS notifications disabled' };
     }
 
@@ -34,18 +36,18 @@ async function sendSMS(to, message) {
       from: twilioPhoneNumber,
       to: to
     });
-    console.log(`📱 SMS sent to ${to}: ${messageObj.sid}`);
+    logger.info(`📱 SMS sent to ${to}: ${messageObj.sid}`);
     return messageObj;
   } catch (error) {
-    console.error('❌ SMS Error:', error.message);
+    logger.error('❌ SMS Error:', error.message);
     
     // Handle specific Twilio errors
     if (error.code === 20003) {
-      console.error('🔐 Twilio authentication failed - check your ACCOUNT_SID and AUTH_TOKEN');
+      logger.error('🔐 Twilio authentication failed - check your ACCOUNT_SID and AUTH_TOKEN');
     } else if (error.code === 21612 || error.code === 21614) {
-      console.error('📵 SMS not supported for this number:', to);
+      logger.error('📵 SMS not supported for this number:', to);
     } else if (error.code === 21408) {
-      console.error('🚫 Permission denied for SMS to:', to);
+      logger.error('🚫 Permission denied for SMS to:', to);
     }
     
     // Don't throw error - continue without SMS
@@ -66,10 +68,10 @@ async function makeCall(to, twimlUrl) {
       to: to,
       from: twilioPhoneNumber
     });
-    console.log(`Call initiated to ${to}: ${call.sid}`);
+    logger.info(`Call initiated to ${to}: ${call.sid}`);
     return call;
   } catch (error) {
-    console.error('Error making call:', error);
+    logger.error('Error making call:', error);
     throw error;
   }
 }
@@ -124,7 +126,7 @@ async function generateTwiML(message, options = {}, ttsOptions = {}) {
   
   // Validate and clean the message
   if (!message || typeof message !== 'string') {
-    console.error('Invalid message for TTS:', message);
+    logger.error('Invalid message for TTS:', message);
     message = 'I apologize, but I\'m having trouble processing your request.';
   }
   
@@ -133,7 +135,7 @@ async function generateTwiML(message, options = {}, ttsOptions = {}) {
   
   try {
     // Try ElevenLabs TTS first
-    console.log(`Generating TTS for: "${cleanMessage.substring(0, 100)}${cleanMessage.length > 100 ? '...' : ''}"`);
+    logger.info(`Generating TTS for ${cleanMessage.length} characters`);
     
     const audioBuffer = await textToSpeech(cleanMessage, {
       stability: ttsOptions.stability || 0.6,
@@ -164,7 +166,7 @@ async function generateTwiML(message, options = {}, ttsOptions = {}) {
         }
       }
       
-      console.log(`Generated ElevenLabs TTS audio: ${audioUrl}`);
+      logger.info(`Generated ElevenLabs TTS audio: ${audioUrl}`);
       
     } else {
       throw new Error('ElevenLabs unavailable - using Twilio voice');
@@ -172,7 +174,7 @@ async function generateTwiML(message, options = {}, ttsOptions = {}) {
     
   } catch (error) {
     // Fall back to Twilio's built-in voice
-    console.log('🎵 Using Twilio built-in voice as fallback');
+    logger.info('🎵 Using Twilio built-in voice as fallback');
     
     if (options.gather) {
       const gather = twiml.gather({
@@ -192,7 +194,7 @@ async function generateTwiML(message, options = {}, ttsOptions = {}) {
       }
     }
     
-    console.log('✅ Generated Twilio fallback voice TwiML');
+    logger.info('✅ Generated Twilio fallback voice TwiML');
   }
   
   if (options.hangup) {
@@ -200,7 +202,7 @@ async function generateTwiML(message, options = {}, ttsOptions = {}) {
   }
   
   const twimlString = twiml.toString();
-  console.log(`Generated TwiML response (${twimlString.length} chars)`);
+  logger.info(`Generated TwiML response (${twimlString.length} chars)`);
   return twimlString;
 }
 
@@ -246,7 +248,7 @@ async function getCallDetails(callSid) {
     const call = await client.calls(callSid).fetch();
     return call;
   } catch (error) {
-    console.error('Error fetching call details:', error);
+    logger.error('Error fetching call details:', error);
     throw error;
   }
 }
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { seal, unseal } = require('./encryption');
+const { createLogger } = require('./logger');
+const logger = createLogger('auditLog');
+
+/**
+ * Audit log
+ *
+ * One typed JSONL entry per audited event, written to logs/audit-YYYY-MM-DD.jsonl:
+ *   { id, timestamp, type, actor: { type, id }, action, entity: { type, id }, correlationId, data }
+ * `type` is `<entity type>.<action>` (e.g. "emergency.status_changed").
+ *
+ * Entries are buffered in memory and appended asynchronously (every
+ * AUDIT_FLUSH_INTERVAL_MS, default 1000, or once AUDIT_BUFFER_SIZE entries are
+ * waiting) so request handlers never block on disk. Each line is sealed with
+ * ./encryption when a data encryption key is configured.
+ */
+
+const LOGS_DIR = path.join(__dirname, '..', '..', 'logs');
+const FLUSH_INTERVAL_MS = parseInt(process.env.AUDIT_FLUSH_INTERVAL_MS, 10) || 1000;
+const BUFFER_SIZE = parseInt(process.env.AUDIT_BUFFER_SIZE, 10) || 100;
+const DEFAULT_ACTOR = { type: 'system', id: 'hippaai' };
+
+// Request context so entries pick up the request ID without threading it through every call
+const auditContext = new AsyncLocalStorage();
+
+let buffer = [];
+let flushTimer = null;
+let flushing = Promise.resolve();
+
+function getAuditFile(timestamp) {
+  return path.join(LOGS_DIR, `audit-${timestamp.split('T')[0]}.jsonl`);
+}
+
+/**
+ * Express middleware: give every request a correlation ID for its audit entries
+ * Honors an incoming X-Request-Id header and echoes the ID back.
+ */
+function auditContextMiddleware(req, res, next) {
+  const correlationId = req.get('X-Request-Id') || `req_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  res.set('X-Request-Id', correlationId);
+  auditContext.run({ correlationId }, next);
+}
+
+/**
+ * Correlation ID of the request being handled, if any
+ * @returns {string|null} Correlation ID
+ */
+function getCorrelationId() {
+  return auditContext.getStore()?.correlationId || null;
+}
+
+/**
+ * Record an audit event
+ * @param {Object} event - { action, entity: { type, id }, actor: { type, id }, correlationId, data }
+ * @returns {Object} The audit entry
+ */
+function recordAudit(event) {
+  const entity = event.entity || { type: 'system', id: null };
+  const entry = {
+    id: `aud_${crypto.randomBytes(8).toString('hex')}`,
+    timestamp: new Date().toISOString(),
+    type: `${entity.type}.${event.action}`,
+    actor: event.actor || DEFAULT_ACTOR,
+    action: event.action,
+    entity: { type: entity.type, id: entity.id !== undefined && entity.id !== null ? entity.id.toString() : null },
+    correlationId: event.correlationId || auditContext.getStore()?.correlationId || null,
+    data: event.data || {}
+  };
+
+  buffer.push(entry);
+  if (buffer.length >= BUFFER_SIZE) {
+    flushAuditLog();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushAuditLog, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+  }
+
+  return entry;
+}
+
+/**
+ * Write buffered entries to their daily files
+ * @returns {Promise<void>} Resolves once everything buffered so far is on disk
+ */
+function flushAuditLog() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  const entries = buffer;
+  buffer = [];
+  if (entries.length === 0) {
+    return flushing;
+  }
+
+  // Chain writes so lines land in the order they were recorded
+  flushing = flushing.then(async () => {
+    const byFile = new Map();
+    entries.forEach(entry => {
+      const file = getAuditFile(entry.timestamp);
+      byFile.set(file, (byFile.get(file) || '') + `${seal(JSON.stringify(entry))}\n`);
+    });
+
+    try {
+      await fs.promises.mkdir(LOGS_DIR, { recursive: true });
+      for (const [file, lines] of byFile) {
+        await fs.promises.appendFile(file, lines);
+      }
+    } catch (error) {
+      logger.error('❌ Error writing audit log:', error);
+    }
+  });
+
+  return flushing;
+}
+
+// Don't lose buffered entries when the process exits
+process.on('exit', () => {
+  if (buffer.length === 0) {
+    return;
+  }
+  try {
+    fs.mkdirSync(LOGS_DIR, { recursive: true });
+    buffer.forEach(entry => fs.appendFileSync(getAuditFile(entry.timestamp), `${seal(JSON.stringify(entry))}\n`));
+    buffer = [];
+  } catch (error) {
+    logger.error('❌ Error writing audit log on exit:', error);
+  }
+});
+
+/**
+ * Daily audit files that can hold entries between two dates
+ * @param {string} from - ISO date/time (optional)
+ * @param {string} to - ISO date/time (optional)
+ * @returns {Promise<Array<string>>} File paths, newest first
+ */
+async function listAuditFiles(from, to) {
+  let files;
+  try {
+    files = await fs.promises.readdir(LOGS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const fromDay = from ? new Date(from).toISOString().split('T')[0] : null;
+  const toDay = to ? new Date(to).toISOString().split('T')[0] : null;
+
+  return files
+    .map(file => ({ file, day: (file.match(/^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/) || [])[1] }))
+    .filter(({ day }) => day && (!fromDay || day >= fromDay) && (!toDay || day <= toDay))
+    .sort((a, b) => b.day.localeCompare(a.day))
+    .map(({ file }) => path.join(LOGS_DIR, file));
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {Object} query - { entityId, entityType, type, action, correlationId, from, to, limit, offset }
+ * @returns {Promise<Object>} { data: [entries], total }
+ */
+async function queryAudit(query = {}) {
+  await flushAuditLog();
+
+  const from = query.from ? new Date(query.from).toISOString() : null;
+  const to = query.to ? new Date(query.to).toISOString() : null;
+  const matches = [];
+
+  for (const file of await listAuditFiles(from, to)) {
+    const lines = (await fs.promises.readFile(file, 'utf8')).split('\n').filter(Boolean);
+
+    lines.forEach(line => {
+      let entry;
+      try {
+        entry = JSON.parse(unseal(line));
+      } catch (error) {
+        logger.warn(`⚠️ Skipping unreadable audit line in ${path.basename(file)}: ${error.message}`);
+        return;
+      }
+
+      if (query.entityId && entry.entity?.id !== query.entityId.toString()) return;
+      if (query.entityType && entry.entity?.type !== query.entityType) return;
+      if (query.type && entry.type !== query.type && !entry.type.startsWith(`${query.type}.`)) return;
+      if (query.action && entry.action !== query.action) return;
+      if (query.correlationId && entry.correlationId !== query.correlationId) return;
+      if (from && entry.timestamp < from) return;
+      if (to && entry.timestamp > to) return;
+
+      matches.push(entry);
+    });
+  }
+
+  matches.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+  const offset = parseInt(query.offset || 0, 10) || 0;
+  const end = query.limit !== undefined ? offset + parseInt(query.limit, 10) : matches.length;
+
+  return {
+    data: matches.slice(offset, end),
+    total: matches.length
+  };
+}
+
+module.exports = {
+  recordAudit,
+  flushAuditLog,
+  queryAudit,
+  auditContextMiddleware,
+  getCorrelationId
+};
@@ -0,0 +1,475 @@
+const crypto = require('crypto');
+const { createRepository } = require('./repository');
+const { recordAudit } = require('./auditLog');
+const { createLogger } = require('./logger');
+const logger = createLogger('auth');
+
+/**
+ * Authentication and role-based access for the admin API
+ *
+ * Two ways to authenticate:
+ *   - API keys for scripts and integrations, configured as
+ *     API_KEYS="<key>:<role>[:<name>],..." and sent as `Authorization: Bearer <key>`
+ *     or `X-API-Key: <key>`
+ *   - Dashboard users (created with `npm run users -- add <username> <role>`)
+ *     who log in through POST /api/auth/login and get an HttpOnly session cookie
+ *
+ * Every protected route names the permission it needs; ROLE_PERMISSIONS maps
+ * roles to permissions. Privileged permissions are written to the audit log
+ * each time they are used, and so is every denied request.
+ *
+ * Failed logins are counted per username and per client IP in the
+ * `login_attempts` collection. Past LOGIN_MAX_FAILURES (default 5) for a
+ * username, or LOGIN_MAX_FAILURES_PER_IP (default 20) from an address, within
+ * LOGIN_LOCKOUT_MINUTES (default 15), further logins are refused until the
+ * window passes. Unknown usernames still cost a password hash, so response
+ * times do not reveal which accounts exist.
+ */
+
+const ROLES = ['admin', 'doctor', 'front-desk', 'read-only'];
+
+// Only doctors act on an emergency in progress (end, re-page, transfer,
+// resolve); the front desk manages the caller lists and releases held emergencies
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  doctor: ['settings:read', 'templates:read', 'calls:read', 'calls:active', 'patients:read', 'intakes:read', 'intakes:write', 'callers:read', 'emergencies:read', 'emergencies:release', 'emergencies:manage'],
+  'front-desk': ['settings:read', 'templates:read', 'calls:read', 'calls:active', 'patients:read', 'intakes:read', 'intakes:write', 'callers:read', 'callers:manage', 'emergencies:read', 'emergencies:release'],
+  'read-only': ['settings:read', 'templates:read', 'calls:active']
+};
+
+// Permissions whose every use is audited (changes, patient data, test messages)
+const PRIVILEGED_PERMISSIONS = [
+  'settings:write',
+  'templates:write',
+  'templates:test',
+  'calls:read',
+  'patients:read',
+  'intakes:read',
+  'intakes:write',
+  'audit:read',
+  'retention:manage',
+  'jobs:manage',
+  'callers:read',
+  'callers:manage',
+  'emergencies:read',
+  'emergencies:release',
+  'emergencies:manage',
+  'logging:manage',
+  'test:run'
+];
+
+const SESSION_COOKIE = 'hippaai_session';
+const PASSWORD_KEY_LENGTH = 64;
+
+let warnedNoCredentials = false;
+
+function getUserRepository() {
+  return createRepository('users', {
+    indexes: {
+      phone: () => null,
+      status: (data) => data.role
+    }
+  });
+}
+
+function getSessionRepository() {
+  return createRepository('sessions', {
+    indexes: {
+      phone: () => null,
+      status: (data) => data.username
+    }
+  });
+}
+
+function getLoginAttemptRepository() {
+  return createRepository('login_attempts', {
+    indexes: {
+      phone: () => null,
+      status: (data) => data.scope
+    }
+  });
+}
+
+function getLoginLimits() {
+  return {
+    maxPerUser: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5,
+    maxPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 10) || 20,
+    windowMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000
+  };
+}
+
+function getSessionTtlMs() {
+  return (parseInt(process.env.SESSION_TTL_HOURS, 10) || 12) * 60 * 60 * 1000;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a || '');
+  const right = Buffer.from(b || '');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Does a role grant a permission?
+ * @param {string} role - Role name
+ * @param {string} permission - e.g. 'settings:write'
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+}
+
+/**
+ * Hash a password for storage (scrypt with a random salt)
+ * @param {string} password - Plaintext password
+ * @returns {string} "scrypt$<salt>$<hash>"
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('base64');
+  const hash = crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH).toString('base64');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  return safeEqual(crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH).toString('base64'), hash);
+}
+
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+let pruneTimer = null;
+
+// Checked against for unknown usernames so they take as long as a wrong password
+let dummyPasswordHash = null;
+
+function getDummyPasswordHash() {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString('base64'));
+  }
+  return dummyPasswordHash;
+}
+
+/**
+ * Storage key for a login counter (hashed so usernames and IPs never appear in file names)
+ */
+function getAttemptKey(scope, subject) {
+  return `la_${sha256(`${scope}|${subject}`).substring(0, 32)}`;
+}
+
+function getLoginSubjects(username, ip) {
+  const { maxPerUser, maxPerIp } = getLoginLimits();
+  return [
+    { scope: 'user', subject: (username || '').toString().toLowerCase(), max: maxPerUser },
+    { scope: 'ip', subject: ip || 'unknown', max: maxPerIp }
+  ].filter(entry => entry.subject);
+}
+
+/**
+ * How long a login for this username or IP must wait, if it is locked out
+ * @param {string} username - Login name
+ * @param {string} ip - Client IP
+ * @returns {Promise<number>} Seconds until the oldest counted failure expires, or 0
+ */
+async function getLoginLockout(username, ip) {
+  const { windowMs } = getLoginLimits();
+  const now = Date.now();
+  let waitMs = 0;
+
+  for (const { scope, subject, max } of getLoginSubjects(username, ip)) {
+    const record = await getLoginAttemptRepository().get(getAttemptKey(scope, subject));
+    const failures = (record?.data.failures || []).filter(timestamp => timestamp > now - windowMs);
+    if (failures.length >= max) {
+      waitMs = Math.max(waitMs, failures[failures.length - max] + windowMs - now);
+    }
+  }
+  return Math.ceil(waitMs / 1000);
+}
+
+/**
+ * Count a failed login against the username and the IP
+ * @param {string} username - Login name
+ * @param {string} ip - Client IP
+ */
+async function recordLoginFailure(username, ip) {
+  const { windowMs } = getLoginLimits();
+  const now = Date.now();
+  startPruning();
+
+  for (const { scope, subject } of getLoginSubjects(username, ip)) {
+    await getLoginAttemptRepository().update(getAttemptKey(scope, subject), (counter) => ({
+      scope,
+      failures: [...(counter?.failures || []).filter(timestamp => timestamp > now - windowMs), now],
+      expiresAt: new Date(now + windowMs).toISOString()
+    }));
+  }
+}
+
+/**
+ * Remove login counters whose window has passed
+ * @returns {Promise<number>} Number of counters removed
+ */
+async function pruneLoginAttempts() {
+  const repository = getLoginAttemptRepository();
+  const now = new Date().toISOString();
+  const expired = (await repository.list()).filter(record => record.data.expiresAt < now);
+
+  for (const record of expired) {
+    await repository.delete(record.key);
+  }
+  return expired.length;
+}
+
+function startPruning() {
+  if (!pruneTimer) {
+    pruneTimer = setInterval(() => {
+      pruneLoginAttempts().catch(error => logger.error('❌ Error pruning login attempts:', error));
+    }, PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+  }
+}
+
+/**
+ * API keys from API_KEYS
+ * @returns {Array<Object>} [{ keyHash, role, name }]
+ */
+function getApiKeys() {
+  return (process.env.API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [key, role, name] = entry.split(':');
+      if (!ROLES.includes(role)) {
+        logger.warn(`⚠️ Ignoring API key with unknown role "${role}"`);
+        return null;
+      }
+      return { keyHash: sha256(key), role, name: name || `key_${sha256(key).substring(0, 8)}` };
+    })
+    .filter(Boolean);
+}
+
+function isValidUsername(username) {
+  return typeof username === 'string' && /^[a-z0-9._-]{3,64}$/i.test(username) && !username.startsWith('.');
+}
+
+/**
+ * Create or replace a dashboard user
+ * @param {string} username - Login name
+ * @param {string} password - Plaintext password
+ * @param {string} role - One of ROLES
+ * @returns {Promise<Object>} { username, role }
+ */
+async function saveUser(username, password, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}" (expected one of: ${ROLES.join(', ')})`);
+  }
+  if (!isValidUsername(username)) {
+    throw new Error('Usernames must be 3-64 letters, digits, ".", "_" or "-"');
+  }
+  if (!password || password.length < 12) {
+    throw new Error('Passwords must be at least 12 characters');
+  }
+
+  const key = username.toLowerCase();
+  await getUserRepository().update(key, (existing) => ({
+    username: key,
+    role,
+    passwordHash: hashPassword(password),
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    passwordChangedAt: new Date().toISOString()
+  }));
+  return { username: key, role };
+}
+
+async function deleteUser(username) {
+  await getUserRepository().delete(username.toLowerCase());
+}
+
+async function listUsers() {
+  return (await getUserRepository().list()).map(record => ({
+    username: record.data.username,
+    role: record.data.role,
+    createdAt: record.data.createdAt
+  }));
+}
+
+/**
+ * Check a username and password and open a session
+ * @param {string} username - Login name
+ * @param {string} password - Plaintext password
+ * @param {Object} options - { ip } of the client, for failed-login limits
+ * @returns {Promise<Object|null>} { token, expiresAt, user }, { lockedOutSeconds } while
+ *   the username or IP is locked out, or null when the login fails
+ */
+async function login(username, password, options = {}) {
+  const lockedOutSeconds = await getLoginLockout(username, options.ip);
+  if (lockedOutSeconds > 0) {
+    return { lockedOutSeconds };
+  }
+
+  const record = isValidUsername(username) ? await getUserRepository().get(username.toLowerCase()) : null;
+  const valid = verifyPassword(password || '', record ? record.data.passwordHash : getDummyPasswordHash());
+  if (!record || !valid) {
+    await recordLoginFailure(username, options.ip);
+    return null;
+  }
+
+  // A successful login clears the username's failures (the IP's still count)
+  await getLoginAttemptRepository().delete(getAttemptKey('user', record.data.username));
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + getSessionTtlMs()).toISOString();
+
+  // Sessions are stored under a hash of the token so a leaked data directory cannot be replayed
+  await getSessionRepository().put(sha256(token), {
+    username: record.data.username,
+    role: record.data.role,
+    createdAt: new Date().toISOString(),
+    expiresAt
+  });
+
+  return { token, expiresAt, user: { username: record.data.username, role: record.data.role } };
+}
+
+async function logout(token) {
+  if (token) {
+    await getSessionRepository().delete(sha256(token));
+  }
+}
+
+function getSessionToken(req) {
+  const cookies = (req.get('cookie') || '').split(';').map(cookie => cookie.trim());
+  const match = cookies.find(cookie => cookie.startsWith(`${SESSION_COOKIE}=`));
+  return match ? decodeURIComponent(match.substring(SESSION_COOKIE.length + 1)) : null;
+}
+
+/**
+ * Work out who is making a request
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} { type: 'api_key'|'user', id, role } or null
+ */
+async function authenticate(req) {
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const apiKey = req.get('x-api-key') || (bearer ? bearer[1].trim() : null);
+
+  if (apiKey) {
+    const keyHash = sha256(apiKey);
+    const match = getApiKeys().find(candidate => safeEqual(candidate.keyHash, keyHash));
+    return match ? { type: 'api_key', id: match.name, role: match.role } : null;
+  }
+
+  const token = getSessionToken(req);
+  if (token) {
+    const sessions = getSessionRepository();
+    const session = await sessions.get(sha256(token));
+    if (session && session.data.expiresAt > new Date().toISOString()) {
+      return { type: 'user', id: session.data.username, role: session.data.role };
+    }
+    if (session) {
+      await sessions.delete(sha256(token));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Express middleware that only lets through callers whose role has a permission
+ * @param {string} permission - e.g. 'settings:write'
+ * @returns {Function} Middleware
+ */
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    let principal;
+    try {
+      principal = await authenticate(req);
+    } catch (error) {
+      logger.error('❌ Error authenticating request:', error);
+      return res.status(500).json({ error: 'Authentication failed' });
+    }
+
+    const route = `${req.method} ${req.originalUrl.split('?')[0]}`;
+
+    if (!principal) {
+      if (!warnedNoCredentials && !process.env.API_KEYS) {
+        logger.warn('⚠️ No API_KEYS configured - the admin API only accepts dashboard logins');
+        warnedNoCredentials = true;
+      }
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!hasPermission(principal.role, permission)) {
+      logger.warn(`🔒 ${principal.type} ${principal.id} (${principal.role}) denied ${permission} on ${route}`);
+      recordAudit({
+        actor: { type: principal.type, id: principal.id },
+        action: 'access_denied',
+        entity: { type: 'api', id: route },
+        data: { permission, role: principal.role }
+      });
+      return res.status(403).json({ error: 'Insufficient permissions', permission });
+    }
+
+    req.auth = principal;
+
+    if (PRIVILEGED_PERMISSIONS.includes(permission)) {
+      // Lookups carry phone numbers and names, so only the route pattern, the
+      // record ID and which filters were used are kept
+      recordAudit({
+        actor: { type: principal.type, id: principal.id },
+        action: 'privileged_access',
+        entity: { type: 'api', id: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}` },
+        data: {
+          permission,
+          role: principal.role,
+          entityId: req.params.id || null,
+          queryParams: Object.keys(req.query || {})
+        }
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Express middleware that hides test endpoints in production
+ */
+function disableInProduction(req, res, next) {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+}
+
+/**
+ * Set-Cookie value for a session
+ */
+function buildSessionCookie(token, expiresAt) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  const maxAge = token ? Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000) : 0;
+  return `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure}`;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  hashPassword,
+  saveUser,
+  deleteUser,
+  listUsers,
+  login,
+  logout,
+  authenticate,
+  requirePermission,
+  disableInProduction,
+  getSessionToken,
+  buildSessionCookie
+};
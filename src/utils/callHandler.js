@@ -1,5 +1,16 @@
 // Required imports
-const { storeCallData, getCallData, deleteCallData } = require('./fileStorage');
+const { mergeCallData, getCallData, deleteCallData } = require('./fileStorage');
+const emergencyStore = require('./emergencyStore');
+const { EMERGENCY_STATUS } = emergencyStore;
+const { linkPatientActivity, findPatientByPhone, describeRecentCalls } = require('./patientIndex');
+const { getGatherSchema, validateGatherResult, buildReaskSchema } = require('./gatherValidation');
+const { enqueueJob } = require('./jobQueue');
+const { SCREENING_ACTION, screenEmergency, describeHoldReason } = require('./callerScreening');
+const { ALERT_KIND, alertStaff } = require('./staffAlerts');
+const { pageDoctor, handleDoctorReply } = require('./doctorPages');
+const { handleRecordingEvent } = require('./recordingEvents');
+const { createLogger } = require('./logger');
+const logger = createLogger('callHandler');
 
 /**
  * Send SMS notification
@@ -9,7 +20,7 @@ const { storeCallData, getCallData, deleteCallData } = require('./fileStorage');
 async function sendSMSNotification(callData, isEmergency = false) {
   // Only send SMS for emergency cases
   if (!isEmergency) {
-    console.log('[SMS SKIPPED] Non-emergency case - SMS notification not required');
+    logger.info('[SMS SKIPPED] Non-emergency case - SMS notification not required');
     return;
   }
 
@@ -25,22 +36,10 @@ async function sendSMSNotification(callData, isEmergency = false) {
       throw new Error('Invalid recipient phone number format. Must start with "+" followed by country code.');
     }
 
-    const axios = require('axios');
-    await axios.post('https://api.telnyx.com/v2/messages', {
-      from: process.env.TELNYX_PHONE_NUMBER,
-      to: recipientNumber,
-      text: message,
-      messaging_profile_id: process.env.TELNYX_MESSAGING_PROFILE_ID
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.TELNYX_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    console.log(`[SMS SENT] Emergency notification sent to ${recipientNumber}`);
+    await enqueueJob('page-doctor', { doctorPhone: recipientNumber, message });
+    logger.info(`[SMS QUEUED] Emergency notification to ${recipientNumber}`);
   } catch (error) {
-    console.error('[SMS ERROR]', error.message, error.response?.data || '');
+    logger.error('[SMS ERROR]', error.message, error.response?.data || '');
   }
 }
 
@@ -51,7 +50,7 @@ async function sendSMSNotification(callData, isEmergency = false) {
  */
 async function handleAssistantEvent(event) {
   try {
-    console.log('[AI ASSISTANT EVENT] Processing data:', event.data.payload);
+    logger.debug('[AI ASSISTANT EVENT] Processing data:', event.data.payload);
     
     // Extract patient information from payload
     const patientInfo = {
@@ -71,12 +70,13 @@ async function handleAssistantEvent(event) {
     };
 
     // Log patient info
-    console.log('📝 Patient Info:', patientInfo);
+    logger.info('📝 Patient Info:', patientInfo);
     
     // Store patient info in disk
     const storageKey = event.data.payload.call_control_id || event.data.payload.Conversational_id || `call_${Date.now()}`;
-    await storeCallData(storageKey, patientInfo);
-    console.log(`💾 Stored call data with ID: ${storageKey}`);
+    await mergeCallData(storageKey, patientInfo);
+    logger.info(`💾 Stored call data with ID: ${storageKey}`);
+    await linkPatientActivity({ phone: patientInfo.phone, name: patientInfo.name, type: 'call', id: storageKey });
 
     // Send SMS for emergencies
     if (event.data.payload.Emergency === true) {
@@ -90,7 +90,7 @@ async function handleAssistantEvent(event) {
     };
 
   } catch (error) {
-    console.error('Error handling AI Assistant event:', error);
+    logger.error('Error handling AI Assistant event:', error);
     throw error;
   }
 }
@@ -107,53 +107,157 @@ async function handleEmergencyStatus(event) {
     // Check the Emergency field from the payload
     const isEmergency = event.data.payload.Emergency === true || event.data.payload.is_emergency === true;
     
-    console.log(`[EMERGENCY STATUS] Processing status: ${isEmergency ? 'YES' : 'NO'}, Request ID: ${requestId}`);
+    logger.info(`[EMERGENCY STATUS] Processing status: ${isEmergency ? 'YES' : 'NO'}, Request ID: ${requestId}`);
 
     // Retrieve stored call data
     const storageKey = event.data.payload.call_control_id || event.data.payload.Conversational_id || requestId;
     const storedData = await getCallData(storageKey);
 
+    let emergencyId = null;
+    let heldForReview = false;
+
     if (isEmergency) {
+      // Use patient info from webhook payload or stored data
+      const webhookPatientInfo = event.data.payload.patientInfo || {};
+      const patientName = webhookPatientInfo.name || storedData?.name || 'Unknown Patient';
+      const patientPhone = webhookPatientInfo.phone || storedData?.phone || 'Unknown Phone';
+      const reason = event.data.payload.reason || webhookPatientInfo.reason || storedData?.symptoms || 'Not specified';
+
+      // Persist the emergency so it can be looked up and audited later
+      emergencyId = require('../emergency').generateEmergencyId();
+      await emergencyStore.createEmergencyRecord(emergencyId, {
+        patient: { name: patientName, phone: patientPhone, reason },
+        callControlId: event.data.payload.call_control_id || null,
+        requestId,
+        source: 'webhook'
+      });
+
       // Send emergency SMS to doctor
       const doctorPhone = process.env.PRIMARY_EMERGENCY_DOCTOR;
       if (doctorPhone) {
-        console.log(`[SMS] Sending emergency SMS to ${doctorPhone}`);
-        const telnyxClient = require('../telnyx');
-        
-        // Use patient info from webhook payload or stored data
-        const webhookPatientInfo = event.data.payload.patientInfo || {};
-        const patientName = webhookPatientInfo.name || storedData?.name || 'Unknown Patient';
-        const patientPhone = webhookPatientInfo.phone || storedData?.phone || 'Unknown Phone';
-        const reason = event.data.payload.reason || webhookPatientInfo.reason || storedData?.symptoms || 'Not specified';
-        
         // Use phone number exactly as received from webhook
         const displayPhone = patientPhone;
         
+        // Mention repeat callers, e.g. "3rd call in 48 hours"
+        const callHistory = describeRecentCalls(await findPatientByPhone(patientPhone));
+        
         // Create the SMS message in the requested format
-        const message = `URGENCY: ${patientName} (${displayPhone}) requesting to speak to doctor due to ${reason}.`;
+        const message = `URGENCY: ${patientName} (${displayPhone}) requesting to speak to doctor due to ${reason}.` +
+          (callHistory ? ` ${callHistory[0].toUpperCase()}${callHistory.slice(1)}.` : '');
+        
+        logger.info('[SMS] URGENCY details', { name: patientName, phone: patientPhone, reason });
         
-        console.log(`[SMS] URGENCY details - Name: ${patientName}, Phone: ${patientPhone}, Reason: ${reason}`);
+        // Rate-limited or blocklisted callers wait for a person instead of paging the doctor
+        const screening = await screenEmergency(patientPhone, emergencyId);
         
-        await telnyxClient.sendSMS(doctorPhone, message);
-        console.log('[SMS SENT] URGENCY notification sent to', doctorPhone);
-        console.log(`[EMERGENCY STATUS] ✅ URGENCY SMS sent for request ${requestId}`);
+        if (screening.action === SCREENING_ACTION.HOLD) {
+          await emergencyStore.updateEmergencyRecord(emergencyId, (record) => {
+            record.heldPage = { doctorPhone, message };
+          });
+          await emergencyStore.recordEmergencyStatus(emergencyId, EMERGENCY_STATUS.HELD_FOR_REVIEW, { reason: screening.reason });
+          logger.info(`[EMERGENCY STATUS] ⏸️ Emergency ${emergencyId} held for review (${screening.reason})`);
+          heldForReview = true;
+
+          // Nobody is paged, so someone has to be told to look at it
+          await alertStaff({
+            kind: ALERT_KIND.EMERGENCY_HELD,
+            emergencyId,
+            subject: `Emergency held for review - ${patientName}`,
+            message: `${patientName} (${displayPhone}) reported an emergency (${reason}) that was held instead of paging the doctor: ${describeHoldReason(screening.reason)}. Release it with POST /api/emergencies/${emergencyId}/release once reviewed.`
+          });
+        } else {
+          logger.info(`[SMS] Queueing emergency SMS to ${doctorPhone}`);
+          await pageDoctor({ doctorPhone, message, emergencyId });
+          logger.info(`[EMERGENCY STATUS] ✅ URGENCY SMS queued for request ${requestId}`);
+        }
       } else {
-        console.log('[SMS ERROR] No emergency doctor phone number configured');
+        logger.info('[SMS ERROR] No emergency doctor phone number configured');
       }
     }
 
     return {
       status: 'processed',
       requestId,
+      emergencyId,
+      heldForReview,
       isEmergency: isEmergency,
       storedData: storedData || null
     };
   } catch (error) {
-    console.error('Error handling emergency status:', error);
+    logger.error('Error handling emergency status:', error);
     throw error;
   }
 }
 
+// How many times we ask again for missing/invalid gather fields before giving up
+const GATHER_MAX_REASKS = parseInt(process.env.GATHER_MAX_REASKS || '1', 10);
+
+/**
+ * Validate gathered patient data and store it on the call record
+ * Missing or invalid fields are asked for again while the call is live;
+ * otherwise the record is flagged `partial_data`.
+ * @param {string} storageKey - Call record key
+ * @param {string} callControlId - Call to re-ask on (if any)
+ * @param {Object} args - Gathered data
+ * @returns {Promise<Object>} { validation, reasked, partial }
+ */
+async function applyGatherResult(storageKey, callControlId, args) {
+  const existing = storageKey ? await getCallData(storageKey) : null;
+
+  // A re-ask only returns the fields it asked for; judge them together with what we already have
+  const known = existing
+    ? validateGatherResult(Object.keys(getGatherSchema().properties)
+      .filter(field => existing[field] !== undefined)
+      .reduce((acc, field) => ({ ...acc, [field]: existing[field] }), {})).value
+    : {};
+  const validation = validateGatherResult({ ...known, ...args });
+
+  if (!validation.valid) {
+    validation.errors.forEach(error => {
+      logger.warn(`⚠️ [GATHER USING AI] ${error.field} ${error.message}`, ...(error.value !== null ? [{ [error.field]: error.value }] : []));
+    });
+  }
+
+  if (!storageKey) {
+    return { validation, reasked: false, partial: !validation.valid };
+  }
+
+  const attempts = existing?.gather_reasks || 0;
+  let reasked = false;
+
+  if (!validation.valid && callControlId && attempts < GATHER_MAX_REASKS) {
+    try {
+      const telnyxClient = require('../telnyx');
+      await telnyxClient.gatherUsingAI(callControlId, buildReaskSchema(validation.errors), {
+        timeoutMillis: 60000,
+        clientState: Buffer.from(JSON.stringify({
+          gatherType: 'patient_info_reask',
+          attempt: attempts + 1,
+          fields: validation.errors.map(error => error.field)
+        })).toString('base64')
+      });
+      reasked = true;
+      logger.info(`🔁 [GATHER USING AI] Asking again for: ${validation.errors.map(error => error.field).join(', ')}`);
+    } catch (error) {
+      logger.error('❌ [GATHER USING AI] Could not re-ask for missing fields:', error.message);
+    }
+  }
+
+  const partial = !validation.valid && !reasked;
+  await mergeCallData(storageKey, {
+    ...validation.value,
+    gather_reasks: reasked ? attempts + 1 : attempts,
+    gather_errors: validation.errors,
+    partial_data: partial
+  });
+
+  if (partial) {
+    logger.info(`📝 [GATHER USING AI] Call ${storageKey} flagged as partial data`);
+  }
+
+  return { validation, reasked, partial };
+}
+
 /**
  * Handle GatherUsingAI webhook
  * @param {Object} event - GatherUsingAI event data
@@ -161,22 +265,28 @@ async function handleEmergencyStatus(event) {
  */
 async function handleGatherUsingAI(event) {
   try {
-    console.log('🤖 [GATHER USING AI] Processing data:', JSON.stringify(event.data, null, 2));
+    logger.debug('🤖 [GATHER USING AI] Processing data:', event.data);
 
     // Extract data from function arguments
     const args = event.data.function?.arguments || event.data.payload;
     const isEmergency = args.Emergency !== undefined ? args.Emergency === true : null;
     const conversationalId = args.Conversational_id;
+    const callControlId = args.call_control_id;
 
-    console.log('🚨 [GATHER USING AI] Emergency Status:', isEmergency === null ? 'UNKNOWN' : (isEmergency ? 'YES' : 'NO'));
-    console.log('📞 [GATHER USING AI] Conversational ID:', conversationalId);
-    console.log('👤 [GATHER USING AI] Patient Name:', args.name || 'Unknown');
-    console.log('📱 [GATHER USING AI] Patient Phone:', args.phone || 'Unknown');
-    console.log('📝 [GATHER USING AI] Reasons:', args.Reasons || 'Not specified');
+    logger.info('🚨 [GATHER USING AI] Emergency Status:', isEmergency === null ? 'UNKNOWN' : (isEmergency ? 'YES' : 'NO'));
+    logger.info('📞 [GATHER USING AI] Conversational ID:', conversationalId);
+    logger.info('👤 [GATHER USING AI] Patient:', {
+      name: args.name || 'Unknown',
+      phone: args.phone || 'Unknown',
+      Reasons: args.Reasons || 'Not specified'
+    });
+
+    // Check the gathered fields against gather-tool.json
+    const gather = await applyGatherResult(callControlId || conversationalId, callControlId, args);
 
     // If it's an emergency, trigger emergency workflow
     if (isEmergency === true) {  // Only trigger if explicitly true
-      console.log('\n🚨 [EMERGENCY DETECTED] Sending emergency SMS notification');
+      logger.info('\n🚨 [EMERGENCY DETECTED] Sending emergency SMS notification');
       const requestId = `emg_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
       
       // Send emergency webhook
@@ -194,14 +304,43 @@ async function handleGatherUsingAI(event) {
     return {
       status: 'processed',
       isEmergency: isEmergency === null ? 'Unknown' : (isEmergency ? 'Urgent' : 'Non-Urgent'),
-      conversationalId
+      conversationalId,
+      valid: gather.validation.valid,
+      errors: gather.validation.errors,
+      reasked: gather.reasked,
+      partialData: gather.partial
     };
   } catch (error) {
-    console.error('❌ Error handling GatherUsingAI event:', error);
+    logger.error('❌ Error handling GatherUsingAI event:', error);
     throw error;
   }
 }
 
+/**
+ * Handle an SMS webhook; inbound messages may be a doctor's reply to a page
+ * @param {Object} event - SMS event data (payload is the Telnyx webhook body)
+ * @returns {Promise<Object>} Event handling result
+ */
+async function handleSmsEvent(event) {
+  const body = event.data.payload || {};
+  const messageEvent = body.data?.event_type;
+  const message = body.data?.payload || {};
+
+  if (messageEvent !== 'message.received') {
+    return { status: 'processed', type: 'sms', messageEvent: messageEvent || null };
+  }
+
+  const from = message.from?.phone_number || message.from;
+  const reply = await handleDoctorReply(from, message.text);
+
+  return {
+    status: 'processed',
+    type: 'sms',
+    messageEvent,
+    doctorReply: reply
+  };
+}
+
 /**
  * Process webhook event
  * @param {Object} event - Webhook event data
@@ -209,7 +348,7 @@ async function handleGatherUsingAI(event) {
  */
 async function processWebhookEvent(event) {
   try {
-    console.log('[WEBHOOK RECEIVED] Type:', event.data.event_type);
+    logger.info('[WEBHOOK RECEIVED] Type:', event.data.event_type);
 
     switch (event.data.event_type) {
       case 'assistant.event':
@@ -222,32 +361,31 @@ async function processWebhookEvent(event) {
         return await handleGatherUsingAI(event);
 
       case 'message.event':
-        console.log('[SMS EVENT] Processing message event');
-        return { status: 'processed', type: 'sms' };
+        logger.info('[SMS EVENT] Processing message event');
+        return await handleSmsEvent(event);
 
       case 'call':
-        console.log('[CALL EVENT] Processing call event');
+        logger.info('[CALL EVENT] Processing call event');
         // Add any specific call event processing logic here
         return { status: 'processed', type: 'call' };
 
       case 'conversation_insight_result':
-        console.log('[INSIGHT EVENT] Processing conversation insight result');
+        logger.info('[INSIGHT EVENT] Processing conversation insight result');
         // Add logic to handle conversation insights
         return { status: 'processed', type: 'insight' };
 
       case 'emergency.recording':
-        console.log('[EMERGENCY RECORDING EVENT] Processing emergency recording');
-        // Add logic to handle emergency recordings
-        return { status: 'processed', type: 'emergency_recording' };
+        logger.info('[EMERGENCY RECORDING EVENT] Processing emergency recording');
+        return await handleRecordingEvent(event.data.payload, { emergencyId: event.data.emergencyId });
 
       default:
-        console.log('[WEBHOOK] Unhandled event type:', event.data.event_type);
+        logger.info('[WEBHOOK] Unhandled event type:', event.data.event_type);
         // Process the event data even if it's an unknown type
-        console.log('[WEBHOOK] Processing unknown event data:', JSON.stringify(event.data, null, 2));
+        logger.debug('[WEBHOOK] Processing unknown event data:', event.data);
         return { status: 'processed', type: event.data.event_type };
     }
   } catch (error) {
-    console.error('Error processing webhook event:', error);
+    logger.error('Error processing webhook event:', error);
     throw error;
   }
 }
@@ -283,10 +421,10 @@ async function sendTestEmail(recipientEmail, testData = {}) {
     };
 
     const result = await sendEmail(emailData);
-    console.log('Test email sent successfully');
+    logger.info('Test email sent successfully');
     return result;
   } catch (error) {
-    console.error('Error sending test email:', error);
+    logger.error('Error sending test email:', error);
     throw error;
   }
 }
@@ -3,6 +3,8 @@ const fs = require('fs');
 const path = require('path');
 const FormData = require('form-data');
 require('dotenv').config();
+const { createLogger } = require('./logger');
+const logger = createLogger('callRecordings');
 
 const TELNYX_API_KEY = process.env.TELNYX_API_KEY;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
@@ -28,7 +30,7 @@ async function getCallRecordings(options = {}) {
 
     return response.data;
   } catch (error) {
-    console.error('Error fetching call recordings:', error.message);
+    logger.error('Error fetching call recordings:', error.message);
     throw error;
   }
 }
@@ -69,7 +71,7 @@ async function getRecordingById(recordingId) {
 
     return formatRecordingDetails(response.data.data);
   } catch (error) {
-    console.error(`Error fetching recording ${recordingId}:`, error.message);
+    logger.error(`Error fetching recording ${recordingId}:`, error.message);
     throw error;
   }
 }
@@ -99,7 +101,7 @@ async function downloadRecording(url, outputPath) {
       writer.on('error', reject);
     });
   } catch (error) {
-    console.error('Error downloading recording:', error.message);
+    logger.error('Error downloading recording:', error.message);
     throw error;
   }
 }
@@ -138,7 +140,7 @@ async function convertAudioToText(audioFilePath) {
       language: response.data.language
     };
   } catch (error) {
-    console.error('Error converting audio to text:', error.message);
+    logger.error('Error converting audio to text:', error.message);
     throw error;
   }
 }
@@ -182,7 +184,7 @@ async function getRecordingTranscription(recordingId) {
       }
     };
   } catch (error) {
-    console.error(`Error getting recording transcription:`, error.message);
+    logger.error(`Error getting recording transcription:`, error.message);
     throw error;
   }
 }
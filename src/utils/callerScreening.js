@@ -0,0 +1,401 @@
+const crypto = require('crypto');
+const { createRepository } = require('./repository');
+const { recordAudit } = require('./auditLog');
+const { normalizePhone } = require('./patientIndex');
+const { createLogger } = require('./logger');
+const logger = createLogger('callerScreening');
+
+/**
+ * Caller screening: rate limits, blocklist and allowlist
+ *
+ * A prank caller or a looping automation can hit /webhook/call and
+ * /webhook/emergency over and over, and every emergency pages the doctor.
+ * Before an inbound call reaches the AI assistant, and before an emergency
+ * pages anyone, the caller is checked against:
+ *
+ *   - the admin-managed caller lists (`caller_lists` collection): allowlisted
+ *     numbers skip every limit, blocklisted numbers are rejected (calls) or
+ *     held for review (emergencies)
+ *   - per-number limits: RATE_LIMIT_CALLS_PER_HOUR (default 10) inbound calls
+ *     and RATE_LIMIT_EMERGENCIES_PER_HOUR (default 3) emergency pages
+ *   - a global burst cap across all callers on /webhook/call: RATE_LIMIT_BURST_MAX
+ *     (default 30) within RATE_LIMIT_BURST_WINDOW_SECONDS (default 60).
+ *     Emergencies are exempt, so a flood from other numbers cannot hold them.
+ *
+ * Emergencies are never dropped: over the limit they are recorded as usual but
+ * held for a person to release from /api/emergencies/held instead of paging,
+ * and the staff are alerted (see ./staffAlerts).
+ * Counters live in the `rate_limits` collection so they survive a restart.
+ * Set RATE_LIMIT_ENABLED=false to turn the limits off (the lists still apply).
+ */
+
+const CALLER_LIST = {
+  BLOCK: 'block',
+  ALLOW: 'allow'
+};
+
+const SCREENING_ACTION = {
+  ALLOW: 'allow',
+  REJECT: 'reject',
+  HOLD: 'hold'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+let pruneTimer = null;
+
+function getCallerListRepository() {
+  return createRepository('caller_lists', {
+    indexes: {
+      phone: (data) => data.phone,
+      status: (data) => data.list
+    }
+  });
+}
+
+function getRateLimitRepository() {
+  return createRepository('rate_limits', {
+    indexes: {
+      phone: () => null,
+      status: (data) => data.scope
+    }
+  });
+}
+
+function getLimits() {
+  return {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    callsPerHour: parseInt(process.env.RATE_LIMIT_CALLS_PER_HOUR, 10) || 10,
+    emergenciesPerHour: parseInt(process.env.RATE_LIMIT_EMERGENCIES_PER_HOUR, 10) || 3,
+    burstMax: parseInt(process.env.RATE_LIMIT_BURST_MAX, 10) || 30,
+    burstWindowMs: (parseInt(process.env.RATE_LIMIT_BURST_WINDOW_SECONDS, 10) || 60) * 1000
+  };
+}
+
+/**
+ * Storage key for a caller (hashed so numbers never appear in file names)
+ */
+function getCallerKey(prefix, value) {
+  return `${prefix}_${crypto.createHash('sha256').update(value).digest('hex').substring(0, 32)}`;
+}
+
+/**
+ * Count a hit against a sliding window
+ * @param {string} scope - Counter name, e.g. 'emergency' or 'burst:/webhook/call'
+ * @param {string} subject - Normalized caller, or '*' for global counters
+ * @param {number} windowMs - Window length
+ * @returns {Promise<number>} Hits in the window, including this one
+ */
+async function countHit(scope, subject, windowMs) {
+  const now = Date.now();
+  let count = 0;
+
+  await getRateLimitRepository().update(getCallerKey('rl', `${scope}|${subject}`), (counter) => {
+    const hits = (counter?.hits || []).filter(timestamp => timestamp > now - windowMs);
+    hits.push(now);
+    count = hits.length;
+    return { scope, hits, expiresAt: new Date(now + windowMs).toISOString() };
+  });
+
+  return count;
+}
+
+/**
+ * Remove counters whose window has passed
+ * @returns {Promise<number>} Number of counters removed
+ */
+async function pruneExpiredCounters() {
+  const repository = getRateLimitRepository();
+  const now = new Date().toISOString();
+  const expired = (await repository.list()).filter(record => record.data.expiresAt < now);
+
+  for (const record of expired) {
+    await repository.delete(record.key);
+  }
+  return expired.length;
+}
+
+function startPruning() {
+  if (!pruneTimer) {
+    pruneTimer = setInterval(() => {
+      pruneExpiredCounters().catch(error => logger.error('❌ Error pruning rate limit counters:', error));
+    }, PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+  }
+}
+
+/**
+ * Look a caller up on the block/allow lists
+ * @param {string} phone - Caller number or SIP address
+ * @returns {Promise<Object|null>} List entry, or null if the caller is on neither list
+ */
+async function getCallerListEntry(phone) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) {
+    return null;
+  }
+
+  const record = await getCallerListRepository().get(getCallerKey('cl', normalized));
+  if (!record) {
+    return null;
+  }
+  if (record.data.expiresAt && record.data.expiresAt < new Date().toISOString()) {
+    return null;
+  }
+  return record.data;
+}
+
+/**
+ * Add a caller to the blocklist or allowlist (replacing any existing entry)
+ * @param {Object} entry - { phone, list: 'block'|'allow', reason, expiresAt, addedBy: { type, id } }
+ * @returns {Promise<Object>} Saved entry
+ */
+async function setCallerListEntry({ phone, list, reason = null, expiresAt = null, addedBy = null }) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) {
+    throw new Error('A valid phone number or SIP address is required');
+  }
+  if (!Object.values(CALLER_LIST).includes(list)) {
+    throw new Error(`list must be one of: ${Object.values(CALLER_LIST).join(', ')}`);
+  }
+  if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+    throw new Error('expiresAt must be a date');
+  }
+
+  const entry = {
+    phone: normalized,
+    list,
+    reason,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    addedBy,
+    addedAt: new Date().toISOString()
+  };
+  await getCallerListRepository().put(getCallerKey('cl', normalized), entry);
+
+  recordAudit({
+    action: 'caller_listed',
+    entity: { type: 'caller', id: getCallerKey('cl', normalized) },
+    actor: addedBy,
+    data: { list, reason, expiresAt: entry.expiresAt }
+  });
+  return entry;
+}
+
+/**
+ * Take a caller off the lists
+ * @param {string} phone - Caller number or SIP address
+ * @param {Object} removedBy - { type, id } of whoever removed it
+ * @returns {Promise<boolean>} Whether an entry was removed
+ */
+async function removeCallerListEntry(phone, removedBy = null) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) {
+    return false;
+  }
+
+  const key = getCallerKey('cl', normalized);
+  const removed = await getCallerListRepository().take(key);
+  if (removed) {
+    recordAudit({
+      action: 'caller_unlisted',
+      entity: { type: 'caller', id: key },
+      actor: removedBy,
+      data: { list: removed.data.list }
+    });
+  }
+  return !!removed;
+}
+
+/**
+ * List caller list entries
+ * @param {Object} query - { list: 'block'|'allow' }
+ * @returns {Promise<Array<Object>>} Entries, newest first
+ */
+async function listCallerListEntries(query = {}) {
+  return (await getCallerListRepository().list())
+    .map(record => record.data)
+    .filter(entry => !query.list || entry.list === query.list)
+    .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+}
+
+/**
+ * Decide what to do with a caller
+ * @param {string} phone - Caller number
+ * @param {Object} options - { route, scope, perNumberLimit, limitedAction }
+ * @returns {Promise<Object>} { action, reason, phone }
+ */
+async function screenCaller(phone, { route, perNumberLimit, scope, limitedAction, burstLimited = true }) {
+  const normalized = normalizePhone(phone);
+  const entry = await getCallerListEntry(phone);
+
+  if (entry?.list === CALLER_LIST.ALLOW) {
+    return { action: SCREENING_ACTION.ALLOW, reason: 'allowlisted', phone: normalized };
+  }
+  if (entry?.list === CALLER_LIST.BLOCK) {
+    return { action: limitedAction, reason: 'blocklisted', phone: normalized };
+  }
+
+  const limits = getLimits();
+  if (!limits.enabled) {
+    return { action: SCREENING_ACTION.ALLOW, reason: null, phone: normalized };
+  }
+
+  startPruning();
+
+  if (burstLimited) {
+    const burst = await countHit(`burst:${route}`, '*', limits.burstWindowMs);
+    if (burst > limits.burstMax) {
+      return { action: limitedAction, reason: 'global_burst_limit', phone: normalized };
+    }
+  }
+
+  // Callers we cannot identify only count towards the global cap
+  if (normalized) {
+    const count = await countHit(scope, normalized, HOUR_MS);
+    if (count > perNumberLimit) {
+      return { action: limitedAction, reason: `${scope}_rate_limit`, phone: normalized, count };
+    }
+  }
+
+  return { action: SCREENING_ACTION.ALLOW, reason: null, phone: normalized };
+}
+
+function auditScreening(result, context) {
+  if (result.action === SCREENING_ACTION.ALLOW) {
+    return;
+  }
+
+  logger.warn(`🚫 Caller ${result.phone || 'unknown'} ${result.action === SCREENING_ACTION.HOLD ? 'held for review' : 'rejected'}: ${result.reason}`);
+  recordAudit({
+    action: result.action === SCREENING_ACTION.HOLD ? 'held_for_review' : 'caller_rejected',
+    entity: { type: context.entityType, id: context.entityId },
+    data: { reason: result.reason, route: context.route, count: result.count || null }
+  });
+}
+
+/**
+ * Screen an inbound call before the AI assistant picks it up
+ * @param {string} phone - Caller number (`from`)
+ * @param {string} callControlId - Call control ID
+ * @returns {Promise<Object>} { action: 'allow'|'reject', reason }
+ */
+async function screenInboundCall(phone, callControlId) {
+  const result = await screenCaller(phone, {
+    route: '/webhook/call',
+    scope: 'call',
+    perNumberLimit: getLimits().callsPerHour,
+    limitedAction: SCREENING_ACTION.REJECT
+  });
+  auditScreening(result, { entityType: 'call', entityId: callControlId || null, route: '/webhook/call' });
+  return result;
+}
+
+/**
+ * Screen an emergency before the doctor is paged
+ * @param {string} phone - Patient phone number
+ * @param {string} emergencyId - Emergency ID
+ * @returns {Promise<Object>} { action: 'allow'|'hold', reason }
+ */
+async function screenEmergency(phone, emergencyId) {
+  // Not burst limited: a flood from other numbers must not hold a real emergency
+  const result = await screenCaller(phone, {
+    route: '/webhook/emergency',
+    scope: 'emergency',
+    perNumberLimit: getLimits().emergenciesPerHour,
+    limitedAction: SCREENING_ACTION.HOLD,
+    burstLimited: false
+  });
+  auditScreening(result, { entityType: 'emergency', entityId: emergencyId, route: '/webhook/emergency' });
+  return result;
+}
+
+/**
+ * Why an emergency was held, for the staff alert
+ * @param {string} reason - Screening reason
+ * @returns {string} Description
+ */
+function describeHoldReason(reason) {
+  if (reason === 'blocklisted') {
+    return 'the number is on the blocklist';
+  }
+  if (reason === 'emergency_rate_limit') {
+    return `more than ${getLimits().emergenciesPerHour} emergencies from this number in the last hour`;
+  }
+  return reason;
+}
+
+/**
+ * List emergencies waiting for review
+ * @returns {Promise<Array<Object>>} Held emergency records, oldest first
+ */
+async function listHeldEmergencies() {
+  const { EMERGENCY_STATUS, listEmergencyRecords } = require('./emergencyStore');
+  const { data } = await listEmergencyRecords({ status: EMERGENCY_STATUS.HELD_FOR_REVIEW, limit: 500 });
+  return data.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Page the doctor for a held emergency after a person has reviewed it
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} actor - { type, id } of the reviewer
+ * @returns {Promise<Object|null>} Updated record, or null if it is not held
+ */
+async function releaseHeldEmergency(emergencyId, actor = null) {
+  const emergencyStore = require('./emergencyStore');
+  const { pageDoctor } = require('./doctorPages');
+
+  const { HELD_FOR_REVIEW, DETECTED } = emergencyStore.EMERGENCY_STATUS;
+
+  // Check and change the status under the record's lock, so of two concurrent
+  // releases only one pages the doctor
+  let heldReason = null;
+  let released = false;
+  const updated = await emergencyStore.updateEmergencyRecord(emergencyId, (record) => {
+    if (record.status !== HELD_FOR_REVIEW) {
+      return false;
+    }
+    heldReason = record.timeline.slice().reverse().find(entry => entry.status === HELD_FOR_REVIEW)?.reason || null;
+    record.status = DETECTED;
+    record.timeline.push({ status: DETECTED, timestamp: new Date().toISOString(), releasedBy: actor ? actor.id : null });
+    released = true;
+  });
+
+  if (!released) {
+    return null;
+  }
+
+  recordAudit({
+    action: 'status_changed',
+    entity: { type: 'emergency', id: emergencyId },
+    data: { status: DETECTED, releasedBy: actor ? actor.id : null }
+  });
+  recordAudit({
+    action: 'released',
+    entity: { type: 'emergency', id: emergencyId },
+    actor,
+    data: { heldReason }
+  });
+
+  if (updated.heldPage) {
+    await pageDoctor({ ...updated.heldPage, emergencyId });
+    logger.info(`✅ Held emergency ${emergencyId} released, doctor page queued`);
+  }
+  return updated;
+}
+
+module.exports = {
+  CALLER_LIST,
+  SCREENING_ACTION,
+  getCallerListEntry,
+  setCallerListEntry,
+  removeCallerListEntry,
+  listCallerListEntries,
+  screenInboundCall,
+  screenEmergency,
+  describeHoldReason,
+  listHeldEmergencies,
+  releaseHeldEmergency,
+  pruneExpiredCounters,
+  getCallerListRepository
+};
@@ -0,0 +1,222 @@
+const { createRepository } = require('./repository');
+
+/**
+ * Emergency conference state machine
+ *
+ * An emergency conference moves through these states, driven only by Telnyx
+ * events:
+ *
+ *   announcing          the patient hears "connecting you to our emergency doctor"
+ *     └─ call.speak.ended (patient) ─────────────► joining
+ *   joining             the conference is being created with the patient in it
+ *     └─ conference.created / participant.joined (patient) ─► waiting_for_doctor
+ *   waiting_for_doctor  the patient is on hold while the escalation ladder pages doctors
+ *     └─ conference.participant.joined (doctor) ─► connected
+ *   connected           doctor and patient are talking
+ *     └─ doctor leaves ───────────────────────────► ended
+ *   ended               everyone was hung up
+ *
+ * The patient leaving (participant.left or call.hangup) ends the conference
+ * from any state, and so does conference.ended.
+ *
+ * `transition` is a pure function: it returns the next conference record and
+ * the side effects to run (join the patient, start or stop escalation, hang
+ * everyone up, record an emergency status), which telnyx-conference.js
+ * carries out. Keeping Telnyx calls out of here is what lets
+ * test_conference_state_machine.js feed it synthetic event sequences.
+ *
+ * Conference records are stored in the `conferences` collection, keyed by
+ * emergency ID.
+ */
+
+const CONFERENCE_STATE = {
+  ANNOUNCING: 'announcing',
+  JOINING: 'joining',
+  WAITING_FOR_DOCTOR: 'waiting_for_doctor',
+  CONNECTED: 'connected',
+  ENDED: 'ended'
+};
+
+const ACTION = {
+  JOIN_PATIENT: 'join_patient',
+  START_ESCALATION: 'start_escalation',
+  STOP_ESCALATION: 'stop_escalation',
+  CANCEL_ESCALATION: 'cancel_escalation',
+  HANG_UP_ALL: 'hang_up_all',
+  RECORD_STATUS: 'record_status'
+};
+
+const PARTICIPANT_ROLE = {
+  PATIENT: 'patient',
+  DOCTOR: 'doctor'
+};
+
+function getConferenceRepository() {
+  return createRepository('conferences', {
+    indexes: {
+      phone: (data) => data.patientPhone,
+      status: (data) => data.state
+    }
+  });
+}
+
+/**
+ * A new conference record, before the patient has heard the announcement
+ * @param {Object} details - { emergencyId, conferenceName, patientPhone, patientCallControlId, emergencyInfo }
+ * @returns {Object} Conference record
+ */
+function createConferenceRecord(details) {
+  const now = details.now || new Date().toISOString();
+  return {
+    id: details.emergencyId,
+    name: details.conferenceName,
+    conferenceId: null,
+    state: CONFERENCE_STATE.ANNOUNCING,
+    patientPhone: details.patientPhone,
+    patientCallControlId: details.patientCallControlId,
+    emergencyInfo: details.emergencyInfo || {},
+    participants: [],
+    created: now,
+    updatedAt: now,
+    history: [{ state: CONFERENCE_STATE.ANNOUNCING, event: 'created', at: now }]
+  };
+}
+
+/**
+ * Work out whose leg an event is about
+ * @param {Object} conference - Conference record
+ * @param {Object} event - Normalized event
+ * @returns {string|null} patient | doctor | null
+ */
+function getParticipantRole(conference, event) {
+  if (event.role) {
+    return event.role;
+  }
+  if (event.callControlId && event.callControlId === conference.patientCallControlId) {
+    return PARTICIPANT_ROLE.PATIENT;
+  }
+  const participant = conference.participants.find(item => item.callControlId && item.callControlId === event.callControlId);
+  return participant ? participant.type : null;
+}
+
+function setParticipant(participants, role, event, changes) {
+  const index = participants.findIndex(item => item.callControlId === event.callControlId);
+  if (index === -1) {
+    return [...participants, { type: role, callControlId: event.callControlId || null, phone: event.phone || null, ...changes }];
+  }
+  return participants.map((item, itemIndex) => itemIndex === index ? { ...item, ...changes } : item);
+}
+
+/**
+ * Apply one event to a conference
+ * @param {Object} conference - Current conference record
+ * @param {Object} event - { type, callControlId, conferenceId, role, phone, at }
+ * @returns {Object} { conference, actions, changed }
+ */
+function transition(conference, event) {
+  const at = event.at || new Date().toISOString();
+  const role = getParticipantRole(conference, event);
+  const actions = [];
+  let next = conference.state;
+  let participants = conference.participants;
+  let conferenceId = conference.conferenceId;
+
+  if (conference.state === CONFERENCE_STATE.ENDED) {
+    return { conference, actions, changed: false };
+  }
+
+  switch (event.type) {
+    case 'call.speak.ended':
+      if (conference.state === CONFERENCE_STATE.ANNOUNCING && role === PARTICIPANT_ROLE.PATIENT) {
+        next = CONFERENCE_STATE.JOINING;
+        actions.push({ type: ACTION.JOIN_PATIENT });
+      }
+      break;
+
+    case 'conference.created':
+      conferenceId = event.conferenceId || conferenceId;
+      if (conference.state === CONFERENCE_STATE.JOINING) {
+        next = CONFERENCE_STATE.WAITING_FOR_DOCTOR;
+      }
+      break;
+
+    case 'conference.participant.joined':
+      conferenceId = event.conferenceId || conferenceId;
+      if (role) {
+        participants = setParticipant(participants, role, event, { joinedAt: at });
+      }
+      if (role === PARTICIPANT_ROLE.PATIENT && conference.state === CONFERENCE_STATE.JOINING) {
+        next = CONFERENCE_STATE.WAITING_FOR_DOCTOR;
+      } else if (role === PARTICIPANT_ROLE.DOCTOR && conference.state === CONFERENCE_STATE.WAITING_FOR_DOCTOR) {
+        const doctorPhone = participants.find(item => item.callControlId === event.callControlId)?.phone || null;
+        next = CONFERENCE_STATE.CONNECTED;
+        actions.push({ type: ACTION.STOP_ESCALATION, callControlId: event.callControlId, phone: doctorPhone });
+        actions.push({ type: ACTION.RECORD_STATUS, status: 'doctor_joined', details: { doctorPhone, doctorCallControlId: event.callControlId || null } });
+      }
+      break;
+
+    case 'conference.participant.left':
+    case 'call.hangup':
+      if (role) {
+        participants = setParticipant(participants, role, event, { leftAt: at });
+      }
+      if (role === PARTICIPANT_ROLE.PATIENT) {
+        next = CONFERENCE_STATE.ENDED;
+        if (conference.state !== CONFERENCE_STATE.CONNECTED) {
+          actions.push({ type: ACTION.CANCEL_ESCALATION, reason: 'patient_left' });
+        }
+        actions.push({ type: ACTION.HANG_UP_ALL });
+      } else if (role === PARTICIPANT_ROLE.DOCTOR && conference.state === CONFERENCE_STATE.CONNECTED) {
+        // The doctor is the moderator; the call is over when they leave
+        next = CONFERENCE_STATE.ENDED;
+        actions.push({ type: ACTION.HANG_UP_ALL });
+      }
+      break;
+
+    case 'conference.ended':
+      next = CONFERENCE_STATE.ENDED;
+      if (conference.state !== CONFERENCE_STATE.CONNECTED) {
+        actions.push({ type: ACTION.CANCEL_ESCALATION, reason: 'conference_ended' });
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  // The ladder starts once the patient is actually waiting in the conference
+  if (next === CONFERENCE_STATE.WAITING_FOR_DOCTOR && conference.state !== CONFERENCE_STATE.WAITING_FOR_DOCTOR) {
+    actions.push({ type: ACTION.START_ESCALATION });
+  }
+
+  const changed = next !== conference.state || participants !== conference.participants || conferenceId !== conference.conferenceId;
+  if (!changed) {
+    return { conference, actions, changed: false };
+  }
+
+  return {
+    conference: {
+      ...conference,
+      state: next,
+      conferenceId,
+      participants,
+      updatedAt: at,
+      ...(next === CONFERENCE_STATE.ENDED ? { endedAt: at } : {}),
+      history: next !== conference.state
+        ? [...conference.history, { from: conference.state, state: next, event: event.type, at }]
+        : conference.history
+    },
+    actions,
+    changed: true
+  };
+}
+
+module.exports = {
+  CONFERENCE_STATE,
+  ACTION,
+  PARTICIPANT_ROLE,
+  getConferenceRepository,
+  createConferenceRecord,
+  getParticipantRole,
+  transition
+};
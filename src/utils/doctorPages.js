@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const { createRepository } = require('./repository');
+const { enqueueJob } = require('./jobQueue');
+const { recordAudit } = require('./auditLog');
+const { normalizePhone } = require('./patientIndex');
+const emergencyStore = require('./emergencyStore');
+const { EMERGENCY_STATUS } = emergencyStore;
+const { ESCALATION_STATUS, getEscalation, stopEscalation, advanceEscalation } = require('./escalationLadder');
+const { createLogger } = require('./logger');
+const logger = createLogger('doctorPages');
+
+/**
+ * Doctor page acknowledgement
+ *
+ * Every emergency SMS page carries a four-digit reference and asks the doctor
+ * to reply `ACK 1234`, `CALLING 1234` or `DECLINE 1234`. Replies arriving on
+ * /webhook/sms from a paged (or configured) doctor number are matched to the
+ * open page - by the reference, or the doctor's most recent page when it is
+ * left out - and recorded on the emergency with a timestamp.
+ *
+ *   ACK / CALLING  the page is acknowledged and the escalation ladder stops
+ *   DECLINE        the next doctor is paged right away
+ *
+ * A page nobody acknowledges within PAGE_ACK_TIMEOUT_MINUTES (default 5) is
+ * resent to the same doctor PAGE_ACK_RESENDS times (default 1) and then sent
+ * to BACKUP_EMERGENCY_DOCTOR. Pages sent by an escalation ladder tier skip
+ * this, since the ladder moves on by itself.
+ *
+ * Page state lives in the `doctor_pages` collection, keyed by emergency ID.
+ */
+
+const PAGE_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  UNACKNOWLEDGED: 'unacknowledged'
+};
+
+const REPLY = {
+  ACK: 'ack',
+  CALLING: 'calling',
+  DECLINE: 'decline'
+};
+
+const REPLY_PATTERN = /^\s*(ack(?:nowledged?)?|calling|decline[d]?)\b[\s#:.-]*(\d{4})?\b/i;
+
+function getPageRepository() {
+  return createRepository('doctor_pages', {
+    indexes: {
+      phone: () => null,
+      status: (data) => data.status
+    }
+  });
+}
+
+function getSettings() {
+  return {
+    ackTimeoutMs: (parseFloat(process.env.PAGE_ACK_TIMEOUT_MINUTES) || 5) * 60 * 1000,
+    resends: process.env.PAGE_ACK_RESENDS !== undefined ? parseInt(process.env.PAGE_ACK_RESENDS, 10) || 0 : 1
+  };
+}
+
+/**
+ * Whether a number belongs to a configured emergency doctor
+ */
+function isConfiguredDoctor(phone) {
+  return [process.env.PRIMARY_EMERGENCY_DOCTOR, process.env.NIGHT_EMERGENCY_DOCTOR, process.env.BACKUP_EMERGENCY_DOCTOR]
+    .some(doctor => doctor && normalizePhone(doctor) === phone);
+}
+
+/**
+ * Parse a doctor's SMS reply
+ * @param {string} text - Message text
+ * @returns {Object|null} { reply: ack|calling|decline, code } or null if it is not a reply
+ */
+function parseDoctorReply(text) {
+  const match = (text || '').match(REPLY_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const word = match[1].toLowerCase();
+  const reply = word.startsWith('decline') ? REPLY.DECLINE : word === 'calling' ? REPLY.CALLING : REPLY.ACK;
+  return { reply, code: match[2] || null };
+}
+
+async function generateCode() {
+  const { data } = await getPageRepository().query({ status: PAGE_STATUS.OPEN });
+  const inUse = new Set(data.map(record => record.data.code));
+
+  let code;
+  do {
+    code = crypto.randomInt(1000, 10000).toString();
+  } while (inUse.has(code));
+  return code;
+}
+
+/**
+ * Record that a doctor is being paged for an emergency and schedule the
+ * acknowledgement check
+ * @param {Object} page - { emergencyId, doctorPhone, message, ackTimeout, kind: initial|repage }
+ * @returns {Promise<string>} Text to send (message plus reply instructions)
+ */
+async function registerPage({ emergencyId, doctorPhone, message, ackTimeout = true, kind = 'initial' }) {
+  const repository = getPageRepository();
+  const code = (await repository.get(emergencyId))?.data.code || await generateCode();
+  const now = new Date().toISOString();
+
+  const result = await repository.update(emergencyId, (page) => ({
+    emergencyId,
+    code,
+    status: PAGE_STATUS.OPEN,
+    message: page?.message || message,
+    replies: [],
+    createdAt: now,
+    ...(page || {}),
+    ...(page?.status === PAGE_STATUS.UNACKNOWLEDGED ? { status: PAGE_STATUS.OPEN } : {}),
+    // A re-page asks for a fresh acknowledgement even if an earlier page got one
+    ...(kind === 'repage' ? { status: PAGE_STATUS.OPEN, acknowledgedBy: null, acknowledgedAt: null } : {}),
+    attempts: [...(page?.attempts || []), { doctorPhone: normalizePhone(doctorPhone) || doctorPhone, kind, sentAt: now }],
+    updatedAt: now
+  }));
+
+  if (ackTimeout && result.data.status === PAGE_STATUS.OPEN) {
+    await enqueueJob('page-ack-timeout', { emergencyId, attempt: result.data.attempts.length }, {
+      delayMs: getSettings().ackTimeoutMs
+    });
+  }
+
+  return `${message}\nReply ACK ${code} if you got this, CALLING ${code} if you are calling the patient, or DECLINE ${code}.`;
+}
+
+/**
+ * Queue an SMS page to a doctor with reply instructions
+ * @param {Object} page - { emergencyId, doctorPhone, message, ackTimeout }
+ * @returns {Promise<Object>} The queued job
+ */
+async function pageDoctor(page) {
+  const text = await registerPage(page);
+  return enqueueJob('page-doctor', { doctorPhone: page.doctorPhone, message: text, emergencyId: page.emergencyId });
+}
+
+/**
+ * Page whoever is next: the same doctor again while resends are left, then
+ * the backup doctor
+ * @param {Object} page - Page record
+ * @param {string} reason - timeout | declined
+ * @returns {Promise<boolean>} False when there is nobody left to page
+ */
+async function pageNext(page, reason) {
+  const last = page.attempts[page.attempts.length - 1];
+  const sameDoctor = page.attempts.filter(attempt => attempt.doctorPhone === last.doctorPhone).length;
+  const backup = normalizePhone(process.env.BACKUP_EMERGENCY_DOCTOR);
+
+  if (reason !== 'declined' && sameDoctor <= getSettings().resends) {
+    logger.warn(`🔁 No acknowledgement for emergency ${page.emergencyId} - resending the page`);
+    await pageDoctor({ emergencyId: page.emergencyId, doctorPhone: last.doctorPhone, message: `REMINDER: ${page.message}`, kind: 'resend' });
+    return true;
+  }
+
+  if (backup && !page.attempts.some(attempt => attempt.doctorPhone === backup)) {
+    logger.warn(`⏭️ Emergency ${page.emergencyId} ${reason === 'declined' ? 'declined' : 'not acknowledged'} - paging the backup doctor`);
+    await pageDoctor({ emergencyId: page.emergencyId, doctorPhone: backup, message: page.message, kind: 'backup' });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Acknowledgement check for a page (run by the page-ack-timeout job)
+ * @param {string} emergencyId - Emergency ID
+ * @param {number} attempt - Number of attempts when the check was queued
+ */
+async function handlePageAckTimeout(emergencyId, attempt) {
+  const record = await getPageRepository().get(emergencyId);
+  const page = record?.data;
+
+  // Acknowledged, or a later attempt has its own check queued
+  if (!page || page.status !== PAGE_STATUS.OPEN || page.attempts.length !== attempt) {
+    return;
+  }
+
+  // Nobody needs reminding about an emergency staff have already resolved
+  const emergency = await emergencyStore.getEmergencyRecord(emergencyId);
+  if (emergency && emergency.status === EMERGENCY_STATUS.RESOLVED) {
+    return;
+  }
+
+  if (await pageNext(page, 'timeout')) {
+    return;
+  }
+
+  await getPageRepository().update(emergencyId, (current) => current && current.status === PAGE_STATUS.OPEN
+    ? { ...current, status: PAGE_STATUS.UNACKNOWLEDGED, updatedAt: new Date().toISOString() }
+    : undefined);
+  logger.error(`🚨 Emergency ${emergencyId} page was never acknowledged after ${page.attempts.length} attempt(s)`);
+  recordAudit({
+    action: 'page_unacknowledged',
+    entity: { type: 'emergency', id: emergencyId },
+    data: { attempts: page.attempts.length }
+  });
+}
+
+/**
+ * Find the page a reply belongs to
+ * @param {string} from - Normalized sender
+ * @param {string|null} code - Reference from the reply
+ * @returns {Promise<Object|null>} Page record
+ */
+async function findPageForReply(from, code) {
+  const repository = getPageRepository();
+  const results = await Promise.all(Object.values(PAGE_STATUS).map(status => repository.query({ status })));
+
+  const pages = results.flatMap(result => result.data)
+    .map(record => record.data)
+    .filter(page => page.attempts.some(attempt => attempt.doctorPhone === from))
+    .filter(page => !code || page.code === code);
+
+  // Most recently paged first
+  const lastSentTo = (page) => page.attempts.filter(attempt => attempt.doctorPhone === from).pop().sentAt;
+  return pages.sort((a, b) => lastSentTo(b).localeCompare(lastSentTo(a)))[0] || null;
+}
+
+/**
+ * Handle an inbound SMS that may be a doctor's reply to a page
+ * @param {string} fromPhone - Sender
+ * @param {string} text - Message text
+ * @returns {Promise<Object>} { matched, reason?, emergencyId?, reply? }
+ */
+async function handleDoctorReply(fromPhone, text) {
+  const from = normalizePhone(fromPhone);
+  const parsed = parseDoctorReply(text);
+  const page = from ? await findPageForReply(from, parsed?.code || null) : null;
+
+  if (!page && !(from && isConfiguredDoctor(from))) {
+    return { matched: false, reason: 'unknown_sender' };
+  }
+  if (!parsed) {
+    logger.info('📱 SMS from a doctor number that is not a page reply', { from: fromPhone });
+    return { matched: false, reason: 'not_a_reply' };
+  }
+  if (!page) {
+    logger.warn(`⚠️ Doctor reply ${parsed.reply.toUpperCase()}${parsed.code ? ` ${parsed.code}` : ''} matches no open page`);
+    return { matched: false, reason: 'no_open_page' };
+  }
+
+  const receivedAt = new Date().toISOString();
+  const entry = { from, reply: parsed.reply, code: parsed.code, receivedAt };
+  const acknowledging = parsed.reply !== REPLY.DECLINE;
+  let firstAck = false;
+
+  const updated = await getPageRepository().update(page.emergencyId, (current) => {
+    firstAck = acknowledging && current.status !== PAGE_STATUS.ACKNOWLEDGED;
+    return {
+      ...current,
+      replies: [...current.replies, entry],
+      ...(firstAck ? { status: PAGE_STATUS.ACKNOWLEDGED, acknowledgedBy: from, acknowledgedAt: receivedAt } : {}),
+      updatedAt: receivedAt
+    };
+  });
+
+  await emergencyStore.updateEmergencyRecord(page.emergencyId, (record) => {
+    record.doctorReplies = [...(record.doctorReplies || []), entry];
+  });
+  recordAudit({
+    action: 'doctor_replied',
+    entity: { type: 'emergency', id: page.emergencyId },
+    actor: { type: 'doctor', id: from },
+    data: { reply: parsed.reply }
+  });
+  logger.info(`📱 Doctor replied ${parsed.reply.toUpperCase()} to emergency ${page.emergencyId}`);
+
+  if (firstAck) {
+    const emergency = await emergencyStore.getEmergencyRecord(page.emergencyId);
+    if (emergency && [EMERGENCY_STATUS.DETECTED, EMERGENCY_STATUS.DOCTOR_NOTIFIED].includes(emergency.status)) {
+      await emergencyStore.recordEmergencyStatus(page.emergencyId, EMERGENCY_STATUS.DOCTOR_ACKNOWLEDGED, {
+        doctorPhone: from,
+        reply: parsed.reply
+      });
+    }
+    await stopEscalation(page.emergencyId, { doctorPhone: from, reason: 'acknowledged' });
+  }
+
+  if (parsed.reply === REPLY.DECLINE) {
+    await handleDecline(updated.data, from);
+  }
+
+  return { matched: true, emergencyId: page.emergencyId, reply: parsed.reply };
+}
+
+/**
+ * Move on from a doctor who declined: the escalation ladder's next tier when
+ * they are its active tier, otherwise the next doctor to page
+ */
+async function handleDecline(page, from) {
+  if (page.status === PAGE_STATUS.ACKNOWLEDGED) {
+    return;
+  }
+
+  const escalation = await getEscalation(page.emergencyId);
+  if (escalation && escalation.status === ESCALATION_STATUS.ACTIVE) {
+    const activeTier = escalation.tiers[escalation.activeTier];
+    if (activeTier && normalizePhone(activeTier.phone) === from) {
+      await advanceEscalation(page.emergencyId, escalation.activeTier, 'declined');
+    }
+    return;
+  }
+
+  const last = page.attempts[page.attempts.length - 1];
+  if (last.doctorPhone === from && !(await pageNext(page, 'declined'))) {
+    logger.error(`🚨 Emergency ${page.emergencyId} was declined and there is no other doctor to page`);
+  }
+}
+
+/**
+ * Get the page state for an emergency
+ * @param {string} emergencyId - Emergency ID
+ * @returns {Promise<Object|null>} Page record
+ */
+async function getPage(emergencyId) {
+  const record = await getPageRepository().get(emergencyId);
+  return record ? record.data : null;
+}
+
+module.exports = {
+  PAGE_STATUS,
+  getPageRepository,
+  REPLY,
+  parseDoctorReply,
+  registerPage,
+  pageDoctor,
+  handlePageAckTimeout,
+  handleDoctorReply,
+  getPage
+};
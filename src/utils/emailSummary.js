@@ -1,6 +1,8 @@
 const NodemailerComponent = require('../utils/nodemailerComponent');
 const { getRecordingTranscription } = require('./callRecordings');
 require('dotenv').config();
+const { createLogger } = require('./logger');
+const logger = createLogger('emailSummary');
 
 const mailer = new NodemailerComponent();
 
@@ -37,7 +39,7 @@ async function generateCallSummary(transcriptionData) {
 
     return response.data.choices[0].message.content;
   } catch (error) {
-    console.error('Error generating summary:', error.message);
+    logger.error('Error generating summary:', error.message);
     return 'Error generating summary. Please review the full transcript.';
   }
 }
@@ -101,10 +103,10 @@ async function sendCallSummaryEmail(recordingId) {
       htmlContent.replace(/<[^>]*>/g, ''), // Strip HTML for text version
       htmlContent
     );
-    console.log(`Call summary email sent successfully from ${process.env.GMAIL_USER} to ${process.env.ADMIN_EMAIL}`);
+    logger.info(`Call summary email sent successfully from ${process.env.GMAIL_USER} to ${process.env.ADMIN_EMAIL}`);
     
   } catch (error) {
-    console.error('Error sending call summary email:', error.message);
+    logger.error('Error sending call summary email:', error.message);
     throw error;
   }
 }
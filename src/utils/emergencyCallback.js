@@ -0,0 +1,379 @@
+const { enqueueJob } = require('./jobQueue');
+const { recordAudit } = require('./auditLog');
+const emergencyStore = require('./emergencyStore');
+const { CONFERENCE_STATE, getConferenceRepository } = require('./conferenceStateMachine');
+const { getEscalationLadder } = require('./escalationLadder');
+const { getPage } = require('./doctorPages');
+const { createLogger } = require('./logger');
+const logger = createLogger('emergencyCallback');
+
+/**
+ * Emergency patient call-backs
+ *
+ * `initiateEmergencyCall` (emergency.js) calls the patient back with Telnyx
+ * webhooks pointed at /webhook/emergency-callback?emergencyId=..., which
+ * hands them to `handleCallbackEvent`. The call goes:
+ *
+ *   call.answered       ask the patient to press 1 to confirm who they are
+ *   call.gather.ended   1: play the emergency instructions
+ *                       2: apologise and hang up
+ *                       nothing: ask again, then hang up
+ *   call.speak.ended    after the instructions, join the emergency conference
+ *                       if one is still live, or else transfer the call to the
+ *                       on-call doctor
+ *   call.hangup         before an answer this is a no-answer, and the patient
+ *                       gets an SMS asking them to call back
+ *
+ * Where the call is up to is kept on the emergency record, in `callbacks`
+ * (one entry per call, keyed by call control ID). Every outcome is appended to
+ * the entry's `history` and audited as `patient_callback`.
+ */
+
+const CALLBACK_OUTCOME = {
+  DIALING: 'dialing',
+  ANSWERED: 'answered',
+  IDENTITY_CONFIRMED: 'identity_confirmed',
+  IDENTITY_DECLINED: 'identity_declined',
+  IDENTITY_UNCONFIRMED: 'identity_unconfirmed',
+  JOINED_CONFERENCE: 'joined_conference',
+  TRANSFERRED_TO_DOCTOR: 'transferred_to_doctor',
+  BRIDGE_FAILED: 'bridge_failed',
+  NO_ANSWER: 'no_answer',
+  HUNG_UP: 'hung_up',
+  COMPLETED: 'completed'
+};
+
+// Once a call reaches one of these, a hangup is the normal end of it
+const BRIDGED_OUTCOMES = [CALLBACK_OUTCOME.JOINED_CONFERENCE, CALLBACK_OUTCOME.TRANSFERRED_TO_DOCTOR];
+const FINAL_OUTCOMES = [CALLBACK_OUTCOME.NO_ANSWER, CALLBACK_OUTCOME.HUNG_UP, CALLBACK_OUTCOME.COMPLETED];
+
+const HOLD_AUDIO_URL = 'https://s3.amazonaws.com/com.twilio.sounds.music/index.xml';
+
+function getIdentityAttempts() {
+  return parseInt(process.env.CALLBACK_IDENTITY_ATTEMPTS, 10) || 2;
+}
+
+function getPracticeName() {
+  return require('../config').getPracticeSettings().name;
+}
+
+function encodeClientState(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64');
+}
+
+function identityPrompt(emergency, attempt) {
+  const name = emergency.patient?.name;
+  const intro = attempt > 1
+    ? 'Sorry, I did not get that.'
+    : `Hello, this is ${getPracticeName()} calling you back about the dental emergency you reported.`;
+  return name
+    ? `${intro} If you are ${name}, press 1. If not, press 2.`
+    : `${intro} If you reported the emergency, press 1. If not, press 2.`;
+}
+
+function emergencyInstructions() {
+  return 'Thank you. If you have heavy bleeding that will not stop, trouble breathing or swallowing, or swelling spreading to your eye or neck, hang up and call 911 now. ' +
+    'Otherwise, keep pressure on any bleeding with clean gauze, keep a knocked-out tooth in milk, and do not take aspirin. ' +
+    'Please stay on the line while I connect you to the doctor.';
+}
+
+/**
+ * Append an outcome to a call-back's entry on the emergency record, creating
+ * the entry the first time a call is seen
+ * @param {string} emergencyId - Emergency ID
+ * @param {string} callControlId - Call-back call control ID
+ * @param {string} outcome - CALLBACK_OUTCOME value
+ * @param {Object} details - Stored on the history entry (and `changes` on the call-back itself)
+ * @returns {Promise<Object|null>} Call-back entry, or null if the emergency does not exist
+ */
+async function recordCallbackOutcome(emergencyId, callControlId, outcome, details = {}) {
+  const { changes = {}, ...data } = details;
+  const at = new Date().toISOString();
+  let callback = null;
+  let recorded = false;
+
+  await emergencyStore.updateEmergencyRecord(emergencyId, (record) => {
+    record.callbacks = record.callbacks || [];
+    let entry = record.callbacks.find(item => item.callControlId === callControlId);
+    if (!entry) {
+      entry = { callControlId, phone: record.patient?.phone || null, startedAt: at, identityAttempts: 0, history: [] };
+      record.callbacks.push(entry);
+    }
+
+    // Call webhooks can arrive before makeCall returns, so a late "dialing"
+    // only fills in what the entry is missing instead of resetting its outcome
+    if (outcome === CALLBACK_OUTCOME.DIALING && entry.outcome && entry.outcome !== CALLBACK_OUTCOME.DIALING) {
+      for (const [key, value] of Object.entries(changes)) {
+        if (entry[key] === undefined || entry[key] === null) {
+          entry[key] = value;
+        }
+      }
+    } else {
+      Object.assign(entry, changes, { outcome, updatedAt: at });
+      entry.history.push({ outcome, at, ...data });
+      recorded = true;
+    }
+    callback = { ...entry };
+  });
+
+  if (recorded) {
+    recordAudit({
+      action: 'patient_callback',
+      entity: { type: 'emergency', id: emergencyId },
+      data: { callControlId, outcome, ...data }
+    });
+  }
+  return callback;
+}
+
+/**
+ * Record that a call-back was placed (a no-op on the outcome if the call's
+ * webhooks got there first)
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} call - { callControlId, phone }
+ * @returns {Promise<Object|null>} Call-back entry
+ */
+async function recordCallbackStarted(emergencyId, call) {
+  return await recordCallbackOutcome(emergencyId, call.callControlId, CALLBACK_OUTCOME.DIALING, {
+    changes: { phone: call.phone }
+  });
+}
+
+async function findCallback(emergencyId, callControlId) {
+  const emergency = await emergencyStore.getEmergencyRecord(emergencyId);
+  if (!emergency) {
+    return { emergency: null, callback: null };
+  }
+  const callback = (emergency.callbacks || []).find(item => item.callControlId === callControlId) || null;
+  return { emergency, callback };
+}
+
+async function askIdentity(emergency, callControlId, attempt) {
+  await require('../telnyx').startGather(callControlId, {
+    text: identityPrompt(emergency, attempt),
+    minimumDigits: 1,
+    maximumDigits: 1,
+    validDigits: '12',
+    timeoutMillis: 8000
+  });
+}
+
+/**
+ * The doctor to transfer the patient to: whoever acknowledged the page, the
+ * doctor the emergency was routed to, or the top of the escalation ladder
+ */
+async function getOnCallDoctor(emergency) {
+  const page = await getPage(emergency.id);
+  return page?.acknowledgedBy || emergency.doctorPhone || getEscalationLadder()[0]?.phone || null;
+}
+
+/**
+ * Put the confirmed patient through to a doctor
+ * @param {Object} emergency - Emergency record
+ * @param {string} callControlId - Call-back call control ID
+ * @returns {Promise<string>} Outcome recorded
+ */
+async function bridgeCallback(emergency, callControlId) {
+  const telnyxHelper = require('../telnyx');
+  const { findConference } = require('../telnyx-conference');
+
+  try {
+    const conference = await findConference(emergency.id);
+
+    if (conference && conference.state !== CONFERENCE_STATE.ENDED) {
+      // The call-back leg stands in for the patient's original call
+      await getConferenceRepository().update(emergency.id, (current) => current ? {
+        ...current,
+        patientCallControlId: callControlId,
+        updatedAt: new Date().toISOString()
+      } : undefined);
+      await telnyxHelper.startConference(callControlId, conference.name, {
+        holdAudioUrl: HOLD_AUDIO_URL,
+        clientState: encodeClientState({ type: 'emergency_patient', emergencyId: emergency.id })
+      });
+      await recordCallbackOutcome(emergency.id, callControlId, CALLBACK_OUTCOME.JOINED_CONFERENCE, {
+        conferenceName: conference.name
+      });
+      logger.info(`🎪 Call-back for emergency ${emergency.id} joined conference ${conference.name}`);
+      return CALLBACK_OUTCOME.JOINED_CONFERENCE;
+    }
+
+    const doctorPhone = await getOnCallDoctor(emergency);
+    if (!doctorPhone) {
+      throw new Error('No on-call doctor configured');
+    }
+
+    await telnyxHelper.transferCall(callControlId, {
+      to: doctorPhone,
+      from: process.env.TELNYX_PHONE_NUMBER,
+      client_state: encodeClientState({ type: 'emergency_callback', emergencyId: emergency.id }),
+      command_id: `callback-transfer-${callControlId}`
+    });
+    await recordCallbackOutcome(emergency.id, callControlId, CALLBACK_OUTCOME.TRANSFERRED_TO_DOCTOR, { doctorPhone });
+    logger.info(`📞 Call-back for emergency ${emergency.id} transferred to the on-call doctor`);
+    return CALLBACK_OUTCOME.TRANSFERRED_TO_DOCTOR;
+
+  } catch (error) {
+    logger.error(`❌ Error connecting call-back for emergency ${emergency.id}:`, error);
+    await recordCallbackOutcome(emergency.id, callControlId, CALLBACK_OUTCOME.BRIDGE_FAILED, { error: error.message });
+    try {
+      await telnyxHelper.speakText(callControlId,
+        'I am sorry, I could not connect you to the doctor. The doctor has your number and will call you. If this gets worse, please call 911.');
+    } catch (speakError) {
+      logger.error('❌ Error telling patient the call-back could not be connected:', speakError);
+    }
+    return CALLBACK_OUTCOME.BRIDGE_FAILED;
+  }
+}
+
+async function handleGatherEnded(emergency, callback, payload) {
+  const callControlId = callback.callControlId;
+  const digits = (payload.digits || '').trim();
+
+  if (digits === '1') {
+    await recordCallbackOutcome(emergency.id, callControlId, CALLBACK_OUTCOME.IDENTITY_CONFIRMED);
+    await require('../telnyx').speakText(callControlId, emergencyInstructions());
+    return CALLBACK_OUTCOME.IDENTITY_CONFIRMED;
+  }
+
+  if (digits === '2') {
+    await recordCallbackOutcome(emergency.id, callControlId, CALLBACK_OUTCOME.IDENTITY_DECLINED);
+    await require('../telnyx').speakText(callControlId, 'Sorry to have bothered you. Goodbye.');
+    return CALLBACK_OUTCOME.IDENTITY_DECLINED;
+  }
+
+  if (payload.status === 'call_hangup') {
+    return 'ignored';
+  }
+
+  const attempts = (callback.identityAttempts || 0) + 1;
+  if (attempts < getIdentityAttempts()) {
+    await recordCallbackOutcome(emergency.id, callControlId, CALLBACK_OUTCOME.ANSWERED, {
+      identityAttempt: attempts + 1,
+      changes: { identityAttempts: attempts }
+    });
+    await askIdentity(emergency, callControlId, attempts + 1);
+    return 'reasked';
+  }
+
+  // Probably voicemail, or someone who cannot answer; the doctor still has the number
+  await recordCallbackOutcome(emergency.id, callControlId, CALLBACK_OUTCOME.IDENTITY_UNCONFIRMED, {
+    changes: { identityAttempts: attempts }
+  });
+  await require('../telnyx').hangupCall(callControlId);
+  return CALLBACK_OUTCOME.IDENTITY_UNCONFIRMED;
+}
+
+async function handleHangup(emergency, callback, payload) {
+  const callControlId = callback.callControlId;
+  const changes = { endedAt: new Date().toISOString(), hangupCause: payload.hangup_cause || null };
+
+  if (!callback.answeredAt) {
+    await recordCallbackOutcome(emergency.id, callControlId, CALLBACK_OUTCOME.NO_ANSWER, {
+      hangupCause: changes.hangupCause,
+      changes
+    });
+    logger.warn(`⚠️ Patient did not answer the call-back for emergency ${emergency.id} (${changes.hangupCause || 'unknown cause'})`);
+
+    if (emergency.patient?.phone) {
+      await enqueueJob('send-patient-sms', {
+        phone: emergency.patient.phone,
+        message: `${getPracticeName()} tried to call you back about your dental emergency. Please call us back at ${process.env.TELNYX_PHONE_NUMBER}. If it is life-threatening, call 911.`
+      });
+    }
+    return CALLBACK_OUTCOME.NO_ANSWER;
+  }
+
+  const outcome = BRIDGED_OUTCOMES.includes(callback.outcome) ? CALLBACK_OUTCOME.COMPLETED : CALLBACK_OUTCOME.HUNG_UP;
+  await recordCallbackOutcome(emergency.id, callControlId, outcome, {
+    hangupCause: changes.hangupCause,
+    previousOutcome: callback.outcome,
+    changes
+  });
+  return outcome;
+}
+
+/**
+ * Handle a Telnyx webhook for a patient call-back
+ * @param {string} emergencyId - Emergency ID (from the callback URL)
+ * @param {string} eventType - Telnyx event type
+ * @param {Object} payload - Telnyx event payload
+ * @returns {Promise<Object>} { handled, action }
+ */
+async function handleCallbackEvent(emergencyId, eventType, payload) {
+  const callControlId = payload?.call_control_id;
+  if (!emergencyId || !callControlId) {
+    return { handled: false, action: 'missing_ids' };
+  }
+
+  // Once joined, the leg's conference events belong to the conference state machine
+  if (eventType.startsWith('conference.')) {
+    const { handleConferenceEvent } = require('../telnyx-conference');
+    const result = await handleConferenceEvent({ event_type: eventType, payload });
+    return { handled: true, action: 'conference', state: result.state };
+  }
+
+  let { emergency, callback } = await findCallback(emergencyId, callControlId);
+  if (!emergency) {
+    logger.warn(`⚠️ Call-back event ${eventType} for unknown emergency ${emergencyId}`);
+    return { handled: false, action: 'unknown_emergency' };
+  }
+  if (!callback) {
+    callback = await recordCallbackOutcome(emergencyId, callControlId, CALLBACK_OUTCOME.DIALING, {
+      changes: { phone: payload.to || emergency.patient?.phone || null }
+    });
+  }
+  if (FINAL_OUTCOMES.includes(callback.outcome)) {
+    return { handled: true, action: 'finished' };
+  }
+
+  switch (eventType) {
+    case 'call.answered':
+      if (callback.answeredAt) {
+        return { handled: true, action: 'duplicate' };
+      }
+      await recordCallbackOutcome(emergencyId, callControlId, CALLBACK_OUTCOME.ANSWERED, {
+        identityAttempt: 1,
+        changes: { answeredAt: new Date().toISOString() }
+      });
+      logger.info(`📞 Patient answered the call-back for emergency ${emergencyId}`);
+      await askIdentity(emergency, callControlId, 1);
+      return { handled: true, action: CALLBACK_OUTCOME.ANSWERED };
+
+    case 'call.gather.ended':
+      if (callback.outcome !== CALLBACK_OUTCOME.ANSWERED) {
+        return { handled: true, action: 'duplicate' };
+      }
+      return { handled: true, action: await handleGatherEnded(emergency, callback, payload) };
+
+    case 'call.speak.ended':
+      if (callback.outcome === CALLBACK_OUTCOME.IDENTITY_CONFIRMED) {
+        return { handled: true, action: await bridgeCallback(emergency, callControlId) };
+      }
+      if ([CALLBACK_OUTCOME.IDENTITY_DECLINED, CALLBACK_OUTCOME.BRIDGE_FAILED].includes(callback.outcome)) {
+        await require('../telnyx').hangupCall(callControlId);
+        return { handled: true, action: 'hung_up' };
+      }
+      return { handled: true, action: 'ignored' };
+
+    case 'call.hangup': {
+      const action = await handleHangup(emergency, callback, payload);
+      if (callback.outcome === CALLBACK_OUTCOME.JOINED_CONFERENCE) {
+        // The patient leaving ends the conference
+        const { handleConferenceEvent } = require('../telnyx-conference');
+        await handleConferenceEvent({ event_type: eventType, payload });
+      }
+      return { handled: true, action };
+    }
+
+    default:
+      return { handled: true, action: 'ignored' };
+  }
+}
+
+module.exports = {
+  CALLBACK_OUTCOME,
+  recordCallbackStarted,
+  recordCallbackOutcome,
+  handleCallbackEvent
+};
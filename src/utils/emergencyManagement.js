@@ -0,0 +1,276 @@
+const { recordAudit } = require('./auditLog');
+const emergencyStore = require('./emergencyStore');
+const { EMERGENCY_STATUS } = emergencyStore;
+const { CONFERENCE_STATE, PARTICIPANT_ROLE, getConferenceRepository } = require('./conferenceStateMachine');
+const { ESCALATION_STATUS, getEscalation, cancelEscalation, getEscalationLadder } = require('./escalationLadder');
+const { getPage, pageDoctor } = require('./doctorPages');
+const { CALLBACK_OUTCOME } = require('./emergencyCallback');
+const { createLogger } = require('./logger');
+const logger = createLogger('emergencyManagement');
+
+/**
+ * Emergency management for the /api/emergencies endpoints
+ *
+ * The detail view pulls together what is spread over the `emergencies`,
+ * `conferences`, `escalations` and `doctor_pages` collections. Actions return
+ * { success, emergency } or { success: false, error, notFound }, like
+ * intake.updateIntakeStatus, and are audited with the staff member who took
+ * them. Telnyx is only loaded when an action needs it.
+ */
+
+const DISPOSITION = {
+  ADVICE_GIVEN: 'advice_given',
+  SEEN_IN_OFFICE: 'seen_in_office',
+  REFERRED_TO_ER: 'referred_to_er',
+  FOLLOW_UP_BOOKED: 'follow_up_booked',
+  NO_CONTACT: 'no_contact',
+  NOT_AN_EMERGENCY: 'not_an_emergency',
+  OTHER: 'other'
+};
+
+async function findLiveConference(emergencyId) {
+  const record = await getConferenceRepository().get(emergencyId);
+  return record && record.data.state !== CONFERENCE_STATE.ENDED ? record.data : null;
+}
+
+function notFound(emergencyId) {
+  return { success: false, notFound: true, error: `Emergency not found: ${emergencyId}` };
+}
+
+/**
+ * Everything known about an emergency: its timeline, the conference and its
+ * participants, the doctors notified and the recordings
+ * @param {string} emergencyId - Emergency ID
+ * @returns {Promise<Object|null>} Emergency details, or null if not found
+ */
+async function getEmergencyDetails(emergencyId) {
+  const record = await emergencyStore.getEmergencyRecord(emergencyId);
+  if (!record) {
+    return null;
+  }
+
+  const [conferenceRecord, escalation, page] = await Promise.all([
+    getConferenceRepository().get(emergencyId),
+    getEscalation(emergencyId),
+    getPage(emergencyId)
+  ]);
+  const conference = conferenceRecord ? conferenceRecord.data : null;
+
+  let participants = [];
+  if (conference) {
+    participants = conference.participants.some(participant => participant.type === PARTICIPANT_ROLE.PATIENT)
+      ? conference.participants
+      : [{ type: PARTICIPANT_ROLE.PATIENT, phone: conference.patientPhone, callControlId: conference.patientCallControlId }, ...conference.participants];
+  }
+
+  // Every SMS page, doctor dial and transfer leaves a doctor_notified entry
+  const notifications = record.timeline
+    .filter(entry => entry.status === EMERGENCY_STATUS.DOCTOR_NOTIFIED)
+    .map(({ status, timestamp, ...details }) => ({ sentAt: timestamp, ...details }));
+
+  return {
+    ...record,
+    conference: conference ? {
+      name: conference.name,
+      conferenceId: conference.conferenceId,
+      state: conference.state,
+      created: conference.created,
+      endedAt: conference.endedAt || null,
+      history: conference.history
+    } : null,
+    participants,
+    notifications,
+    doctorReplies: record.doctorReplies || [],
+    page: page ? { code: page.code, status: page.status, attempts: page.attempts, acknowledgedBy: page.acknowledgedBy || null } : null,
+    escalation,
+    recordings: record.recordings || []
+  };
+}
+
+/**
+ * Hang everyone up and end an emergency's conference
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} actor - { type, id } of the staff member
+ * @returns {Promise<Object>} { success, emergency, participantsHungUp }
+ */
+async function endEmergency(emergencyId, actor = null) {
+  if (!await emergencyStore.getEmergencyRecord(emergencyId)) {
+    return notFound(emergencyId);
+  }
+  if (!await findLiveConference(emergencyId)) {
+    return { success: false, error: 'No live conference for this emergency' };
+  }
+
+  const { endEmergencyConference } = require('../telnyx-conference');
+  const result = await endEmergencyConference(emergencyId);
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  recordAudit({
+    action: 'conference_ended',
+    entity: { type: 'emergency', id: emergencyId },
+    actor,
+    data: { participantsHungUp: result.participantsHungUp }
+  });
+  logger.info(`🎪 Emergency ${emergencyId} conference ended by staff`);
+
+  return {
+    success: true,
+    participantsHungUp: result.participantsHungUp,
+    emergency: await emergencyStore.getEmergencyRecord(emergencyId)
+  };
+}
+
+/**
+ * Send another SMS page for an emergency
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} options - { doctorPhone, actor }; the doctor defaults to the
+ *   last one paged, then the emergency's doctor, then the top of the ladder
+ * @returns {Promise<Object>} { success, emergency, doctorPhone }
+ */
+async function repageDoctor(emergencyId, options = {}) {
+  const record = await emergencyStore.getEmergencyRecord(emergencyId);
+  if (!record) {
+    return notFound(emergencyId);
+  }
+  if (record.status === EMERGENCY_STATUS.RESOLVED) {
+    return { success: false, error: 'Emergency is already resolved' };
+  }
+
+  const page = await getPage(emergencyId);
+  const doctorPhone = options.doctorPhone
+    || page?.attempts[page.attempts.length - 1]?.doctorPhone
+    || record.doctorPhone
+    || getEscalationLadder()[0]?.phone;
+  if (!doctorPhone) {
+    return { success: false, error: 'No doctor to page' };
+  }
+
+  const patient = record.patient || {};
+  const message = page?.message
+    || `EMERGENCY: ${patient.name || 'Unknown patient'} (${patient.phone || 'no number'}) - ${patient.reason || 'no details'}`;
+  await pageDoctor({ emergencyId, doctorPhone, message: `RE-PAGE: ${message}`, kind: 'repage' });
+
+  recordAudit({
+    action: 'doctor_repaged',
+    entity: { type: 'emergency', id: emergencyId },
+    actor: options.actor || null,
+    data: { doctorPhone }
+  });
+  logger.info(`🔁 Emergency ${emergencyId} re-paged by staff`);
+
+  return { success: true, doctorPhone, emergency: record };
+}
+
+/**
+ * Transfer the patient's call to a different doctor: out of the conference if
+ * there is a live one, or else the call-back or original call
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} options - { doctorPhone, actor }
+ * @returns {Promise<Object>} { success, emergency }
+ */
+async function transferEmergency(emergencyId, options = {}) {
+  const record = await emergencyStore.getEmergencyRecord(emergencyId);
+  if (!record) {
+    return notFound(emergencyId);
+  }
+  if (!options.doctorPhone) {
+    return { success: false, error: 'doctorPhone is required' };
+  }
+
+  let callControlId;
+  try {
+    if (await findLiveConference(emergencyId)) {
+      const { transferEmergencyConference } = require('../telnyx-conference');
+      const result = await transferEmergencyConference(emergencyId, options.doctorPhone);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+      callControlId = result.callControlId;
+    } else {
+      const callback = (record.callbacks || []).slice().reverse().find(item =>
+        !item.endedAt && [CALLBACK_OUTCOME.JOINED_CONFERENCE, CALLBACK_OUTCOME.TRANSFERRED_TO_DOCTOR].includes(item.outcome));
+      callControlId = callback?.callControlId || record.callControlId;
+      if (!callControlId) {
+        return { success: false, error: 'No call to transfer for this emergency' };
+      }
+
+      await require('../telnyx').transferCall(callControlId, {
+        to: options.doctorPhone,
+        from: process.env.TELNYX_PHONE_NUMBER,
+        client_state: Buffer.from(JSON.stringify({ type: 'emergency_transfer', emergencyId })).toString('base64'),
+        command_id: `transfer-${emergencyId}-${Date.now()}`
+      });
+    }
+  } catch (error) {
+    logger.error(`❌ Error transferring emergency ${emergencyId}:`, error);
+    return { success: false, error: error.message };
+  }
+
+  const emergency = await emergencyStore.recordEmergencyStatus(emergencyId, EMERGENCY_STATUS.DOCTOR_NOTIFIED, {
+    doctorPhone: options.doctorPhone,
+    channel: 'transfer',
+    callControlId,
+    transferredBy: options.actor ? options.actor.id : null
+  });
+  recordAudit({
+    action: 'transferred',
+    entity: { type: 'emergency', id: emergencyId },
+    actor: options.actor || null,
+    data: { doctorPhone: options.doctorPhone, callControlId }
+  });
+  logger.info(`🔀 Emergency ${emergencyId} transferred to another doctor by staff`);
+
+  return { success: true, emergency };
+}
+
+/**
+ * Mark an emergency resolved. Any escalation still paging doctors is
+ * cancelled and page reminders stop.
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} options - { note, disposition, actor }
+ * @returns {Promise<Object>} { success, emergency }
+ */
+async function resolveEmergency(emergencyId, options = {}) {
+  const record = await emergencyStore.getEmergencyRecord(emergencyId);
+  if (!record) {
+    return notFound(emergencyId);
+  }
+  if (record.status === EMERGENCY_STATUS.RESOLVED) {
+    return { success: false, error: 'Emergency is already resolved' };
+  }
+  if (!options.note) {
+    return { success: false, error: 'A disposition note is required' };
+  }
+  const disposition = options.disposition || DISPOSITION.OTHER;
+  if (!Object.values(DISPOSITION).includes(disposition)) {
+    return { success: false, error: `disposition must be one of: ${Object.values(DISPOSITION).join(', ')}` };
+  }
+
+  const escalation = await getEscalation(emergencyId);
+  if (escalation && escalation.status === ESCALATION_STATUS.ACTIVE) {
+    await cancelEscalation(emergencyId, 'resolved');
+  }
+
+  const resolvedBy = options.actor ? options.actor.id : null;
+  await emergencyStore.updateEmergencyRecord(emergencyId, (current) => {
+    current.disposition = { code: disposition, note: options.note, resolvedBy };
+  });
+  const emergency = await emergencyStore.recordEmergencyStatus(emergencyId, EMERGENCY_STATUS.RESOLVED, {
+    disposition,
+    resolvedBy
+  });
+  logger.info(`✅ Emergency ${emergencyId} resolved: ${disposition}`);
+
+  return { success: true, emergency };
+}
+
+module.exports = {
+  DISPOSITION,
+  getEmergencyDetails,
+  endEmergency,
+  repageDoctor,
+  transferEmergency,
+  resolveEmergency
+};
@@ -0,0 +1,201 @@
+const { createRepository } = require('./repository');
+
+/**
+ * Emergency webhook payload adapters
+ *
+ * /webhook/emergency is called by several Telnyx AI assistant configurations
+ * that each send a different body. Every shape we accept is described by a
+ * named, versioned adapter:
+ *   - detect(body):   does the body look like this shape?
+ *   - validate(body): list of problems (empty when valid)
+ *   - toReport(body): map it to the canonical EmergencyReport
+ *
+ * EmergencyReport:
+ *   { schema, isEmergency, reason, patient: { name, phone }, callControlId, isUrgent }
+ *
+ * Adapters are tried in order and the first one whose detect() matches is
+ * used. Bodies no adapter recognizes (or that fail validation) are stored in
+ * the `unrecognized_payloads` collection for review.
+ */
+
+const NO_REASON = 'No reason provided';
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Arguments of every function call in a Telnyx tool call array
+ * @param {Array} body - [{ id, type, function: { name, arguments } }]
+ * @returns {Array<Object>} [{ name, args }]
+ */
+function getFunctionCalls(body) {
+  return body
+    .filter(item => isObject(item) && isObject(item.function))
+    .map(item => ({ name: item.function.name, args: isObject(item.function.arguments) ? item.function.arguments : {} }));
+}
+
+function isFunctionCallArray(body) {
+  return Array.isArray(body) && body.length > 0 && getFunctionCalls(body).length === body.length;
+}
+
+/**
+ * Reason field, which some assistants send as "Reason " (trailing space)
+ */
+function getReason(args) {
+  return args.Reason || args['Reason '] || NO_REASON;
+}
+
+function getPhone(args) {
+  const phone = args.telnyx_end_user_target || args.phone;
+  return phone !== undefined && phone !== null && phone !== '' ? phone.toString() : null;
+}
+
+/**
+ * Older assistants put the caller into the reason: "Jane Doe (+13105551234) ..."
+ */
+function parseReasonPatient(reason) {
+  const match = reason && reason !== NO_REASON ? reason.match(/^([^(]+)\s*\((\+\d+)\)/) : null;
+  return match ? { name: match[1].trim(), phone: match[2] } : null;
+}
+
+/**
+ * Build an EmergencyReport from the main arguments plus any sibling calls
+ * @param {string} schema - Adapter ID
+ * @param {Object} args - Arguments carrying Emergency/Reason/Name
+ * @param {Array<Object>} siblings - Other function call arguments (call_control_id, is_urgent)
+ * @returns {Object} EmergencyReport
+ */
+function buildReport(schema, args, siblings = []) {
+  const reason = getReason(args);
+  const patient = { name: args.Name || null, phone: getPhone(args) };
+
+  if (!patient.name && !patient.phone) {
+    Object.assign(patient, parseReasonPatient(reason));
+  }
+
+  const fromSiblings = (field) => {
+    const sibling = siblings.find(candidate => candidate[field] !== undefined);
+    return sibling ? sibling[field] : undefined;
+  };
+
+  const isUrgent = args.is_urgent !== undefined ? args.is_urgent : fromSiblings('is_urgent');
+
+  return {
+    schema,
+    isEmergency: typeof args.Emergency === 'boolean' ? args.Emergency : args.is_urgent,
+    reason,
+    patient,
+    callControlId: args.call_control_id || fromSiblings('call_control_id') || null,
+    isUrgent: isUrgent !== undefined ? isUrgent : null
+  };
+}
+
+function requireBoolean(args, field) {
+  return typeof args[field] === 'boolean' ? [] : [`${field} must be a boolean`];
+}
+
+const ADAPTERS = [
+  {
+    // [{ function: { name: 'emergencytext', arguments: { Emergency, Name, Reason, telnyx_end_user_target } } },
+    //  { function: { name: 'GatherUsingAI', arguments: { call_control_id, is_urgent, ... } } }]
+    id: 'telnyx-emergencytext/v1',
+    detect: (body) => isFunctionCallArray(body) &&
+      getFunctionCalls(body).some(call => call.name === 'emergencytext' && typeof call.args.Emergency === 'boolean'),
+    validate: () => [],
+    toReport: (body) => {
+      const calls = getFunctionCalls(body);
+      const main = calls.find(call => call.name === 'emergencytext' && typeof call.args.Emergency === 'boolean');
+      return buildReport('telnyx-emergencytext/v1', main.args, calls.filter(call => call !== main).map(call => call.args));
+    }
+  },
+  {
+    // Tool call array from any other function; urgency comes from Emergency or is_urgent
+    id: 'telnyx-function-call/v1',
+    detect: (body) => isFunctionCallArray(body) &&
+      getFunctionCalls(body).some(call => Object.keys(call.args).length > 0),
+    validate: (body) => {
+      const main = getFunctionCalls(body).find(call => Object.keys(call.args).length > 0);
+      return typeof main.args.Emergency === 'boolean' || typeof main.args.is_urgent === 'boolean'
+        ? []
+        : [`function ${main.name} has neither an Emergency nor an is_urgent boolean`];
+    },
+    toReport: (body) => {
+      const calls = getFunctionCalls(body);
+      const main = calls.find(call => Object.keys(call.args).length > 0);
+      return buildReport('telnyx-function-call/v1', main.args, calls.filter(call => call !== main).map(call => call.args));
+    }
+  },
+  {
+    // { Emergency, Reason, Name, phone | telnyx_end_user_target, call_control_id, is_urgent }
+    id: 'direct/v1',
+    detect: (body) => isObject(body) && 'Emergency' in body,
+    validate: (body) => requireBoolean(body, 'Emergency'),
+    toReport: (body) => buildReport('direct/v1', body)
+  }
+];
+
+/**
+ * Is this an empty body sent to check that the endpoint is alive?
+ * @param {*} body - Request body
+ * @returns {boolean} True for {}, [] and missing bodies
+ */
+function isPingPayload(body) {
+  return body === undefined || body === null ||
+    (Array.isArray(body) && body.length === 0) ||
+    (isObject(body) && Object.keys(body).length === 0);
+}
+
+/**
+ * Turn an emergency webhook body into an EmergencyReport
+ * @param {*} body - Parsed request body
+ * @returns {Object} { report } or { error, schema } when unrecognized/invalid
+ */
+function parseEmergencyPayload(body) {
+  const adapter = ADAPTERS.find(candidate => candidate.detect(body));
+  if (!adapter) {
+    return { error: 'Unrecognized emergency payload shape', schema: null };
+  }
+
+  const problems = adapter.validate(body);
+  if (problems.length > 0) {
+    return { error: `Invalid ${adapter.id} payload: ${problems.join('; ')}`, schema: adapter.id };
+  }
+
+  return { report: adapter.toReport(body) };
+}
+
+function getUnrecognizedPayloadRepository() {
+  return createRepository('unrecognized_payloads', {
+    indexes: {
+      phone: () => null,
+      status: (data) => data.route
+    }
+  });
+}
+
+/**
+ * Keep a payload no adapter could handle so a new adapter can be written for it
+ * @param {Object} details - { requestId, route, body, error, schema, headers }
+ * @returns {Promise<Object>} Stored envelope
+ */
+async function storeUnrecognizedPayload({ requestId, route, body, error, schema, headers }) {
+  return await getUnrecognizedPayloadRepository().put(requestId, {
+    requestId,
+    route,
+    receivedAt: new Date().toISOString(),
+    error,
+    schema: schema || null,
+    contentType: headers?.['content-type'] || null,
+    userAgent: headers?.['user-agent'] || null,
+    body
+  });
+}
+
+module.exports = {
+  ADAPTERS,
+  isPingPayload,
+  parseEmergencyPayload,
+  storeUnrecognizedPayload,
+  getUnrecognizedPayloadRepository
+};
@@ -0,0 +1,206 @@
+const { createRepository } = require('./repository');
+const { linkPatientActivity } = require('./patientIndex');
+const { recordAudit } = require('./auditLog');
+const { createLogger } = require('./logger');
+const logger = createLogger('emergencyStore');
+
+/**
+ * Emergency lifecycle statuses, in the order they normally happen
+ */
+const EMERGENCY_STATUS = {
+  DETECTED: 'detected',
+  // Rate-limited or blocklisted caller; waits for a person before anyone is paged
+  HELD_FOR_REVIEW: 'held_for_review',
+  DOCTOR_NOTIFIED: 'doctor_notified',
+  // The doctor replied ACK or CALLING to an SMS page
+  DOCTOR_ACKNOWLEDGED: 'doctor_acknowledged',
+  CONFERENCE_STARTED: 'conference_started',
+  DOCTOR_JOINED: 'doctor_joined',
+  RESOLVED: 'resolved'
+};
+
+function getEmergencyRepository() {
+  return createRepository('emergencies', {
+    indexes: {
+      phone: (data) => data.patient?.phone,
+      status: (data) => data.status
+    }
+  });
+}
+
+/**
+ * Create a new emergency record
+ * @param {string} emergencyId - Emergency ID (durable key)
+ * @param {Object} details - { patient, message, callControlId, source, ... }
+ * @returns {Promise<Object>} Emergency record
+ */
+async function createEmergencyRecord(emergencyId, details = {}) {
+  const repository = getEmergencyRepository();
+  const existing = await repository.get(emergencyId);
+  if (existing) {
+    return existing.data;
+  }
+
+  const { patient = {}, ...rest } = details;
+  const now = new Date().toISOString();
+  const record = {
+    id: emergencyId,
+    status: EMERGENCY_STATUS.DETECTED,
+    patient: {
+      name: patient.name || null,
+      phone: patient.phone ? patient.phone.toString() : null,
+      reason: patient.reason || patient.symptoms || null
+    },
+    callControlId: null,
+    conferenceName: null,
+    recordings: [],
+    ...rest,
+    createdAt: now,
+    timeline: [{ status: EMERGENCY_STATUS.DETECTED, timestamp: now }]
+  };
+
+  // Attach the emergency to the caller's patient profile
+  const profile = await linkPatientActivity({
+    phone: record.patient.phone,
+    name: record.patient.name,
+    type: 'emergency',
+    id: emergencyId,
+    timestamp: now,
+    summary: record.patient.reason
+  });
+  if (profile) {
+    record.patientId = profile.id;
+  }
+
+  await repository.put(emergencyId, record);
+  recordAudit({
+    action: 'created',
+    entity: { type: 'emergency', id: emergencyId },
+    data: { source: record.source || null, callControlId: record.callControlId, patient: record.patient }
+  });
+  logger.info(`🗂️ Emergency record created: ${emergencyId}`);
+  return record;
+}
+
+/**
+ * Apply changes to an emergency record
+ * @param {string} emergencyId - Emergency ID
+ * @param {Function} mutate - Receives the record and changes it in place
+ *   (returning false leaves the stored record untouched)
+ * @returns {Promise<Object|null>} Updated record, or null if not found
+ */
+async function updateEmergencyRecord(emergencyId, mutate) {
+  const updated = await getEmergencyRepository().update(emergencyId, (record) => {
+    if (!record || mutate(record) === false) {
+      return undefined;
+    }
+    return record;
+  });
+  return updated ? updated.data : null;
+}
+
+/**
+ * Append a status change to an emergency's timeline
+ * @param {string} emergencyId - Emergency ID
+ * @param {string} status - New status
+ * @param {Object} details - Extra details stored on the timeline entry
+ * @returns {Promise<Object>} Updated record
+ */
+async function recordEmergencyStatus(emergencyId, status, details = {}) {
+  const updated = await updateEmergencyRecord(emergencyId, (record) => {
+    record.status = status;
+    record.timeline.push({ status, timestamp: new Date().toISOString(), ...details });
+
+    if (details.conferenceName) {
+      record.conferenceName = details.conferenceName;
+    }
+    if (details.callControlId && !record.callControlId) {
+      record.callControlId = details.callControlId;
+    }
+    if (status === EMERGENCY_STATUS.RESOLVED) {
+      record.resolvedAt = new Date().toISOString();
+    }
+  });
+
+  if (updated) {
+    recordAudit({
+      action: 'status_changed',
+      entity: { type: 'emergency', id: emergencyId },
+      data: { status, ...details }
+    });
+    return updated;
+  }
+
+  // Status updates can arrive for emergencies we have not seen yet
+  const record = await createEmergencyRecord(emergencyId, {
+    callControlId: details.callControlId || null,
+    conferenceName: details.conferenceName || null
+  });
+  return status === EMERGENCY_STATUS.DETECTED ? record : await recordEmergencyStatus(emergencyId, status, details);
+}
+
+/**
+ * Attach a recording reference to an emergency (a redelivered recording
+ * replaces the earlier copy)
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} recording - Recording reference ({ recordingId, url, ... })
+ * @returns {Promise<Object|null>} Updated record
+ */
+async function addEmergencyRecording(emergencyId, recording) {
+  return await updateEmergencyRecord(emergencyId, (record) => {
+    record.recordings = (record.recordings || []).filter(existing =>
+      !recording.recordingId || existing.recordingId !== recording.recordingId);
+    record.recordings.push({ ...recording, addedAt: new Date().toISOString() });
+  });
+}
+
+/**
+ * Get an emergency record
+ * @param {string} emergencyId - Emergency ID
+ * @returns {Promise<Object|null>} Emergency record
+ */
+async function getEmergencyRecord(emergencyId) {
+  const record = await getEmergencyRepository().get(emergencyId);
+  return record ? record.data : null;
+}
+
+/**
+ * Find the emergency linked to a call control ID (the patient's call or a
+ * call-back to them)
+ * @param {string} callControlId - Call control ID
+ * @returns {Promise<Object|null>} Most recent matching emergency record
+ */
+async function findEmergencyByCallControlId(callControlId) {
+  if (!callControlId) {
+    return null;
+  }
+  const { data } = await getEmergencyRepository().query({ text: callControlId });
+  const match = data.find(record => record.data.callControlId === callControlId ||
+    (record.data.callbacks || []).some(callback => callback.callControlId === callControlId));
+  return match ? match.data : null;
+}
+
+/**
+ * List emergency records
+ * @param {Object} query - { status, phone, from, to, text, limit, offset }
+ * @returns {Promise<Object>} { data: [records], total }
+ */
+async function listEmergencyRecords(query = {}) {
+  const result = await getEmergencyRepository().query(query);
+  return {
+    data: result.data.map(record => record.data),
+    total: result.total
+  };
+}
+
+module.exports = {
+  EMERGENCY_STATUS,
+  createEmergencyRecord,
+  updateEmergencyRecord,
+  recordEmergencyStatus,
+  addEmergencyRecording,
+  getEmergencyRecord,
+  findEmergencyByCallControlId,
+  listEmergencyRecords,
+  getEmergencyRepository
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { createLogger } = require('./logger');
+const logger = createLogger('encryption');
+
+/**
+ * Envelope encryption for data at rest
+ *
+ * Every sealed value gets its own random data key (DEK). The value is
+ * encrypted with the DEK using AES-256-GCM, and the DEK is itself encrypted
+ * ("wrapped") with a key-encryption key (KEK) from the keyring. Rotating the
+ * KEK therefore only needs the DEKs re-wrapped, not the data re-encrypted.
+ *
+ * Keys come from either:
+ *   - DATA_ENCRYPTION_KEY: one 32-byte key, base64 or hex
+ *     (DATA_ENCRYPTION_KEY_ID names it, default "primary";
+ *     DATA_ENCRYPTION_PREVIOUS_KEYS="id:key,id:key" keeps old keys readable)
+ *   - DATA_ENCRYPTION_KEY_FILE: a JSON keyring
+ *     { "activeKeyId": "2025-01", "keys": { "2024-06": "<key>", "2025-01": "<key>" } }
+ *     or a file holding a single key
+ *
+ * Without a key, values are stored as plaintext (a warning is logged once).
+ * Plaintext values are always readable, so existing files keep working.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_MARKER = '$enc';
+const ENVELOPE_VERSION = 1;
+
+let cachedKeyring;
+let warnedPlaintext = false;
+
+/**
+ * Parse a 32-byte key given as hex or base64
+ * @param {string} value - Encoded key
+ * @param {string} keyId - Key ID (for error messages)
+ * @returns {Buffer} Key bytes
+ */
+function parseKey(value, keyId) {
+  const trimmed = (value || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`Encryption key "${keyId}" must be 32 bytes (base64 or hex encoded)`);
+  }
+  return key;
+}
+
+/**
+ * Load the keyring from the environment
+ * @returns {Object|null} { activeKeyId, keys: Map } or null when encryption is off
+ */
+function loadKeyring() {
+  const keyFile = process.env.DATA_ENCRYPTION_KEY_FILE;
+  const keys = new Map();
+  let activeKeyId;
+
+  if (keyFile) {
+    const content = fs.readFileSync(keyFile, 'utf8').trim();
+    if (content.startsWith('{')) {
+      const parsed = JSON.parse(content);
+      Object.entries(parsed.keys || {}).forEach(([keyId, value]) => keys.set(keyId, parseKey(value, keyId)));
+      activeKeyId = parsed.activeKeyId;
+    } else {
+      activeKeyId = process.env.DATA_ENCRYPTION_KEY_ID || 'primary';
+      keys.set(activeKeyId, parseKey(content, activeKeyId));
+    }
+  } else if (process.env.DATA_ENCRYPTION_KEY) {
+    activeKeyId = process.env.DATA_ENCRYPTION_KEY_ID || 'primary';
+    keys.set(activeKeyId, parseKey(process.env.DATA_ENCRYPTION_KEY, activeKeyId));
+  } else {
+    return null;
+  }
+
+  (process.env.DATA_ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.substring(0, separator).trim();
+    if (keyId && !keys.has(keyId)) {
+      keys.set(keyId, parseKey(entry.substring(separator + 1), keyId));
+    }
+  });
+
+  if (!activeKeyId || !keys.has(activeKeyId)) {
+    throw new Error(`Active encryption key "${activeKeyId}" is not in the keyring`);
+  }
+
+  return { activeKeyId, keys };
+}
+
+/**
+ * Get the (cached) keyring
+ * @returns {Object|null} Keyring
+ */
+function getKeyring() {
+  if (cachedKeyring === undefined) {
+    cachedKeyring = loadKeyring();
+    if (cachedKeyring) {
+      logger.info(`🔐 Encryption at rest enabled (active key: ${cachedKeyring.activeKeyId})`);
+    }
+  }
+  return cachedKeyring;
+}
+
+/**
+ * Forget the cached keyring so the next call reloads it (used by key rotation)
+ */
+function resetKeyring() {
+  cachedKeyring = undefined;
+}
+
+function isEncryptionEnabled() {
+  return !!getKeyring();
+}
+
+function encryptWith(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), ciphertext: ciphertext.toString('base64') };
+}
+
+function decryptWith(key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+}
+
+/**
+ * Check whether a value is a sealed envelope
+ * @param {*} value - Parsed JSON value
+ * @returns {boolean} True if sealed
+ */
+function isSealed(value) {
+  return !!value && typeof value === 'object' && value[ENVELOPE_MARKER] === ALGORITHM;
+}
+
+/**
+ * Parse a stored string as an envelope, if it is one
+ * @param {string} text - Stored text
+ * @returns {Object|null} Envelope
+ */
+function parseEnvelope(text) {
+  if (typeof text !== 'string' || !text.startsWith(`{"${ENVELOPE_MARKER}"`)) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(text);
+    return isSealed(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Unwrap the data key of an envelope
+ * @param {Object} envelope - Sealed envelope
+ * @returns {Buffer} Data key
+ */
+function unwrapDataKey(envelope) {
+  const keyring = getKeyring();
+  const kek = keyring && keyring.keys.get(envelope.kid);
+  if (!kek) {
+    throw new Error(`Encryption key "${envelope.kid}" is needed to read this record but is not configured`);
+  }
+  return decryptWith(kek, envelope.dek);
+}
+
+/**
+ * Encrypt a string for storage (returned unchanged when encryption is off)
+ * @param {string} plaintext - Text to store
+ * @returns {string} Sealed envelope as a single-line JSON string
+ */
+function seal(plaintext) {
+  const keyring = getKeyring();
+  if (!keyring) {
+    if (!warnedPlaintext && process.env.NODE_ENV === 'production') {
+      logger.warn('⚠️ DATA_ENCRYPTION_KEY is not set - patient data is being stored unencrypted');
+      warnedPlaintext = true;
+    }
+    return plaintext;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const envelope = {
+    [ENVELOPE_MARKER]: ALGORITHM,
+    v: ENVELOPE_VERSION,
+    kid: keyring.activeKeyId,
+    dek: encryptWith(keyring.keys.get(keyring.activeKeyId), dataKey),
+    ...encryptWith(dataKey, Buffer.from(plaintext, 'utf8'))
+  };
+  return JSON.stringify(envelope);
+}
+
+/**
+ * Decrypt a stored string (plaintext passes through unchanged)
+ * @param {string} stored - Stored text
+ * @returns {string} Plaintext
+ */
+function unseal(stored) {
+  const envelope = parseEnvelope(stored);
+  if (!envelope) {
+    return stored;
+  }
+  return decryptWith(unwrapDataKey(envelope), envelope).toString('utf8');
+}
+
+/**
+ * Re-wrap a stored value under the active key, encrypting plaintext on the way
+ * @param {string} stored - Stored text
+ * @returns {Object} { value, changed }
+ */
+function reseal(stored) {
+  const keyring = getKeyring();
+  if (!keyring) {
+    throw new Error('No encryption key configured');
+  }
+
+  const envelope = parseEnvelope(stored);
+  if (!envelope) {
+    return { value: seal(stored), changed: true };
+  }
+  if (envelope.kid === keyring.activeKeyId) {
+    return { value: stored, changed: false };
+  }
+
+  const dataKey = unwrapDataKey(envelope);
+  const rewrapped = {
+    ...envelope,
+    kid: keyring.activeKeyId,
+    dek: encryptWith(keyring.keys.get(keyring.activeKeyId), dataKey)
+  };
+  return { value: JSON.stringify(rewrapped), changed: true };
+}
+
+/**
+ * Generate a new random key, base64 encoded
+ * @returns {string} Key
+ */
+function generateKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+module.exports = {
+  isEncryptionEnabled,
+  seal,
+  unseal,
+  reseal,
+  generateKey,
+  resetKeyring
+};
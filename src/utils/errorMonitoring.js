@@ -1,5 +1,7 @@
 const NodemailerComponent = require('./nodemailerComponent');
 require('dotenv').config();
+const { createLogger } = require('./logger');
+const logger = createLogger('errorMonitoring');
 
 const mailer = new NodemailerComponent();
 const ERROR_EMAIL = 'dentalreception6@gmail.com';
@@ -46,12 +48,12 @@ async function sendErrorNotification(errorData, requestData = {}, endpoint = 'Un
       htmlContent
     );
 
-    console.log(`📧 Error notification sent to ${ERROR_EMAIL} for error: ${errorId}`);
+    logger.info(`📧 Error notification sent to ${ERROR_EMAIL} for error: ${errorId}`);
     
   } catch (emailError) {
-    console.error('❌ Failed to send error notification email:', emailError);
+    logger.error('❌ Failed to send error notification email:', emailError);
     // Log the original error details to console as fallback
-    console.error('Original error details:', {
+    logger.error('Original error details:', {
       endpoint,
       error: errorData.message,
       stack: errorData.stack,
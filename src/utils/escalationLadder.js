@@ -0,0 +1,535 @@
+const { createRepository } = require('./repository');
+const { enqueueJob } = require('./jobQueue');
+const { recordAudit } = require('./auditLog');
+const { ALERT_KIND, alertStaff } = require('./staffAlerts');
+const { createLogger } = require('./logger');
+const logger = createLogger('escalationLadder');
+
+/**
+ * Emergency doctor escalation ladder
+ *
+ * Once a patient is waiting in an emergency conference, doctors are tried one
+ * tier at a time until someone joins:
+ *
+ *   voice  - dial the doctor into the conference and ring for the tier's timeout
+ *   sms    - page the doctor by SMS and wait the tier's timeout for them to join
+ *
+ * The ladder comes from ESCALATION_LADDER, a comma-separated list of
+ * `channel:phone[:seconds]` tiers, e.g.
+ *
+ *   ESCALATION_LADDER=voice:+15551112222:30,sms:+15551112222:120,voice:+15553334444:45
+ *
+ * Without it the ladder is the on-duty doctor (NIGHT_EMERGENCY_DOCTOR out of
+ * hours, PRIMARY_EMERGENCY_DOCTOR otherwise) by voice then SMS, followed by
+ * BACKUP_EMERGENCY_DOCTOR the same way. Tiers without a timeout use
+ * ESCALATION_RING_TIMEOUT_SECONDS (voice, default 30) or
+ * ESCALATION_SMS_WAIT_SECONDS (sms, default 120).
+ *
+ * Voice tiers are dialed with answering machine detection. A voice tier moves
+ * on when the doctor's call ends unanswered (call.hangup before call.answered),
+ * voicemail picks up (the leg is hung up) or the dial request fails. When a
+ * person answers, the leg is joined to the conference. Every tier also gets an
+ * `escalation-timeout` job as a backstop, so the ladder keeps moving when an
+ * event never arrives or the server restarts. The ladder stops as soon as a
+ * doctor joins the conference or replies ACK to an SMS page (see
+ * ./doctorPages); an answer alone does not stop it.
+ *
+ * A ladder that runs out of tiers alerts the practice staff (see ./staffAlerts).
+ *
+ * State lives in the `escalations` collection, keyed by emergency ID.
+ */
+
+const ESCALATION_STATUS = {
+  ACTIVE: 'active',
+  CONNECTED: 'connected',
+  // A paged doctor replied ACK or CALLING by SMS
+  ACKNOWLEDGED: 'acknowledged',
+  EXHAUSTED: 'exhausted',
+  // The patient left before a doctor joined
+  CANCELLED: 'cancelled'
+};
+
+const CHANNELS = ['voice', 'sms'];
+
+// Answering machine detection results that mean a voicemail picked up
+const MACHINE_RESULTS = ['machine', 'fax_detected'];
+
+// Hangup causes that mean the doctor never picked up
+const NO_ANSWER_CAUSES = ['timeout', 'no_answer', 'busy', 'call_rejected', 'unallocated_number', 'originator_cancel', 'user_busy'];
+
+// Extra time after a voice tier's ring timeout before the backstop job fires
+const TIMEOUT_GRACE_MS = 15000;
+
+function getEscalationRepository() {
+  return createRepository('escalations', {
+    indexes: {
+      phone: () => null,
+      status: (data) => data.status
+    }
+  });
+}
+
+function defaultTimeoutSeconds(channel) {
+  return channel === 'sms'
+    ? parseInt(process.env.ESCALATION_SMS_WAIT_SECONDS, 10) || 120
+    : parseInt(process.env.ESCALATION_RING_TIMEOUT_SECONDS, 10) || 30;
+}
+
+function isNightTime(date = new Date()) {
+  const hour = date.getHours();
+  return hour < 8 || hour > 18;
+}
+
+/**
+ * Parse ESCALATION_LADDER
+ * @param {string} value - e.g. "voice:+15551112222:30,sms:+15551112222"
+ * @returns {Array<Object>} Tiers { channel, phone, timeoutSeconds }
+ */
+function parseLadder(value) {
+  return value.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [channel, phone, seconds] = part.split(':').map(item => item.trim());
+    if (!CHANNELS.includes(channel) || !phone) {
+      throw new Error(`Invalid ESCALATION_LADDER tier "${part}" (expected voice|sms:<phone>[:seconds])`);
+    }
+    return {
+      channel,
+      phone,
+      timeoutSeconds: parseInt(seconds, 10) || defaultTimeoutSeconds(channel)
+    };
+  });
+}
+
+/**
+ * Build the escalation ladder for an emergency starting now
+ * @returns {Array<Object>} Tiers { channel, phone, timeoutSeconds }
+ */
+function getEscalationLadder(date = new Date()) {
+  if (process.env.ESCALATION_LADDER) {
+    return parseLadder(process.env.ESCALATION_LADDER);
+  }
+
+  const onDuty = isNightTime(date)
+    ? process.env.NIGHT_EMERGENCY_DOCTOR || process.env.PRIMARY_EMERGENCY_DOCTOR
+    : process.env.PRIMARY_EMERGENCY_DOCTOR;
+  const doctors = [onDuty, process.env.BACKUP_EMERGENCY_DOCTOR]
+    .filter((phone, index, all) => phone && all.indexOf(phone) === index);
+
+  return doctors.flatMap(phone => CHANNELS.map(channel => ({
+    channel,
+    phone,
+    timeoutSeconds: defaultTimeoutSeconds(channel)
+  })));
+}
+
+/**
+ * SMS sent by an sms tier
+ */
+function buildPageMessage(escalation) {
+  const patient = escalation.patient || {};
+  return [
+    '🚨 DENTAL EMERGENCY - we could not reach you by phone.',
+    `Patient: ${patient.name || 'Unknown'} (${patient.phone || 'unknown number'})`,
+    patient.reason ? `Reason: ${patient.reason}` : null,
+    'The patient is waiting on the line - please call them back now.'
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Start escalating an emergency
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} details - { conferenceName, patient: { name, phone, reason }, patientInfo }
+ * @returns {Promise<Object>} Escalation state
+ */
+async function startEscalation(emergencyId, details = {}) {
+  const tiers = getEscalationLadder();
+  const repository = getEscalationRepository();
+  const existing = await repository.get(emergencyId);
+  if (existing) {
+    return existing.data;
+  }
+
+  const now = new Date().toISOString();
+  const escalation = {
+    emergencyId,
+    conferenceName: details.conferenceName || null,
+    patient: details.patient || {},
+    patientInfo: details.patientInfo || {},
+    tiers,
+    activeTier: null,
+    status: ESCALATION_STATUS.ACTIVE,
+    attempts: [],
+    startedAt: now,
+    updatedAt: now
+  };
+  await repository.put(emergencyId, escalation);
+
+  logger.info(`🪜 Escalation started for ${emergencyId}: ${tiers.map(tier => tier.channel).join(' → ') || 'no tiers configured'}`);
+  recordAudit({
+    action: 'escalation_started',
+    entity: { type: 'emergency', id: emergencyId },
+    data: { tiers: tiers.map(tier => ({ channel: tier.channel, timeoutSeconds: tier.timeoutSeconds })) }
+  });
+
+  return runTier(emergencyId, 0);
+}
+
+/**
+ * Start a tier, or mark the ladder exhausted when there are none left
+ * @param {string} emergencyId - Emergency ID
+ * @param {number} tierIndex - Tier to start
+ * @returns {Promise<Object>} Escalation state
+ */
+async function runTier(emergencyId, tierIndex) {
+  const repository = getEscalationRepository();
+  let started = null;
+  let exhausted = false;
+
+  const result = await repository.update(emergencyId, (escalation) => {
+    if (!escalation || escalation.status !== ESCALATION_STATUS.ACTIVE) {
+      return undefined;
+    }
+    const now = new Date().toISOString();
+
+    if (tierIndex >= escalation.tiers.length) {
+      exhausted = true;
+      return { ...escalation, activeTier: null, status: ESCALATION_STATUS.EXHAUSTED, endedAt: now, updatedAt: now };
+    }
+
+    const tier = escalation.tiers[tierIndex];
+    started = tier;
+    return {
+      ...escalation,
+      activeTier: tierIndex,
+      attempts: [...escalation.attempts, {
+        tier: tierIndex,
+        channel: tier.channel,
+        phone: tier.phone,
+        startedAt: now,
+        outcome: 'pending'
+      }],
+      updatedAt: now
+    };
+  });
+  const escalation = result?.data;
+
+  if (!escalation) {
+    return null;
+  }
+
+  if (exhausted) {
+    logger.error(`🚨 Escalation exhausted for ${emergencyId} - no doctor joined after ${escalation.attempts.length} attempt(s)`);
+    recordAudit({
+      action: 'escalation_exhausted',
+      entity: { type: 'emergency', id: emergencyId },
+      data: { attempts: escalation.attempts.length }
+    });
+
+    // The patient is still on hold, so someone at the practice has to step in
+    const patient = escalation.patient || {};
+    await alertStaff({
+      kind: ALERT_KIND.ESCALATION_EXHAUSTED,
+      emergencyId,
+      subject: `No doctor reached - ${patient.name || 'Unknown patient'}`,
+      message: `No doctor answered emergency ${emergencyId} after ${escalation.attempts.length} attempt(s). ${patient.name || 'The patient'} (${patient.phone || 'unknown number'}${patient.reason ? `, ${patient.reason}` : ''}) is still waiting on hold - call a doctor or the patient now.`
+    });
+    return escalation;
+  }
+
+  if (!started) {
+    return escalation;
+  }
+
+  logger.info(`🪜 Escalation ${emergencyId}: tier ${tierIndex + 1}/${escalation.tiers.length} (${started.channel}) to ${started.phone}`);
+
+  try {
+    if (started.channel === 'voice') {
+      const { dialDoctorToConference } = require('../telnyx-conference');
+      const dialResult = await dialDoctorToConference(emergencyId, started.phone, {
+        conferenceName: escalation.conferenceName,
+        patientInfo: escalation.patientInfo,
+        timeoutSecs: started.timeoutSeconds,
+        tier: tierIndex
+      });
+
+      if (!dialResult.success) {
+        return advanceEscalation(emergencyId, tierIndex, 'dial_failed', { error: dialResult.error });
+      }
+      await setAttempt(emergencyId, tierIndex, { outcome: 'ringing', callControlId: dialResult.call_control_id });
+    } else {
+      // The ladder moves on by itself, so no separate acknowledgement check
+      const { pageDoctor } = require('./doctorPages');
+      await pageDoctor({
+        emergencyId,
+        doctorPhone: started.phone,
+        message: buildPageMessage(escalation),
+        ackTimeout: false
+      });
+      await setAttempt(emergencyId, tierIndex, { outcome: 'sent' });
+    }
+  } catch (error) {
+    logger.error(`❌ Escalation ${emergencyId} tier ${tierIndex + 1} failed:`, error);
+    return advanceEscalation(emergencyId, tierIndex, 'failed', { error: error.message });
+  }
+
+  const graceMs = started.channel === 'voice' ? TIMEOUT_GRACE_MS : 0;
+  await enqueueJob('escalation-timeout', { emergencyId, tier: tierIndex }, {
+    delayMs: started.timeoutSeconds * 1000 + graceMs
+  });
+
+  return getEscalation(emergencyId);
+}
+
+/**
+ * Update the attempt for a tier if it is still the active one
+ */
+async function setAttempt(emergencyId, tierIndex, changes) {
+  return getEscalationRepository().update(emergencyId, (escalation) => {
+    if (!escalation || escalation.activeTier !== tierIndex) {
+      return undefined;
+    }
+    const attempts = escalation.attempts.map((attempt, index) =>
+      index === escalation.attempts.length - 1 ? { ...attempt, ...changes } : attempt);
+    return { ...escalation, attempts, updatedAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * Close the active tier and start the next one. Does nothing when the tier
+ * is no longer active (a later event or the timeout already moved on).
+ * @param {string} emergencyId - Emergency ID
+ * @param {number} tierIndex - Tier that ended
+ * @param {string} outcome - no_answer, busy, timeout, dial_failed, ...
+ * @param {Object} details - Extra fields for the attempt
+ * @returns {Promise<Object|null>} Escalation state
+ */
+async function advanceEscalation(emergencyId, tierIndex, outcome, details = {}) {
+  let advanced = false;
+
+  await getEscalationRepository().update(emergencyId, (escalation) => {
+    if (!escalation || escalation.status !== ESCALATION_STATUS.ACTIVE || escalation.activeTier !== tierIndex) {
+      return undefined;
+    }
+    advanced = true;
+    const now = new Date().toISOString();
+    const attempts = escalation.attempts.map((attempt, index) =>
+      index === escalation.attempts.length - 1 ? { ...attempt, ...details, outcome, endedAt: now } : attempt);
+    return { ...escalation, attempts, updatedAt: now };
+  });
+
+  if (!advanced) {
+    return getEscalation(emergencyId);
+  }
+
+  logger.warn(`⏭️ Escalation ${emergencyId}: tier ${tierIndex + 1} ended (${outcome}), moving on`);
+  return runTier(emergencyId, tierIndex + 1);
+}
+
+/**
+ * Stop the ladder because a doctor answered, joined or acknowledged a page
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} details - { doctorPhone, callControlId, reason: answered|joined|acknowledged }
+ * @returns {Promise<boolean>} True if this call stopped an active ladder
+ */
+async function stopEscalation(emergencyId, details = {}) {
+  let stopped = false;
+
+  await getEscalationRepository().update(emergencyId, (escalation) => {
+    if (!escalation || escalation.status !== ESCALATION_STATUS.ACTIVE) {
+      return undefined;
+    }
+    stopped = true;
+    const now = new Date().toISOString();
+    const attempts = escalation.attempts.map((attempt, index) =>
+      index === escalation.attempts.length - 1 && attempt.outcome !== 'answered'
+        ? { ...attempt, outcome: details.reason || 'answered', endedAt: now }
+        : attempt);
+    return {
+      ...escalation,
+      status: details.reason === 'acknowledged' ? ESCALATION_STATUS.ACKNOWLEDGED : ESCALATION_STATUS.CONNECTED,
+      connectedDoctor: details.doctorPhone || null,
+      attempts,
+      endedAt: now,
+      updatedAt: now
+    };
+  });
+
+  if (stopped) {
+    logger.info(`✅ Escalation ${emergencyId} stopped - doctor ${details.reason === 'acknowledged' ? 'acknowledged the page' : 'connected'}`);
+    recordAudit({
+      action: details.reason === 'acknowledged' ? 'escalation_acknowledged' : 'escalation_connected',
+      entity: { type: 'emergency', id: emergencyId },
+      data: { reason: details.reason || 'answered', callControlId: details.callControlId || null }
+    });
+  }
+  return stopped;
+}
+
+/**
+ * Stop an active ladder without a doctor (e.g. the patient hung up)
+ * @param {string} emergencyId - Emergency ID
+ * @param {string} reason - Why, e.g. 'patient_left'
+ * @returns {Promise<boolean>} True if an active ladder was cancelled
+ */
+async function cancelEscalation(emergencyId, reason) {
+  let cancelled = false;
+
+  await getEscalationRepository().update(emergencyId, (escalation) => {
+    if (!escalation || escalation.status !== ESCALATION_STATUS.ACTIVE) {
+      return undefined;
+    }
+    cancelled = true;
+    const now = new Date().toISOString();
+    return { ...escalation, status: ESCALATION_STATUS.CANCELLED, cancelReason: reason, activeTier: null, endedAt: now, updatedAt: now };
+  });
+
+  if (cancelled) {
+    logger.warn(`🛑 Escalation ${emergencyId} cancelled: ${reason}`);
+    recordAudit({
+      action: 'escalation_cancelled',
+      entity: { type: 'emergency', id: emergencyId },
+      data: { reason }
+    });
+  }
+  return cancelled;
+}
+
+/**
+ * Hang up a doctor leg the ladder is giving up on (unanswered, voicemail or
+ * not joinable)
+ * @param {string} callControlId - Doctor's call control ID
+ */
+async function hangUpDoctorCall(callControlId) {
+  try {
+    await require('../telnyx').hangupCall(callControlId);
+  } catch (error) {
+    logger.warn(`⚠️ Could not hang up doctor call ${callControlId}:`, error.message);
+  }
+}
+
+/**
+ * Feed a doctor-call event into the ladder
+ * @param {string} eventType - call.answered | call.machine.detection.ended | call.hangup |
+ *   conference.participant.joined
+ * @param {Object} payload - Telnyx event payload
+ * @param {Object} clientState - Decoded client state { emergencyId, tier }
+ * @returns {Promise<Object>} { handled, action }
+ */
+async function handleEscalationEvent(eventType, payload, clientState) {
+  const emergencyId = clientState?.emergencyId;
+  if (!emergencyId) {
+    return { handled: false };
+  }
+
+  const escalation = await getEscalation(emergencyId);
+  if (!escalation) {
+    return { handled: false };
+  }
+
+  // Events for a tier that already ended, e.g. a late hangup after the timeout
+  // moved on. Answers, and the hangup of a doctor who actually answered, are
+  // left to the caller (which records the join or ends the conference).
+  const tier = clientState.tier !== undefined ? clientState.tier : escalation.activeTier;
+  if (escalation.status !== ESCALATION_STATUS.ACTIVE || tier !== escalation.activeTier) {
+    const attempt = escalation.attempts.find(item => item.tier === tier);
+    const answered = attempt && ['answered', 'joined'].includes(attempt.outcome);
+    if (eventType !== 'call.hangup' || answered) {
+      return { handled: false };
+    }
+    return { handled: true, action: 'stale' };
+  }
+
+  switch (eventType) {
+    // Voicemail answers too, so wait for answering machine detection
+    case 'call.answered':
+      await setAttempt(emergencyId, tier, { outcome: 'answered', answeredAt: new Date().toISOString() });
+      return { handled: true, action: 'answered' };
+
+    case 'call.machine.detection.ended': {
+      const detection = payload.result || 'not_sure';
+      await setAttempt(emergencyId, tier, { detection });
+
+      if (MACHINE_RESULTS.includes(detection)) {
+        await hangUpDoctorCall(payload.call_control_id);
+        await advanceEscalation(emergencyId, tier, 'voicemail');
+        return { handled: true, action: 'advanced' };
+      }
+
+      // A person, or detection could not tell: join the leg to the conference
+      try {
+        const { joinDoctorToConference } = require('../telnyx-conference');
+        await joinDoctorToConference(emergencyId, payload.call_control_id, {
+          tier,
+          conferenceName: escalation.conferenceName
+        });
+      } catch (error) {
+        logger.error(`❌ Could not join doctor to conference for ${emergencyId}:`, error);
+        await hangUpDoctorCall(payload.call_control_id);
+        await advanceEscalation(emergencyId, tier, 'join_failed', { error: error.message });
+        return { handled: true, action: 'advanced' };
+      }
+      return { handled: true, action: 'joining' };
+    }
+
+    case 'conference.participant.joined':
+      await stopEscalation(emergencyId, {
+        doctorPhone: escalation.tiers[tier]?.phone,
+        callControlId: payload.call_control_id,
+        reason: 'joined'
+      });
+      return { handled: true, action: 'connected' };
+
+    case 'call.hangup': {
+      const cause = payload.hangup_cause || 'no_answer';
+      const outcome = NO_ANSWER_CAUSES.includes(cause) ? (cause === 'user_busy' ? 'busy' : cause) : 'no_answer';
+      await advanceEscalation(emergencyId, tier, outcome, { hangupCause: cause });
+      return { handled: true, action: 'advanced' };
+    }
+
+    default:
+      return { handled: false };
+  }
+}
+
+/**
+ * Backstop for a tier whose doctor neither answered nor hung up in time
+ * (run by the escalation-timeout job)
+ * @param {string} emergencyId - Emergency ID
+ * @param {number} tierIndex - Tier the job was queued for
+ * @returns {Promise<Object|null>} Escalation state, or null if the tier already ended
+ */
+async function handleTierTimeout(emergencyId, tierIndex) {
+  const escalation = await getEscalation(emergencyId);
+  if (!escalation || escalation.status !== ESCALATION_STATUS.ACTIVE || escalation.activeTier !== tierIndex) {
+    return null;
+  }
+
+  const attempt = escalation.attempts[escalation.attempts.length - 1];
+  if (attempt?.callControlId) {
+    await hangUpDoctorCall(attempt.callControlId);
+  }
+
+  return advanceEscalation(emergencyId, tierIndex, 'timeout');
+}
+
+/**
+ * Get the escalation state for an emergency
+ * @param {string} emergencyId - Emergency ID
+ * @returns {Promise<Object|null>} Escalation state
+ */
+async function getEscalation(emergencyId) {
+  const record = await getEscalationRepository().get(emergencyId);
+  return record ? record.data : null;
+}
+
+module.exports = {
+  ESCALATION_STATUS,
+  getEscalationRepository,
+  getEscalationLadder,
+  startEscalation,
+  advanceEscalation,
+  stopEscalation,
+  cancelEscalation,
+  handleEscalationEvent,
+  handleTierTimeout,
+  getEscalation
+};
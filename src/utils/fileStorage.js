@@ -1,56 +1,107 @@
-const fs = require('fs').promises;
-const path = require('path');
+const { createRepository, DATA_DIR } = require('./repository');
 
-const DATA_DIR = process.env.DATA_DIR || '/data';
+// Values webhooks send when they do not know a field; they never overwrite real data
+const PLACEHOLDER_VALUES = ['Unknown', 'Not specified', ''];
 
-async function ensureDataDir() {
-  try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-  } catch (error) {
-    console.error(`Error creating data directory: ${error.message}`);
-  }
+// Call records keep living directly in DATA_DIR as `<key>.json` for the file backend
+function getCallRepository() {
+  return createRepository('calls', { dir: DATA_DIR });
+}
+
+/**
+ * Merge a partial update into an existing call record
+ * @param {Object|null} existing - Stored call data
+ * @param {Object} partial - Fields from one webhook
+ * @returns {Object} Merged call data
+ */
+function mergeFields(existing, partial) {
+  const merged = { ...(existing || {}) };
+
+  Object.entries(partial || {}).forEach(([field, value]) => {
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    const current = merged[field];
+    const hasRealValue = current !== undefined && current !== null && !PLACEHOLDER_VALUES.includes(current);
+    if (PLACEHOLDER_VALUES.includes(value) && hasRealValue) {
+      return;
+    }
+
+    merged[field] = value;
+  });
+
+  return merged;
 }
 
 async function storeCallData(key, data) {
-  await ensureDataDir();
-  const filePath = path.join(DATA_DIR, `${key}.json`);
-  try {
-    await fs.writeFile(filePath, JSON.stringify(data));
-    console.log(`Data stored successfully at ${filePath}`);
-  } catch (error) {
-    console.error(`Error storing data: ${error.message}`);
-    throw error;
-  }
+  await getCallRepository().update(key, () => data);
+}
+
+/**
+ * Merge fields into a call record without losing what other webhooks wrote
+ * @param {string} key - Call key
+ * @param {Object} partial - Fields to merge
+ * @returns {Promise<Object>} Merged call data
+ */
+async function mergeCallData(key, partial) {
+  const record = await getCallRepository().update(key, (existing) => mergeFields(existing, partial));
+  return record.data;
+}
+
+/**
+ * Attach a recording reference to a call record that still exists
+ * @param {string} key - Call key
+ * @param {Object} recording - Recording reference ({ recordingId, ... })
+ * @returns {Promise<Object|null>} Updated call data, or null if there is no such call
+ */
+async function addCallRecording(key, recording) {
+  const record = await getCallRepository().update(key, (existing) => existing ? {
+    ...existing,
+    recordings: [
+      ...(existing.recordings || []).filter(item => item.recordingId !== recording.recordingId),
+      recording
+    ]
+  } : undefined);
+  return record ? record.data : null;
 }
 
 async function getCallData(key) {
-  const filePath = path.join(DATA_DIR, `${key}.json`);
-  try {
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.log(`File not found: ${filePath}`);
-      return null; // File not found
-    }
-    console.error(`Error reading data: ${error.message}`);
-    throw error;
-  }
+  const record = await getCallRepository().get(key);
+  return record ? record.data : null;
 }
 
 async function deleteCallData(key) {
-  const filePath = path.join(DATA_DIR, `${key}.json`);
-  try {
-    await fs.unlink(filePath);
-    console.log(`Data deleted successfully: ${filePath}`);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.log(`File not found for deletion: ${filePath}`);
-      return; // File doesn't exist, no need to delete
-    }
-    console.error(`Error deleting data: ${error.message}`);
-    throw error;
-  }
+  await getCallRepository().delete(key);
+}
+
+/**
+ * Read a call record once no webhook is still writing it
+ * @param {string} key - Call key
+ * @returns {Promise<Object|null>} Call data
+ */
+async function getSettledCallData(key) {
+  // An update that changes nothing waits for the key's lock and returns the record
+  const record = await getCallRepository().update(key, () => undefined);
+  return record ? record.data : null;
+}
+
+/**
+ * Search stored call records
+ * @param {Object} query - { phone, status, from, to, text, limit, offset }
+ * @returns {Promise<Object>} { data: [{ key, version, createdAt, updatedAt, data }], total }
+ */
+async function queryCallData(query = {}) {
+  return await getCallRepository().query(query);
 }
 
-module.exports = { storeCallData, getCallData, deleteCallData };
+module.exports = {
+  storeCallData,
+  mergeCallData,
+  addCallRecording,
+  getCallData,
+  deleteCallData,
+  getSettledCallData,
+  queryCallData,
+  getCallRepository
+};
@@ -0,0 +1,204 @@
+const path = require('path');
+
+/**
+ * Validation of GatherUsingAI results
+ *
+ * The fields we ask the assistant to gather are defined once, as JSON Schema,
+ * in gather-tool.json. Results come back loosely typed ("Pain level": "10",
+ * phone as a number, "High" for an enum), so values are coerced to the schema
+ * type before they are checked. Only the keywords our schemas use are
+ * supported: type, required, pattern, minimum, maximum, enum.
+ */
+
+const GATHER_TOOL_FILE = path.join(__dirname, '..', '..', 'gather-tool.json');
+
+// Values that mean "the caller did not say"
+const EMPTY_VALUES = ['', 'unknown', 'not specified', 'n/a'];
+
+// Names the assistant uses for schema fields besides their normalized form
+const FIELD_ALIASES = {
+  reason: 'symptoms',
+  reasons: 'symptoms',
+  pain: 'pain_level',
+  urgency: 'urgency_level'
+};
+
+let cachedSchema;
+
+/**
+ * The GatherUsingAI schema from gather-tool.json
+ * @returns {Object} JSON Schema
+ */
+function getGatherSchema() {
+  if (!cachedSchema) {
+    const tools = require(GATHER_TOOL_FILE).tools || [];
+    const tool = tools.find(candidate => candidate.name === 'GatherUsingAI');
+    if (!tool) {
+      throw new Error('GatherUsingAI tool is not defined in gather-tool.json');
+    }
+    cachedSchema = tool.parameters.schema;
+  }
+  return cachedSchema;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && EMPTY_VALUES.includes(value.trim().toLowerCase()));
+}
+
+/**
+ * Coerce a value towards a schema type
+ * @param {*} value - Raw value
+ * @param {Object} property - Property schema
+ * @returns {*} Coerced value (unchanged when it cannot be coerced)
+ */
+function coerceValue(value, property) {
+  switch (property.type) {
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'string') {
+        return value;
+      }
+      // "10", " 7 ", "8/10", "6 out of 10"
+      const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*(?:\/\s*10|out of 10)?$/i);
+      return match ? Number(match[1]) : value;
+    }
+
+    case 'boolean':
+      if (typeof value === 'string' && ['true', 'false', 'yes', 'no'].includes(value.trim().toLowerCase())) {
+        return ['true', 'yes'].includes(value.trim().toLowerCase());
+      }
+      return value;
+
+    case 'string': {
+      let text = typeof value === 'number' ? value.toString() : value;
+      if (typeof text !== 'string') {
+        return text;
+      }
+      text = text.trim();
+
+      if (property.enum && !property.enum.includes(text)) {
+        const match = property.enum.find(option => option.toLowerCase() === text.toLowerCase());
+        text = match || text;
+      }
+      // Spoken phone numbers come back formatted: "(310) 751-0189"
+      if (property.pattern && !new RegExp(property.pattern).test(text)) {
+        const compact = text.replace(/[\s().-]/g, '');
+        text = new RegExp(property.pattern).test(compact) ? compact : text;
+      }
+      return text;
+    }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check a coerced value against its property schema
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkValue(value, property) {
+  const type = property.type;
+
+  if (type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+  if (type === 'number' && (typeof value !== 'number' || Number.isNaN(value))) return 'must be a number';
+  if (type === 'string' && typeof value !== 'string') return 'must be a string';
+  if (type === 'boolean' && typeof value !== 'boolean') return 'must be a boolean';
+
+  if (property.minimum !== undefined && value < property.minimum) return `must be at least ${property.minimum}`;
+  if (property.maximum !== undefined && value > property.maximum) return `must be at most ${property.maximum}`;
+  if (property.enum && !property.enum.includes(value)) return `must be one of ${property.enum.join(', ')}`;
+  if (property.pattern && !new RegExp(property.pattern).test(value)) return `must match ${property.pattern}`;
+
+  return null;
+}
+
+/**
+ * Map incoming keys ("Pain level", "Reasons") onto schema property names
+ * @param {Object} data - Raw data
+ * @param {Object} schema - Object schema
+ * @returns {Object} Data keyed by schema names (unknown keys kept as-is)
+ */
+function normalizeKeys(data, schema) {
+  const properties = schema.properties || {};
+  const normalized = {};
+
+  Object.entries(data || {}).forEach(([key, value]) => {
+    const candidate = key.trim().toLowerCase().replace(/\s+/g, '_');
+    const field = properties[candidate] ? candidate : (FIELD_ALIASES[candidate] && properties[FIELD_ALIASES[candidate]] ? FIELD_ALIASES[candidate] : key);
+
+    // Later keys win when two map to the same field, unless they are empty
+    if (normalized[field] === undefined || !isEmpty(value)) {
+      normalized[field] = value;
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Validate (and coerce) an object against a JSON Schema
+ * @param {Object} data - Raw data
+ * @param {Object} schema - Object schema
+ * @returns {Object} { valid, value, errors: [{ field, message, value }], missing: [fields] }
+ */
+function validateAgainstSchema(data, schema) {
+  const value = normalizeKeys(data, schema);
+  const errors = [];
+  const missing = [];
+
+  Object.entries(schema.properties || {}).forEach(([field, property]) => {
+    if (isEmpty(value[field])) {
+      delete value[field];
+      if ((schema.required || []).includes(field)) {
+        missing.push(field);
+        errors.push({ field, message: 'is required', value: null });
+      }
+      return;
+    }
+
+    const coerced = coerceValue(value[field], property);
+    const message = checkValue(coerced, property);
+    if (message) {
+      errors.push({ field, message, value: value[field] });
+      delete value[field];
+    } else {
+      value[field] = coerced;
+    }
+  });
+
+  return { valid: errors.length === 0, value, errors, missing };
+}
+
+/**
+ * Validate a GatherUsingAI result against gather-tool.json
+ * @param {Object} data - Gathered data (function arguments or webhook payload)
+ * @returns {Object} { valid, value, errors, missing }
+ */
+function validateGatherResult(data) {
+  return validateAgainstSchema(data, getGatherSchema());
+}
+
+/**
+ * Schema that asks again for just the fields that were missing or invalid
+ * @param {Array<Object>} errors - Validation errors
+ * @returns {Object} JSON Schema
+ */
+function buildReaskSchema(errors) {
+  const schema = getGatherSchema();
+  const fields = [...new Set(errors.map(error => error.field))].filter(field => schema.properties[field]);
+
+  return {
+    type: 'object',
+    properties: fields.reduce((acc, field) => ({ ...acc, [field]: schema.properties[field] }), {}),
+    required: fields.filter(field => (schema.required || []).includes(field))
+  };
+}
+
+module.exports = {
+  getGatherSchema,
+  validateAgainstSchema,
+  validateGatherResult,
+  buildReaskSchema
+};
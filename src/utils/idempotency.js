@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { createRepository } = require('./repository');
+const { recordAudit } = require('./auditLog');
+const { createLogger } = require('./logger');
+const logger = createLogger('idempotency');
+
+/**
+ * Idempotent webhook ingestion
+ *
+ * Providers retry webhooks, and many of ours page doctors or send emails. Each
+ * delivery is keyed by its provider event ID (Telnyx `data.id`, tool call IDs)
+ * or, when there is none, a SHA-256 of the raw body. The first delivery is
+ * processed and its response stored; repeats within
+ * WEBHOOK_IDEMPOTENCY_WINDOW_SECONDS (default 3600) get the stored response
+ * back without running the handler again.
+ *
+ * Deliveries that fail with a 5xx are forgotten so the provider's retry can
+ * succeed, and a repeat that arrives while the first is still running gets a
+ * 409 so the provider tries again later.
+ */
+
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+let pruneTimer = null;
+
+function getEventRepository() {
+  return createRepository('webhook_events', {
+    indexes: {
+      phone: () => null,
+      status: (data) => data.state
+    }
+  });
+}
+
+function getWindowSeconds() {
+  return parseInt(process.env.WEBHOOK_IDEMPOTENCY_WINDOW_SECONDS, 10) || 3600;
+}
+
+/**
+ * Work out the identity of a webhook delivery
+ * @param {Object} req - Express request (with rawBody)
+ * @returns {Object} { eventId, source: 'event_id'|'content_hash' }
+ */
+function getEventIdentity(req) {
+  const body = req.body || {};
+  const eventId = body.data?.id ||
+    body.event_id ||
+    (Array.isArray(body) && body.every(item => item && item.id) ? body.map(item => item.id).join(',') : null);
+
+  if (eventId) {
+    return { eventId: eventId.toString(), source: 'event_id' };
+  }
+
+  const raw = req.rawBody !== undefined ? req.rawBody : JSON.stringify(body);
+  return { eventId: crypto.createHash('sha256').update(raw || '').digest('hex'), source: 'content_hash' };
+}
+
+/**
+ * Storage key for a delivery (hashed so provider IDs are safe as file names)
+ */
+function getEventKey(route, eventId) {
+  return `evt_${crypto.createHash('sha256').update(`${route}|${eventId}`).digest('hex').substring(0, 40)}`;
+}
+
+/**
+ * Remove expired delivery records
+ * @returns {Promise<number>} Number of records removed
+ */
+async function pruneExpiredEvents() {
+  const repository = getEventRepository();
+  const now = new Date().toISOString();
+  const expired = (await repository.list()).filter(record => record.data.expiresAt < now);
+
+  for (const record of expired) {
+    await repository.delete(record.key);
+  }
+  return expired.length;
+}
+
+/**
+ * Express middleware that de-duplicates webhook deliveries
+ * @returns {Function} Middleware
+ */
+function createIdempotencyMiddleware() {
+  if (!pruneTimer) {
+    pruneTimer = setInterval(() => {
+      pruneExpiredEvents().catch(error => logger.error('❌ Error pruning webhook events:', error));
+    }, PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+  }
+
+  return async (req, res, next) => {
+    if (req.method !== 'POST' || process.env.WEBHOOK_IDEMPOTENCY_ENABLED === 'false') {
+      return next();
+    }
+
+    const route = req.originalUrl.split('?')[0];
+    const { eventId, source } = getEventIdentity(req);
+    const key = getEventKey(route, eventId);
+    const repository = getEventRepository();
+
+    let claimed = false;
+    let existing = null;
+
+    try {
+      await repository.update(key, (data) => {
+        if (data && data.expiresAt > new Date().toISOString()) {
+          existing = data;
+          return undefined;
+        }
+
+        claimed = true;
+        const now = new Date();
+        return {
+          route,
+          eventId,
+          source,
+          state: 'processing',
+          receivedAt: now.toISOString(),
+          expiresAt: new Date(now.getTime() + getWindowSeconds() * 1000).toISOString(),
+          duplicates: 0
+        };
+      });
+    } catch (error) {
+      // Never drop a webhook because the de-duplication store is unavailable
+      logger.error('❌ Idempotency check failed, processing webhook anyway:', error);
+      return next();
+    }
+
+    if (!claimed) {
+      logger.info(`♻️ Suppressed duplicate webhook ${route} (${source} ${eventId.substring(0, 64)}, first received ${existing.receivedAt})`);
+      recordAudit({
+        action: 'duplicate_suppressed',
+        entity: { type: 'webhook', id: route },
+        data: { eventId, source, firstReceivedAt: existing.receivedAt, state: existing.state }
+      });
+      repository.update(key, (data) => data ? { ...data, duplicates: (data.duplicates || 0) + 1 } : undefined)
+        .catch(error => logger.error('❌ Error counting duplicate webhook:', error));
+
+      if (existing.state !== 'completed') {
+        return res.status(409).json({ error: 'Duplicate webhook is still being processed', eventId });
+      }
+
+      res.set('Idempotent-Replay', 'true');
+      if (existing.response.contentType) {
+        res.set('Content-Type', existing.response.contentType);
+      }
+      return res.status(existing.response.statusCode).send(existing.response.body);
+    }
+
+    // Capture what the handler sends so repeats get the same answer
+    let responseBody;
+    const originalSend = res.send.bind(res);
+    res.send = (body) => {
+      if (responseBody === undefined) {
+        responseBody = Buffer.isBuffer(body) ? body.toString('utf8') : (typeof body === 'object' ? JSON.stringify(body) : body);
+      }
+      return originalSend(body);
+    };
+
+    res.on('finish', () => {
+      const failed = res.statusCode >= 500;
+      const store = failed
+        ? repository.delete(key)
+        : repository.update(key, (data) => data ? {
+          ...data,
+          state: 'completed',
+          completedAt: new Date().toISOString(),
+          response: {
+            statusCode: res.statusCode,
+            contentType: res.get('Content-Type') || null,
+            body: responseBody === undefined ? '' : responseBody
+          }
+        } : undefined);
+
+      Promise.resolve(store).catch(error => logger.error('❌ Error storing webhook response:', error));
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  createIdempotencyMiddleware,
+  getEventIdentity,
+  pruneExpiredEvents,
+  getEventRepository
+};
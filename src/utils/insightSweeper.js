@@ -0,0 +1,158 @@
+const { getCallRepository } = require('./fileStorage');
+const { linkPatientActivity, getCallHistoryContext } = require('./patientIndex');
+const { sendReceptionistSummary } = require('../email');
+const { getPracticeSettings } = require('../config');
+const { recordAudit } = require('./auditLog');
+const { createLogger } = require('./logger');
+const logger = createLogger('insightSweeper');
+
+/**
+ * Insight sweeper
+ *
+ * The final call summary is normally sent by /webhook/ai/insights when Telnyx
+ * delivers `conversation_insight_result`. When that never happens (early
+ * hang-up, failed webhook), stored call data would sit in DATA_DIR unnoticed.
+ * The sweeper finds call records that have not changed for
+ * INSIGHT_TIMEOUT_MINUTES (default 30), sends a "partial information" summary
+ * from whatever was captured, and marks the record as finalized.
+ */
+
+let sweepTimer = null;
+let sweeping = false;
+
+function getInsightTimeoutMinutes() {
+  return parseFloat(process.env.INSIGHT_TIMEOUT_MINUTES) || 30;
+}
+
+/**
+ * Build the summary text for a call that never got AI insights
+ * @param {Object} callData - Stored call data
+ * @returns {string} Summary
+ */
+function buildPartialSummary(callData) {
+  const details = [];
+  if (callData.symptoms && callData.symptoms !== 'Not specified') {
+    details.push(`Reason: ${callData.symptoms}`);
+  }
+  if (callData.timeCalled) {
+    details.push(`Time called: ${callData.timeCalled}`);
+  }
+
+  return [
+    'PARTIAL INFORMATION - the call ended without an AI summary. Please follow up with the patient.',
+    ...details
+  ].join(' ');
+}
+
+/**
+ * Send a partial summary for one stale call and mark it finalized
+ * @param {Object} record - Call record envelope
+ * @returns {Promise<boolean>} True if a summary was sent
+ */
+async function finalizeStaleCall(record) {
+  const callData = record.data;
+  const summary = buildPartialSummary(callData);
+
+  const profile = await linkPatientActivity({
+    phone: callData.phone,
+    name: callData.name,
+    type: 'call',
+    id: record.key,
+    summary,
+    status: callData.status
+  });
+
+  await sendReceptionistSummary({
+    name: callData.name,
+    phone: callData.phone,
+    status: callData.status || 'Unknown',
+    summary,
+    partial: true,
+    callHistory: getCallHistoryContext(profile, record.key)
+  }, getPracticeSettings());
+
+  // Only mark it if the insights webhook has not taken the record in the meantime
+  await getCallRepository().update(record.key, (data) => data ? {
+    ...data,
+    finalized: true,
+    finalizedAt: new Date().toISOString(),
+    finalizedReason: 'insight_timeout'
+  } : undefined);
+
+  recordAudit({
+    action: 'partial_summary_sent',
+    entity: { type: 'call', id: record.key },
+    data: { patientId: profile ? profile.id : null, reason: 'insight_timeout', timeoutMinutes: getInsightTimeoutMinutes() }
+  });
+  logger.info(`📭 Partial summary sent for call ${record.key} (no insights after ${getInsightTimeoutMinutes()} minutes)`);
+  return true;
+}
+
+/**
+ * Find stored calls that never received insights and finalize them
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { checked, finalized, failed }
+ */
+async function sweepStaleCalls(now = new Date()) {
+  if (sweeping) {
+    return { checked: 0, finalized: 0, failed: 0 };
+  }
+  sweeping = true;
+
+  const cutoff = new Date(now.getTime() - getInsightTimeoutMinutes() * 60 * 1000).toISOString();
+  const result = { checked: 0, finalized: 0, failed: 0 };
+
+  try {
+    const stale = (await getCallRepository().list())
+      .filter(record => !record.data?.finalized && record.updatedAt < cutoff);
+    result.checked = stale.length;
+
+    for (const record of stale) {
+      try {
+        await finalizeStaleCall(record);
+        result.finalized++;
+      } catch (error) {
+        result.failed++;
+        logger.error(`❌ Error sending partial summary for call ${record.key}:`, error);
+        // Touching the record pushes the next attempt back by one timeout window
+        await getCallRepository().update(record.key, (data) => data ? {
+          ...data,
+          finalizeAttempts: (data.finalizeAttempts || 0) + 1
+        } : undefined).catch(() => {});
+      }
+    }
+
+    return result;
+  } finally {
+    sweeping = false;
+  }
+}
+
+/**
+ * Start the periodic sweep (INSIGHT_SWEEP_INTERVAL_MINUTES, default 5)
+ */
+function startInsightSweeper() {
+  if (sweepTimer) {
+    return;
+  }
+
+  const intervalMinutes = parseFloat(process.env.INSIGHT_SWEEP_INTERVAL_MINUTES) || 5;
+  sweepTimer = setInterval(() => {
+    sweepStaleCalls().catch(error => logger.error('❌ Insight sweep failed:', error));
+  }, intervalMinutes * 60 * 1000);
+  sweepTimer.unref();
+  logger.info(`📭 Insight sweeper running every ${intervalMinutes} minutes (timeout ${getInsightTimeoutMinutes()} minutes)`);
+}
+
+function stopInsightSweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  sweepStaleCalls,
+  startInsightSweeper,
+  stopInsightSweeper
+};
@@ -0,0 +1,168 @@
+const { createRepository } = require('./repository');
+
+/**
+ * Intake follow-up statuses and the transitions staff may make between them
+ */
+const INTAKE_STATUS = {
+  PENDING: 'pending',
+  ASSIGNED: 'assigned',
+  CONTACTED: 'contacted',
+  CLOSED: 'closed'
+};
+
+const ALLOWED_TRANSITIONS = {
+  pending: ['assigned', 'contacted', 'closed'],
+  assigned: ['pending', 'contacted', 'closed'],
+  contacted: ['assigned', 'closed'],
+  closed: ['pending']
+};
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+function getIntakeRepository() {
+  return createRepository('intakes', {
+    indexes: {
+      phone: (data) => data.patientPhone,
+      status: (data) => data.status
+    }
+  });
+}
+
+/**
+ * Save a full intake record (creates or replaces it)
+ * @param {Object} intakeRecord - Intake record with an id
+ * @returns {Promise<Object>} Saved record
+ */
+async function saveIntake(intakeRecord) {
+  const record = {
+    status: INTAKE_STATUS.PENDING,
+    assignee: null,
+    history: [{ status: intakeRecord.status || INTAKE_STATUS.PENDING, timestamp: intakeRecord.timestamp || new Date().toISOString() }],
+    ...intakeRecord
+  };
+  await getIntakeRepository().put(record.id, record);
+  return record;
+}
+
+/**
+ * Get an intake record
+ * @param {string} intakeId - Intake ID
+ * @returns {Promise<Object|null>} Intake record
+ */
+async function getIntake(intakeId) {
+  const record = await getIntakeRepository().get(intakeId);
+  return record ? record.data : null;
+}
+
+/**
+ * Merge notification bookkeeping (follow-up time, confirmation SMS, TwiML)
+ * into a stored intake without touching status or assignee, which staff may
+ * have changed in the meantime
+ * @param {string} intakeId - Intake ID
+ * @param {Object} fields - Fields to merge
+ * @returns {Promise<Object|null>} Updated record, or null if it no longer exists
+ */
+async function updateIntakeNotifications(intakeId, fields) {
+  const updated = await getIntakeRepository().update(intakeId, (intake) => intake ? { ...intake, ...fields } : undefined);
+  return updated ? updated.data : null;
+}
+
+/**
+ * Move an intake to a new status
+ * @param {string} intakeId - Intake ID
+ * @param {string} status - New status
+ * @param {Object} details - { assignee, note, updatedBy }
+ * @returns {Promise<Object>} { success, intake } or { success: false, error, notFound }
+ */
+async function transitionIntake(intakeId, status, details = {}) {
+  if (!Object.values(INTAKE_STATUS).includes(status)) {
+    return { success: false, error: `Unknown intake status: ${status}` };
+  }
+
+  let result;
+  await getIntakeRepository().update(intakeId, (intake) => {
+    if (!intake) {
+      result = { success: false, notFound: true, error: `Intake not found: ${intakeId}` };
+      return undefined;
+    }
+
+    const currentStatus = intake.status || INTAKE_STATUS.PENDING;
+    // Records written before the status workflow may carry statuses it does not know
+    const allowed = ALLOWED_TRANSITIONS[currentStatus];
+    if (!allowed) {
+      result = { success: false, error: `Intake has an unknown status: ${currentStatus}` };
+      return undefined;
+    }
+
+    if (status !== currentStatus && !allowed.includes(status)) {
+      result = { success: false, error: `Cannot move intake from ${currentStatus} to ${status}` };
+      return undefined;
+    }
+
+    if (status === INTAKE_STATUS.ASSIGNED && !details.assignee && !intake.assignee) {
+      result = { success: false, error: 'An assignee is required to assign an intake' };
+      return undefined;
+    }
+
+    const { assignee, note, updatedBy } = details;
+    const updated = { ...intake, status, history: [...(intake.history || [])] };
+    if (assignee !== undefined) {
+      updated.assignee = assignee;
+    }
+    updated.history.push({
+      status,
+      timestamp: new Date().toISOString(),
+      ...(assignee !== undefined && { assignee }),
+      ...(note && { note }),
+      ...(updatedBy && { updatedBy })
+    });
+
+    if (status === INTAKE_STATUS.CLOSED) {
+      updated.closedAt = new Date().toISOString();
+    }
+
+    result = { success: true, intake: updated };
+    return updated;
+  });
+
+  return result;
+}
+
+/**
+ * List intakes as a work queue, most urgent deadline first
+ * @param {Object} query - { status, priority, assignee, overdue, phone, from, to, text, limit, offset }
+ * @returns {Promise<Object>} { data: [intakes], total }
+ */
+async function listIntakes(query = {}) {
+  const { priority, assignee, overdue, limit, offset, ...filters } = query;
+  const { data } = await getIntakeRepository().query(filters);
+  const now = new Date().toISOString();
+
+  const intakes = data
+    .map(record => record.data)
+    .filter(intake => !priority || intake.priority === priority)
+    .filter(intake => !assignee || intake.assignee === assignee)
+    .filter(intake => !overdue || (intake.status !== INTAKE_STATUS.CLOSED && intake.responseDeadline && intake.responseDeadline < now))
+    .sort((a, b) => {
+      const byDeadline = (a.responseDeadline || '').localeCompare(b.responseDeadline || '');
+      return byDeadline !== 0 ? byDeadline : (PRIORITY_ORDER[a.priority] ?? 3) - (PRIORITY_ORDER[b.priority] ?? 3);
+    });
+
+  const start = parseInt(offset || 0, 10) || 0;
+  const end = limit !== undefined ? start + parseInt(limit, 10) : intakes.length;
+
+  return {
+    data: intakes.slice(start, end),
+    total: intakes.length
+  };
+}
+
+module.exports = {
+  INTAKE_STATUS,
+  saveIntake,
+  getIntake,
+  updateIntakeNotifications,
+  transitionIntake,
+  listIntakes,
+  getIntakeRepository
+};
@@ -0,0 +1,132 @@
+const { registerJobHandler } = require('./jobQueue');
+const { recordAudit } = require('./auditLog');
+const { createLogger } = require('./logger');
+const logger = createLogger('jobHandlers');
+
+/**
+ * Handlers for the background jobs webhooks enqueue
+ *
+ * A handler throws to have its job retried. telnyx.sendSMS reports failures
+ * as { status: 'failed' } instead of throwing, so that is turned into an error
+ * here.
+ */
+
+async function sendSms(to, message) {
+  const telnyxClient = require('../telnyx');
+  const result = await telnyxClient.sendSMS(to, message);
+  if (result && result.status === 'failed') {
+    throw new Error(`SMS to ${to} failed: ${result.error}`);
+  }
+  return result;
+}
+
+// Final (or partial) call summary to the front desk
+registerJobHandler('send-summary-email', async (payload) => {
+  const { sendReceptionistSummary } = require('../email');
+  const { getRecordingLinksForCall } = require('./recordingEvents');
+  const practiceSettings = require('../config').getPracticeSettings();
+
+  // Recordings that arrived before the email goes out are linked from it
+  const recordings = await getRecordingLinksForCall(payload.callId);
+  await sendReceptionistSummary({ ...payload.emailData, recordings, timestamp: new Date(payload.emailData.timestamp) }, practiceSettings);
+  logger.info('✅ Final call summary sent via email');
+
+  recordAudit({
+    action: 'summary_sent',
+    entity: { type: 'call', id: payload.callId },
+    correlationId: payload.correlationId,
+    data: { patientId: payload.patientId || null, status: payload.emailData.status, channel: 'email' }
+  });
+});
+
+// Urgent SMS to the on-call doctor
+registerJobHandler('page-doctor', async (payload) => {
+  await sendSms(payload.doctorPhone, payload.message);
+  logger.info('[SMS SENT] URGENCY notification sent to', payload.doctorPhone);
+
+  // The page is out: failing the job now would retry it and page the doctor twice
+  if (payload.emergencyId) {
+    try {
+      const emergencyStore = require('./emergencyStore');
+      await emergencyStore.recordEmergencyStatus(payload.emergencyId, emergencyStore.EMERGENCY_STATUS.DOCTOR_NOTIFIED, {
+        doctorPhone: payload.doctorPhone,
+        channel: 'sms'
+      });
+    } catch (error) {
+      logger.error(`❌ Doctor paged but emergency ${payload.emergencyId} status not recorded:`, error);
+    }
+  }
+});
+
+// Recording that arrived after its summary email, or belongs to an emergency
+registerJobHandler('send-recording-email', async (payload) => {
+  const { sendRecordingEmail } = require('../email');
+  const { getRecording, createRecordingLink } = require('./recordingEvents');
+  const emergencyStore = require('./emergencyStore');
+
+  const recording = await getRecording(payload.recordingId);
+  if (!recording) {
+    logger.warn(`Recording ${payload.recordingId} no longer exists - link not sent`);
+    return;
+  }
+  const emergency = payload.emergencyId ? await emergencyStore.getEmergencyRecord(payload.emergencyId) : null;
+
+  await sendRecordingEmail({
+    name: emergency?.patient?.name || null,
+    phone: emergency?.patient?.phone || null,
+    emergencyId: payload.emergencyId || null,
+    link: createRecordingLink(recording.recordingId),
+    durationSecs: recording.durationSecs,
+    channels: recording.channels
+  }, require('../config').getPracticeSettings());
+
+  recordAudit({
+    action: 'recording_link_sent',
+    entity: payload.emergencyId ? { type: 'emergency', id: payload.emergencyId } : { type: 'call', id: payload.callId },
+    data: { recordingId: recording.recordingId, channel: 'email' }
+  });
+});
+
+// Emergency that needs a person at the practice (see ./staffAlerts)
+registerJobHandler('send-staff-alert', async (payload) => {
+  if (payload.channel === 'sms') {
+    await sendSms(payload.to, `${payload.subject}. ${payload.message}`);
+    logger.info(`Staff alert texted to ${payload.to}`);
+    return;
+  }
+
+  const { sendStaffAlertEmail } = require('../email');
+  await sendStaffAlertEmail(payload, require('../config').getPracticeSettings());
+});
+
+// Confirmation SMS to a patient
+registerJobHandler('send-patient-sms', async (payload) => {
+  await sendSms(payload.phone, payload.message);
+  logger.info(`Patient confirmation sent to ${payload.phone}`);
+
+  // Same as page-doctor: a failed bookkeeping write must not resend the SMS
+  if (payload.intakeId) {
+    try {
+      const { getIntakeRepository } = require('./intakeStore');
+      await getIntakeRepository().update(payload.intakeId, (intake) => intake ? {
+        ...intake,
+        confirmationSent: true,
+        confirmationSentAt: new Date().toISOString()
+      } : undefined);
+    } catch (error) {
+      logger.error(`❌ Confirmation sent but intake ${payload.intakeId} not updated:`, error);
+    }
+  }
+});
+
+// Doctor page nobody acknowledged in time: resend it or page the backup doctor
+registerJobHandler('page-ack-timeout', async (payload) => {
+  const { handlePageAckTimeout } = require('./doctorPages');
+  await handlePageAckTimeout(payload.emergencyId, payload.attempt);
+});
+
+// Escalation ladder tier that ran out of time without a doctor joining
+registerJobHandler('escalation-timeout', async (payload) => {
+  const { handleTierTimeout } = require('./escalationLadder');
+  await handleTierTimeout(payload.emergencyId, payload.tier);
+});
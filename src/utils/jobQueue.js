@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const { createRepository } = require('./repository');
+const { recordAudit } = require('./auditLog');
+const { createLogger } = require('./logger');
+const logger = createLogger('jobQueue');
+
+/**
+ * Durable background job queue
+ *
+ * Webhooks enqueue typed jobs (send-summary-email, page-doctor,
+ * send-patient-sms) and answer the provider right away; the worker runs them
+ * afterwards. Jobs are stored in the `jobs` collection (file or SQLite,
+ * following STORAGE_BACKEND) so queued work survives a crash or restart.
+ *
+ * Failed jobs are retried with exponential backoff (JOB_BACKOFF_BASE_MS,
+ * default 5000, doubling per attempt) up to JOB_MAX_ATTEMPTS (default 5) and
+ * then moved to the `dead_jobs` collection, where they can be inspected
+ * through /api/jobs and retried by hand.
+ */
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DEAD: 'dead'
+};
+
+const handlers = new Map();
+
+let workerTimer = null;
+let activeJobs = 0;
+let polling = false;
+
+function getJobRepository() {
+  return createRepository('jobs', {
+    indexes: {
+      phone: () => null,
+      status: (data) => data.status
+    }
+  });
+}
+
+function getDeadJobRepository() {
+  return createRepository('dead_jobs', {
+    indexes: {
+      phone: () => null,
+      status: (data) => data.type
+    }
+  });
+}
+
+function getSettings() {
+  return {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5,
+    backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS, 10) || 5000,
+    // A running job older than this belonged to a worker that crashed
+    lockTimeoutMs: (parseInt(process.env.JOB_LOCK_TIMEOUT_SECONDS, 10) || 300) * 1000
+  };
+}
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type, e.g. 'page-doctor'
+ * @param {Function} handler - async (payload, job) => result
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} payload - JSON-serializable job data
+ * @param {Object} options - { maxAttempts, delayMs }
+ * @returns {Promise<Object>} The queued job
+ */
+async function enqueueJob(type, payload, options = {}) {
+  const now = new Date();
+  const job = {
+    id: `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    type,
+    payload,
+    status: JOB_STATUS.PENDING,
+    attempts: 0,
+    maxAttempts: options.maxAttempts || getSettings().maxAttempts,
+    runAt: new Date(now.getTime() + (options.delayMs || 0)).toISOString(),
+    createdAt: now.toISOString(),
+    lastError: null
+  };
+
+  await getJobRepository().put(job.id, job);
+  logger.info(`📥 Queued ${type} job ${job.id}`);
+
+  // Pick it up right away instead of waiting for the next poll
+  if (workerTimer) {
+    setImmediate(pollJobs);
+  }
+
+  return job;
+}
+
+/**
+ * Claim a due job for this worker
+ * @param {string} key - Job key
+ * @returns {Promise<Object|null>} The claimed job, or null if someone else has it
+ */
+async function claimJob(key) {
+  let claimed = null;
+  const now = new Date();
+  const { lockTimeoutMs } = getSettings();
+
+  await getJobRepository().update(key, (job) => {
+    if (!job) {
+      return undefined;
+    }
+
+    const due = job.status === JOB_STATUS.PENDING && job.runAt <= now.toISOString();
+    const stale = job.status === JOB_STATUS.RUNNING && new Date(job.lockedAt).getTime() < now.getTime() - lockTimeoutMs;
+    if (!due && !stale) {
+      return undefined;
+    }
+
+    claimed = { ...job, status: JOB_STATUS.RUNNING, attempts: job.attempts + 1, lockedAt: now.toISOString() };
+    return claimed;
+  });
+
+  return claimed;
+}
+
+/**
+ * Run one claimed job and record the outcome
+ * @param {Object} job - Claimed job
+ */
+async function runJob(job) {
+  const repository = getJobRepository();
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    await handler(job.payload, job);
+    await repository.delete(job.id);
+    logger.info(`✅ Job ${job.id} (${job.type}) completed on attempt ${job.attempts}`);
+  } catch (error) {
+    logger.error(`❌ Job ${job.id} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}:`, error.message);
+
+    if (job.attempts >= job.maxAttempts) {
+      await moveToDeadLetter(job, error);
+      return;
+    }
+
+    const delayMs = getSettings().backoffBaseMs * Math.pow(2, job.attempts - 1);
+    await repository.update(job.id, (current) => current ? {
+      ...current,
+      status: JOB_STATUS.PENDING,
+      runAt: new Date(Date.now() + delayMs).toISOString(),
+      lockedAt: null,
+      lastError: error.message
+    } : undefined);
+  }
+}
+
+async function moveToDeadLetter(job, error) {
+  const deadJob = {
+    ...job,
+    status: JOB_STATUS.DEAD,
+    lockedAt: null,
+    lastError: error.message,
+    failedAt: new Date().toISOString()
+  };
+
+  await getDeadJobRepository().put(job.id, deadJob);
+  await getJobRepository().delete(job.id);
+
+  logger.error(`☠️ Job ${job.id} (${job.type}) moved to the dead-letter store after ${job.attempts} attempts`);
+  recordAudit({
+    action: 'dead_lettered',
+    entity: { type: 'job', id: job.id },
+    data: { type: job.type, attempts: job.attempts, error: error.message }
+  });
+}
+
+/**
+ * Start due jobs, up to JOB_CONCURRENCY at a time
+ */
+async function pollJobs() {
+  if (polling) {
+    return;
+  }
+  polling = true;
+
+  try {
+    const { concurrency } = getSettings();
+    const candidates = (await getJobRepository().list())
+      .filter(record => record.data.status !== JOB_STATUS.DEAD)
+      .sort((a, b) => a.data.runAt.localeCompare(b.data.runAt));
+
+    for (const record of candidates) {
+      if (activeJobs >= concurrency) {
+        break;
+      }
+
+      const job = await claimJob(record.key);
+      if (!job) {
+        continue;
+      }
+
+      activeJobs++;
+      runJob(job)
+        .catch(error => logger.error(`❌ Error recording result of job ${job.id}:`, error))
+        .finally(() => {
+          activeJobs--;
+          setImmediate(pollJobs);
+        });
+    }
+  } catch (error) {
+    logger.error('❌ Error polling job queue:', error);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start the background worker
+ */
+function startJobWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  const { pollIntervalMs, concurrency } = getSettings();
+  logger.info(`⚙️ Job worker started (concurrency ${concurrency}, polling every ${pollIntervalMs}ms)`);
+  workerTimer = setInterval(pollJobs, pollIntervalMs);
+  workerTimer.unref();
+  setImmediate(pollJobs);
+}
+
+function stopJobWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+/**
+ * List queued or dead jobs
+ * @param {Object} query - { status: 'pending'|'running'|'dead', type, limit, offset }
+ * @returns {Promise<Object>} { data: [jobs], total }
+ */
+async function listJobs(query = {}) {
+  const repository = query.status === JOB_STATUS.DEAD ? getDeadJobRepository() : getJobRepository();
+  const jobs = (await repository.list())
+    .map(record => record.data)
+    .filter(job => !query.status || job.status === query.status)
+    .filter(job => !query.type || job.type === query.type)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const offset = parseInt(query.offset || 0, 10) || 0;
+  const limit = parseInt(query.limit || 50, 10) || 50;
+
+  return { data: jobs.slice(offset, offset + limit), total: jobs.length };
+}
+
+/**
+ * Find a job in the queue or the dead-letter store
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job
+ */
+async function getJob(jobId) {
+  const record = await getJobRepository().get(jobId) || await getDeadJobRepository().get(jobId);
+  return record ? record.data : null;
+}
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} The requeued job, or null if it is not dead
+ */
+async function retryDeadJob(jobId) {
+  const record = await getDeadJobRepository().take(jobId);
+  if (!record) {
+    return null;
+  }
+
+  const job = {
+    ...record.data,
+    status: JOB_STATUS.PENDING,
+    attempts: 0,
+    runAt: new Date().toISOString(),
+    retriedAt: new Date().toISOString()
+  };
+  await getJobRepository().put(job.id, job);
+
+  if (workerTimer) {
+    setImmediate(pollJobs);
+  }
+  return job;
+}
+
+module.exports = {
+  JOB_STATUS,
+  registerJobHandler,
+  enqueueJob,
+  startJobWorker,
+  stopJobWorker,
+  listJobs,
+  getJob,
+  retryDeadJob,
+  getJobRepository,
+  getDeadJobRepository
+};
@@ -0,0 +1,274 @@
+const util = require('util');
+
+/**
+ * Structured logger with PHI masking
+ *
+ * Every module logs through `createLogger('<module>')` instead of console:
+ *
+ *   const logger = createLogger('callHandler');
+ *   logger.info('📝 Patient info', patientInfo);
+ *
+ * Arguments are passed the way they were to console.log. Before anything is
+ * written, object fields named in LOG_PHI_FIELDS (default: name, phone,
+ * symptoms, summary, reason and close variants such as patientName or Reasons)
+ * are replaced with "[REDACTED]", and phone numbers and email addresses inside
+ * strings are masked. Credentials (authorization, cookie, API key and signature
+ * headers) are always redacted.
+ *
+ * Output is one JSON object per line when LOG_FORMAT=json (the default in
+ * production) and console-style text otherwise. LOG_LEVEL picks the lowest
+ * level written (debug, info, warn, error; default info).
+ *
+ * Unmasked output is for debugging a live issue only: it has to be switched on
+ * explicitly, through LOG_PHI_DEBUG_UNTIL=<ISO time> or POST /api/logging/phi-debug,
+ * and switches itself off again after at most LOG_PHI_DEBUG_MAX_MINUTES
+ * (default 60).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+const DEFAULT_PHI_FIELDS = 'name,phone,symptoms,summary,reason,from,to,telnyx_end_user_target,email,transcript,caller,user_message,original_message,description';
+const SECRET_FIELDS = ['authorization', 'cookie', 'setcookie', 'xapikey', 'apikey', 'password', 'token', 'telnyxsignatureed25519', 'xtwiliosignature'];
+
+// Masked inside any string, whatever field it is in. Bare digit runs only count
+// at 10-11 digits so millisecond timestamps and IDs survive.
+const PHONE_PATTERNS = [
+  /\+\d[\d\s().-]{8,18}\d/g,
+  /(?<![\w+-])\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?![\w-])/g,
+  /(?<![\w+.-])1?\d{10}(?![\w.-])/g
+];
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+let phiDebugUntil = null;
+let envOverrideChecked = false;
+
+function normalizeField(field) {
+  return field.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function getPhiFields() {
+  return (process.env.LOG_PHI_FIELDS || DEFAULT_PHI_FIELDS)
+    .split(',')
+    .map(field => normalizeField(field.trim()))
+    .filter(Boolean);
+}
+
+function getMaxDebugMs() {
+  return (parseInt(process.env.LOG_PHI_DEBUG_MAX_MINUTES, 10) || 60) * 60 * 1000;
+}
+
+function getMinLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+function useJson() {
+  const format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+  return format === 'json';
+}
+
+/**
+ * Whether a field holds PHI ("patientName", "Reasons" and "phone_number" all match)
+ */
+function isPhiField(field, phiFields) {
+  const normalized = normalizeField(field);
+  if (!normalized) {
+    return false;
+  }
+  return phiFields.some(phi => normalized === phi ||
+    (phi.length >= 4 && (normalized.startsWith(phi) || normalized.endsWith(phi))));
+}
+
+function maskString(value) {
+  return PHONE_PATTERNS.reduce((masked, pattern) => masked.replace(pattern, REDACTED), value.replace(EMAIL_PATTERN, REDACTED));
+}
+
+/**
+ * Copy a value with PHI and credentials replaced
+ * @param {*} value - Anything passed to the logger
+ * @param {Object} options - { unmasked }
+ * @returns {*} Masked copy
+ */
+function maskValue(value, options = {}, phiFields = getPhiFields(), seen = new WeakSet(), depth = 0) {
+  if (typeof value === 'string') {
+    return options.unmasked ? value : maskString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `<Buffer ${value.length} bytes>`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth > 8) {
+    return '[Object]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return {
+      error: value.name,
+      message: maskValue(value.message, options, phiFields, seen, depth + 1),
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.response?.status ? { status: value.response.status } : {}),
+      stack: value.stack ? maskValue(value.stack, options, phiFields, seen, depth + 1) : undefined
+    };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => maskValue(item, options, phiFields, seen, depth + 1));
+  }
+
+  const masked = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_FIELDS.includes(normalizeField(key))) {
+      masked[key] = REDACTED;
+    } else if (!options.unmasked && isPhiField(key, phiFields) && item !== null && item !== undefined && item !== '') {
+      masked[key] = REDACTED;
+    } else {
+      masked[key] = maskValue(item, options, phiFields, seen, depth + 1);
+    }
+  }
+  return masked;
+}
+
+/**
+ * Whether unmasked output is switched on right now
+ */
+function isPhiDebugActive() {
+  if (!envOverrideChecked) {
+    envOverrideChecked = true;
+    const until = process.env.LOG_PHI_DEBUG_UNTIL ? new Date(process.env.LOG_PHI_DEBUG_UNTIL) : null;
+
+    if (until && !Number.isNaN(until.getTime())) {
+      if (until.getTime() - Date.now() > getMaxDebugMs()) {
+        write('warn', 'logger', ['⚠️ LOG_PHI_DEBUG_UNTIL is further away than LOG_PHI_DEBUG_MAX_MINUTES allows - logs stay masked'], false);
+      } else if (until.getTime() > Date.now()) {
+        phiDebugUntil = until;
+        write('warn', 'logger', [`⚠️ PHI debug logging is ON until ${until.toISOString()} - logs include unmasked patient data`], false);
+      }
+    }
+  }
+
+  if (phiDebugUntil && phiDebugUntil.getTime() <= Date.now()) {
+    phiDebugUntil = null;
+    write('warn', 'logger', ['🔒 PHI debug logging expired - logs are masked again'], false);
+  }
+  return !!phiDebugUntil;
+}
+
+/**
+ * Switch unmasked logging on for a limited time
+ * @param {number} minutes - How long (capped at LOG_PHI_DEBUG_MAX_MINUTES)
+ * @returns {Object} { active, until }
+ */
+function enablePhiDebug(minutes) {
+  isPhiDebugActive();
+  const requestedMs = Math.max(1, parseInt(minutes, 10) || 15) * 60 * 1000;
+  phiDebugUntil = new Date(Date.now() + Math.min(requestedMs, getMaxDebugMs()));
+  write('warn', 'logger', [`⚠️ PHI debug logging is ON until ${phiDebugUntil.toISOString()} - logs include unmasked patient data`], false);
+  return getPhiDebugStatus();
+}
+
+/**
+ * Switch unmasked logging off
+ * @returns {Object} { active, until }
+ */
+function disablePhiDebug() {
+  isPhiDebugActive();
+  if (phiDebugUntil) {
+    phiDebugUntil = null;
+    write('warn', 'logger', ['🔒 PHI debug logging switched off - logs are masked again'], false);
+  }
+  return getPhiDebugStatus();
+}
+
+function getPhiDebugStatus() {
+  const active = isPhiDebugActive();
+  return { active, until: active ? phiDebugUntil.toISOString() : null };
+}
+
+function getCorrelationId() {
+  try {
+    return require('./auditLog').getCorrelationId();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Format and write one log line
+ * @param {string} level - debug | info | warn | error
+ * @param {string} module - Module name
+ * @param {Array} args - console.log-style arguments
+ * @param {boolean} allowUnmasked - Whether the PHI debug override applies
+ */
+function write(level, module, args, allowUnmasked = true) {
+  const unmasked = allowUnmasked && isPhiDebugActive();
+  const masked = args.map(arg => maskValue(arg, { unmasked }));
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (!useJson()) {
+    const text = masked.map((arg, index) => {
+      if (typeof arg === 'string') return arg;
+      if (args[index] instanceof Error) return arg.stack || arg.message;
+      return util.inspect(arg, { depth: 6, colors: false });
+    }).join(' ');
+    stream.write(`${text}\n`);
+    return;
+  }
+
+  const message = masked.filter(arg => typeof arg !== 'object' || arg === null).map(String).join(' ');
+  const data = masked.filter(arg => typeof arg === 'object' && arg !== null);
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    module,
+    message: message.trim()
+  };
+
+  const correlationId = getCorrelationId();
+  if (correlationId) {
+    entry.correlationId = correlationId;
+  }
+  if (data.length > 0) {
+    entry.data = data.length === 1 ? data[0] : data;
+  }
+  if (unmasked) {
+    entry.phi = 'unmasked';
+  }
+
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Name shown on every line, e.g. 'callHandler'
+ * @returns {Object} { debug, info, warn, error }
+ */
+function createLogger(module) {
+  const log = (level) => (...args) => {
+    if (LEVELS[level] >= getMinLevel()) {
+      write(level, module, args);
+    }
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error')
+  };
+}
+
+module.exports = {
+  createLogger,
+  maskValue,
+  enablePhiDebug,
+  disablePhiDebug,
+  getPhiDebugStatus
+};
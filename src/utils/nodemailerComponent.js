@@ -1,4 +1,6 @@
 const nodemailer = require('nodemailer');
+const { createLogger } = require('./logger');
+const logger = createLogger('nodemailerComponent');
 
 class NodemailerComponent {
   constructor(email = process.env.GMAIL_USER, password = process.env.GMAIL_PASS) {
@@ -25,10 +27,10 @@ class NodemailerComponent {
       };
 
       const info = await this.transporter.sendMail(mailOptions);
-      console.log('Email sent: ' + info.response);
+      logger.info('Email sent: ' + info.response);
       return info;
     } catch (error) {
-      console.error('Error sending email:', error);
+      logger.error('Error sending email:', error);
       throw error;
     }
   }
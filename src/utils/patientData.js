@@ -1,18 +1,11 @@
-const { storeCallData, getCallData, deleteCallData } = require('./fileStorage');
+const { mergeCallData, getCallData, deleteCallData } = require('./fileStorage');
+const { createLogger } = require('./logger');
+const logger = createLogger('patientData');
 
 async function updatePatientRecord(storageKey, patientInfo) {
-  let existingData = await getCallData(storageKey);
-
-  if (existingData) {
-    // Update existing record
-    existingData = { ...existingData, ...patientInfo };
-  } else {
-    // Create new record
-    existingData = patientInfo;
-  }
-
-  await storeCallData(storageKey, existingData);
-  console.log(`Patient record updated for ${patientInfo.name}`);
+  // Serialized merge: fields written by other webhooks for this call are kept
+  await mergeCallData(storageKey, patientInfo);
+  logger.info(`Patient record updated for key ${storageKey}`);
 }
 
 async function getPatientRecord(storageKey) {
@@ -21,7 +14,7 @@ async function getPatientRecord(storageKey) {
 
 async function deletePatientRecord(storageKey) {
   await deleteCallData(storageKey);
-  console.log(`Patient record deleted for key ${storageKey}`);
+  logger.info(`Patient record deleted for key ${storageKey}`);
 }
 
 module.exports = { 
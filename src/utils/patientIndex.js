@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { createRepository } = require('./repository');
+const { createLogger } = require('./logger');
+const logger = createLogger('patientIndex');
+
+/**
+ * Patient index
+ *
+ * Links calls, intakes and emergencies that come from the same caller to one
+ * patient profile. Callers are matched by a normalized phone number; SIP
+ * callers without a dialable number (e.g. `fo38lclh@sip.telnyx.eu` from
+ * `telnyx_end_user_target`) are matched by their SIP address instead.
+ */
+
+const RECENT_WINDOW_HOURS = 48;
+const UNKNOWN_VALUES = ['unknown', 'unknown phone', 'not provided', 'not specified'];
+
+function getPatientRepository() {
+  return createRepository('patients', {
+    indexes: {
+      phone: (data) => data.phone,
+      status: () => null
+    }
+  });
+}
+
+/**
+ * Normalize a caller phone number or SIP address
+ * @param {*} value - Phone number, `sip:`/`tel:` URI or SIP address
+ * @returns {string|null} E.164-style number (+15551234567), `sip:user@host`, or null
+ */
+function normalizePhone(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  let phone = value.toString().trim();
+  if (!phone || UNKNOWN_VALUES.includes(phone.toLowerCase())) {
+    return null;
+  }
+
+  phone = phone.replace(/^(sips?|tel):/i, '');
+
+  if (phone.includes('@')) {
+    const [user, host] = phone.split('@');
+    // A SIP user part that is a phone number is treated as that number
+    if (!/^\+?[\d\s().-]{7,}$/.test(user)) {
+      return `sip:${user.toLowerCase()}@${host.split(/[;>]/)[0].toLowerCase()}`;
+    }
+    phone = user;
+  }
+
+  const digits = phone.replace(/\D/g, '');
+  if (digits.length < 7) {
+    return null;
+  }
+  if (digits.length === 10 && !phone.startsWith('+')) {
+    return `+1${digits}`;
+  }
+  return `+${digits}`;
+}
+
+/**
+ * Stable profile ID for a normalized phone (keeps phone numbers out of keys and file names)
+ * @param {string} normalizedPhone - Normalized phone
+ * @returns {string} Patient ID
+ */
+function getPatientId(normalizedPhone) {
+  return `pat_${crypto.createHash('sha256').update(normalizedPhone).digest('hex').substring(0, 16)}`;
+}
+
+/**
+ * English ordinal for a number (1st, 2nd, 3rd, 4th, 11th, 22nd...)
+ * @param {number} n - Number
+ * @returns {string} Ordinal
+ */
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+/**
+ * Calls in a profile's history within the recent window
+ * @param {Object} profile - Patient profile
+ * @param {number} hours - Window size
+ * @param {Date} now - Current time
+ * @returns {Array} History entries for calls, oldest first
+ */
+function getRecentCalls(profile, hours = RECENT_WINDOW_HOURS, now = new Date()) {
+  const since = new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+  return (profile?.history || []).filter(entry => entry.type === 'call' && entry.timestamp >= since);
+}
+
+/**
+ * Describe how often a patient has called recently, e.g. "3rd call in 48 hours"
+ * @param {Object} profile - Patient profile
+ * @param {number} hours - Window size
+ * @returns {string|null} Description, or null for a first call
+ */
+function describeRecentCalls(profile, hours = RECENT_WINDOW_HOURS) {
+  const count = getRecentCalls(profile, hours).length;
+  return count > 1 ? `${ordinal(count)} call in ${hours} hours` : null;
+}
+
+/**
+ * Link a call, intake or emergency to the caller's patient profile
+ * Linking the same item twice updates its entry instead of adding another.
+ * @param {Object} activity - { phone, name, type: 'call'|'intake'|'emergency', id, timestamp, summary, status }
+ * @returns {Promise<Object|null>} Patient profile, or null when the phone is unusable
+ */
+async function linkPatientActivity(activity) {
+  const phone = normalizePhone(activity.phone);
+  if (!phone || !activity.id) {
+    return null;
+  }
+
+  const patientId = getPatientId(phone);
+  const now = new Date().toISOString();
+  const name = activity.name && !UNKNOWN_VALUES.includes(activity.name.toString().toLowerCase()) &&
+    activity.name !== 'Unknown Patient' ? activity.name : null;
+
+  try {
+    const record = await getPatientRepository().update(patientId, (existing) => {
+      const profile = existing || {
+        id: patientId,
+        phone,
+        name: null,
+        names: [],
+        firstSeenAt: now,
+        history: []
+      };
+
+      if (name) {
+        profile.name = name;
+        if (!profile.names.includes(name)) {
+          profile.names.push(name);
+        }
+      }
+
+      const existingEntry = profile.history.find(entry => entry.type === activity.type && entry.id === activity.id);
+      const entry = existingEntry || { type: activity.type, id: activity.id, timestamp: activity.timestamp || now };
+      if (activity.summary) {
+        entry.summary = activity.summary;
+      }
+      if (activity.status) {
+        entry.status = activity.status;
+      }
+      if (!existingEntry) {
+        profile.history.push(entry);
+        profile.history.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      }
+
+      profile.lastSeenAt = now;
+      return profile;
+    });
+
+    return record.data;
+  } catch (error) {
+    // Linking is best effort; it must never block call handling
+    logger.error('❌ Error linking patient activity:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a patient profile
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Object|null>} Profile
+ */
+async function getPatient(patientId) {
+  const record = await getPatientRepository().get(patientId);
+  return record ? record.data : null;
+}
+
+/**
+ * Find the patient profile for a phone number or SIP address
+ * @param {string} phone - Phone
+ * @returns {Promise<Object|null>} Profile
+ */
+async function findPatientByPhone(phone) {
+  const normalized = normalizePhone(phone);
+  return normalized ? await getPatient(getPatientId(normalized)) : null;
+}
+
+/**
+ * List patient profiles
+ * @param {Object} query - { phone, text, from, to, limit, offset }
+ * @returns {Promise<Object>} { data: [profiles], total }
+ */
+async function listPatients(query = {}) {
+  const result = await getPatientRepository().query(query);
+  return {
+    data: result.data.map(record => record.data),
+    total: result.total
+  };
+}
+
+/**
+ * Build the "returning caller" context for summaries and doctor SMS
+ * @param {Object} profile - Patient profile
+ * @param {string} currentId - ID of the item being reported (left out of prior summaries)
+ * @returns {Object|null} { patientId, description, priorSummaries: [{ timestamp, summary, link }] }
+ */
+function getCallHistoryContext(profile, currentId) {
+  if (!profile) {
+    return null;
+  }
+
+  const baseUrl = process.env.BASE_URL || '';
+  const priorSummaries = getRecentCalls(profile)
+    .filter(entry => entry.id !== currentId && entry.summary)
+    .map(entry => ({
+      timestamp: entry.timestamp,
+      summary: entry.summary,
+      link: `${baseUrl}/api/patients/${profile.id}#${encodeURIComponent(entry.id)}`
+    }));
+
+  return {
+    patientId: profile.id,
+    description: describeRecentCalls(profile),
+    priorSummaries
+  };
+}
+
+module.exports = {
+  normalizePhone,
+  getPatientId,
+  linkPatientActivity,
+  getPatient,
+  findPatientByPhone,
+  listPatients,
+  describeRecentCalls,
+  getCallHistoryContext,
+  getPatientRepository
+};
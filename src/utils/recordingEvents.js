@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const { createRepository } = require('./repository');
+const { enqueueJob } = require('./jobQueue');
+const { recordAudit, queryAudit } = require('./auditLog');
+const emergencyStore = require('./emergencyStore');
+const { getConferenceRepository } = require('./conferenceStateMachine');
+const { getCallData, addCallRecording } = require('./fileStorage');
+const { createLogger } = require('./logger');
+const logger = createLogger('recordingEvents');
+
+/**
+ * Call and conference recordings
+ *
+ * `call.recording.saved` / `conference.recording.saved` webhooks (Telnyx, on
+ * /webhook/emergency-recording or /webhook/call) and Twilio `recordingCallback`
+ * posts (on /webhook/twilio-recording) are parsed into one shape, stored in the
+ * `call_recordings` collection and attached to the matching emergency
+ * (by `emergencyId`, client state, conference or call control ID) and to the
+ * call record if it is still waiting for its summary.
+ *
+ * Emails never carry the provider's URLs, which expire or need credentials.
+ * They link to /api/recordings/:id/audio, signed with RECORDING_LINK_SECRET so
+ * the link works without a login until it expires (RECORDING_LINK_TTL_HOURS).
+ * Without a secret the link needs a dashboard login.
+ *
+ * A recording that arrives after its call summary was sent, or that belongs
+ * to an emergency, is sent in a follow-up email instead.
+ */
+
+const RECORDING_EVENTS = ['call.recording.saved', 'conference.recording.saved'];
+
+function getRecordingRepository() {
+  return createRepository('call_recordings');
+}
+
+function getLinkTtlMs() {
+  return (parseInt(process.env.RECORDING_LINK_TTL_HOURS, 10) || 72) * 60 * 60 * 1000;
+}
+
+function parseClientState(value) {
+  if (!value) {
+    return null;
+  }
+  // Conference legs send base64 JSON; handleEmergency's transfers send plain JSON
+  for (const text of [Buffer.from(value, 'base64').toString(), value]) {
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && typeof parsed === 'object') {
+        return parsed;
+      }
+    } catch (error) {
+      // try the next encoding
+    }
+  }
+  return null;
+}
+
+function secondsBetween(start, end) {
+  const ms = Date.parse(end) - Date.parse(start);
+  return Number.isFinite(ms) && ms >= 0 ? Math.round(ms / 1000) : null;
+}
+
+/**
+ * Parse a recording webhook into one shape
+ * @param {Object} body - Telnyx envelope ({ data: { event_type, payload } }),
+ *   Telnyx event ({ event_type, payload }) or Twilio recording callback fields
+ * @returns {Object|null} Recording, or null if this is not a saved recording
+ */
+function parseRecordingEvent(body) {
+  if (!body) {
+    return null;
+  }
+
+  if (body.RecordingSid) {
+    if (body.RecordingStatus && body.RecordingStatus !== 'completed') {
+      return null;
+    }
+    return {
+      recordingId: body.RecordingSid,
+      provider: 'twilio',
+      callControlId: body.CallSid || null,
+      conferenceId: body.ConferenceSid || null,
+      urls: body.RecordingUrl ? { mp3: `${body.RecordingUrl}.mp3`, wav: body.RecordingUrl } : {},
+      durationSecs: body.RecordingDuration !== undefined ? parseInt(body.RecordingDuration, 10) : null,
+      channels: parseInt(body.RecordingChannels, 10) === 2 ? 'dual' : 'single',
+      startedAt: body.RecordingStartTime ? new Date(body.RecordingStartTime).toISOString() : null,
+      endedAt: null,
+      clientState: null
+    };
+  }
+
+  const event = body.data?.event_type ? body.data : body;
+  const payload = event.payload;
+  if (!RECORDING_EVENTS.includes(event.event_type) || !payload) {
+    return null;
+  }
+
+  const startedAt = payload.recording_started_at || payload.start_time || null;
+  const endedAt = payload.recording_ended_at || payload.end_time || null;
+  const leg = payload.call_leg_id || payload.call_control_id || payload.conference_id;
+
+  return {
+    recordingId: payload.recording_id || payload.id || `${leg}-${Date.parse(startedAt) || Date.now()}`,
+    provider: 'telnyx',
+    callControlId: payload.call_control_id || null,
+    callSessionId: payload.call_session_id || null,
+    conferenceId: payload.conference_id || null,
+    urls: payload.recording_urls || {},
+    publicUrls: payload.public_recording_urls || {},
+    durationSecs: payload.duration_millis ? Math.round(payload.duration_millis / 1000) : secondsBetween(startedAt, endedAt),
+    channels: payload.channels || 'single',
+    startedAt,
+    endedAt,
+    clientState: parseClientState(payload.client_state)
+  };
+}
+
+async function findEmergencyId(recording, explicitId) {
+  if (explicitId) {
+    return explicitId;
+  }
+  if (recording.clientState?.emergencyId) {
+    return recording.clientState.emergencyId;
+  }
+  if (recording.conferenceId) {
+    const { data } = await getConferenceRepository().query({ text: recording.conferenceId });
+    const match = data.find(record => record.data.conferenceId === recording.conferenceId);
+    if (match) {
+      return match.key;
+    }
+  }
+  const emergency = await emergencyStore.findEmergencyByCallControlId(recording.callControlId);
+  return emergency ? emergency.id : null;
+}
+
+function sign(recordingId, expires) {
+  return crypto.createHmac('sha256', process.env.RECORDING_LINK_SECRET)
+    .update(`${recordingId}.${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Link to a recording for emails
+ * @param {string} recordingId - Recording ID
+ * @returns {string} Signed, expiring URL (or one that needs a login without RECORDING_LINK_SECRET)
+ */
+function createRecordingLink(recordingId) {
+  const url = `${process.env.BASE_URL || ''}/api/recordings/${encodeURIComponent(recordingId)}/audio`;
+  if (!process.env.RECORDING_LINK_SECRET) {
+    return url;
+  }
+  const expires = Math.floor((Date.now() + getLinkTtlMs()) / 1000);
+  return `${url}?expires=${expires}&signature=${sign(recordingId, expires)}`;
+}
+
+/**
+ * Check a signed recording link
+ * @param {string} recordingId - Recording ID from the path
+ * @param {string} expires - Unix time from the link
+ * @param {string} signature - Signature from the link
+ * @returns {boolean} True if the link is genuine and has not expired
+ */
+function verifyRecordingLink(recordingId, expires, signature) {
+  if (!process.env.RECORDING_LINK_SECRET || !expires || !signature) {
+    return false;
+  }
+  if (parseInt(expires, 10) * 1000 < Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(sign(recordingId, expires));
+  const given = Buffer.from(signature.toString());
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Recordings of a call, for its summary email
+ * @param {string} callId - Call control ID the summary is for
+ * @returns {Promise<Array<Object>>} { recordingId, durationSecs, channels, link }
+ */
+async function getRecordingLinksForCall(callId) {
+  if (!callId) {
+    return [];
+  }
+  const { data } = await getRecordingRepository().query({ text: callId });
+  return data
+    .map(record => record.data)
+    .filter(recording => recording.callControlId === callId)
+    .map(recording => ({
+      recordingId: recording.recordingId,
+      durationSecs: recording.durationSecs,
+      channels: recording.channels,
+      link: createRecordingLink(recording.recordingId)
+    }));
+}
+
+async function summaryAlreadySent(callId) {
+  if (!callId) {
+    return false;
+  }
+  const { total } = await queryAudit({
+    entityId: callId,
+    action: 'summary_sent',
+    from: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
+    limit: 1
+  });
+  return total > 0;
+}
+
+/**
+ * Store a saved recording and attach it to its emergency and call
+ * @param {Object} body - Webhook body (see parseRecordingEvent)
+ * @param {Object} options - { emergencyId } from the callback URL
+ * @returns {Promise<Object>} { status, type, recordingId, emergencyId, attachedToCall }
+ */
+async function handleRecordingEvent(body, options = {}) {
+  const recording = parseRecordingEvent(body);
+  if (!recording) {
+    return { status: 'ignored', type: 'emergency_recording' };
+  }
+
+  const emergencyId = await findEmergencyId(recording, options.emergencyId);
+  const { clientState, ...details } = recording;
+  let isNew = false;
+
+  await getRecordingRepository().update(recording.recordingId, (existing) => {
+    isNew = !existing;
+    return { ...(existing || {}), ...details, emergencyId, receivedAt: existing?.receivedAt || new Date().toISOString() };
+  });
+
+  const reference = {
+    recordingId: recording.recordingId,
+    provider: recording.provider,
+    callControlId: recording.callControlId,
+    urls: recording.urls,
+    durationSecs: recording.durationSecs,
+    channels: recording.channels,
+    startedAt: recording.startedAt,
+    endedAt: recording.endedAt
+  };
+
+  if (emergencyId) {
+    await emergencyStore.addEmergencyRecording(emergencyId, reference);
+  }
+
+  // The summary email for a call still in progress picks the recording up itself
+  const attachedToCall = !!(recording.callControlId && await getCallData(recording.callControlId) &&
+    await addCallRecording(recording.callControlId, reference));
+
+  if (!emergencyId && !attachedToCall) {
+    logger.warn(`⚠️ Recording ${recording.recordingId} matches no emergency or call`);
+  }
+
+  recordAudit({
+    action: 'recording_saved',
+    entity: emergencyId ? { type: 'emergency', id: emergencyId } : { type: 'call', id: recording.callControlId },
+    data: { recordingId: recording.recordingId, durationSecs: recording.durationSecs, channels: recording.channels, attachedToCall }
+  });
+  logger.info(`🎙️ Recording ${recording.recordingId} saved (${recording.durationSecs ?? '?'}s, ${recording.channels})`);
+
+  if (isNew && !attachedToCall && (emergencyId || await summaryAlreadySent(recording.callControlId))) {
+    await enqueueJob('send-recording-email', {
+      recordingId: recording.recordingId,
+      callId: recording.callControlId,
+      emergencyId
+    });
+  }
+
+  return {
+    status: 'processed',
+    type: 'emergency_recording',
+    recordingId: recording.recordingId,
+    emergencyId,
+    attachedToCall
+  };
+}
+
+/**
+ * Get a stored recording
+ * @param {string} recordingId - Recording ID
+ * @returns {Promise<Object|null>} Recording
+ */
+async function getRecording(recordingId) {
+  const record = await getRecordingRepository().get(recordingId);
+  return record ? record.data : null;
+}
+
+/**
+ * Where to send someone opening a recording link. Telnyx download URLs
+ * expire after a few minutes, so a fresh one is fetched when possible.
+ * @param {Object} recording - Stored recording
+ * @returns {Promise<string|null>} Audio URL
+ */
+async function getRecordingAudioUrl(recording) {
+  if (recording.provider === 'telnyx') {
+    try {
+      const { getRecordingById } = require('./callRecordings');
+      const fresh = await getRecordingById(recording.recordingId);
+      if (fresh.url && fresh.url !== 'Not available') {
+        return fresh.url;
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Could not refresh recording URL for ${recording.recordingId}: ${error.message}`);
+    }
+  }
+  return recording.urls?.mp3 || recording.urls?.wav || recording.publicUrls?.mp3 || recording.publicUrls?.wav || null;
+}
+
+module.exports = {
+  getRecordingRepository,
+  parseRecordingEvent,
+  handleRecordingEvent,
+  createRecordingLink,
+  verifyRecordingLink,
+  getRecordingLinksForCall,
+  getRecording,
+  getRecordingAudioUrl
+};
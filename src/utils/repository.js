@@ -0,0 +1,635 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { seal, unseal, isEncryptionEnabled } = require('./encryption');
+const { createLogger } = require('./logger');
+const logger = createLogger('repository');
+
+const DATA_DIR = process.env.DATA_DIR || '/data';
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'file').toLowerCase();
+
+/**
+ * Record repositories
+ *
+ * Every repository stores plain JSON records under a string key and keeps a
+ * small envelope around them ({ key, version, createdAt, updatedAt, data }) so
+ * that records can be listed, searched and paged regardless of the backend:
+ *   - file:   one `<key>.json` file per record in a directory (default)
+ *   - sqlite: one table per collection in an embedded SQLite database
+ *   - memory: a Map, for tests and local experiments
+ *
+ * Writes through update()/take() are serialized per key, and every write
+ * bumps `version` so concurrent writers can use optimistic version checks.
+ *
+ * File and SQLite backends seal stored data with ./encryption when a data
+ * encryption key is configured.
+ */
+
+/**
+ * Default field extractors used for query filtering
+ */
+const defaultIndexes = {
+  phone: (data) => data.phone,
+  status: (data) => data.status
+};
+
+/**
+ * Keep only the digits of a phone-like value for comparisons
+ * @param {*} value - Phone number, SIP URI or anything else
+ * @returns {string} Digits only
+ */
+function phoneDigits(value) {
+  return value === undefined || value === null ? '' : value.toString().replace(/\D/g, '');
+}
+
+/**
+ * Wrap raw data in a record envelope
+ * @param {string} key - Record key
+ * @param {Object} data - Record data
+ * @param {Object} previous - Previous envelope, if any
+ * @returns {Object} Record envelope
+ */
+function createEnvelope(key, data, previous = null) {
+  const now = new Date().toISOString();
+  return {
+    key,
+    version: (previous?.version || 0) + 1,
+    createdAt: previous?.createdAt || now,
+    updatedAt: now,
+    data
+  };
+}
+
+/**
+ * Reject a write when the stored version is not the one the writer read
+ * @param {string} key - Record key
+ * @param {Object|null} previous - Current envelope
+ * @param {number} expectedVersion - Version the writer expects (0 = must not exist)
+ */
+function checkVersion(key, previous, expectedVersion) {
+  if (expectedVersion === undefined) {
+    return;
+  }
+
+  const currentVersion = previous ? previous.version || 0 : 0;
+  const conflict = expectedVersion === 0
+    ? !!previous && currentVersion !== 0
+    : currentVersion !== expectedVersion;
+
+  if (conflict) {
+    const error = new Error(`Version conflict for ${key}: expected ${expectedVersion}, found ${currentVersion}`);
+    error.code = 'VERSION_CONFLICT';
+    throw error;
+  }
+}
+
+/**
+ * Check whether a parsed file is a record envelope or legacy raw data
+ * @param {*} parsed - Parsed JSON content
+ * @returns {boolean} True if this is an envelope
+ */
+function isEnvelope(parsed) {
+  return !!parsed && typeof parsed === 'object' && typeof parsed.key === 'string' &&
+    typeof parsed.createdAt === 'string' && 'data' in parsed;
+}
+
+/**
+ * Check whether a record matches a query
+ * @param {Object} record - Record envelope
+ * @param {Object} query - Query filters
+ * @param {Object} indexes - Field extractors
+ * @returns {boolean} True if the record matches
+ */
+function matchesQuery(record, query, indexes) {
+  const data = record.data || {};
+
+  if (query.phone) {
+    const wanted = phoneDigits(query.phone);
+    const actual = phoneDigits(indexes.phone(data));
+    if (!wanted || !actual.includes(wanted)) {
+      return false;
+    }
+  }
+
+  if (query.status) {
+    const actual = (indexes.status(data) || '').toString().toLowerCase();
+    if (actual !== query.status.toString().toLowerCase()) {
+      return false;
+    }
+  }
+
+  if (query.from && record.createdAt < new Date(query.from).toISOString()) {
+    return false;
+  }
+
+  if (query.to && record.createdAt > new Date(query.to).toISOString()) {
+    return false;
+  }
+
+  if (query.text) {
+    const haystack = JSON.stringify(data).toLowerCase();
+    if (!haystack.includes(query.text.toString().toLowerCase())) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Filter, sort (newest first) and page a list of records
+ * @param {Array} records - Record envelopes
+ * @param {Object} query - Query filters plus limit/offset
+ * @param {Object} indexes - Field extractors
+ * @returns {Object} { data, total }
+ */
+function applyQuery(records, query = {}, indexes = defaultIndexes) {
+  const matching = records
+    .filter(record => matchesQuery(record, query, indexes))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const offset = parseInt(query.offset || 0, 10) || 0;
+  const limit = query.limit !== undefined ? parseInt(query.limit, 10) : matching.length;
+
+  return {
+    data: matching.slice(offset, offset + limit),
+    total: matching.length
+  };
+}
+
+/**
+ * Shared behaviour: per-key locking, read-modify-write updates and queries
+ */
+class Repository {
+  constructor({ indexes = defaultIndexes } = {}) {
+    this.indexes = indexes;
+    this.locks = new Map();
+  }
+
+  /**
+   * Run fn while holding the lock for a key (writers to the same key queue up)
+   * @param {string} key - Record key
+   * @param {Function} fn - Async work
+   * @returns {Promise<*>} Result of fn
+   */
+  async withLock(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.locks.set(key, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.locks.get(key) === tail) {
+        this.locks.delete(key);
+      }
+    }
+  }
+
+  async get(key) {
+    return await this.find(key);
+  }
+
+  /**
+   * Serialized read-modify-write of a single record
+   * @param {string} key - Record key
+   * @param {Function} mutate - (data, envelope) => new data, or undefined to leave it unchanged
+   * @param {Object} options - { retries } on version conflicts
+   * @returns {Promise<Object|null>} Stored envelope
+   */
+  async update(key, mutate, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : 3;
+
+    return await this.withLock(key, async () => {
+      for (let attempt = 0; ; attempt++) {
+        const current = await this.find(key);
+        const data = await mutate(current ? current.data : null, current);
+
+        if (data === undefined) {
+          return current;
+        }
+
+        try {
+          return await this.put(key, data, { expectedVersion: current ? current.version || 0 : 0 });
+        } catch (error) {
+          if (error.code !== 'VERSION_CONFLICT' || attempt >= retries) {
+            throw error;
+          }
+          logger.warn(`⚠️ ${error.message} - retrying (${attempt + 1}/${retries})`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Read and delete a record in one serialized step
+   * @param {string} key - Record key
+   * @returns {Promise<Object|null>} The removed envelope
+   */
+  async take(key) {
+    return await this.withLock(key, async () => {
+      const current = await this.find(key);
+      if (current) {
+        await this.delete(key);
+      }
+      return current;
+    });
+  }
+
+  async query(query = {}) {
+    return applyQuery(await this.list(), query, this.indexes);
+  }
+}
+
+/**
+ * Flat-file repository: one JSON file per record, written atomically
+ */
+class FileRepository extends Repository {
+  constructor({ dir, indexes } = {}) {
+    super({ indexes });
+    this.dir = dir;
+  }
+
+  async ensureDir() {
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+    } catch (error) {
+      logger.error(`Error creating data directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Path of a record's file. Keys come from URLs, so anything that could
+   * leave the collection directory is rejected.
+   * @param {string} key - Record key
+   * @returns {string} File path
+   */
+  filePath(key) {
+    if (typeof key !== 'string' || !key || /[\/\\\0]/.test(key) || key.includes('..')) {
+      const error = new Error(`Invalid record key: ${JSON.stringify(key)}`);
+      error.code = 'INVALID_KEY';
+      throw error;
+    }
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async readRecord(filePath, key) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const parsed = JSON.parse(unseal(content));
+
+    if (isEnvelope(parsed)) {
+      return parsed;
+    }
+
+    // Legacy file written before records had an envelope
+    const stats = await fs.stat(filePath);
+    return {
+      key,
+      version: 0,
+      createdAt: stats.mtime.toISOString(),
+      updatedAt: stats.mtime.toISOString(),
+      data: parsed
+    };
+  }
+
+  async find(key) {
+    try {
+      return await this.readRecord(this.filePath(key), key);
+    } catch (error) {
+      // A key that cannot name a file cannot have a record
+      if (error.code === 'ENOENT' || error.code === 'INVALID_KEY') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async get(key) {
+    try {
+      const record = await this.find(key);
+      if (!record) {
+        logger.info(`Record not found: ${this.dir}/${key}`);
+      }
+      return record;
+    } catch (error) {
+      logger.error(`Error reading data: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async put(key, data, options = {}) {
+    await this.ensureDir();
+    const filePath = this.filePath(key);
+    try {
+      const previous = await this.find(key);
+      checkVersion(key, previous, options.expectedVersion);
+      const record = createEnvelope(key, data, previous);
+
+      // Write to a temporary file and rename it so readers never see half a record
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).substring(2, 8)}.tmp`;
+      await fs.writeFile(tempPath, seal(JSON.stringify(record)));
+      await fs.rename(tempPath, filePath);
+      logger.info(`Data stored successfully at ${filePath}`);
+      return record;
+    } catch (error) {
+      logger.error(`Error storing data: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const filePath = this.filePath(key);
+    try {
+      await fs.unlink(filePath);
+      logger.info(`Data deleted successfully: ${filePath}`);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info(`File not found for deletion: ${filePath}`);
+        return false;
+      }
+      logger.error(`Error deleting data: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || !entry.name.endsWith('.json')) {
+        continue;
+      }
+      const key = entry.name.slice(0, -'.json'.length);
+      try {
+        records.push(await this.readRecord(path.join(this.dir, entry.name), key));
+      } catch (error) {
+        logger.error(`Skipping unreadable record ${entry.name}: ${error.message}`);
+      }
+    }
+    return records;
+  }
+}
+
+/**
+ * In-memory repository (data is lost on restart)
+ */
+class MemoryRepository extends Repository {
+  constructor({ indexes } = {}) {
+    super({ indexes });
+    this.records = new Map();
+  }
+
+  async find(key) {
+    const record = this.records.get(key);
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  }
+
+  async put(key, data, options = {}) {
+    checkVersion(key, this.records.get(key), options.expectedVersion);
+    const record = createEnvelope(key, JSON.parse(JSON.stringify(data)), this.records.get(key));
+    this.records.set(key, record);
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  async delete(key) {
+    return this.records.delete(key);
+  }
+
+  async list() {
+    return Array.from(this.records.values()).map(record => JSON.parse(JSON.stringify(record)));
+  }
+}
+
+// SQLite databases are shared between collections stored in the same file
+const sqliteDatabases = new Map();
+
+/**
+ * Embedded SQLite repository (requires the optional better-sqlite3 package)
+ */
+class SqliteRepository extends Repository {
+  constructor({ file, table, indexes } = {}) {
+    if (!/^[a-z_][a-z0-9_]*$/i.test(table)) {
+      throw new Error(`Invalid SQLite table name: ${table}`);
+    }
+
+    super({ indexes });
+    this.table = table;
+    this.db = SqliteRepository.open(file);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        key TEXT PRIMARY KEY,
+        version INTEGER NOT NULL DEFAULT 1,
+        phone TEXT,
+        status TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS ${table}_created_at ON ${table} (created_at);
+      CREATE INDEX IF NOT EXISTS ${table}_phone ON ${table} (phone);
+    `);
+
+    // Tables created before records were versioned
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+    if (!columns.includes('version')) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN version INTEGER NOT NULL DEFAULT 1`);
+    }
+  }
+
+  static open(file) {
+    if (!sqliteDatabases.has(file)) {
+      let Database;
+      try {
+        Database = require('better-sqlite3');
+      } catch (error) {
+        throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+      }
+      require('fs').mkdirSync(path.dirname(file), { recursive: true });
+      const db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      sqliteDatabases.set(file, db);
+    }
+    return sqliteDatabases.get(file);
+  }
+
+  toRecord(row) {
+    return {
+      key: row.key,
+      version: row.version,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      data: JSON.parse(unseal(row.data))
+    };
+  }
+
+  findRow(key) {
+    const row = this.db.prepare(`SELECT * FROM ${this.table} WHERE key = ?`).get(key);
+    return row ? this.toRecord(row) : null;
+  }
+
+  async find(key) {
+    return this.findRow(key);
+  }
+
+  async put(key, data, options = {}) {
+    // Version check and write happen in one SQLite transaction
+    return this.db.transaction(() => {
+      const previous = this.findRow(key);
+      checkVersion(key, previous, options.expectedVersion);
+      return this.writeRow(key, data, previous);
+    })();
+  }
+
+  writeRow(key, data, previous) {
+    const record = createEnvelope(key, data, previous);
+    const status = this.indexes.status(data);
+    // The phone column would hold PHI in the clear, so it stays empty when encrypting
+    const phone = isEncryptionEnabled() ? null : phoneDigits(this.indexes.phone(data));
+    this.db.prepare(`
+      INSERT INTO ${this.table} (key, version, phone, status, created_at, updated_at, data)
+      VALUES (@key, @version, @phone, @status, @createdAt, @updatedAt, @data)
+      ON CONFLICT(key) DO UPDATE SET
+        version = excluded.version,
+        phone = excluded.phone,
+        status = excluded.status,
+        updated_at = excluded.updated_at,
+        data = excluded.data
+    `).run({
+      key,
+      version: record.version,
+      phone,
+      status: status === undefined || status === null ? null : status.toString().toLowerCase(),
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      data: seal(JSON.stringify(data))
+    });
+    return record;
+  }
+
+  async delete(key) {
+    const result = this.db.prepare(`DELETE FROM ${this.table} WHERE key = ?`).run(key);
+    return result.changes > 0;
+  }
+
+  async list() {
+    return this.db.prepare(`SELECT * FROM ${this.table}`).all().map(row => this.toRecord(row));
+  }
+
+  async query(query = {}) {
+    // Encrypted rows can only be searched by phone or text after decrypting them
+    if (isEncryptionEnabled() && (query.phone || query.text)) {
+      return await super.query(query);
+    }
+
+    const where = [];
+    const params = {};
+
+    if (query.phone) {
+      where.push(`phone LIKE @phone`);
+      params.phone = `%${phoneDigits(query.phone)}%`;
+    }
+    if (query.status) {
+      where.push('status = @status');
+      params.status = query.status.toString().toLowerCase();
+    }
+    if (query.from) {
+      where.push('created_at >= @from');
+      params.from = new Date(query.from).toISOString();
+    }
+    if (query.to) {
+      where.push('created_at <= @to');
+      params.to = new Date(query.to).toISOString();
+    }
+    if (query.text) {
+      where.push(`LOWER(data) LIKE @text`);
+      params.text = `%${query.text.toString().toLowerCase()}%`;
+    }
+
+    const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const total = this.db.prepare(`SELECT COUNT(*) AS total FROM ${this.table} ${whereClause}`).get(params).total;
+
+    const offset = parseInt(query.offset || 0, 10) || 0;
+    const limit = query.limit !== undefined ? parseInt(query.limit, 10) : -1;
+    const rows = this.db.prepare(`
+      SELECT * FROM ${this.table} ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+
+    return {
+      data: rows.map(row => this.toRecord(row)),
+      total
+    };
+  }
+}
+
+// One repository instance per collection
+const repositories = new Map();
+
+/**
+ * Create (or reuse) the repository for a collection using STORAGE_BACKEND
+ * @param {string} collection - Collection name (e.g. 'calls')
+ * @param {Object} options - { backend, dir, indexes }
+ * @returns {FileRepository|SqliteRepository|MemoryRepository} Repository
+ */
+function createRepository(collection, options = {}) {
+  const backend = (options.backend || STORAGE_BACKEND).toLowerCase();
+  const cacheKey = `${backend}:${collection}`;
+
+  if (repositories.has(cacheKey)) {
+    return repositories.get(cacheKey);
+  }
+
+  let repository;
+  switch (backend) {
+    case 'file':
+      repository = new FileRepository({
+        dir: options.dir || path.join(DATA_DIR, collection),
+        indexes: options.indexes
+      });
+      break;
+
+    case 'sqlite':
+      repository = new SqliteRepository({
+        file: process.env.SQLITE_FILE || path.join(DATA_DIR, 'hippaai.sqlite'),
+        table: collection,
+        indexes: options.indexes
+      });
+      break;
+
+    case 'memory':
+      repository = new MemoryRepository({ indexes: options.indexes });
+      break;
+
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  logger.info(`🗄️ Using ${backend} storage for ${collection}`);
+  repositories.set(cacheKey, repository);
+  return repository;
+}
+
+module.exports = {
+  createRepository,
+  Repository,
+  FileRepository,
+  SqliteRepository,
+  MemoryRepository,
+  applyQuery,
+  phoneDigits,
+  DATA_DIR
+};
@@ -0,0 +1,384 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createRepository, DATA_DIR } = require('./repository');
+const { seal, unseal } = require('./encryption');
+const { getPracticeSettings } = require('../config');
+const { getCaptureDir } = require('./webhookCapture');
+const { recordAudit } = require('./auditLog');
+const { createLogger } = require('./logger');
+const logger = createLogger('retention');
+
+/**
+ * Retention enforcement
+ *
+ * Removes (or archives) anything older than compliance.recordRetentionDays:
+ *   - stored records: calls, emergencies, intakes, the conference,
+ *     escalation and doctor page state kept for emergencies, recordings,
+ *     patient profiles, unrecognized payloads, queued and dead jobs (page and
+ *     SMS texts), cached webhook responses and caller lists (by record createdAt)
+ *   - daily log files in logs/ (by the date in their name)
+ *   - downloaded recordings in downloads/ (by file modification time)
+ *   - webhook captures in DATA_DIR/webhook-captures (by the date in their name)
+ *
+ * Records and files under a legal hold are never touched. Every run writes a
+ * purge report to DATA_DIR/retention-reports listing what was removed, what was
+ * held back and any errors (keys and file names only, no patient data).
+ *
+ * RETENTION_MODE=purge|archive (default purge) - archive moves everything to
+ * DATA_DIR/archive instead of deleting it.
+ */
+
+const LOGS_DIR = path.join(__dirname, '..', '..', 'logs');
+const DOWNLOADS_DIR = path.join(__dirname, '..', '..', 'downloads');
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
+const REPORTS_DIR = path.join(DATA_DIR, 'retention-reports');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let retentionTimer = null;
+let running = false;
+
+function getLegalHoldRepository() {
+  return createRepository('legal_holds', {
+    indexes: {
+      phone: () => null,
+      status: (data) => data.collection
+    }
+  });
+}
+
+/**
+ * Record collections covered by the retention policy
+ * @returns {Object} Collection name -> repository
+ */
+function getRecordRepositories() {
+  return {
+    calls: require('./fileStorage').getCallRepository(),
+    emergencies: require('./emergencyStore').getEmergencyRepository(),
+    intakes: require('./intakeStore').getIntakeRepository(),
+    conferences: require('./conferenceStateMachine').getConferenceRepository(),
+    escalations: require('./escalationLadder').getEscalationRepository(),
+    doctor_pages: require('./doctorPages').getPageRepository(),
+    call_recordings: require('./recordingEvents').getRecordingRepository(),
+    patients: require('./patientIndex').getPatientRepository(),
+    unrecognized_payloads: require('./emergencyPayloads').getUnrecognizedPayloadRepository(),
+    jobs: require('./jobQueue').getJobRepository(),
+    dead_jobs: require('./jobQueue').getDeadJobRepository(),
+    webhook_events: require('./idempotency').getEventRepository(),
+    caller_lists: require('./callerScreening').getCallerListRepository()
+  };
+}
+
+/**
+ * Place a legal hold on a record or file so retention never removes it
+ * @param {string} collection - A record collection (see getRecordRepositories), 'logs' or 'recordings'
+ * @param {string} key - Record key, or file name for logs/recordings
+ * @param {Object} details - { reason, actor } (actor is the { type, id } placing the hold)
+ * @returns {Promise<Object>} Hold
+ */
+async function placeLegalHold(collection, key, details = {}) {
+  const hold = {
+    collection,
+    key,
+    reason: details.reason || null,
+    placedBy: details.actor ? details.actor.id : null,
+    placedAt: new Date().toISOString()
+  };
+  await getLegalHoldRepository().put(`${collection}:${key}`, hold);
+  logger.info(`⚖️ Legal hold placed on ${collection}/${key}`);
+  recordAudit({
+    action: 'placed',
+    entity: { type: 'legal_hold', id: `${collection}:${key}` },
+    actor: details.actor,
+    data: { collection, key, reason: hold.reason }
+  });
+  return hold;
+}
+
+/**
+ * Release a legal hold
+ * @param {string} collection - Collection name
+ * @param {string} key - Record key or file name
+ * @param {Object} actor - { type, id } releasing the hold
+ * @returns {Promise<boolean>} True if a hold was removed
+ */
+async function releaseLegalHold(collection, key, actor) {
+  const released = await getLegalHoldRepository().delete(`${collection}:${key}`);
+  if (released) {
+    logger.info(`⚖️ Legal hold released on ${collection}/${key}`);
+    recordAudit({
+      action: 'released',
+      entity: { type: 'legal_hold', id: `${collection}:${key}` },
+      actor,
+      data: { collection, key }
+    });
+  }
+  return released;
+}
+
+/**
+ * List legal holds
+ * @param {string} collection - Optional collection filter
+ * @returns {Promise<Array>} Holds
+ */
+async function listLegalHolds(collection) {
+  const { data } = await getLegalHoldRepository().query(collection ? { status: collection } : {});
+  return data.map(record => record.data);
+}
+
+/**
+ * Get the retention cutoff date
+ * @param {Date} now - Current time
+ * @returns {Object} { retentionDays, cutoff }
+ */
+function getRetentionWindow(now = new Date()) {
+  const retentionDays = parseInt(process.env.RETENTION_DAYS, 10) ||
+    getPracticeSettings().compliance?.recordRetentionDays || 2555;
+  return { retentionDays, cutoff: new Date(now.getTime() - retentionDays * DAY_MS) };
+}
+
+/**
+ * Move a file into the archive directory
+ * @param {string} filePath - File to archive
+ * @param {string} collection - Archive subdirectory
+ */
+async function archiveFile(filePath, collection) {
+  const archiveDir = path.join(ARCHIVE_DIR, collection);
+  await fs.mkdir(archiveDir, { recursive: true });
+  const destination = path.join(archiveDir, path.basename(filePath));
+  try {
+    await fs.rename(filePath, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.copyFile(filePath, destination);
+    await fs.unlink(filePath);
+  }
+}
+
+/**
+ * Apply retention to stored records
+ */
+async function enforceRecordRetention(report, holds, { cutoff, mode, dryRun }) {
+  const cutoffIso = cutoff.toISOString();
+
+  for (const [collection, repository] of Object.entries(getRecordRepositories())) {
+    const expired = (await repository.list()).filter(record => record.createdAt < cutoffIso);
+
+    for (const record of expired) {
+      const item = { collection, key: record.key, createdAt: record.createdAt };
+
+      if (holds.has(`${collection}:${record.key}`) || record.data?.legalHold === true) {
+        report.held.push(item);
+        continue;
+      }
+
+      try {
+        if (!dryRun) {
+          if (mode === 'archive') {
+            const archiveDir = path.join(ARCHIVE_DIR, collection);
+            await fs.mkdir(archiveDir, { recursive: true });
+            await fs.writeFile(path.join(archiveDir, `${record.key}.json`), seal(JSON.stringify(record)));
+          }
+          await repository.delete(record.key);
+        }
+        report.removed.push({ ...item, action: mode });
+      } catch (error) {
+        report.errors.push({ ...item, error: error.message });
+      }
+    }
+  }
+}
+
+/**
+ * Apply retention to files in a directory
+ * @param {string} collection - 'logs', 'recordings' or 'webhook_captures'
+ * @param {string} dir - Directory
+ * @param {Function} fileDate - (fileName, stats) => Date the file belongs to
+ */
+async function enforceFileRetention(report, holds, { cutoff, mode, dryRun }, collection, dir, fileDate) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  for (const entry of entries.filter(e => e.isFile())) {
+    const filePath = path.join(dir, entry.name);
+
+    try {
+      const date = fileDate(entry.name, await fs.stat(filePath));
+      if (!date || date >= cutoff) {
+        continue;
+      }
+
+      const item = { collection, key: entry.name, createdAt: date.toISOString() };
+      if (holds.has(`${collection}:${entry.name}`)) {
+        report.held.push(item);
+        continue;
+      }
+
+      if (!dryRun) {
+        if (mode === 'archive') {
+          await archiveFile(filePath, collection);
+        } else {
+          await fs.unlink(filePath);
+        }
+      }
+      report.removed.push({ ...item, action: mode });
+    } catch (error) {
+      report.errors.push({ collection, key: entry.name, error: error.message });
+    }
+  }
+}
+
+/**
+ * Date of a daily log file, taken from the YYYY-MM-DD in its name
+ */
+function logFileDate(fileName) {
+  const match = fileName.match(/(\d{4}-\d{2}-\d{2})/);
+  // A log holds a whole day, so it only expires once the day has fully passed
+  return match ? new Date(new Date(`${match[1]}T00:00:00.000Z`).getTime() + DAY_MS) : null;
+}
+
+/**
+ * Write a purge report
+ * @param {Object} report - Report
+ * @returns {Promise<string>} Report file path
+ */
+async function writeReport(report) {
+  await fs.mkdir(REPORTS_DIR, { recursive: true });
+  const reportFile = path.join(REPORTS_DIR, `${report.runId}.json`);
+  await fs.writeFile(reportFile, seal(JSON.stringify(report, null, 2)));
+  return reportFile;
+}
+
+/**
+ * Run the retention policy once
+ * @param {Object} options - { dryRun, mode, now }
+ * @returns {Promise<Object>} Purge report
+ */
+async function runRetention(options = {}) {
+  if (running) {
+    throw new Error('A retention run is already in progress');
+  }
+  running = true;
+
+  const startedAt = options.now || new Date();
+  const { retentionDays, cutoff } = getRetentionWindow(startedAt);
+  const mode = (options.mode || process.env.RETENTION_MODE || 'purge').toLowerCase() === 'archive' ? 'archive' : 'purge';
+  const dryRun = options.dryRun !== undefined ? !!options.dryRun : process.env.RETENTION_DRY_RUN === 'true';
+  const settings = { cutoff, mode, dryRun };
+
+  const report = {
+    runId: `retention-${startedAt.toISOString().replace(/[:.]/g, '-')}`,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    retentionDays,
+    cutoff: cutoff.toISOString(),
+    mode,
+    dryRun,
+    removed: [],
+    held: [],
+    errors: []
+  };
+
+  try {
+    logger.info(`🧹 Retention run started (${mode}${dryRun ? ', dry run' : ''}, cutoff ${report.cutoff})`);
+    const holds = new Set((await listLegalHolds()).map(hold => `${hold.collection}:${hold.key}`));
+
+    await enforceRecordRetention(report, holds, settings);
+    await enforceFileRetention(report, holds, settings, 'logs', LOGS_DIR, logFileDate);
+    await enforceFileRetention(report, holds, settings, 'recordings', DOWNLOADS_DIR, (name, stats) => stats.mtime);
+    await enforceFileRetention(report, holds, settings, 'webhook_captures', getCaptureDir(), logFileDate);
+
+    report.finishedAt = new Date().toISOString();
+    report.summary = {
+      removed: report.removed.length,
+      held: report.held.length,
+      errors: report.errors.length
+    };
+    report.reportFile = await writeReport(report);
+
+    logger.info(`✅ Retention run finished: ${report.summary.removed} removed, ${report.summary.held} on legal hold, ${report.summary.errors} errors`);
+    return report;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * List purge reports, newest first
+ * @returns {Promise<Array<string>>} Report IDs
+ */
+async function listRetentionReports() {
+  try {
+    const files = await fs.readdir(REPORTS_DIR);
+    return files.filter(file => file.endsWith('.json')).map(file => file.replace(/\.json$/, '')).sort().reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read a purge report
+ * @param {string} runId - Report ID
+ * @returns {Promise<Object|null>} Report
+ */
+async function getRetentionReport(runId) {
+  if (!/^retention-[\w-]+$/.test(runId)) {
+    return null;
+  }
+  try {
+    return JSON.parse(unseal(await fs.readFile(path.join(REPORTS_DIR, `${runId}.json`), 'utf8')));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Start the scheduled retention worker
+ * RETENTION_ENABLED=false disables it; RETENTION_INTERVAL_HOURS sets the interval (default 24)
+ */
+function startRetentionWorker() {
+  if (process.env.RETENTION_ENABLED === 'false' || retentionTimer) {
+    return;
+  }
+
+  const intervalHours = parseFloat(process.env.RETENTION_INTERVAL_HOURS) || 24;
+  const run = () => runRetention().catch(error => logger.error('❌ Retention run failed:', error));
+
+  // First run shortly after startup, then on the interval
+  setTimeout(run, 60 * 1000).unref();
+  retentionTimer = setInterval(run, intervalHours * 60 * 60 * 1000);
+  retentionTimer.unref();
+  logger.info(`🧹 Retention worker scheduled every ${intervalHours} hours`);
+}
+
+function stopRetentionWorker() {
+  if (retentionTimer) {
+    clearInterval(retentionTimer);
+    retentionTimer = null;
+  }
+}
+
+module.exports = {
+  runRetention,
+  startRetentionWorker,
+  stopRetentionWorker,
+  placeLegalHold,
+  releaseLegalHold,
+  listLegalHolds,
+  listRetentionReports,
+  getRetentionReport
+};
@@ -0,0 +1,60 @@
+const { enqueueJob } = require('./jobQueue');
+const { recordAudit } = require('./auditLog');
+const { normalizePhone } = require('./patientIndex');
+const { createLogger } = require('./logger');
+const logger = createLogger('staffAlerts');
+
+/**
+ * Staff alerts
+ *
+ * Some emergencies need a person at the practice rather than another doctor
+ * page: one held for review by caller screening, or one whose escalation
+ * ladder ran out of doctors while the patient waits. alertStaff emails the
+ * staff address (STAFF_EMAIL, else ADMIN_EMAIL) and texts every number in
+ * STAFF_ALERT_PHONES. Each recipient gets its own queued job, so a failed SMS
+ * is retried without sending the email again.
+ */
+
+const ALERT_KIND = {
+  EMERGENCY_HELD: 'emergency_held',
+  ESCALATION_EXHAUSTED: 'escalation_exhausted'
+};
+
+function getAlertPhones() {
+  return (process.env.STAFF_ALERT_PHONES || '')
+    .split(',')
+    .map(phone => normalizePhone(phone.trim()))
+    .filter(Boolean);
+}
+
+/**
+ * Alert the practice staff about an emergency that needs them
+ * @param {Object} alert - { kind, emergencyId, subject, message }
+ * @returns {Promise<boolean>} True if the alert was queued
+ */
+async function alertStaff(alert) {
+  const phones = getAlertPhones();
+
+  try {
+    await enqueueJob('send-staff-alert', { channel: 'email', ...alert });
+    for (const phone of phones) {
+      await enqueueJob('send-staff-alert', { channel: 'sms', to: phone, ...alert });
+    }
+  } catch (error) {
+    logger.error(`❌ Could not queue staff alert for emergency ${alert.emergencyId}:`, error);
+    return false;
+  }
+
+  recordAudit({
+    action: 'staff_alerted',
+    entity: { type: 'emergency', id: alert.emergencyId },
+    data: { kind: alert.kind, email: true, smsRecipients: phones.length }
+  });
+  logger.warn(`📣 Staff alerted about emergency ${alert.emergencyId} (${alert.kind})`);
+  return true;
+}
+
+module.exports = {
+  ALERT_KIND,
+  alertStaff
+};
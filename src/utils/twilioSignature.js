@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { sendErrorNotification } = require('./errorMonitoring');
+const { recordAudit } = require('./auditLog');
+const { createLogger } = require('./logger');
+const logger = createLogger('twilioSignature');
+
+/**
+ * Twilio request signature validation
+ *
+ * Twilio signs each request with HMAC-SHA1 keyed by the account auth token
+ * (TWILIO_AUTH_TOKEN) and sends the base64 digest in `X-Twilio-Signature`:
+ *   - form posts: full URL + every POST parameter name and value, sorted by name
+ *   - media stream WebSocket handshake: the full wss:// URL only
+ *
+ * TWILIO_SIGNATURE_VALIDATION=false turns validation off for local testing.
+ *
+ * Rejections are logged and audited one by one. These routes are public, so
+ * the error email is a single summary of the counts per route and reason, at
+ * most once every TWILIO_REJECTION_ALERT_MINUTES (default 15).
+ */
+
+// Rejections waiting for the next summary email: "<type> <route>: <reason>" -> count
+const pendingRejections = new Map();
+let rejectionAlertTimer = null;
+
+/**
+ * Compute the Twilio signature for a URL and its POST parameters
+ * @param {string} authToken - Twilio auth token
+ * @param {string} url - Full request URL as Twilio called it
+ * @param {Object} params - POST parameters (empty for GET / WebSocket)
+ * @returns {string} Base64 signature
+ */
+function computeTwilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + (params[key] === undefined || params[key] === null ? '' : params[key]), url);
+
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf8')).digest('base64');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a || '');
+  const right = Buffer.from(b || '');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * URLs Twilio may have signed for this request
+ * Behind ngrok or a proxy the public URL is BASE_URL, not what Express sees.
+ * @param {Object} req - Express request
+ * @param {boolean} websocket - True for the media stream handshake
+ * @returns {Array<string>} Candidate URLs
+ */
+function getCandidateUrls(req, websocket) {
+  // express-ws appends "/.websocket" to the route it dispatches
+  const requestPath = req.originalUrl.replace('/.websocket', '');
+  const bases = [process.env.BASE_URL, `${req.protocol}://${req.get('host')}`]
+    .filter(Boolean)
+    .map(base => base.replace(/\/$/, ''));
+
+  const urls = bases.map(base => `${base}${requestPath}`);
+  // Media streams always connect over wss://
+  return websocket ? urls.map(url => url.replace(/^https?:\/\//, 'wss://')) : urls;
+}
+
+/**
+ * Validate a request against its X-Twilio-Signature header
+ * @param {Object} req - Express request
+ * @param {Object} options - { websocket }
+ * @returns {Object} { valid, reason }
+ */
+function validateTwilioRequest(req, options = {}) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.get('x-twilio-signature');
+
+  if (!authToken) {
+    return { valid: false, reason: 'TWILIO_AUTH_TOKEN is not configured' };
+  }
+  if (!signature) {
+    return { valid: false, reason: 'missing X-Twilio-Signature header' };
+  }
+
+  const params = options.websocket ? {} : (req.body || {});
+  const valid = getCandidateUrls(req, options.websocket)
+    .some(url => safeEqual(computeTwilioSignature(authToken, url, params), signature));
+
+  return valid ? { valid: true } : { valid: false, reason: 'signature mismatch' };
+}
+
+function isValidationDisabled() {
+  return process.env.TWILIO_SIGNATURE_VALIDATION === 'false';
+}
+
+function getRejectionAlertMs() {
+  return (parseInt(process.env.TWILIO_REJECTION_ALERT_MINUTES, 10) || 15) * 60 * 1000;
+}
+
+/**
+ * Email one summary of the rejections counted since the last one
+ */
+function sendRejectionSummary() {
+  rejectionAlertTimer = null;
+  const counts = [...pendingRejections.entries()];
+  pendingRejections.clear();
+
+  const total = counts.reduce((sum, [, count]) => sum + count, 0);
+  const minutes = getRejectionAlertMs() / 60000;
+  sendErrorNotification({
+    message: `${total} request(s) failed Twilio signature validation in the last ${minutes} minutes`,
+    stack: counts.map(([key, count]) => `${count} x ${key}`).join('\n')
+  }, {}, 'twilio-signature').catch(error => logger.error('Failed to send signature failure summary:', error));
+}
+
+/**
+ * Log and audit a rejected request, and count it towards the next summary email
+ */
+function reportRejectedRequest(req, reason, webhookType) {
+  const route = req.originalUrl.split('?')[0];
+  logger.warn(`🔒 Rejected Twilio ${webhookType} ${req.method} ${route} from ${req.ip}: ${reason}`);
+  recordAudit({
+    actor: { type: 'external', id: req.ip },
+    action: 'signature_rejected',
+    entity: { type: 'webhook', id: route },
+    data: { reason, provider: 'twilio' }
+  });
+
+  const key = `${webhookType} ${route}: ${reason}`;
+  pendingRejections.set(key, (pendingRejections.get(key) || 0) + 1);
+  if (!rejectionAlertTimer) {
+    rejectionAlertTimer = setTimeout(sendRejectionSummary, getRejectionAlertMs());
+    rejectionAlertTimer.unref();
+  }
+}
+
+/**
+ * Express middleware for Twilio form-post webhooks
+ */
+function twilioSignatureMiddleware(req, res, next) {
+  if (isValidationDisabled()) {
+    return next();
+  }
+
+  const result = validateTwilioRequest(req);
+  if (!result.valid) {
+    reportRejectedRequest(req, result.reason, 'twilio-webhook');
+    return res.status(403).send('Invalid Twilio signature');
+  }
+
+  next();
+}
+
+/**
+ * Check a media stream WebSocket handshake; closes the socket when invalid
+ * @param {WebSocket} ws - WebSocket
+ * @param {Object} req - Upgrade request
+ * @returns {boolean} True if the connection may proceed
+ */
+function validateTwilioWebSocket(ws, req) {
+  if (isValidationDisabled()) {
+    return true;
+  }
+
+  const result = validateTwilioRequest(req, { websocket: true });
+  if (!result.valid) {
+    reportRejectedRequest(req, result.reason, 'twilio-media-stream');
+    ws.close(1008, 'Invalid Twilio signature');
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  computeTwilioSignature,
+  validateTwilioRequest,
+  twilioSignatureMiddleware,
+  validateTwilioWebSocket
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./repository');
+const { seal, unseal } = require('./encryption');
+const { createLogger } = require('./logger');
+const logger = createLogger('webhookCapture');
+
+/**
+ * Webhook capture
+ *
+ * With WEBHOOK_CAPTURE_ENABLED=true every POST to /webhook/* is recorded
+ * exactly as received (body bytes, headers, timestamp) together with the
+ * status we answered, one JSON line per request, in
+ * WEBHOOK_CAPTURE_DIR/YYYY-MM-DD.jsonl (default DATA_DIR/webhook-captures).
+ * Lines are sealed with ./encryption like every other file holding patient
+ * data, and the directory is covered by the retention policy.
+ *
+ * `npm run replay` sends captures (or fixtures such as test_payload.json)
+ * back to a running server; see src/replay-webhooks.js.
+ */
+
+let warnedProduction = false;
+let writing = Promise.resolve();
+
+function getCaptureDir() {
+  return process.env.WEBHOOK_CAPTURE_DIR || path.join(DATA_DIR, 'webhook-captures');
+}
+
+function isCaptureEnabled() {
+  return process.env.WEBHOOK_CAPTURE_ENABLED === 'true';
+}
+
+/**
+ * Append one capture to its daily file
+ * @param {Object} capture - Capture entry
+ * @returns {Promise<void>}
+ */
+function writeCapture(capture) {
+  const dir = getCaptureDir();
+  const file = path.join(dir, `${capture.capturedAt.split('T')[0]}.jsonl`);
+
+  // Chain writes so captures land in the order requests finished
+  writing = writing.then(async () => {
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.appendFile(file, `${seal(JSON.stringify(capture))}\n`);
+    } catch (error) {
+      logger.error('❌ Error writing webhook capture:', error);
+    }
+  });
+  return writing;
+}
+
+/**
+ * Express middleware for /webhook routes (needs req.rawBodyBuffer)
+ */
+function webhookCaptureMiddleware(req, res, next) {
+  if (!isCaptureEnabled() || req.method !== 'POST') {
+    return next();
+  }
+
+  if (!warnedProduction && process.env.NODE_ENV === 'production') {
+    logger.warn('⚠️ WEBHOOK_CAPTURE_ENABLED is on in production - every webhook body is being archived');
+    warnedProduction = true;
+  }
+
+  const capturedAt = new Date();
+  const body = req.rawBodyBuffer || Buffer.from(req.rawBody || '', 'utf8');
+
+  res.on('finish', () => {
+    writeCapture({
+      id: `cap_${capturedAt.getTime()}_${crypto.randomBytes(4).toString('hex')}`,
+      capturedAt: capturedAt.toISOString(),
+      method: req.method,
+      path: req.originalUrl,
+      headers: req.headers,
+      body: body.toString('base64'),
+      status: res.statusCode,
+      durationMs: Date.now() - capturedAt.getTime()
+    });
+  });
+
+  next();
+}
+
+/**
+ * Read captures from a file or from every daily file in a directory
+ * @param {string} source - Capture file or directory (default: the capture directory)
+ * @returns {Array<Object>} Captures in the order they were received, with `body` as a Buffer
+ */
+function readCaptures(source = getCaptureDir()) {
+  if (!fs.existsSync(source)) {
+    return [];
+  }
+
+  const files = fs.statSync(source).isDirectory()
+    ? fs.readdirSync(source).filter(file => file.endsWith('.jsonl')).sort().map(file => path.join(source, file))
+    : [source];
+
+  return files
+    .flatMap(file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => {
+      try {
+        return JSON.parse(unseal(line));
+      } catch (error) {
+        logger.warn(`⚠️ Skipping unreadable capture in ${path.basename(file)}: ${error.message}`);
+        return null;
+      }
+    }))
+    .filter(Boolean)
+    .map(capture => ({ ...capture, body: Buffer.from(capture.body, 'base64') }))
+    .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+}
+
+module.exports = {
+  getCaptureDir,
+  isCaptureEnabled,
+  webhookCaptureMiddleware,
+  readCaptures
+};
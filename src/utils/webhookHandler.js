@@ -1,9 +1,11 @@
 const { updatePatientRecord, getCallData } = require('./patientData');
 const { sendReceptionistSummary } = require('../email');
 const { getPracticeSettings } = require('../config');
+const { createLogger } = require('./logger');
+const logger = createLogger('webhookHandler');
 
 async function handleWebhook(webhookData) {
-  console.log('Processing webhook data:', JSON.stringify(webhookData, null, 2));
+  logger.debug('Processing webhook data:', webhookData);
 
   try {
     if (webhookData.event_type === 'conversation_insight_result') {
@@ -12,7 +14,7 @@ async function handleWebhook(webhookData) {
       await handleInitialWebhook(webhookData);
     }
   } catch (error) {
-    console.error('Error processing webhook data:', error);
+    logger.error('Error processing webhook data:', error);
   }
 }
 
@@ -21,27 +23,27 @@ async function handleInitialWebhook(webhookData) {
   const name = webhookData.Name || webhookData.name;
   
   if (!call_control_id) {
-    console.log('No call_control_id found, skipping storage');
+    logger.info('No call_control_id found, skipping storage');
     return;
   }
 
-  // Use is_urgent boolean to determine status
-  const isUrgent = webhookData.is_urgent === true;
-  const status = isUrgent ? 'Urgent' : 'Non-Urgent';
+  // Use is_urgent boolean to determine status, only when the webhook carries it
+  const hasUrgency = typeof webhookData.is_urgent === 'boolean';
+  const status = hasUrgency ? (webhookData.is_urgent ? 'Urgent' : 'Non-Urgent') : undefined;
 
   const patientInfo = {
     call_control_id,
     name: name || 'Unknown',
     phone: phone ? phone.toString() : 'Unknown',
-    is_urgent: webhookData.is_urgent || false,
+    is_urgent: hasUrgency ? webhookData.is_urgent : undefined,
     status: status,
     timeCalled: new Date().toLocaleTimeString(),
     timestamp: new Date().toISOString()
   };
 
   await updatePatientRecord(call_control_id, patientInfo);
-  console.log('Patient data saved with call_control_id:', call_control_id);
-  console.log('Patient info:', patientInfo);
+  logger.info('Patient data saved with call_control_id:', call_control_id);
+  logger.info('Patient info:', patientInfo);
 }
 
 async function handleConversationInsight(webhookData) {
@@ -49,23 +51,23 @@ async function handleConversationInsight(webhookData) {
   const aiSummary = payload.results[0]?.result || 'No summary available';
   const callControlId = payload.metadata.call_control_id;
   
-  console.log('Looking for stored data with call_control_id:', callControlId);
+  logger.info('Looking for stored data with call_control_id:', callControlId);
 
   let patientInfo = await getCallData(callControlId);
 
   if (patientInfo) {
-    console.log('Found existing patient record:', patientInfo);
+    logger.info('Found existing patient record:', patientInfo);
     
     // Update with AI summary and extracted symptoms
     patientInfo.aiSummary = aiSummary;
     patientInfo.symptoms = extractSymptomsFromSummary(aiSummary);
     
-    console.log('Sending email notification...');
+    logger.info('Sending email notification...');
     await sendEmailNotification(patientInfo);
     
-    console.log('Email sent successfully for patient:', patientInfo.name);
+    logger.info('Email sent successfully for call:', callControlId);
   } else {
-    console.log('No matching patient record found for call_control_id:', callControlId);
+    logger.info('No matching patient record found for call_control_id:', callControlId);
   }
 }
 
@@ -121,9 +123,9 @@ async function sendEmailNotification(patientInfo) {
     };
     
     await sendReceptionistSummary(emailData, practiceSettings);
-    console.log('Email notification sent for patient:', patientInfo.name);
+    logger.info('Email notification sent', { name: patientInfo.name });
   } catch (error) {
-    console.error('Error sending email notification:', error);
+    logger.error('Error sending email notification:', error);
   }
 }
 
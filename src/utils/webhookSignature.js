@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { recordAudit } = require('./auditLog');
+const { createLogger } = require('./logger');
+const logger = createLogger('webhookSignature');
+
+/**
+ * Telnyx webhook signature verification
+ *
+ * Telnyx signs every webhook with Ed25519 over `${telnyx-timestamp}|${raw body}`
+ * and sends the base64 signature in `telnyx-signature-ed25519`. We verify it
+ * against the account public key (TELNYX_PUBLIC_KEY, base64, from the Telnyx
+ * portal) and reject timestamps outside TELNYX_WEBHOOK_TOLERANCE_SECONDS
+ * (default 300) so captured requests cannot be replayed later.
+ *
+ * TELNYX_SIGNATURE_SKIP_ROUTES="/webhook/emergency,/webhook/call" turns the
+ * check off for individual routes, e.g. when testing locally with curl.
+ * Without TELNYX_PUBLIC_KEY webhooks are let through unverified, except when
+ * NODE_ENV=production: there every route not skipped explicitly is rejected,
+ * since anyone could otherwise page the doctor.
+ */
+
+// DER prefix that turns a raw 32-byte Ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+let cachedPublicKey;
+let warnedMissingKey = false;
+
+/**
+ * Load the Telnyx public key from the environment
+ * @returns {crypto.KeyObject|null} Public key, or null when not configured
+ */
+function getTelnyxPublicKey() {
+  if (cachedPublicKey === undefined) {
+    const encoded = process.env.TELNYX_PUBLIC_KEY;
+    if (!encoded) {
+      cachedPublicKey = null;
+    } else {
+      const raw = Buffer.from(encoded.trim(), 'base64');
+      if (raw.length !== 32) {
+        throw new Error('TELNYX_PUBLIC_KEY must be a base64 encoded 32-byte Ed25519 public key');
+      }
+      cachedPublicKey = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, raw]),
+        format: 'der',
+        type: 'spki'
+      });
+    }
+  }
+  return cachedPublicKey;
+}
+
+// Twilio routes carry X-Twilio-Signature instead (see ./twilioSignature)
+const TWILIO_ROUTES = ['/webhook/conversational-call', '/webhook/twilio-recording'];
+
+function getSkippedRoutes() {
+  return (process.env.TELNYX_SIGNATURE_SKIP_ROUTES || '')
+    .split(',')
+    .map(route => route.trim())
+    .filter(Boolean)
+    .concat(TWILIO_ROUTES);
+}
+
+/**
+ * Verify a Telnyx webhook signature
+ * @param {string} rawBody - Exact request body
+ * @param {string} signature - telnyx-signature-ed25519 header (base64)
+ * @param {string} timestamp - telnyx-timestamp header (unix seconds)
+ * @param {Object} options - { publicKey, toleranceSeconds, now }
+ * @returns {Object} { valid, reason }
+ */
+function verifyTelnyxSignature(rawBody, signature, timestamp, options = {}) {
+  const publicKey = options.publicKey || getTelnyxPublicKey();
+  const toleranceSeconds = options.toleranceSeconds !== undefined
+    ? options.toleranceSeconds
+    : parseInt(process.env.TELNYX_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+  const now = options.now || Date.now();
+
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'missing signature headers' };
+  }
+
+  const timestampSeconds = parseInt(timestamp, 10);
+  if (!Number.isFinite(timestampSeconds)) {
+    return { valid: false, reason: 'invalid timestamp' };
+  }
+  if (Math.abs(now / 1000 - timestampSeconds) > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp outside replay window' };
+  }
+
+  try {
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${timestamp}|${rawBody || ''}`, 'utf8'),
+      publicKey,
+      Buffer.from(signature, 'base64')
+    );
+    return valid ? { valid: true } : { valid: false, reason: 'signature mismatch' };
+  } catch (error) {
+    return { valid: false, reason: `signature could not be checked: ${error.message}` };
+  }
+}
+
+/**
+ * Express middleware for /webhook routes (needs req.rawBody)
+ */
+function telnyxSignatureMiddleware(req, res, next) {
+  const route = req.originalUrl.split('?')[0];
+
+  if (getSkippedRoutes().includes(route)) {
+    return next();
+  }
+
+  const publicKey = getTelnyxPublicKey();
+  if (!publicKey && process.env.NODE_ENV !== 'production') {
+    if (!warnedMissingKey) {
+      logger.warn('⚠️ TELNYX_PUBLIC_KEY is not set - webhook signatures are NOT being verified');
+      warnedMissingKey = true;
+    }
+    return next();
+  }
+
+  const result = publicKey
+    ? verifyTelnyxSignature(req.rawBody, req.get('telnyx-signature-ed25519'), req.get('telnyx-timestamp'), { publicKey })
+    : { valid: false, reason: 'TELNYX_PUBLIC_KEY is not configured' };
+
+  if (!result.valid) {
+    logger.warn(`🔒 Rejected webhook ${req.method} ${route} from ${req.ip}: ${result.reason}`);
+    recordAudit({
+      actor: { type: 'external', id: req.ip },
+      action: 'signature_rejected',
+      entity: { type: 'webhook', id: route },
+      data: { reason: result.reason }
+    });
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  next();
+}
+
+module.exports = {
+  verifyTelnyxSignature,
+  telnyxSignatureMiddleware
+};
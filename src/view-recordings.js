@@ -1,45 +1,47 @@
 require('dotenv').config();
 const { getRecordingSummaries } = require('./telnyx');
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('view-recordings');
 
 async function viewRecordings(options = {}) {
   try {
-    console.log('📞 Fetching recordings from Telnyx...');
+    logger.info('📞 Fetching recordings from Telnyx...');
     const summaries = await getRecordingSummaries(options);
     
-    console.log('\n📊 Recording Summary Report');
-    console.log('=========================');
-    console.log(`Date: ${summaries.date}`);
-    console.log(`Total Calls: ${summaries.totalCalls}`);
-    console.log('-------------------------\n');
+    logger.info('\n📊 Recording Summary Report');
+    logger.info('=========================');
+    logger.info(`Date: ${summaries.date}`);
+    logger.info(`Total Calls: ${summaries.totalCalls}`);
+    logger.info('-------------------------\n');
     
     Object.values(summaries.recordings).forEach(call => {
-      console.log(`Call ID: ${call.id}`);
-      console.log(`Total Duration: ${call.totalDuration} seconds`);
-      console.log(`Start Time: ${new Date(call.startTime).toLocaleString()}`);
-      console.log(`End Time: ${new Date(call.endTime).toLocaleString()}`);
+      logger.info(`Call ID: ${call.id}`);
+      logger.info(`Total Duration: ${call.totalDuration} seconds`);
+      logger.info(`Start Time: ${new Date(call.startTime).toLocaleString()}`);
+      logger.info(`End Time: ${new Date(call.endTime).toLocaleString()}`);
       
-      console.log('\nRecordings:');
+      logger.info('\nRecordings:');
       call.recordings.forEach((recording, index) => {
-        console.log(`\n  ${index + 1}. Recording Details:`);
-        console.log(`     ID: ${recording.recordingId}`);
-        console.log(`     URL: ${recording.url || 'Processing...'}`);
-        console.log(`     Duration: ${recording.duration} seconds`);
-        console.log(`     Format: ${recording.format}`);
-        console.log(`     Channels: ${recording.channels}`);
-        console.log(`     Status: ${recording.status}`);
-        console.log(`     Timestamp: ${new Date(recording.timestamp).toLocaleString()}`);
+        logger.info(`\n  ${index + 1}. Recording Details:`);
+        logger.info(`     ID: ${recording.recordingId}`);
+        logger.info(`     URL: ${recording.url || 'Processing...'}`);
+        logger.info(`     Duration: ${recording.duration} seconds`);
+        logger.info(`     Format: ${recording.format}`);
+        logger.info(`     Channels: ${recording.channels}`);
+        logger.info(`     Status: ${recording.status}`);
+        logger.info(`     Timestamp: ${new Date(recording.timestamp).toLocaleString()}`);
       });
       
-      console.log('\n-------------------------\n');
+      logger.info('\n-------------------------\n');
     });
     
   } catch (error) {
     if (error.response?.status === 401) {
-      console.error('❌ Authentication failed - please check your Telnyx API key');
+      logger.error('❌ Authentication failed - please check your Telnyx API key');
     } else if (error.response?.status === 404) {
-      console.error('❌ No recordings found for the specified criteria');
+      logger.error('❌ No recordings found for the specified criteria');
     } else {
-      console.error('❌ Error viewing recordings:', error.response?.data || error.message);
+      logger.error('❌ Error viewing recordings:', error.response?.data || error.message);
     }
   }
 }
@@ -1,6 +1,9 @@
 const express = require('express');
 const TwilioConversationalIntegration = require('./twilio-conversational');
+const { twilioSignatureMiddleware, validateTwilioWebSocket } = require('./utils/twilioSignature');
 require('dotenv').config();
+const { createLogger } = require('./utils/logger');
+const logger = createLogger('webhook-conversational');
 
 const router = express.Router();
 const conversationalIntegration = new TwilioConversationalIntegration();
@@ -9,10 +12,10 @@ const conversationalIntegration = new TwilioConversationalIntegration();
  * New conversational AI webhook endpoint
  * This replaces the basic /webhook/call with advanced conversational AI
  */
-router.post('/webhook/conversational-call', async (req, res) => {
+router.post('/webhook/conversational-call', twilioSignatureMiddleware, async (req, res) => {
   try {
     const { From, CallSid, SpeechResult } = req.body;
-    console.log(`🤖 Conversational AI call from: ${From}, CallSid: ${CallSid}`);
+    logger.info(`🤖 Conversational AI call from: ${From}, CallSid: ${CallSid}`);
     
     if (SpeechResult) {
       // User provided speech input - this is handled by the WebSocket connection
@@ -32,7 +35,7 @@ router.post('/webhook/conversational-call', async (req, res) => {
       res.status(200).send(twiml);
     }
   } catch (error) {
-    console.error('Error in conversational AI webhook:', error);
+    logger.error('Error in conversational AI webhook:', error);
     
     // Fallback response
     res.status(500).json({ 
@@ -47,8 +50,13 @@ router.post('/webhook/conversational-call', async (req, res) => {
  * This endpoint handles the real-time audio streaming
  */
 router.ws('/stream/:callSid', (ws, req) => {
+  // Only Twilio may open a media stream
+  if (!validateTwilioWebSocket(ws, req)) {
+    return;
+  }
+
   const callSid = req.params.callSid;
-  console.log(`🔗 WebSocket connected for call ${callSid}`);
+  logger.info(`🔗 WebSocket connected for call ${callSid}`);
 
   ws.on('message', (message) => {
     try {
@@ -56,11 +64,11 @@ router.ws('/stream/:callSid', (ws, req) => {
       
       switch (data.event) {
         case 'connected':
-          console.log(`📞 Media stream connected for call ${callSid}`);
+          logger.info(`📞 Media stream connected for call ${callSid}`);
           break;
           
         case 'start':
-          console.log(`🎙️ Media stream started for call ${callSid}`);
+          logger.info(`🎙️ Media stream started for call ${callSid}`);
           // Here you would connect to ElevenLabs WebSocket
           break;
           
@@ -72,20 +80,20 @@ router.ws('/stream/:callSid', (ws, req) => {
           break;
           
         case 'stop':
-          console.log(`⏹️ Media stream stopped for call ${callSid}`);
+          logger.info(`⏹️ Media stream stopped for call ${callSid}`);
           break;
       }
     } catch (error) {
-      console.error('Error processing WebSocket message:', error);
+      logger.error('Error processing WebSocket message:', error);
     }
   });
 
   ws.on('close', () => {
-    console.log(`🔌 WebSocket closed for call ${callSid}`);
+    logger.info(`🔌 WebSocket closed for call ${callSid}`);
   });
 
   ws.on('error', (error) => {
-    console.error(`WebSocket error for call ${callSid}:`, error);
+    logger.error(`WebSocket error for call ${callSid}:`, error);
   });
 });
 
@@ -113,7 +121,7 @@ router.post('/api/test-conversational', async (req, res) => {
       instructions: 'Use the /webhook/conversational-call endpoint for actual calls'
     });
   } catch (error) {
-    console.error('Error testing conversational AI:', error);
+    logger.error('Error testing conversational AI:', error);
     res.status(500).json({ error: 'Internal Server Error' });
   }
 });
@@ -132,7 +140,7 @@ router.get('/api/conversational-status', async (req, res) => {
     
     res.json(status);
   } catch (error) {
-    console.error('Error getting conversational AI status:', error);
+    logger.error('Error getting conversational AI status:', error);
     res.status(500).json({ error: 'Internal Server Error' });
   }
 });
@@ -0,0 +1,227 @@
+// Test script for the emergency conference state machine
+// Usage: node test_conference_state_machine.js
+const { CONFERENCE_STATE, ACTION, createConferenceRecord, transition } = require('./src/utils/conferenceStateMachine');
+
+const PATIENT = 'v3:patient-leg';
+const DOCTOR = 'v3:doctor-leg';
+const BACKUP = 'v3:backup-leg';
+
+function newConference() {
+  return createConferenceRecord({
+    emergencyId: 'emergency-test',
+    conferenceName: 'dental-emergency-test',
+    patientPhone: '+13105550100',
+    patientCallControlId: PATIENT,
+    emergencyInfo: { name: 'Alex', symptoms: 'swollen jaw' },
+    now: '2025-01-01T00:00:00.000Z'
+  });
+}
+
+// Doctor legs are on the record before their events arrive (dialDoctorToConference adds them)
+function withDoctor(conference, callControlId, phone) {
+  return {
+    ...conference,
+    participants: [...conference.participants, { type: 'doctor', callControlId, phone, role: 'moderator' }]
+  };
+}
+
+const happyPath = [
+  { type: 'call.speak.ended', callControlId: PATIENT },
+  { type: 'conference.created', conferenceId: 'conf-1' },
+  { type: 'conference.participant.joined', callControlId: PATIENT, conferenceId: 'conf-1' },
+  { type: 'conference.participant.joined', callControlId: DOCTOR, conferenceId: 'conf-1' }
+];
+
+const testCases = [
+  {
+    name: 'Announcement, conference, doctor joins',
+    setup: (conference) => withDoctor(conference, DOCTOR, '+13105550111'),
+    events: happyPath,
+    expect: {
+      state: CONFERENCE_STATE.CONNECTED,
+      states: ['joining', 'waiting_for_doctor', 'waiting_for_doctor', 'connected'],
+      actions: [ACTION.JOIN_PATIENT, ACTION.START_ESCALATION, ACTION.STOP_ESCALATION, ACTION.RECORD_STATUS],
+      conferenceId: 'conf-1'
+    }
+  },
+  {
+    name: 'Patient joined event arrives before conference.created',
+    events: [
+      { type: 'call.speak.ended', callControlId: PATIENT },
+      { type: 'conference.participant.joined', callControlId: PATIENT, conferenceId: 'conf-2' },
+      { type: 'conference.created', conferenceId: 'conf-2' }
+    ],
+    expect: {
+      state: CONFERENCE_STATE.WAITING_FOR_DOCTOR,
+      actions: [ACTION.JOIN_PATIENT, ACTION.START_ESCALATION],
+      conferenceId: 'conf-2'
+    }
+  },
+  {
+    name: 'Duplicate webhooks do not repeat side effects',
+    setup: (conference) => withDoctor(conference, DOCTOR, '+13105550111'),
+    events: [
+      { type: 'call.speak.ended', callControlId: PATIENT },
+      { type: 'call.speak.ended', callControlId: PATIENT },
+      { type: 'conference.created', conferenceId: 'conf-1' },
+      { type: 'conference.created', conferenceId: 'conf-1' },
+      { type: 'conference.participant.joined', callControlId: DOCTOR },
+      { type: 'conference.participant.joined', callControlId: DOCTOR }
+    ],
+    expect: {
+      state: CONFERENCE_STATE.CONNECTED,
+      actions: [ACTION.JOIN_PATIENT, ACTION.START_ESCALATION, ACTION.STOP_ESCALATION, ACTION.RECORD_STATUS]
+    }
+  },
+  {
+    name: 'Conference events before the announcement ends are ignored',
+    events: [
+      { type: 'conference.created', conferenceId: 'conf-x' },
+      { type: 'call.speak.ended', callControlId: 'v3:someone-else' }
+    ],
+    expect: {
+      state: CONFERENCE_STATE.ANNOUNCING,
+      actions: []
+    }
+  },
+  {
+    name: 'Patient hangs up while waiting for a doctor',
+    events: [
+      ...happyPath.slice(0, 3),
+      { type: 'call.hangup', callControlId: PATIENT }
+    ],
+    expect: {
+      state: CONFERENCE_STATE.ENDED,
+      actions: [ACTION.JOIN_PATIENT, ACTION.START_ESCALATION, ACTION.CANCEL_ESCALATION, ACTION.HANG_UP_ALL]
+    }
+  },
+  {
+    name: 'Patient hangs up during the announcement',
+    events: [
+      { type: 'call.hangup', callControlId: PATIENT },
+      { type: 'call.speak.ended', callControlId: PATIENT }
+    ],
+    expect: {
+      state: CONFERENCE_STATE.ENDED,
+      actions: [ACTION.CANCEL_ESCALATION, ACTION.HANG_UP_ALL]
+    }
+  },
+  {
+    name: 'Doctor leaves after talking to the patient',
+    setup: (conference) => withDoctor(conference, DOCTOR, '+13105550111'),
+    events: [
+      ...happyPath,
+      { type: 'conference.participant.left', callControlId: DOCTOR },
+      { type: 'call.hangup', callControlId: PATIENT }
+    ],
+    expect: {
+      state: CONFERENCE_STATE.ENDED,
+      actions: [ACTION.JOIN_PATIENT, ACTION.START_ESCALATION, ACTION.STOP_ESCALATION, ACTION.RECORD_STATUS, ACTION.HANG_UP_ALL]
+    }
+  },
+  {
+    name: 'Unanswered doctor leg does not end the conference',
+    setup: (conference) => withDoctor(withDoctor(conference, DOCTOR, '+13105550111'), BACKUP, '+13105550122'),
+    events: [
+      ...happyPath.slice(0, 3),
+      { type: 'call.hangup', callControlId: DOCTOR },
+      { type: 'conference.participant.joined', callControlId: BACKUP }
+    ],
+    expect: {
+      state: CONFERENCE_STATE.CONNECTED,
+      actions: [ACTION.JOIN_PATIENT, ACTION.START_ESCALATION, ACTION.STOP_ESCALATION, ACTION.RECORD_STATUS],
+      doctorJoined: '+13105550122'
+    }
+  },
+  {
+    name: 'Doctor identified by role when the leg is not on the record yet',
+    events: [
+      ...happyPath.slice(0, 3),
+      { type: 'conference.participant.joined', callControlId: 'v3:new-leg', role: 'doctor', phone: '+13105550133' }
+    ],
+    expect: {
+      state: CONFERENCE_STATE.CONNECTED,
+      actions: [ACTION.JOIN_PATIENT, ACTION.START_ESCALATION, ACTION.STOP_ESCALATION, ACTION.RECORD_STATUS],
+      doctorJoined: '+13105550133'
+    }
+  },
+  {
+    name: 'conference.ended before a doctor joined',
+    events: [
+      ...happyPath.slice(0, 2),
+      { type: 'conference.ended', conferenceId: 'conf-1' },
+      { type: 'conference.participant.joined', callControlId: DOCTOR }
+    ],
+    expect: {
+      state: CONFERENCE_STATE.ENDED,
+      actions: [ACTION.JOIN_PATIENT, ACTION.START_ESCALATION, ACTION.CANCEL_ESCALATION]
+    }
+  }
+];
+
+/**
+ * Feed events one at a time, the way telnyx-conference.js does
+ */
+function run(testCase) {
+  let conference = testCase.setup ? testCase.setup(newConference()) : newConference();
+  const actions = [];
+  const states = [];
+
+  testCase.events.forEach((event, index) => {
+    const result = transition(conference, { ...event, at: `2025-01-01T00:00:0${index + 1}.000Z` });
+    conference = result.conference;
+    actions.push(...result.actions);
+    states.push(conference.state);
+  });
+
+  return { conference, actions, states };
+}
+
+console.log('Testing emergency conference state machine...\n');
+
+let failures = 0;
+
+testCases.forEach((testCase, index) => {
+  const { conference, actions, states } = run(testCase);
+  const { expect } = testCase;
+  const problems = [];
+
+  if (conference.state !== expect.state) {
+    problems.push(`state ${conference.state}, expected ${expect.state}`);
+  }
+  if (expect.states && JSON.stringify(states) !== JSON.stringify(expect.states)) {
+    problems.push(`states ${JSON.stringify(states)}, expected ${JSON.stringify(expect.states)}`);
+  }
+  const actionTypes = actions.map(action => action.type);
+  if (JSON.stringify(actionTypes) !== JSON.stringify(expect.actions)) {
+    problems.push(`actions ${JSON.stringify(actionTypes)}, expected ${JSON.stringify(expect.actions)}`);
+  }
+  if (expect.conferenceId && conference.conferenceId !== expect.conferenceId) {
+    problems.push(`conferenceId ${conference.conferenceId}, expected ${expect.conferenceId}`);
+  }
+  if (expect.doctorJoined) {
+    const joined = actions.find(action => action.type === ACTION.RECORD_STATUS);
+    if (!joined || joined.details.doctorPhone !== expect.doctorJoined) {
+      problems.push(`doctor_joined for ${joined ? joined.details.doctorPhone : 'nobody'}, expected ${expect.doctorJoined}`);
+    }
+  }
+
+  // Every state change is kept in the history
+  const transitions = conference.history.length - 1;
+  const changes = ['announcing', ...states].filter((state, i, all) => i > 0 && state !== all[i - 1]).length;
+  if (transitions !== changes) {
+    problems.push(`history has ${transitions} transition(s), expected ${changes}`);
+  }
+
+  if (problems.length > 0) {
+    failures++;
+  }
+
+  console.log(`Test Case ${index + 1}: ${testCase.name}`);
+  console.log(`  Result: ${states.join(' → ') || conference.state}`);
+  problems.forEach(problem => console.log(`  ${problem}`));
+  console.log(`  ${problems.length === 0 ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+console.log(failures === 0 ? 'All conference state machine tests passed' : `${failures} conference state machine test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
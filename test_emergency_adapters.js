@@ -0,0 +1,138 @@
+// Test script for the /webhook/emergency payload adapters
+// Usage: node test_emergency_adapters.js [capture file or directory]
+const fs = require('fs');
+const path = require('path');
+const { parseEmergencyPayload, isPingPayload } = require('./src/utils/emergencyPayloads');
+const { readCaptures } = require('./src/utils/webhookCapture');
+
+/**
+ * Read a JSON file that may have been saved as UTF-16 (e.g. by PowerShell)
+ */
+function readJsonFile(file) {
+  const buffer = fs.readFileSync(file);
+  const text = buffer[0] === 0xff && buffer[1] === 0xfe
+    ? buffer.toString('utf16le')
+    : buffer.toString('utf8');
+  return JSON.parse(text.replace(/^\uFEFF/, ''));
+}
+
+/**
+ * Captured emergency webhook bodies
+ * test_emergency_requests.jsonl holds one { name, path, body, expect | expectRecognized }
+ * line per request. A capture file or directory from WEBHOOK_CAPTURE_DIR can be
+ * passed instead (node test_emergency_adapters.js <captures>); its bodies are
+ * only checked to be recognized. Lines for other routes are skipped.
+ */
+function readCapturedRequests(source) {
+  const isFixture = source.endsWith('test_emergency_requests.jsonl');
+  const entries = isFixture
+    ? fs.readFileSync(source, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+    : readCaptures(source).map(capture => ({ ...capture, body: JSON.parse(capture.body.toString('utf8') || '{}') }));
+
+  return entries
+    .filter(entry => /\/webhook\/emergency(\?|$)/.test(entry.path || entry.url || ''))
+    .filter(entry => isFixture || !isPingPayload(entry.body))
+    .map((entry, index) => ({
+      name: `${path.basename(source)} #${index + 1}${entry.name ? ` (${entry.name})` : ''}`,
+      body: entry.body,
+      expect: entry.expect,
+      expectRecognized: entry.expectRecognized !== false
+    }));
+}
+
+const capturedSource = process.argv[2] ? path.resolve(process.argv[2]) : path.join(__dirname, 'test_emergency_requests.jsonl');
+const capturedCases = readCapturedRequests(capturedSource);
+if (capturedCases.length === 0) {
+  console.error(`❌ No captured /webhook/emergency requests found in ${capturedSource}`);
+  process.exit(1);
+}
+
+const testCases = [
+  {
+    name: 'test_payload.json (emergencytext + GatherUsingAI)',
+    body: readJsonFile(path.join(__dirname, 'test_payload.json')),
+    expect: {
+      schema: 'telnyx-emergencytext/v1',
+      isEmergency: true,
+      reason: 'severe bleeding in the mouth',
+      patient: { name: 'Alex', phone: 'fo38lclh@sip.telnyx.eu' },
+      callControlId: 'v3:test123',
+      isUrgent: true
+    }
+  },
+  {
+    name: 'Direct payload with "Reason " key',
+    body: { Emergency: false, 'Reason ': 'tooth sensitivity', Name: 'Sam', phone: '+13105550100' },
+    expect: {
+      schema: 'direct/v1',
+      isEmergency: false,
+      reason: 'tooth sensitivity',
+      patient: { name: 'Sam', phone: '+13105550100' },
+      callControlId: null,
+      isUrgent: null
+    }
+  },
+  {
+    name: 'Direct payload with patient in the reason',
+    body: { Emergency: true, Reason: 'Jane Doe (+13105551234) swollen jaw' },
+    expect: {
+      schema: 'direct/v1',
+      isEmergency: true,
+      reason: 'Jane Doe (+13105551234) swollen jaw',
+      patient: { name: 'Jane Doe', phone: '+13105551234' },
+      callControlId: null,
+      isUrgent: null
+    }
+  },
+  {
+    name: 'Function call with is_urgent only',
+    body: [{ id: 'call_1', type: 'function', function: { name: 'GatherUsingAI', arguments: { Name: 'Lee', phone: 13105550111, is_urgent: true, call_control_id: 'v3:abc' } } }],
+    expect: {
+      schema: 'telnyx-function-call/v1',
+      isEmergency: true,
+      reason: 'No reason provided',
+      patient: { name: 'Lee', phone: '13105550111' },
+      callControlId: 'v3:abc',
+      isUrgent: true
+    }
+  },
+  { name: 'Direct payload with string Emergency', body: { Emergency: 'yes' }, expectRecognized: false },
+  { name: 'Function call without urgency', body: [{ function: { name: 'lookup', arguments: { Name: 'Kim' } } }], expectRecognized: false },
+  { name: 'Unknown shape', body: { message: 'hello' }, expectRecognized: false },
+  ...capturedCases
+];
+
+console.log(`Testing emergency payload adapters (${capturedCases.length} captured requests from ${path.basename(capturedSource)})...\n`);
+
+let failures = 0;
+
+testCases.forEach((testCase, index) => {
+  const result = parseEmergencyPayload(testCase.body);
+  const recognized = !!result.report;
+  const expectRecognized = testCase.expectRecognized !== false;
+
+  let pass = recognized === expectRecognized;
+  if (pass && testCase.expect) {
+    pass = JSON.stringify(result.report) === JSON.stringify(testCase.expect);
+  }
+  if (!pass) {
+    failures++;
+  }
+
+  console.log(`Test Case ${index + 1}: ${testCase.name}`);
+  console.log(`  Result: ${recognized ? JSON.stringify(result.report) : result.error}`);
+  if (!pass && testCase.expect) {
+    console.log(`  Expected: ${JSON.stringify(testCase.expect)}`);
+  }
+  console.log(`  ${pass ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+const pings = [{}, [], undefined];
+const pingPass = pings.every(isPingPayload) && !isPingPayload({ Emergency: true });
+if (!pingPass) {
+  failures++;
+}
+console.log(`Ping detection: ${pingPass ? '✅ PASS' : '❌ FAIL'}\n`);
+
+console.log(failures === 0 ? 'All adapter tests passed' : `${failures} adapter test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,128 @@
+// Test script for encryption at rest (src/utils/encryption.js)
+// Usage: node test_encryption.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { seal, unseal, reseal, generateKey, resetKeyring } = require('./src/utils/encryption');
+const { FileRepository } = require('./src/utils/repository');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'hippaai-encryption-'));
+const oldKey = generateKey();
+const newKey = generateKey();
+const plaintext = JSON.stringify({ name: 'Jane Doe', phone: '+13105551234', reason: 'swollen jaw' });
+
+/**
+ * Switch the keyring; the module caches it until resetKeyring()
+ */
+function useKeys({ key, keyId, previousKeys } = {}) {
+  const env = {
+    DATA_ENCRYPTION_KEY: key,
+    DATA_ENCRYPTION_KEY_ID: keyId,
+    DATA_ENCRYPTION_PREVIOUS_KEYS: previousKeys
+  };
+  for (const [name, value] of Object.entries(env)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+  delete process.env.DATA_ENCRYPTION_KEY_FILE;
+  resetKeyring();
+}
+
+function throws(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return true;
+  }
+  return false;
+}
+
+const checks = [
+  {
+    name: 'Without a key values are stored as plaintext',
+    run: () => {
+      useKeys();
+      return seal(plaintext) === plaintext && unseal(plaintext) === plaintext;
+    }
+  },
+  {
+    name: 'Sealed values round trip and hide the plaintext',
+    run: () => {
+      useKeys({ key: oldKey, keyId: 'old' });
+      const first = seal(plaintext);
+      const second = seal(plaintext);
+      return !first.includes('Jane') && first !== second && unseal(first) === plaintext && unseal(second) === plaintext;
+    }
+  },
+  {
+    name: 'Tampered values are not decrypted',
+    run: () => {
+      useKeys({ key: oldKey, keyId: 'old' });
+      const envelope = JSON.parse(seal(plaintext));
+      const ciphertext = Buffer.from(envelope.ciphertext, 'base64');
+      ciphertext[0] ^= 1;
+      return throws(() => unseal(JSON.stringify({ ...envelope, ciphertext: ciphertext.toString('base64') })));
+    }
+  },
+  {
+    name: 'File records are sealed on disk and readable through the repository',
+    run: async () => {
+      useKeys({ key: oldKey, keyId: 'old' });
+      const patients = new FileRepository({ dir: path.join(root, 'patients') });
+      await patients.put('patient-1', JSON.parse(plaintext));
+      const stored = fs.readFileSync(path.join(root, 'patients', 'patient-1.json'), 'utf8');
+      const record = await patients.get('patient-1');
+      return !stored.includes('Jane') && record.data.name === 'Jane Doe';
+    }
+  },
+  {
+    name: 'Resealing moves values to the active key',
+    run: () => {
+      useKeys({ key: oldKey, keyId: 'old' });
+      const sealedWithOld = seal(plaintext);
+
+      useKeys({ key: newKey, keyId: 'new', previousKeys: `old:${oldKey}` });
+      const rotated = reseal(sealedWithOld);
+      const again = reseal(rotated.value);
+      const encrypted = reseal(plaintext);
+
+      // The old key is no longer needed once everything is resealed
+      useKeys({ key: newKey, keyId: 'new' });
+      return rotated.changed && JSON.parse(rotated.value).kid === 'new'
+        && !again.changed
+        && encrypted.changed && !encrypted.value.includes('Jane')
+        && unseal(rotated.value) === plaintext && unseal(encrypted.value) === plaintext
+        && throws(() => unseal(sealedWithOld));
+    }
+  }
+];
+
+(async () => {
+  console.log('Testing encryption at rest...\n');
+
+  let failures = 0;
+
+  for (const [index, check] of checks.entries()) {
+    let passed;
+    try {
+      passed = await check.run();
+    } catch (error) {
+      console.log(`  ${error.message}`);
+      passed = false;
+    }
+    if (!passed) {
+      failures++;
+    }
+    console.log(`Test Case ${index + 1}: ${check.name}`);
+    console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  }
+
+  useKeys();
+  fs.rmSync(root, { recursive: true, force: true });
+
+  console.log(failures === 0 ? 'All encryption tests passed' : `${failures} encryption test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+})();
@@ -0,0 +1,105 @@
+// Test script for GatherUsingAI result validation against gather-tool.json
+// Usage: node test_gather_validation.js
+const { validateGatherResult, buildReaskSchema } = require('./src/utils/gatherValidation');
+
+const testCases = [
+  {
+    name: 'Webhook keys with "8/10" pain and a formatted phone',
+    data: { Name: 'John Peterson', 'Pain level': '8/10', phone: '(310) 751-0189', Reasons: 'broken molar' },
+    expect: {
+      valid: true,
+      value: { name: 'John Peterson', pain_level: 8, phone: '3107510189', symptoms: 'broken molar' }
+    }
+  },
+  {
+    name: 'Pain as "6 out of 10", phone as a number, enum in capitals',
+    data: { name: 'Jane Doe', symptoms: 'swelling', pain_level: ' 6 out of 10 ', phone: 13107510188, urgency_level: 'High' },
+    expect: {
+      valid: true,
+      value: { name: 'Jane Doe', symptoms: 'swelling', pain_level: 6, phone: '13107510188', urgency_level: 'high' }
+    }
+  },
+  {
+    name: 'Phone with a leading + and spaces',
+    data: { name: 'Sam', symptoms: 'toothache', phone: '+1 310-555-0100' },
+    expect: { valid: true, value: { name: 'Sam', symptoms: 'toothache', phone: '+13105550100' } }
+  },
+  {
+    name: 'Pain out of range and an unknown urgency',
+    data: { name: 'Bob', symptoms: 'ache', pain_level: '11', urgency_level: 'critical' },
+    expect: {
+      valid: false,
+      value: { name: 'Bob', symptoms: 'ache' },
+      errors: ['pain_level: must be at most 10', 'urgency_level: must be one of low, medium, high, emergency']
+    }
+  },
+  {
+    name: 'Fractional pain is not an integer',
+    data: { name: 'Ann', symptoms: 'ache', pain_level: '7.5' },
+    expect: { valid: false, value: { name: 'Ann', symptoms: 'ache' }, errors: ['pain_level: must be an integer'] }
+  },
+  {
+    name: 'Phone that cannot be compacted into a number',
+    data: { name: 'Kim', symptoms: 'ache', phone: 'call me at home' },
+    expect: { valid: false, value: { name: 'Kim', symptoms: 'ache' }, errors: ['phone: must match ^\\+?[0-9]{7,15}$'] }
+  },
+  {
+    name: '"Unknown" and "N/A" count as missing',
+    data: { Name: 'Unknown', Reason: 'N/A', Pain: '5' },
+    expect: {
+      valid: false,
+      value: { pain_level: 5 },
+      missing: ['name', 'symptoms'],
+      errors: ['name: is required', 'symptoms: is required']
+    }
+  },
+  {
+    name: 'Empty duplicate key does not overwrite an answer',
+    data: { symptoms: 'abscess', Reason: '', name: 'Lee' },
+    expect: { valid: true, value: { symptoms: 'abscess', name: 'Lee' } }
+  }
+];
+
+console.log('Testing GatherUsingAI validation...\n');
+
+let failures = 0;
+
+testCases.forEach((testCase, index) => {
+  const result = validateGatherResult(testCase.data);
+  const errors = result.errors.map(error => `${error.field}: ${error.message}`);
+  const problems = [];
+
+  if (result.valid !== testCase.expect.valid) {
+    problems.push(`valid ${result.valid}, expected ${testCase.expect.valid}`);
+  }
+  if (JSON.stringify(result.value) !== JSON.stringify(testCase.expect.value)) {
+    problems.push(`value ${JSON.stringify(result.value)}, expected ${JSON.stringify(testCase.expect.value)}`);
+  }
+  if (JSON.stringify(errors) !== JSON.stringify(testCase.expect.errors || [])) {
+    problems.push(`errors ${JSON.stringify(errors)}, expected ${JSON.stringify(testCase.expect.errors || [])}`);
+  }
+  if (testCase.expect.missing && JSON.stringify(result.missing) !== JSON.stringify(testCase.expect.missing)) {
+    problems.push(`missing ${JSON.stringify(result.missing)}, expected ${JSON.stringify(testCase.expect.missing)}`);
+  }
+
+  if (problems.length > 0) {
+    failures++;
+  }
+
+  console.log(`Test Case ${index + 1}: ${testCase.name}`);
+  console.log(`  Result: ${JSON.stringify(result.value)}`);
+  problems.forEach(problem => console.log(`  ${problem}`));
+  console.log(`  ${problems.length === 0 ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+// Re-ask only what was missing or invalid, keeping which of those are required
+const reask = buildReaskSchema([{ field: 'symptoms' }, { field: 'pain_level' }, { field: 'symptoms' }, { field: 'not_in_schema' }]);
+const reaskPass = JSON.stringify(Object.keys(reask.properties)) === JSON.stringify(['symptoms', 'pain_level']) &&
+  JSON.stringify(reask.required) === JSON.stringify(['symptoms']);
+if (!reaskPass) {
+  failures++;
+}
+console.log(`Re-ask schema: ${reaskPass ? '✅ PASS' : '❌ FAIL'}\n`);
+
+console.log(failures === 0 ? 'All gather validation tests passed' : `${failures} gather validation test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,144 @@
+// Test script for the background job queue (src/utils/jobQueue.js)
+// Usage: node test_job_queue.js
+process.env.STORAGE_BACKEND = 'memory';
+process.env.JOB_POLL_INTERVAL_MS = '10';
+process.env.JOB_BACKOFF_BASE_MS = '50';
+
+const auditLog = require('./src/utils/auditLog');
+
+// Keep dead-letter entries out of the real audit log; jobQueue picks this up when it is loaded
+const audited = [];
+auditLog.recordAudit = entry => audited.push(entry);
+
+const {
+  registerJobHandler,
+  enqueueJob,
+  startJobWorker,
+  stopJobWorker,
+  getJob,
+  retryDeadJob,
+  getJobRepository,
+  getDeadJobRepository
+} = require('./src/utils/jobQueue');
+
+/**
+ * Wait until check() resolves truthy, or give up after timeoutMs
+ */
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await check()) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return false;
+}
+
+const checks = [
+  {
+    name: 'Failed jobs are retried with doubling backoff until they succeed',
+    run: async () => {
+      const attemptTimes = [];
+      registerJobHandler('test-flaky', async () => {
+        attemptTimes.push(Date.now());
+        if (attemptTimes.length < 3) {
+          throw new Error('provider unavailable');
+        }
+      });
+
+      const job = await enqueueJob('test-flaky', {});
+      const completed = await waitFor(async () => attemptTimes.length === 3 && !(await getJobRepository().get(job.id)));
+      const firstDelay = attemptTimes[1] - attemptTimes[0];
+      const secondDelay = attemptTimes[2] - attemptTimes[1];
+      return completed && firstDelay >= 50 && secondDelay >= 100 && !(await getDeadJobRepository().get(job.id));
+    }
+  },
+  {
+    name: 'A retried job records the last error while it waits',
+    run: async () => {
+      registerJobHandler('test-failing-once', async (payload, job) => {
+        if (job.attempts === 1) {
+          throw new Error('timeout');
+        }
+      });
+
+      const job = await enqueueJob('test-failing-once', {});
+      const waiting = await waitFor(async () => (await getJob(job.id))?.lastError === 'timeout');
+      const pending = await getJob(job.id);
+      const completed = await waitFor(async () => !(await getJob(job.id)));
+      return waiting && pending.status === 'pending' && pending.attempts === 1 && completed;
+    }
+  },
+  {
+    name: 'Jobs that keep failing are moved to the dead-letter store',
+    run: async () => {
+      registerJobHandler('test-broken', async () => {
+        throw new Error('still broken');
+      });
+
+      audited.length = 0;
+      const job = await enqueueJob('test-broken', {}, { maxAttempts: 2 });
+      const dead = await waitFor(async () => !!(await getDeadJobRepository().get(job.id)));
+      const deadJob = (await getDeadJobRepository().get(job.id)).data;
+      return dead
+        && deadJob.status === 'dead' && deadJob.attempts === 2 && deadJob.lastError === 'still broken'
+        && !(await getJobRepository().get(job.id))
+        && audited.some(entry => entry.action === 'dead_lettered' && entry.entity.id === job.id);
+    }
+  },
+  {
+    name: 'Jobs without a handler are dead-lettered',
+    run: async () => {
+      const job = await enqueueJob('test-unknown', {}, { maxAttempts: 1 });
+      await waitFor(async () => !!(await getDeadJobRepository().get(job.id)));
+      const deadJob = await getJob(job.id);
+      return deadJob?.status === 'dead' && deadJob.lastError.includes('No handler registered');
+    }
+  },
+  {
+    name: 'A dead job retried by hand runs again',
+    run: async () => {
+      let fixed = false;
+      registerJobHandler('test-fixed-later', async () => {
+        if (!fixed) {
+          throw new Error('not fixed yet');
+        }
+      });
+
+      const job = await enqueueJob('test-fixed-later', {}, { maxAttempts: 1 });
+      await waitFor(async () => !!(await getDeadJobRepository().get(job.id)));
+      fixed = true;
+      const requeued = await retryDeadJob(job.id);
+      const completed = await waitFor(async () => !(await getJob(job.id)));
+      return requeued?.attempts === 0 && requeued.status === 'pending' && completed;
+    }
+  }
+];
+
+(async () => {
+  console.log('Testing background job queue...\n');
+
+  startJobWorker();
+  let failures = 0;
+
+  for (const [index, check] of checks.entries()) {
+    let passed;
+    try {
+      passed = await check.run();
+    } catch (error) {
+      console.log(`  ${error.message}`);
+      passed = false;
+    }
+    if (!passed) {
+      failures++;
+    }
+    console.log(`Test Case ${index + 1}: ${check.name}`);
+    console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  }
+
+  stopJobWorker();
+
+  console.log(failures === 0 ? 'All job queue tests passed' : `${failures} job queue test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+})();
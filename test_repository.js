@@ -0,0 +1,136 @@
+// Test script for the record repositories (src/utils/repository.js)
+// Usage: node test_repository.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileRepository, MemoryRepository } = require('./src/utils/repository');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'hippaai-repository-'));
+
+function fileRepository(collection) {
+  return new FileRepository({ dir: path.join(root, collection) });
+}
+
+async function rejects(fn, code) {
+  try {
+    await fn();
+  } catch (error) {
+    return error.code === code;
+  }
+  return false;
+}
+
+const checks = [
+  {
+    name: 'Keys that leave the collection directory are not found',
+    run: async () => {
+      const users = fileRepository('users');
+      await users.put('admin1', { passwordHash: 'secret' });
+      const intakes = fileRepository('intakes');
+      const keys = ['../users/admin1', '..\\users\\admin1', '..', 'a\0b', '/etc/passwd', ''];
+      const found = await Promise.all(keys.map(key => intakes.get(key)));
+      return found.every(record => record === null);
+    }
+  },
+  {
+    name: 'Writes and deletes with unsafe keys are rejected',
+    run: async () => {
+      const intakes = fileRepository('intakes');
+      const written = await rejects(() => intakes.put('../users/admin1', { passwordHash: 'overwritten' }), 'INVALID_KEY');
+      const updated = await rejects(() => intakes.update('../users/admin1', () => ({ passwordHash: 'overwritten' })), 'INVALID_KEY');
+      const deleted = await rejects(() => intakes.delete('../users/admin1'), 'INVALID_KEY');
+      const admin = await fileRepository('users').get('admin1');
+      return written && updated && deleted && admin.data.passwordHash === 'secret';
+    }
+  },
+  {
+    name: 'Ordinary keys still work',
+    run: async () => {
+      const intakes = fileRepository('intakes');
+      await intakes.put('intake-1.2_A:b', { status: 'new' });
+      const record = await intakes.get('intake-1.2_A:b');
+      return record.data.status === 'new' && (await intakes.list()).length === 1;
+    }
+  },
+  {
+    name: 'Concurrent updates to one key are applied one after another',
+    run: async () => {
+      const results = [];
+      for (const repository of [fileRepository('counters'), new MemoryRepository()]) {
+        await Promise.all(Array.from({ length: 20 }, () => repository.update('counter', async (data) => {
+          const count = data ? data.count : 0;
+          // Yield between the read and the write so unserialized updates would overlap
+          await new Promise(resolve => setTimeout(resolve, 1));
+          return { count: count + 1 };
+        })));
+        const record = await repository.get('counter');
+        results.push(record.data.count === 20 && record.version === 20);
+      }
+      return results.every(Boolean);
+    }
+  },
+  {
+    name: 'Writes with a stale expectedVersion are rejected',
+    run: async () => {
+      const repository = fileRepository('versions');
+      const created = await repository.put('record', { step: 1 }, { expectedVersion: 0 });
+      const duplicate = await rejects(() => repository.put('record', { step: 'again' }, { expectedVersion: 0 }), 'VERSION_CONFLICT');
+      await repository.put('record', { step: 2 }, { expectedVersion: created.version });
+      const stale = await rejects(() => repository.put('record', { step: 'stale' }, { expectedVersion: created.version }), 'VERSION_CONFLICT');
+      const record = await repository.get('record');
+      return duplicate && stale && record.data.step === 2 && record.version === 2;
+    }
+  },
+  {
+    name: 'Updates retry when another writer changed the record',
+    run: async () => {
+      const repository = new MemoryRepository();
+      await repository.put('record', { count: 0 });
+      let calls = 0;
+      const record = await repository.update('record', async (data) => {
+        calls++;
+        if (calls === 1) {
+          // A writer that does not take the lock, e.g. another process
+          await repository.put('record', { count: 10 });
+        }
+        return { count: data.count + 1 };
+      });
+      return calls === 2 && record.data.count === 11;
+    }
+  },
+  {
+    name: 'Concurrent takes return the record once',
+    run: async () => {
+      const repository = fileRepository('takes');
+      await repository.put('call', { status: 'ended' });
+      const taken = await Promise.all(Array.from({ length: 5 }, () => repository.take('call')));
+      return taken.filter(Boolean).length === 1 && (await repository.get('call')) === null;
+    }
+  }
+];
+
+(async () => {
+  console.log('Testing record repositories...\n');
+
+  let failures = 0;
+
+  for (const [index, check] of checks.entries()) {
+    let passed;
+    try {
+      passed = await check.run();
+    } catch (error) {
+      console.log(`  ${error.message}`);
+      passed = false;
+    }
+    if (!passed) {
+      failures++;
+    }
+    console.log(`Test Case ${index + 1}: ${check.name}`);
+    console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  }
+
+  fs.rmSync(root, { recursive: true, force: true });
+
+  console.log(failures === 0 ? 'All repository tests passed' : `${failures} repository test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+})();
@@ -0,0 +1,163 @@
+// Test script for Telnyx webhook signature verification (src/utils/webhookSignature.js)
+// Usage: node test_webhook_signature.js
+const crypto = require('crypto');
+const auditLog = require('./src/utils/auditLog');
+
+// Keep rejections out of the real audit log; the middleware picks this up when it is loaded
+const audited = [];
+auditLog.recordAudit = entry => audited.push(entry);
+
+const SIGNATURE_MODULE = require.resolve('./src/utils/webhookSignature');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+// TELNYX_PUBLIC_KEY holds the raw 32-byte key, which is the tail of the SPKI encoding
+const encodedPublicKey = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64');
+
+const body = JSON.stringify({ data: { event_type: 'call.initiated', payload: { call_control_id: 'v3:test' } } });
+const now = Date.now();
+const timestamp = String(Math.floor(now / 1000));
+
+function sign(signedTimestamp, signedBody) {
+  return crypto.sign(null, Buffer.from(`${signedTimestamp}|${signedBody}`, 'utf8'), privateKey).toString('base64');
+}
+
+/**
+ * Load the module with a fresh environment; it caches the public key on first use
+ */
+function loadSignatureModule(env) {
+  for (const name of ['TELNYX_PUBLIC_KEY', 'TELNYX_SIGNATURE_SKIP_ROUTES', 'NODE_ENV']) {
+    if (env[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = env[name];
+    }
+  }
+  delete require.cache[SIGNATURE_MODULE];
+  return require(SIGNATURE_MODULE);
+}
+
+/**
+ * Run the middleware against a fake request; returns 'next' or the response status
+ */
+function runMiddleware(middleware, { route, headers = {}, rawBody = body }) {
+  const req = {
+    method: 'POST',
+    originalUrl: `${route}?source=test`,
+    ip: '127.0.0.1',
+    rawBody,
+    get: name => headers[name.toLowerCase()]
+  };
+  let outcome = null;
+  const res = {
+    status(code) {
+      outcome = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  middleware(req, res, () => {
+    outcome = 'next';
+  });
+  return outcome;
+}
+
+const signedHeaders = {
+  'telnyx-signature-ed25519': sign(timestamp, body),
+  'telnyx-timestamp': timestamp
+};
+
+const checks = [
+  {
+    name: 'Valid signature is accepted',
+    run: ({ verifyTelnyxSignature }) => verifyTelnyxSignature(body, sign(timestamp, body), timestamp, { publicKey, now }).valid === true
+  },
+  {
+    name: 'Tampered body is rejected',
+    run: ({ verifyTelnyxSignature }) => {
+      const result = verifyTelnyxSignature(body.replace('v3:test', 'v3:other'), sign(timestamp, body), timestamp, { publicKey, now });
+      return !result.valid && result.reason === 'signature mismatch';
+    }
+  },
+  {
+    name: 'Signature from another key is rejected',
+    run: ({ verifyTelnyxSignature }) => {
+      const other = crypto.generateKeyPairSync('ed25519').privateKey;
+      const signature = crypto.sign(null, Buffer.from(`${timestamp}|${body}`, 'utf8'), other).toString('base64');
+      return verifyTelnyxSignature(body, signature, timestamp, { publicKey, now }).valid === false;
+    }
+  },
+  {
+    name: 'Stale and future timestamps are outside the replay window',
+    run: ({ verifyTelnyxSignature }) => {
+      const stale = String(Math.floor(now / 1000) - 301);
+      const future = String(Math.floor(now / 1000) + 301);
+      const results = [stale, future].map(value => verifyTelnyxSignature(body, sign(value, body), value, { publicKey, now, toleranceSeconds: 300 }));
+      return results.every(result => !result.valid && result.reason === 'timestamp outside replay window');
+    }
+  },
+  {
+    name: 'Missing or invalid headers are rejected',
+    run: ({ verifyTelnyxSignature }) => {
+      const missingSignature = verifyTelnyxSignature(body, undefined, timestamp, { publicKey, now });
+      const missingTimestamp = verifyTelnyxSignature(body, sign(timestamp, body), undefined, { publicKey, now });
+      const invalidTimestamp = verifyTelnyxSignature(body, sign('soon', body), 'soon', { publicKey, now });
+      return missingSignature.reason === 'missing signature headers'
+        && missingTimestamp.reason === 'missing signature headers'
+        && invalidTimestamp.reason === 'invalid timestamp';
+    }
+  },
+  {
+    name: 'Middleware passes a signed request and rejects an unsigned one',
+    env: { TELNYX_PUBLIC_KEY: encodedPublicKey },
+    run: ({ telnyxSignatureMiddleware }) => {
+      audited.length = 0;
+      return runMiddleware(telnyxSignatureMiddleware, { route: '/webhook/call', headers: signedHeaders }) === 'next'
+        && runMiddleware(telnyxSignatureMiddleware, { route: '/webhook/call' }) === 401
+        && audited.length === 1
+        && audited[0].action === 'signature_rejected'
+        && audited[0].entity.id === '/webhook/call';
+    }
+  },
+  {
+    name: 'Skipped and Twilio routes are not checked',
+    env: { TELNYX_PUBLIC_KEY: encodedPublicKey, TELNYX_SIGNATURE_SKIP_ROUTES: '/webhook/emergency, /webhook/sms' },
+    run: ({ telnyxSignatureMiddleware }) => ['/webhook/emergency', '/webhook/sms', '/webhook/conversational-call', '/webhook/twilio-recording']
+      .every(route => runMiddleware(telnyxSignatureMiddleware, { route }) === 'next')
+      && runMiddleware(telnyxSignatureMiddleware, { route: '/webhook/call' }) === 401
+  },
+  {
+    name: 'Without a public key requests pass outside production',
+    env: { NODE_ENV: 'development' },
+    run: ({ telnyxSignatureMiddleware }) => runMiddleware(telnyxSignatureMiddleware, { route: '/webhook/call' }) === 'next'
+  },
+  {
+    name: 'Without a public key production rejects every route not skipped',
+    env: { NODE_ENV: 'production', TELNYX_SIGNATURE_SKIP_ROUTES: '/webhook/emergency' },
+    run: ({ telnyxSignatureMiddleware }) => runMiddleware(telnyxSignatureMiddleware, { route: '/webhook/call', headers: signedHeaders }) === 401
+      && runMiddleware(telnyxSignatureMiddleware, { route: '/webhook/emergency' }) === 'next'
+  }
+];
+
+console.log('Testing Telnyx webhook signatures...\n');
+
+let failures = 0;
+
+checks.forEach((check, index) => {
+  let passed;
+  try {
+    passed = check.run(loadSignatureModule(check.env || {}));
+  } catch (error) {
+    console.log(`  ${error.message}`);
+    passed = false;
+  }
+  if (!passed) {
+    failures++;
+  }
+  console.log(`Test Case ${index + 1}: ${check.name}`);
+  console.log(`  ${passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+console.log(failures === 0 ? 'All signature tests passed' : `${failures} signature test(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;